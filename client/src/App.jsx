@@ -2,15 +2,30 @@ import React, { useState, useEffect, useCallback, useRef } from "react";
 import VisitorsDashboard from "./components/VisitorsDashboard";
 import VisitorDetailsForm from "./components/VisitorDetailsForm";
 import VisitorRegistrationForm from "./components/VisitorRegistrationForm";
-import PasswordModal from "./components/PasswordModal";
+import StaffSignIn from "./components/StaffSignIn";
 import RecordMissedVisitModal from "./components/RecordMissedVisitModal";
 import HistoryDashboard from "./components/VisitHistory";
-const API_BASE_URL = import.meta.env.VITE_API_URL;
+import AuditLogViewer from "./components/AuditLogViewer";
+import StatisticsDashboard from "./components/StatisticsDashboard";
+import BanVisitorModal from "./components/BanVisitorModal";
+import EraseVisitorModal from "./components/EraseVisitorModal";
+import MergeVisitorsModal from "./components/MergeVisitorsModal";
+import RollCall from "./components/RollCall";
+import AutoClosedVisitsReview from "./components/AutoClosedVisitsReview";
+import {
+  API_BASE_URL,
+  apiFetch,
+  getStaffSession,
+  clearStaffSession,
+  onUnauthorized,
+} from "./api";
+import { applyVisitorEvent, openVisitorEventStream } from "./visitorEvents";
 
 // Initial state for the registration form
 const initialRegistrationForm = {
   firstName: "",
   lastName: "",
+  dateOfBirth: "",
   knownAs: "",
   address: "",
   phoneNumber: "",
@@ -21,9 +36,66 @@ const initialRegistrationForm = {
   photo: null,
 };
 
+// Initial state for the ban form
+const initialBanDetails = {
+  reason: "",
+  severity: "medium",
+  endDate: "",
+};
+
+// Initial state for the erasure form
+const initialEraseDetails = {
+  mode: "delete",
+  force: false,
+};
+
+// Initial state for the merge form
+const initialMergeDetails = {
+  search: "",
+  mergedId: null,
+  nameFrom: "survivor",
+  photoFrom: "survivor",
+};
+
+// Initial state for the history filters the server applies besides name and dates
+const initialHistoryFilters = {
+  type: "",
+  unit: "",
+  isBanned: "",
+  hsConfirmed: "",
+  status: "",
+};
+
+const HISTORY_PAGE_SIZE = 50;
+
+// Initial state for the audit trail filters
+const initialAuditFilters = {
+  action: "",
+  visitorId: "",
+  startDate: "",
+  endDate: "",
+};
+
+// Initial state for the statistics range; empty dates mean the last 30 days
+const initialStatsFilters = {
+  startDate: "",
+  endDate: "",
+  interval: "day",
+};
+
 function App() {
+  // --- Staff Session State ---
+  const [staffSession, setStaffSession] = useState(getStaffSession);
+  const [signInNotice, setSignInNotice] = useState("");
+
+  // Whether the signed-in staff member's role allows an action (see server/auth/permissions.js)
+  const can = (permission) =>
+    Boolean(staffSession?.staff?.permissions?.includes(permission));
+
   // --- Global State & Loading ---
   const [visitors, setVisitors] = useState([]);
+  // True while the server's event stream is connected; polling only runs when it is not
+  const [liveUpdates, setLiveUpdates] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -38,49 +110,89 @@ function App() {
   const [regFormData, setRegFormData] = useState(initialRegistrationForm);
   const [regDependents, setRegDependents] = useState([]);
   const [photoPreviewUrl, setPhotoPreviewUrl] = useState(null);
+  // Same-name visitors the server found on registration: { visitors, canConfirm }
+  const [possibleDuplicates, setPossibleDuplicates] = useState(null);
   const [isAgreementCheckedAdult, setIsAgreementCheckedAdult] = useState(false);
   const [isAgreementCheckedChild, setIsAgreementCheckedChild] = useState(false);
 
   // --- History data State ---
   const [showHistory, setShowHistory] = useState(false);
   const [historyData, setHistoryData] = useState([]);
-  const [filteredHistoryData, setFilteredHistoryData] = useState([]);
   const [historySearchQuery, setHistorySearchQuery] = useState("");
   const [historyStartDate, setHistoryStartDate] = useState("");
   const [historyEndDate, setHistoryEndDate] = useState("");
+  const [historyFilters, setHistoryFilters] = useState(initialHistoryFilters);
+  const [historyPagination, setHistoryPagination] = useState({
+    page: 1,
+    limit: HISTORY_PAGE_SIZE,
+    total: 0,
+    total_pages: 0,
+  });
   const [historyLoading, setHistoryLoading] = useState(false);
   const [sortConfig, setSortConfig] = useState({
     key: "entry_time",
     direction: "descending",
   });
 
+  // --- Audit Trail State ---
+  const [showAuditLogs, setShowAuditLogs] = useState(false);
+  const [auditLogs, setAuditLogs] = useState([]);
+  const [auditFilters, setAuditFilters] = useState(initialAuditFilters);
+  const [auditLoading, setAuditLoading] = useState(false);
+
+  // --- Statistics State ---
+  const [showStats, setShowStats] = useState(false);
+  const [statsData, setStatsData] = useState(null);
+  const [statsFilters, setStatsFilters] = useState(initialStatsFilters);
+  const [statsLoading, setStatsLoading] = useState(false);
+
+  // --- Fire Roll-Call State ---
+  const [showRollCall, setShowRollCall] = useState(false);
+  const [rollCall, setRollCall] = useState(null);
+  const [rollCallSummary, setRollCallSummary] = useState(null);
+  const [rollCallLoading, setRollCallLoading] = useState(false);
+
+  // --- Auto Sign-Out Review State ---
+  const [autoClosedVisits, setAutoClosedVisits] = useState([]);
+  const [autoClosedExitTimes, setAutoClosedExitTimes] = useState({});
+
   // --- Visitor Details/Update Form State ---
   const [editFormData, setEditFormData] = useState({});
   const [isDetailsAgreementChecked, setIsDetailsAgreementChecked] = useState(false);
+  // The selected visitor's household, and which of its members came today
+  const [household, setHousehold] = useState([]);
+  const [presentDependentIds, setPresentDependentIds] = useState([]);
 
   // --- Notification State (Global for forms and dashboard) ---
   const [message, setMessage] = useState("");
   const [messageType, setMessageType] = useState("");
 
-  // --- Global Password/Modal State ---
-  const [showPasswordModal, setShowPasswordModal] = useState(false);
-  const [password, setPassword] = useState(""); // Universal password input state
-  const [showPassword, setShowPassword] = useState(false); // Universal show/hide password state
-
-  // --- Modal Context State (Tracks the pending action) ---
-  const [modalContext, setModalContext] = useState({
-    type: null, 
-    visitorId: null, 
-    title: "",
-    description: "",
-    submitText: "",
-    submitColor: "bg-green-600 hover:bg-green-700",
-  });
-
   // --- Record Missed Visit Modal State ---
   const [showMissedVisitModal, setShowMissedVisitModal] = useState(false);
   const [missedEntryTime, setMissedEntryTime] = useState("");
 
+  // --- Ban Modal & History State ---
+  const [showBanModal, setShowBanModal] = useState(false);
+  const [banDetails, setBanDetails] = useState(initialBanDetails);
+  const [banHistory, setBanHistory] = useState([]);
+
+  // --- Profile Correction State ---
+  const [profileFormData, setProfileFormData] = useState({ first_name: "", last_name: "", date_of_birth: "" });
+  const [profileDuplicates, setProfileDuplicates] = useState(null);
+  const [photoHistory, setPhotoHistory] = useState([]);
+
+  // --- Erasure Modal State ---
+  const [showEraseModal, setShowEraseModal] = useState(false);
+  const [eraseDetails, setEraseDetails] = useState(initialEraseDetails);
+  const [eraseBlockers, setEraseBlockers] = useState([]);
+
+  // --- Merge Modal State ---
+  const [showMergeModal, setShowMergeModal] = useState(false);
+  const [mergeDetails, setMergeDetails] = useState(initialMergeDetails);
+  const [mergeCandidates, setMergeCandidates] = useState([]);
+  const [mergePreview, setMergePreview] = useState(null);
+  const [visitorMerges, setVisitorMerges] = useState([]);
+
   // Debounce for live search
   const debounceTimeoutRef = useRef(null);
 
@@ -91,43 +203,13 @@ function App() {
     setTimeout(() => setMessage(""), 5000);
   };
 
-  // --- Utility function to sort data  ---
-  const sortData = useCallback((data, config) => {
-    if (!config.key) return data;
-
-    const sortedData = [...data].sort((a, b) => {
-      let aValue = a[config.key];
-      let bValue = b[config.key]; // Custom sort for name field
-
-      if (config.key === "first_name") {
-        aValue = `${a.first_name} ${a.last_name}`;
-        bValue = `${b.first_name} ${b.last_name}`;
-      } // Handle null/undefined values
-
-      if (aValue === null || aValue === undefined)
-        return config.direction === "ascending" ? 1 : -1;
-      if (bValue === null || bValue === undefined)
-        return config.direction === "ascending" ? -1 : 1;
-
-      if (aValue < bValue) {
-        return config.direction === "ascending" ? -1 : 1;
-      }
-      if (aValue > bValue) {
-        return config.direction === "ascending" ? 1 : -1;
-      }
-      return 0;
-    });
-
-    return sortedData;
-  }, []);
-
   // --- API: Fetch Currently Signed-In Visitors ---
   const fetchVisitors = useCallback(async () => {
     // Only show loading indicator initially or when explicitly triggered
     setIsLoading(true);
     setError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/visitors`);
+      const response = await apiFetch(`/api/visitors`);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -142,8 +224,63 @@ function App() {
     }
   }, []);
 
-  // EFFECT: Auto-refresh "Who is On Site" table every 5 seconds
+  // --- Staff Sign In / Sign Out ---
+  const handleStaffSignIn = (session) => {
+    setSignInNotice("");
+    setStaffSession(session);
+  };
+
+  const handleStaffSignOut = useCallback((notice = "") => {
+    clearStaffSession();
+    setStaffSession(null);
+    setSignInNotice(notice);
+    setSelectedVisitor(null);
+    setShowRegistration(false);
+    setShowHistory(false);
+    setShowAuditLogs(false);
+    setShowStats(false);
+    setShowRollCall(false);
+    setRollCall(null);
+    setRollCallSummary(null);
+    setAutoClosedVisits([]);
+    setAutoClosedExitTimes({});
+    setSearchResults([]);
+    setHistoryData([]);
+    setAuditLogs([]);
+  }, []);
+
+  // EFFECT: Send staff back to the sign-in screen when the server rejects their session
+  useEffect(() => {
+    onUnauthorized(() =>
+      handleStaffSignOut("Your session has expired. Please sign in again.")
+    );
+    return () => onUnauthorized(null);
+  }, [handleStaffSignOut]);
+
+  // EFFECT: Keep "Who is On Site" current from the server's event stream
+  useEffect(() => {
+    if (!staffSession) return;
+
+    const closeStream = openVisitorEventStream({
+      onEvent: (event) =>
+        setVisitors((prev) => applyVisitorEvent(prev, event)),
+      onStatusChange: (connected) => {
+        setLiveUpdates(connected);
+        // Catch up on anything missed while the stream was down
+        if (connected) fetchVisitors();
+      },
+    });
+
+    return () => {
+      closeStream();
+      setLiveUpdates(false);
+    };
+  }, [fetchVisitors, staffSession]);
+
+  // EFFECT: Fall back to refreshing "Who is On Site" every 5 seconds while the stream is down
   useEffect(() => {
+    if (!staffSession || liveUpdates) return;
+
     // Fetch immediately on mount
     fetchVisitors();
 
@@ -152,7 +289,26 @@ function App() {
 
     // Clean up interval on unmount
     return () => clearInterval(intervalId);
-  }, [fetchVisitors]);
+  }, [fetchVisitors, staffSession, liveUpdates]);
+
+  // --- API: Visits the end-of-day job signed out, awaiting review ---
+  const canReviewAutoSignOut = can("review_auto_sign_out");
+  const fetchAutoClosedVisits = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/visits/auto-closed`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      setAutoClosedVisits(await response.json());
+    } catch (err) {
+      console.error("Error fetching auto-closed visits:", err);
+    }
+  }, []);
+
+  // EFFECT: Show the morning review list to staff who can correct auto-closed visits
+  useEffect(() => {
+    if (staffSession && canReviewAutoSignOut) fetchAutoClosedVisits();
+  }, [fetchAutoClosedVisits, staffSession, canReviewAutoSignOut]);
 
   // --- API: Visitor Search (Live Search with Debounce) ---
   const handleVisitorSearch = useCallback(async (term) => {
@@ -170,9 +326,9 @@ function App() {
 
     try {
       const encodedSearchTerm = encodeURIComponent(trimmedTerm);
-      const url = `${API_BASE_URL}/api/visitor-search?name=${encodedSearchTerm}`;
+      const url = `/api/visitor-search?name=${encodedSearchTerm}`;
 
-      const response = await fetch(url);
+      const response = await apiFetch(url);
       const data = await response.json();
 
       if (!response.ok) {
@@ -213,7 +369,18 @@ function App() {
   // --- Visitor Selection Handler ---
   const handleVisitorSelect = (visitor) => {
     setSelectedVisitor(visitor);
-    // Prepare edit form data
+    fetchBanHistory(visitor.id);
+    setProfileFormData({
+      first_name: visitor.first_name || "",
+      last_name: visitor.last_name || "",
+      date_of_birth: visitor.date_of_birth || "",
+    });
+    setProfileDuplicates(null);
+    setPhotoHistory([]);
+    if (can("edit_visitor_profile")) fetchPhotoHistory(visitor.id);
+    setPresentDependentIds([]);
+    fetchHousehold(visitor.id);
+    // Prepare edit form data; additional_dependents holds only dependents new to the household
     setEditFormData({
       id: visitor.id,
       known_as: visitor.known_as || "",
@@ -224,12 +391,7 @@ function App() {
       type: visitor.type || "visitor",
       company_name: visitor.company_name || "",
       mandatory_acknowledgment_taken: visitor.mandatory_acknowledgment_taken || "",
-      additional_dependents:
-        visitor.dependents && Array.isArray(visitor.dependents)
-          ? visitor.dependents
-          : (typeof visitor.additional_dependents === "string"
-              ? JSON.parse(visitor.additional_dependents)
-              : visitor.additional_dependents) || [],
+      additional_dependents: [],
     });
     setSearchResults([]);
     setSearchTerm("");
@@ -244,6 +406,7 @@ function App() {
     setRegFormData(initialRegistrationForm);
     setRegDependents([]);
     setPhotoPreviewUrl(null);
+    setPossibleDuplicates(null);
     setIsAgreementCheckedAdult(false); 
     setIsAgreementCheckedChild(false);
     setSelectedVisitor(null);
@@ -257,6 +420,10 @@ function App() {
   const handleRegInputChange = (e) => {
     const { name, value } = e.target;
     setRegFormData((prev) => ({ ...prev, [name]: value }));
+    // The duplicate check was for the old name or date of birth
+    if (["firstName", "lastName", "dateOfBirth"].includes(name)) {
+      setPossibleDuplicates(null);
+    }
   };
 
   const handlePhotoChange = (e) => {
@@ -268,7 +435,7 @@ function App() {
   };
 
   const handleAddDependent = () => {
-    setRegDependents((prev) => [...prev, { full_name: "", age: "" }]);
+    setRegDependents((prev) => [...prev, { full_name: "", date_of_birth: "" }]);
   };
 
   const handleRemoveDependent = (index) => {
@@ -277,26 +444,24 @@ function App() {
 
   const handleDependentChange = (index, e) => {
     const { name, value } = e.target;
-    const newDependents = regDependents.map((dep, i) => {
-      if (i === index) {
-        return {
-          ...dep,
-          [name]: name === "age" ? parseInt(value) || "" : value,
-        };
-      }
-      return dep;
-    });
+    const newDependents = regDependents.map((dep, i) =>
+      i === index ? { ...dep, [name]: value } : dep
+    );
     setRegDependents(newDependents);
   };
 
-  const handleNewVisitorRegistration = async (e) => {
-    e.preventDefault();
+  // Registers the visitor; confirmNewVisitor says staff checked the same-name matches are other people
+  const submitRegistration = async (confirmNewVisitor) => {
     if (loadingRegistration) return;
 
     setLoadingRegistration(true);
     const formData = new FormData();
     formData.append("first_name", regFormData.firstName);
     formData.append("last_name", regFormData.lastName);
+    formData.append("date_of_birth", regFormData.dateOfBirth || "");
+    if (confirmNewVisitor) {
+      formData.append("confirm_new_visitor", "true");
+    }
     formData.append("known_as", regFormData.knownAs || "");
     formData.append("address", regFormData.address || "");
     formData.append("phone_number", regFormData.phoneNumber);
@@ -320,17 +485,23 @@ function App() {
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/register-visitor`, {
+      const response = await apiFetch(`/api/register-visitor`, {
         method: "POST",
         body: formData,
       });
 
       const result = await response.json();
 
+      if (response.status === 409 && result.possibleDuplicates) {
+        setPossibleDuplicates({ visitors: result.possibleDuplicates, canConfirm: result.canConfirm });
+        showNotification(result.message, "error");
+        return;
+      }
       if (!response.ok) {
         throw new Error(result.message || "Failed to register new visitor.");
       }
 
+      setPossibleDuplicates(null);
       setMessage("Visitor registered & signed in successfully!");
       setMessageType("success");
       // Reset form state and UI
@@ -352,12 +523,59 @@ function App() {
     }
   };
 
+  const handleNewVisitorRegistration = (e) => {
+    e.preventDefault();
+    submitRegistration(false);
+  };
+
+  const handleConfirmNewVisitor = () => submitRegistration(true);
+
+  // Staff picked one of the possible duplicates: load their full details from the search
+  const handleUseExistingVisitor = async (duplicate) => {
+    try {
+      const name = `${duplicate.first_name} ${duplicate.last_name}`;
+      const response = await apiFetch(`/api/visitor-search?name=${encodeURIComponent(name)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load the visitor.");
+      }
+      const visitor = data.find((row) => row.id === duplicate.id);
+      if (!visitor) {
+        throw new Error("The visitor could not be found.");
+      }
+      setRegFormData(initialRegistrationForm);
+      setRegDependents([]);
+      setPhotoPreviewUrl(null);
+      setPossibleDuplicates(null);
+      handleVisitorSelect(visitor);
+    } catch (err) {
+      console.error("Load Visitor Error:", err.message);
+      showNotification(`Failed to load visitor: ${err.message}`, "error");
+    }
+  };
+
   // --- VisitorDetailsForm Handlers ---
 
+  // The server allows one open visit per visitor and answers 409 with the visit already open.
+  // Our on-site list was stale (e.g. another receptionist signed them in), so refresh it.
+  const handleAlreadySignedIn = (result) => {
+    const since = result.openVisit?.entry_time
+      ? ` since ${new Date(result.openVisit.entry_time).toLocaleTimeString(
+          "en-UK",
+          { hour: "2-digit", minute: "2-digit" }
+        )}`
+      : "";
+    showNotification(
+      `${selectedVisitor.first_name} is already signed in${since}. Sign them out first to sign in again.`,
+      "error"
+    );
+    fetchVisitors();
+  };
+
   // 1.Handle Log In
   const handleLogin = async (id) => {
     if (!id || !selectedVisitor) return;
-    if (selectedVisitor.is_banned === 1) {
+    if (selectedVisitor.is_banned) {
       showNotification(
         "Visitor is banned and cannot check in. Please unban first.",
         "error"
@@ -378,14 +596,18 @@ function App() {
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/login`, {
+      const response = await apiFetch(`/api/login`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ id }),
+        body: JSON.stringify({ id, dependent_ids: presentDependentIds }),
       });
 
       const result = await response.json();
 
+      if (response.status === 409) {
+        handleAlreadySignedIn(result);
+        return;
+      }
       if (!response.ok) {
         throw new Error(result.message || "Login failed.");
       }
@@ -404,7 +626,7 @@ function App() {
   // 2.Handle Update Details & Log In (Re-register)
   const handleUpdateAndLogin = async () => {
     if (!selectedVisitor) return;
-    if (selectedVisitor.is_banned === 1) {
+    if (selectedVisitor.is_banned) {
       showNotification(
         "Visitor is banned and cannot sign in. Please unban first.",
         "error"
@@ -438,10 +660,11 @@ function App() {
       company_name: editFormData.company_name,
       mandatory_acknowledgment_taken: isAgreementCheckedAdult ? 1 : 0 ,
       additional_dependents: JSON.stringify(cleanedDependents),
+      dependent_ids: presentDependentIds,
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/update-visitor-details`, {
+      const response = await apiFetch(`/api/update-visitor-details`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(dataToSend),
@@ -449,6 +672,10 @@ function App() {
 
       const result = await response.json();
 
+      if (response.status === 409) {
+        handleAlreadySignedIn(result);
+        return;
+      }
       if (!response.ok) {
         throw new Error(result.message || "Update and sign failed.");
       }
@@ -465,240 +692,565 @@ function App() {
   };
 
   // 3.Handle Ban Visitor
-  const handleBan = async (id) => {
-    if (!id) return;
-    const isCurrentlySignedIn = visitors.some(
-      (activeVisitor) => activeVisitor.id === id
+  // Load every ban placed on the selected visitor, newest first
+  const fetchBanHistory = async (id) => {
+    setBanHistory([]);
+    try {
+      const response = await apiFetch(`/api/visitors/${id}/bans`);
+      if (response.ok) {
+        setBanHistory(await response.json());
+      }
+    } catch (err) {
+      console.error("Ban History Error:", err.message);
+    }
+  };
+
+  // Correcting the profile: load the photos the visitor had before
+  const fetchPhotoHistory = async (id) => {
+    try {
+      const response = await apiFetch(`/api/visitors/${id}/photos`);
+      if (response.ok) {
+        setPhotoHistory((await response.json()).history);
+      }
+    } catch (err) {
+      console.error("Photo History Error:", err.message);
+    }
+  };
+
+  // Load the dependents who come with the selected visitor; staff tick who is here today
+  const fetchHousehold = async (id) => {
+    setHousehold([]);
+    try {
+      const response = await apiFetch(`/api/visitors/${id}/household`);
+      if (response.ok) {
+        setHousehold(await response.json());
+      }
+    } catch (err) {
+      console.error("Household Error:", err.message);
+    }
+  };
+
+  const handleToggleDependentPresent = (memberId) => {
+    setPresentDependentIds((prev) =>
+      prev.includes(memberId) ? prev.filter((id) => id !== memberId) : [...prev, memberId]
     );
+  };
+
+  // Correct a household member's name or date of birth
+  const handleHouseholdMemberSave = async (memberId, changes) => {
+    const id = selectedVisitor?.id;
+    if (!id) return;
+
     try {
-      const response = await fetch(`${API_BASE_URL}/api/ban-visitor/${id}`, {
-        method: "POST",
+      const response = await apiFetch(`/api/visitors/${id}/household/${memberId}`, {
+        method: "PATCH",
         headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
       });
-
       const result = await response.json();
-
       if (!response.ok) {
-        throw new Error(result.message || "Failed to ban visitor.");
+        throw new Error(result.message || "Failed to update the household member.");
       }
-      if (isCurrentlySignedIn) {
-        await handleVisitorLogout(id);
+
+      setHousehold((prev) => prev.map((member) => (member.id === memberId ? result : member)));
+      showNotification(`${result.full_name}'s details were updated.`, "success");
+    } catch (err) {
+      console.error("Household Update Error:", err.message);
+      showNotification(`Update Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Stop offering a dependent at check-in; visits they came on still list them
+  const handleHouseholdMemberRemove = async (memberId) => {
+    const id = selectedVisitor?.id;
+    if (!id) return;
+
+    try {
+      const response = await apiFetch(`/api/visitors/${id}/household/${memberId}`, {
+        method: "DELETE",
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to remove the household member.");
       }
-      showNotification(result.message, "error");
-      setSelectedVisitor((prev) => (prev ? { ...prev, is_banned: 1 } : null)); // Update local state
-      setTimeout(() => {
-        handleCancelAction();
-        fetchVisitors();
-      }, 3000);
+
+      setHousehold((prev) => prev.filter((member) => member.id !== memberId));
+      setPresentDependentIds((prev) => prev.filter((presentId) => presentId !== memberId));
+      showNotification(result.message, "success");
     } catch (err) {
-      console.error("Ban Error:", err.message);
-      showNotification(`Ban Failed: ${err.message}`, "error");
+      console.error("Household Remove Error:", err.message);
+      showNotification(`Remove Failed: ${err.message}`, "error");
     }
   };
 
-  // The first function that will handle the unban password.
-  const handleUnbanClick = (id) => {
-    setPassword("");
-    setMessage("");
-    setModalContext({
-      type: "unban",
-      visitorId: id,
-      title: "Confirm Unban Action",
-      description:
-        "Enter the Admin Password to authorize unbanning this visitor.",
-      submitText: "Authorize Unban",
-      submitColor: "bg-red-600 hover:bg-red-700",
-    });
-    setShowPasswordModal(true);
+  // Show the corrected profile everywhere the visitor appears
+  const applyProfileUpdate = (profile) => {
+    const changes = {
+      first_name: profile.first_name,
+      last_name: profile.last_name,
+      date_of_birth: profile.date_of_birth,
+      photo: profile.photo,
+    };
+    setSelectedVisitor((prev) => (prev && prev.id === profile.id ? { ...prev, ...changes } : prev));
+    setVisitors((prev) =>
+      prev.map((visitor) => (visitor.id === profile.id ? { ...visitor, ...changes } : visitor))
+    );
   };
 
-  // The second function to handle showing the modal for viewing history
-  const handleViewHistoryClick = () => {
-    setPassword("");
-    setMessage(""); 
-    setModalContext({
-      type: "viewHistory",
-      visitorId: null,
-      title: "Access Visitor History",
-      description:
-        "Enter the Authorization Password to view all historical records.",
-      submitText: "Access Records",
-    });
-    setShowPasswordModal(true);
+  const handleProfileInputChange = (e) => {
+    const { name, value } = e.target;
+    setProfileFormData((prev) => ({ ...prev, [name]: value }));
+    // The duplicate check was for the old name or date of birth
+    setProfileDuplicates(null);
   };
-  // Using a Universal function that will handle boths logics unban and view history data.
-  const EnterPassword = async (e) => {
-    e.preventDefault();
-    const currentAction = modalContext.type;
-    const currentId = modalContext.visitorId;
 
-    if (!password) {
-      showNotification("Password is required.", "error");
-      return;
-    } // --- 1. HANDLE UNBAN LOGIC ---
-
-    if (currentAction === "unban") {
-      try {
-        const response = await fetch(
-          `${API_BASE_URL}/api/unban-visitor/${currentId}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ password }),
-          }
-        );
-        const result = await response.json();
+  const handleProfileSave = async (confirmDuplicate = false) => {
+    const id = selectedVisitor?.id;
+    if (!id) return;
 
-        if (!response.ok) {
-          throw new Error(result.message || "Failed to unban visitor.");
-        }
+    try {
+      const response = await apiFetch(`/api/visitors/${id}/profile`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...profileFormData, confirm_duplicate: confirmDuplicate }),
+      });
+      const result = await response.json();
 
-        showNotification(result.message, "success");
-        setShowPasswordModal(false);
-        setSelectedVisitor((prev) => (prev ? { ...prev, is_banned: 0 } : null));
-        fetchVisitors();
-      } catch (err) {
-        console.error("Unban Error:", err.message);
-        showNotification(`Unban Failed: ${err.message}`, "error");
-        setPassword("");
+      // Someone else may already have this name: show who, and let staff save anyway when allowed
+      if (response.status === 409) {
+        setProfileDuplicates(result);
+        showNotification(result.message, "error");
         return;
       }
-    }
-    // --- 2. HANDLE VIEW HISTORY LOGIC ---
-    else if (currentAction === "viewHistory") {
-      //  Password check for history data
-      try {
-        const response = await fetch(`${API_BASE_URL}/api/authorize-history`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ password }),
-        });
-        const result = await response.json();
-
-        if (!response.ok) {
-          throw new Error(result.message || "History access denied.");
-        }
-        setShowPasswordModal(false);
-        setShowHistory(true);
-        setSelectedVisitor(null);
-        setShowRegistration(false);
-        setSearchResults([]);
-
-        showNotification("History access granted. Loading data...", "blue");
-        fetchHistoryRecords("", "", "");
-      } catch (err) {
-        console.error("History Access Error:", err.message);
-        showNotification(`Access Denied: ${err.message}`, "error");
-        setPassword("");
-        return;
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to update the visitor profile.");
       }
-    }
 
-    setPassword("");
-    setModalContext({
-      type: null,
-      visitorId: null,
-      title: "",
-      description: "",
-      submitText: "",
-    });
+      setProfileDuplicates(null);
+      applyProfileUpdate(result.visitor);
+      showNotification(result.message, "success");
+    } catch (err) {
+      console.error("Profile Update Error:", err.message);
+      showNotification(`Update Failed: ${err.message}`, "error");
+    }
   };
 
-  // handle correcting the entry time
-  const handleRecordMissedVisitClick = () => {
-       // Check if the visitor is already signed in before allowing the correct missed entry time.
-    const isAlreadySignedIn = visitors.some(
-      (activeVisitor) => activeVisitor.id === selectedVisitor.id
-    );
+  const handlePhotoReplace = async (file) => {
+    const id = selectedVisitor?.id;
+    if (!id || !file) return;
 
-    if (isAlreadySignedIn) {
-      showNotification(
-        `${selectedVisitor.first_name} is already signed in!`,
-        "error"
-      );
-      return;
+    try {
+      const data = new FormData();
+      data.append("photo", file);
+      const response = await apiFetch(`/api/visitors/${id}/photo`, {
+        method: "POST",
+        body: data,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || result.error || "Failed to replace the photo.");
+      }
+
+      applyProfileUpdate(result.visitor);
+      fetchPhotoHistory(id);
+      showNotification(result.message, "success");
+    } catch (err) {
+      console.error("Photo Replace Error:", err.message);
+      showNotification(`Photo Replace Failed: ${err.message}`, "error");
     }
-    if (!selectedVisitor) return;
-    setMissedEntryTime("");
-    setShowMissedVisitModal(true);
-    setMessage("");
   };
 
-  const confirmRecordMissedVisit = async () => {
-    const visitorId = selectedVisitor?.id;
- 
-    if (!missedEntryTime) {
-      showNotification("Entry time is required.", "error");
-      return;
-    }
+  // Open the ban form; the ban is only placed once staff confirm a reason
+  const handleBan = (id) => {
+    if (!id) return;
+    setBanDetails(initialBanDetails);
+    setShowBanModal(true);
+  };
 
-    setShowMissedVisitModal(false);
+  const confirmBan = async () => {
+    const id = selectedVisitor?.id;
+    if (!id) return;
+    setShowBanModal(false);
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/record-missed-visit`, {
+      const response = await apiFetch(`/api/ban-visitor/${id}`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          visitorId,
-          pastEntryTime: new Date(missedEntryTime).toISOString(),
+          reason: banDetails.reason,
+          severity: banDetails.severity,
+          // The ban lasts until the end of the chosen day
+          end_date: banDetails.endDate
+            ? new Date(`${banDetails.endDate}T23:59:59`).toISOString()
+            : undefined,
         }),
       });
 
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.message || "Failed to record missed visit.");
+        throw new Error(result.message || "Failed to ban visitor.");
       }
-
-      showNotification(result.message, "success");
+      // The server closed any open visit in the same transaction, so drop them from the on-site list now
+      if (result.closedVisits.length > 0) {
+        setVisitors((prev) =>
+          prev.filter((activeVisitor) => activeVisitor.id !== id)
+        );
+      }
+      showNotification(result.message, "error");
+      // Update local state
+      setSelectedVisitor((prev) =>
+        prev
+          ? {
+              ...prev,
+              is_banned: true,
+              ban_reason: result.ban.reason,
+              ban_severity: result.ban.severity,
+              banned_by_name: result.ban.banned_by_name,
+              ban_start_date: result.ban.start_date,
+              ban_end_date: result.ban.end_date,
+            }
+          : null
+      );
       setTimeout(() => {
-        handleCancelAction(); // Go back to the dashboard after success
+        handleCancelAction();
+        fetchVisitors();
       }, 3000);
     } catch (err) {
-      console.error("Missed Visit Error:", err.message);
-      showNotification(`${err.message}`, "error");
+      console.error("Ban Error:", err.message);
+      showNotification(`Ban Failed: ${err.message}`, "error");
     }
   };
 
-
-  // 6. Sign Out (From Dashboard)
-  const handleVisitorLogout = async (id) => {
+  // Handle Unban Visitor (staff are already authenticated by their session)
+  const handleUnbanClick = async (id) => {
+    if (!id) return;
     try {
-      const response = await fetch(`${API_BASE_URL}/api/exit-visitor/${id}`, {
+      const response = await apiFetch(`/api/unban-visitor/${id}`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
       });
-
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.message || "Failed to sign out visitor.");
+        throw new Error(result.message || "Failed to unban visitor.");
       }
 
       showNotification(result.message, "success");
+      setSelectedVisitor((prev) => (prev ? { ...prev, is_banned: false } : null));
+      fetchBanHistory(id);
       fetchVisitors();
     } catch (err) {
-      console.error("Logout Error:", err.message);
-      showNotification(`Logout Failed: ${err.message}`, "error");
+      console.error("Unban Error:", err.message);
+      showNotification(`Unban Failed: ${err.message}`, "error");
     }
   };
 
-  // --- HISTORY DATA LOGIC ---
-
-  // Helper function to calculate duration between two dates
-  const calculateDuration = (startTime, endTime) => {
-    if (!startTime || !endTime) return null;
-
-    const start = new Date(startTime);
-    const end = new Date(endTime);
-
-    if (isNaN(start) || isNaN(end)) return "Invalid Date";
-
-    const diffInMilliseconds = Math.abs(end - start);
+  // Saves a file response under the name the server gave it in Content-Disposition
+  const downloadResponse = async (response, fallbackName) => {
+    const fileName =
+      response.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] ||
+      fallbackName;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-    const hours = Math.floor(diffInMilliseconds / (1000 * 60 * 60));
-    const minutes = Math.floor(
-      (diffInMilliseconds % (1000 * 60 * 60)) / (1000 * 60)
+  // Subject access request: download everything held about the visitor as JSON and as a printable report
+  const handleSubjectAccessExport = async (id) => {
+    if (!id) return;
+    try {
+      for (const format of ["json", "html"]) {
+        const response = await apiFetch(
+          `/api/visitors/${id}/subject-access?format=${format}`
+        );
+        if (!response.ok) {
+          const result = await response.json();
+          throw new Error(result.message || "Failed to export visitor data.");
+        }
+        await downloadResponse(response, `subject-access-${id}.${format}`);
+      }
+      showNotification(
+        "Subject access export downloaded. Open the HTML report and print it to save a PDF.",
+        "success"
+      );
+    } catch (err) {
+      console.error("Subject Access Export Error:", err.message);
+      showNotification(`Export Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Right to erasure: open the form; nothing is removed until staff confirm
+  const handleEraseClick = () => {
+    setEraseDetails(initialEraseDetails);
+    setEraseBlockers([]);
+    setShowEraseModal(true);
+  };
+
+  const confirmErase = async () => {
+    const id = selectedVisitor?.id;
+    if (!id) return;
+
+    try {
+      const params = new URLSearchParams({ mode: eraseDetails.mode });
+      if (eraseDetails.force) params.append("force", "true");
+      const response = await apiFetch(`/api/visitors/${id}?${params}`, {
+        method: "DELETE",
+      });
+      const result = await response.json();
+
+      // Banned, on site or under a legal hold: keep the form open and show why
+      if (response.status === 409) {
+        setEraseBlockers(result.blockers || []);
+        showNotification(result.message, "error");
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to erase visitor.");
+      }
+
+      setShowEraseModal(false);
+      setVisitors((prev) => prev.filter((activeVisitor) => activeVisitor.id !== id));
+      showNotification(result.message, "success");
+      setTimeout(() => {
+        handleCancelAction();
+      }, 2000);
+    } catch (err) {
+      console.error("Erase Error:", err.message);
+      showNotification(`Erase Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Merging duplicates: list the merges involving the selected visitor, so recent ones can be undone
+  const fetchVisitorMerges = async (id) => {
+    try {
+      const response = await apiFetch("/api/visitor-merges");
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load visitor merges.");
+      }
+      setVisitorMerges(data.filter((merge) => merge.survivor_id === id || merge.merged_id === id));
+    } catch (err) {
+      console.error("Visitor Merges Error:", err.message);
+      showNotification(`Failed to load merges: ${err.message}`, "error");
+    }
+  };
+
+  const handleMergeClick = () => {
+    setMergeDetails(initialMergeDetails);
+    setMergeCandidates([]);
+    setMergePreview(null);
+    setVisitorMerges([]);
+    setShowMergeModal(true);
+    fetchVisitorMerges(selectedVisitor?.id);
+  };
+
+  const handleMergeSearch = async (term) => {
+    if (!term.trim()) return;
+    try {
+      const response = await apiFetch(`/api/visitor-search?name=${encodeURIComponent(term.trim())}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to perform visitor search.");
+      }
+      setMergeCandidates(data.filter((visitor) => visitor.id !== selectedVisitor?.id));
+    } catch (err) {
+      console.error("Merge Search Error:", err.message);
+      showNotification(`Search Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Every change of duplicate, name or photo refreshes the server's preview of the merge
+  const handleMergeDetailsChange = async (field, value) => {
+    const details = { ...mergeDetails, [field]: value };
+    setMergeDetails(details);
+    if (field === "search" || !details.mergedId || !selectedVisitor) return;
+
+    try {
+      const params = new URLSearchParams({
+        survivor_id: selectedVisitor.id,
+        merged_id: details.mergedId,
+        name_from: details.nameFrom,
+        photo_from: details.photoFrom,
+      });
+      const response = await apiFetch(`/api/visitor-merges/preview?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to preview the merge.");
+      }
+      setMergePreview(result);
+    } catch (err) {
+      setMergePreview(null);
+      console.error("Merge Preview Error:", err.message);
+      showNotification(`Preview Failed: ${err.message}`, "error");
+    }
+  };
+
+  const confirmMerge = async () => {
+    if (!selectedVisitor || !mergeDetails.mergedId) return;
+
+    try {
+      const response = await apiFetch("/api/visitor-merges", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          survivor_id: selectedVisitor.id,
+          merged_id: mergeDetails.mergedId,
+          name_from: mergeDetails.nameFrom,
+          photo_from: mergeDetails.photoFrom,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to merge the visitors.");
+      }
+
+      setShowMergeModal(false);
+      fetchVisitors();
+      showNotification(result.message, "success");
+      setTimeout(() => {
+        handleCancelAction();
+      }, 2000);
+    } catch (err) {
+      console.error("Merge Error:", err.message);
+      showNotification(`Merge Failed: ${err.message}`, "error");
+    }
+  };
+
+  const handleUndoMerge = async (mergeId) => {
+    try {
+      const response = await apiFetch(`/api/visitor-merges/${mergeId}/undo`, {
+        method: "POST",
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to undo the merge.");
+      }
+
+      setShowMergeModal(false);
+      fetchVisitors();
+      showNotification(result.message, "success");
+      setTimeout(() => {
+        handleCancelAction();
+      }, 2000);
+    } catch (err) {
+      console.error("Undo Merge Error:", err.message);
+      showNotification(`Undo Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Open the history view and load the records
+  const handleViewHistoryClick = () => {
+    setShowHistory(true);
+    setShowAuditLogs(false);
+    setShowStats(false);
+    setShowRollCall(false);
+    setSelectedVisitor(null);
+    setShowRegistration(false);
+    setSearchResults([]);
+
+    showNotification("Loading historical records...", "blue");
+    fetchHistoryRecords();
+  };
+
+  // handle correcting the entry time
+  const handleRecordMissedVisitClick = () => {
+       // Check if the visitor is already signed in before allowing the correct missed entry time.
+    const isAlreadySignedIn = visitors.some(
+      (activeVisitor) => activeVisitor.id === selectedVisitor.id
+    );
+
+    if (isAlreadySignedIn) {
+      showNotification(
+        `${selectedVisitor.first_name} is already signed in!`,
+        "error"
+      );
+      return;
+    }
+    if (!selectedVisitor) return;
+    setMissedEntryTime("");
+    setShowMissedVisitModal(true);
+    setMessage("");
+  };
+
+  const confirmRecordMissedVisit = async () => {
+    const visitorId = selectedVisitor?.id;
+ 
+    if (!missedEntryTime) {
+      showNotification("Entry time is required.", "error");
+      return;
+    }
+
+    setShowMissedVisitModal(false);
+
+    try {
+      const response = await apiFetch(`/api/record-missed-visit`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          visitorId,
+          pastEntryTime: new Date(missedEntryTime).toISOString(),
+        }),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to record missed visit.");
+      }
+
+      showNotification(result.message, "success");
+      setTimeout(() => {
+        handleCancelAction(); // Go back to the dashboard after success
+      }, 3000);
+    } catch (err) {
+      console.error("Missed Visit Error:", err.message);
+      showNotification(`${err.message}`, "error");
+    }
+  };
+
+
+  // 6. Sign Out (From Dashboard)
+  const handleVisitorLogout = async (id) => {
+    try {
+      const response = await apiFetch(`/api/exit-visitor/${id}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to sign out visitor.");
+      }
+
+      showNotification(result.message, "success");
+      fetchVisitors();
+    } catch (err) {
+      console.error("Logout Error:", err.message);
+      showNotification(`Logout Failed: ${err.message}`, "error");
+    }
+  };
+
+  // --- HISTORY DATA LOGIC ---
+
+  // Helper function to calculate duration between two dates
+  const calculateDuration = (startTime, endTime) => {
+    if (!startTime || !endTime) return null;
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (isNaN(start) || isNaN(end)) return "Invalid Date";
+
+    const diffInMilliseconds = Math.abs(end - start);
+
+    const hours = Math.floor(diffInMilliseconds / (1000 * 60 * 60));
+    const minutes = Math.floor(
+      (diffInMilliseconds % (1000 * 60 * 60)) / (1000 * 60)
     );
 
     let durationString = "";
@@ -708,26 +1260,56 @@ function App() {
     return durationString.trim();
   };
 
-  // Function to fetch history records based on filters
-  const fetchHistoryRecords = async (query = "", start = "", end = "") => {
+  // Builds a history URL carrying the search, date range, filters and sort order
+  const buildHistoryUrl = (path, { search, start, end, filters, sort }) => {
+    const url = new URL(`${API_BASE_URL}${path}`);
+    if (search) url.searchParams.append("search", search);
+    if (start) url.searchParams.append("start_date", start);
+    if (end) url.searchParams.append("end_date", end);
+    if (filters.type) url.searchParams.append("type", filters.type);
+    if (filters.unit) url.searchParams.append("unit", filters.unit);
+    if (filters.isBanned) url.searchParams.append("is_banned", filters.isBanned);
+    if (filters.hsConfirmed)
+      url.searchParams.append("mandatory_acknowledgment_taken", filters.hsConfirmed);
+    if (filters.status) url.searchParams.append("status", filters.status);
+    url.searchParams.append("sort_by", sort.key);
+    url.searchParams.append(
+      "sort_dir",
+      sort.direction === "ascending" ? "asc" : "desc"
+    );
+    return url;
+  };
+
+  // Function to fetch one page of history records; the server filters, sorts and pages them.
+  // Callers pass the values they just changed, since state updates are not visible yet.
+  const fetchHistoryRecords = async ({
+    page = 1,
+    search = historySearchQuery,
+    start = historyStartDate,
+    end = historyEndDate,
+    filters = historyFilters,
+    sort = sortConfig,
+  } = {}) => {
     setHistoryLoading(true);
 
     try {
-      const url = new URL(`${API_BASE_URL}/api/history`);
-      if (query) url.searchParams.append("query", query);
-      if (start) url.searchParams.append("endDate", start);
-      if (end) url.searchParams.append("endDate", end);
+      const url = buildHistoryUrl("/api/history", { search, start, end, filters, sort });
+      url.searchParams.append("page", page);
+      url.searchParams.append("limit", HISTORY_PAGE_SIZE);
 
-      const response = await fetch(url.toString());
+      const response = await apiFetch(url.toString());
 
       if (!response.ok) {
         const errorData = await response.json();
+        // A 400 lists every rejected parameter (e.g. an end date before the start date)
         throw new Error(
-          errorData.message || `HTTP error! status: ${response.status}`
+          errorData.errors?.join(" ") ||
+            errorData.message ||
+            `HTTP error! status: ${response.status}`
         );
       }
 
-      const data = await response.json();
+      const { data, pagination } = await response.json();
 
       // Mapping the received data
       let fetchedRecords = data.map((record) => {
@@ -747,9 +1329,9 @@ function App() {
       });
 
       setHistoryData(fetchedRecords);
-      setFilteredHistoryData(fetchedRecords);
+      setHistoryPagination(pagination);
       showNotification(
-        `History fetch complete. Found ${fetchedRecords.length} records.`,
+        `History fetch complete. Found ${pagination.total} records.`,
         "success"
       );
     } catch (e) {
@@ -760,80 +1342,363 @@ function App() {
     }
   };
 
-  // Handler to trigger filter application on local data
+  // Handler to apply the filters: the server returns the first matching page
   const handleApplyFilters = () => {
-    let recordsToFilter = [...historyData];
-
-    // 2. Filter by Name/Query
-    const query = historySearchQuery.trim().toLowerCase();
-    if (query) {
-      recordsToFilter = recordsToFilter.filter(
-        (record) =>
-          (record.first_name + " " + record.last_name)
-            .toLowerCase()
-            .includes(query) ||
-          record.first_name.toLowerCase().includes(query) ||
-          record.last_name.toLowerCase().includes(query)
-      );
+    fetchHistoryRecords({ page: 1 });
+  };
+
+  const handleHistoryFilterChange = (name, value) => {
+    setHistoryFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleHistoryPageChange = (page) => {
+    fetchHistoryRecords({ page });
+  };
+
+  // Handler to clear all filters and re-fetch all data
+  const handleClearFilters = () => {
+    const defaultSort = { key: "entry_time", direction: "descending" };
+    setHistorySearchQuery("");
+    setHistoryStartDate("");
+    setHistoryEndDate("");
+    setHistoryFilters(initialHistoryFilters);
+    setSortConfig(defaultSort);
+    fetchHistoryRecords({
+      search: "",
+      start: "",
+      end: "",
+      filters: initialHistoryFilters,
+      sort: defaultSort,
+    });
+    showNotification("Filters cleared. Loading all history...", "blue");
+  };
+
+  // --- Sorting Handler: the server sorts every page, so sorting starts again from page 1
+  const handleRequestSort = (key) => {
+    let direction = "ascending";
+    if (sortConfig.key === key && sortConfig.direction === "ascending") {
+      direction = "descending";
     }
+    const sort = { key, direction };
+    setSortConfig(sort);
+    fetchHistoryRecords({ page: 1, sort });
+  };
 
-    // 3. Filter by Date Range (Entry Time)
-    const start = historyStartDate ? new Date(historyStartDate) : null;
-    const end = historyEndDate ? new Date(historyEndDate) : null;
+  // --- AUDIT TRAIL LOGIC ---
 
-    if (start || end) {
-      recordsToFilter = recordsToFilter.filter((record) => {
-        const entryTime = record.entry_time;
+  const fetchAuditLogs = async (filters) => {
+    setAuditLoading(true);
 
-        if (!entryTime) return false;
+    try {
+      const url = new URL(`${API_BASE_URL}/api/audit-logs`);
+      if (filters.action) url.searchParams.append("action", filters.action);
+      if (filters.visitorId) url.searchParams.append("visitor_id", filters.visitorId);
+      if (filters.startDate) url.searchParams.append("start_date", filters.startDate);
+      if (filters.endDate) url.searchParams.append("end_date", filters.endDate);
 
-        let isAfterStart = true;
-        if (start) {
-          // Checking if entry is AFTER or EQUAL TO the start date (at midnight)
-          isAfterStart = entryTime.getTime() >= start.getTime();
-        }
+      const response = await apiFetch(url.toString());
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load the audit trail.");
+      }
 
-        let isBeforeEnd = true;
-        if (end) {
-          // Check if entry is BEFORE or EQUAL TO the end date (at 23:59:59)
-          const dayAfterEnd = new Date(end);
-          dayAfterEnd.setDate(dayAfterEnd.getDate() + 1);
-          isBeforeEnd = entryTime.getTime() < dayAfterEnd.getTime();
+      setAuditLogs(result);
+    } catch (err) {
+      console.error("Audit Trail Error:", err.message);
+      showNotification(err.message, "error");
+    } finally {
+      setAuditLoading(false);
+    }
+  };
+
+  const handleToggleAuditLogs = () => {
+    if (showAuditLogs) {
+      setShowAuditLogs(false);
+      showNotification("Back to current visitors dashboard.", "blue");
+      return;
+    }
+    setShowAuditLogs(true);
+    setShowStats(false);
+    setShowRollCall(false);
+    setShowHistory(false);
+    setSelectedVisitor(null);
+    setShowRegistration(false);
+    setSearchResults([]);
+    fetchAuditLogs(auditFilters);
+  };
+
+  const handleAuditFilterChange = (name, value) => {
+    setAuditFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleClearAuditFilters = () => {
+    setAuditFilters(initialAuditFilters);
+    fetchAuditLogs(initialAuditFilters);
+  };
+
+  // --- STATISTICS LOGIC ---
+
+  const fetchStats = async (filters) => {
+    setStatsLoading(true);
+
+    try {
+      const url = new URL(`${API_BASE_URL}/api/stats`);
+      if (filters.startDate) url.searchParams.append("start_date", filters.startDate);
+      if (filters.endDate) url.searchParams.append("end_date", filters.endDate);
+      url.searchParams.append("interval", filters.interval);
+
+      const response = await apiFetch(url.toString());
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(
+          result.errors?.join(" ") || result.message || "Failed to load the statistics."
+        );
+      }
+
+      setStatsData(result);
+    } catch (err) {
+      console.error("Statistics Error:", err.message);
+      showNotification(err.message, "error");
+    } finally {
+      setStatsLoading(false);
+    }
+  };
+
+  const handleToggleStats = () => {
+    if (showStats) {
+      setShowStats(false);
+      showNotification("Back to current visitors dashboard.", "blue");
+      return;
+    }
+    setShowStats(true);
+    setShowAuditLogs(false);
+    setShowRollCall(false);
+    setShowHistory(false);
+    setSelectedVisitor(null);
+    setShowRegistration(false);
+    setSearchResults([]);
+    fetchStats(statsFilters);
+  };
+
+  const handleStatsFilterChange = (name, value) => {
+    setStatsFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleClearStatsFilters = () => {
+    setStatsFilters(initialStatsFilters);
+    fetchStats(initialStatsFilters);
+  };
+
+  // --- FIRE ROLL-CALL LOGIC ---
+
+  // Load a roll-call by path: "active" (the one in progress) or its ID
+  const fetchRollCall = async (idOrActive) => {
+    setRollCallLoading(true);
+    try {
+      const response = await apiFetch(`/api/roll-calls/${idOrActive}`);
+      const result = await response.json();
+
+      if (response.status === 404 && idOrActive === "active") {
+        setRollCall(null);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load the roll-call.");
+      }
+      setRollCall(result);
+    } catch (err) {
+      console.error("Roll-Call Error:", err.message);
+      showNotification(err.message, "error");
+    } finally {
+      setRollCallLoading(false);
+    }
+  };
+
+  const handleToggleRollCall = () => {
+    if (showRollCall) {
+      setShowRollCall(false);
+      showNotification("Back to current visitors dashboard.", "blue");
+      return;
+    }
+    setShowRollCall(true);
+    setShowAuditLogs(false);
+    setShowStats(false);
+    setShowHistory(false);
+    setSelectedVisitor(null);
+    setShowRegistration(false);
+    setSearchResults([]);
+    setRollCallSummary(null);
+    // Rejoin a roll-call another marshal has already started
+    fetchRollCall("active");
+  };
+
+  const handleStartRollCall = async () => {
+    setRollCallLoading(true);
+    setRollCallSummary(null);
+    try {
+      const response = await apiFetch(`/api/roll-calls`, { method: "POST" });
+      const result = await response.json();
+
+      if (response.status === 409) {
+        showNotification("A roll-call is already in progress. Joining it.", "blue");
+        await fetchRollCall(result.rollCallId);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to start the roll-call.");
+      }
+      setRollCall(result);
+      showNotification(
+        `Roll-call started: ${result.entries.length} people on site.`,
+        "success"
+      );
+    } catch (err) {
+      console.error("Roll-Call Error:", err.message);
+      showNotification(err.message, "error");
+    } finally {
+      setRollCallLoading(false);
+    }
+  };
+
+  const handleToggleRollCallEntry = async (entry) => {
+    if (!rollCall) return;
+    try {
+      const response = await apiFetch(
+        `/api/roll-calls/${rollCall.id}/entries/${entry.id}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ accounted: !entry.accounted_at }),
         }
+      );
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to update the roll-call.");
+      }
+      setRollCall((prev) => ({
+        ...prev,
+        entries: prev.entries.map((existing) =>
+          existing.id === result.id ? { ...existing, ...result } : existing
+        ),
+      }));
+    } catch (err) {
+      console.error("Roll-Call Error:", err.message);
+      showNotification(err.message, "error");
+    }
+  };
 
-        return isAfterStart && isBeforeEnd;
+  const handleCloseRollCall = async () => {
+    if (!rollCall) return;
+    setRollCallLoading(true);
+    try {
+      const response = await apiFetch(`/api/roll-calls/${rollCall.id}/close`, {
+        method: "POST",
       });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to close the roll-call.");
+      }
+      setRollCall(result.rollCall);
+      setRollCallSummary(result.summary);
+      showNotification(
+        result.message,
+        result.summary.missing_count === 0 ? "success" : "error"
+      );
+    } catch (err) {
+      console.error("Roll-Call Error:", err.message);
+      showNotification(err.message, "error");
+    } finally {
+      setRollCallLoading(false);
     }
+  };
 
-    // 4. Update the state variable used for rendering
-    setFilteredHistoryData(recordsToFilter);
-    showNotification(
-      `Filtered data applied. Found ${recordsToFilter.length} records.`,
-      "blue"
-    );
+  // --- AUTO SIGN-OUT REVIEW LOGIC ---
+
+  const handleAutoClosedExitTimeChange = (visitId, value) => {
+    setAutoClosedExitTimes((prev) => ({ ...prev, [visitId]: value }));
   };
 
-  // Handler to clear all filters and re-fetch all data
-  const handleClearFilters = () => {
-    setHistorySearchQuery("");
-    setHistoryStartDate("");
-    setHistoryEndDate("");
-    fetchHistoryRecords("", "", "");
-    setSortConfig({ key: "entry_time", direction: "descending" });
-    showNotification("Filters cleared. Loading all history...", "blue");
+  // Confirms the cut-off time, or saves the real exit time when one was entered
+  const handleReviewAutoClosedVisit = async (visit, exitTime) => {
+    try {
+      const response = await apiFetch(
+        `/api/visits/${visit.visit_id}/auto-close-review`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(
+            exitTime ? { exit_time: new Date(exitTime).toISOString() } : {}
+          ),
+        }
+      );
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to review the visit.");
+      }
+      setAutoClosedVisits((prev) =>
+        prev.filter((existing) => existing.visit_id !== visit.visit_id)
+      );
+      showNotification(
+        `${visit.first_name} ${visit.last_name}: ${result.message}`,
+        "success"
+      );
+    } catch (err) {
+      console.error("Auto Sign-Out Review Error:", err.message);
+      showNotification(err.message, "error");
+    }
+  };
+
+  // Download every visit matching the current filters (not just this page) as CSV, Excel
+  // or a PDF report generated by the server
+  const handleHistoryExport = async (format) => {
+    try {
+      const path = format === "pdf" ? "/api/history/report" : "/api/history/export";
+      const url = buildHistoryUrl(path, {
+        search: historySearchQuery,
+        start: historyStartDate,
+        end: historyEndDate,
+        filters: historyFilters,
+        sort: sortConfig,
+      });
+      if (format !== "pdf") url.searchParams.append("format", format);
+
+      const response = await apiFetch(url.toString());
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(
+          errorData.errors?.join(" ") ||
+            errorData.message ||
+            `HTTP error! status: ${response.status}`
+        );
+      }
+      await downloadResponse(response, `visit-history.${format}`);
+      showNotification("Visit history export downloaded.", "success");
+    } catch (err) {
+      console.error("History Export Error:", err.message);
+      showNotification(`Export Failed: ${err.message}`, "error");
+    }
   };
 
-  // --- Sorting Handler
-  const handleRequestSort = useCallback(
-    (key) => {
-      let direction = "ascending";
-      if (sortConfig.key === key && sortConfig.direction === "ascending") {
-        direction = "descending";
+  // Download one visitor's full visit history as a PDF report
+  const handleVisitorHistoryReport = async (visitorId) => {
+    try {
+      const response = await apiFetch(`/api/visitors/${visitorId}/history-report`);
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.message || "Failed to generate the report.");
       }
-      setSortConfig({ key, direction });
-    },
-    [sortConfig]
-  );
+      await downloadResponse(response, `visit-history-${visitorId}.pdf`);
+      showNotification("Visitor history report downloaded.", "success");
+    } catch (err) {
+      console.error("History Report Error:", err.message);
+      showNotification(`Report Failed: ${err.message}`, "error");
+    }
+  };
 
   // handle the print function
   const handlePrintTable = () => {
@@ -847,7 +1712,11 @@ function App() {
   // Determine which view to show
   const showDashboard = !selectedVisitor && !showRegistration;
   const showHistoryView = showHistory && !selectedVisitor && !showRegistration;
-  const sortedHistoryData = sortData(filteredHistoryData, sortConfig);
+
+  // Staff must sign in before anything else is shown
+  if (!staffSession) {
+    return <StaffSignIn onSignIn={handleStaffSignIn} notice={signInNotice} />;
+  }
 
   return (
     <div className="font-sans min-h-screen bg-blue-200 text-gray-800 p-4 md:p-8 flex flex-col items-center">
@@ -872,26 +1741,67 @@ function App() {
         <p className="text-lg text-blue-950 mb-4">
           Catherine Booth House Visitors Tracking
         </p>
-        <button
-          onClick={() => {
-            const newState = !showHistory;
-            if (newState) {
-              handleViewHistoryClick();
-            } else {
-              setShowHistory(false);
-              setSelectedVisitor(null);
-              setShowRegistration(false);
-              setSearchResults([]);
-              showNotification("Back to current visitors dashboard.", "blue");
-            }
-          }}
-          className="absolute top-0 right-0 min-w-[100px] py-2 px-4 bg-indigo-600 text-white text-sm rounded-lg shadow-xl hover:bg-indigo-700 transition-colors"
-        >
-          {showHistory ? "Show Dashboard" : "View Historical Data"}
-        </button>
+        <div className="flex items-center gap-3 text-sm text-blue-950 mb-2">
+          <span>
+            Signed in as{" "}
+            <span className="font-semibold">
+              {staffSession.staff.display_name}
+            </span>{" "}
+            ({staffSession.staff.role})
+          </span>
+          <button
+            onClick={() => handleStaffSignOut()}
+            className="py-1 px-3 bg-gray-600 text-white rounded-lg shadow hover:bg-gray-700 transition-colors"
+          >
+            Sign Out
+          </button>
+          {can("run_roll_call") && (
+            <button
+              onClick={handleToggleRollCall}
+              className="py-1 px-3 bg-red-600 text-white rounded-lg shadow hover:bg-red-700 transition-colors"
+            >
+              {showRollCall ? "Close Roll-Call" : "Fire Roll-Call"}
+            </button>
+          )}
+          {can("view_audit_logs") && (
+            <button
+              onClick={handleToggleAuditLogs}
+              className="py-1 px-3 bg-indigo-600 text-white rounded-lg shadow hover:bg-indigo-700 transition-colors"
+            >
+              {showAuditLogs ? "Close Audit Trail" : "Audit Trail"}
+            </button>
+          )}
+          {can("view_stats") && (
+            <button
+              onClick={handleToggleStats}
+              className="py-1 px-3 bg-green-600 text-white rounded-lg shadow hover:bg-green-700 transition-colors"
+            >
+              {showStats ? "Close Statistics" : "Statistics"}
+            </button>
+          )}
+        </div>
+        {can("view_history") && (
+          <button
+            onClick={() => {
+              const newState = !showHistory;
+              if (newState) {
+                handleViewHistoryClick();
+              } else {
+                setShowHistory(false);
+                setSelectedVisitor(null);
+                setShowRegistration(false);
+                setSearchResults([]);
+                showNotification("Back to current visitors dashboard.", "blue");
+              }
+            }}
+            className="absolute top-0 right-0 min-w-[100px] py-2 px-4 bg-indigo-600 text-white text-sm rounded-lg shadow-xl hover:bg-indigo-700 transition-colors"
+          >
+            {showHistory ? "Show Dashboard" : "View Historical Data"}
+          </button>
+        )}
 
         {/* Button Group for View Switching */}
-        {!showHistory && !showRegistration && (
+        {!showHistory && !showRegistration && !showAuditLogs && !showStats && !showRollCall && (
           <div className="flex min-w-[200px] justify-center mt-4">
             <button
               onClick={() => {
@@ -916,7 +1826,15 @@ function App() {
 
       <div className="w-full max-w-6xl mx-auto">
         {/* Dashboard View */}
-        {!showRegistration && !showHistory && !selectedVisitor && (
+        {!showRegistration && !showHistory && !showAuditLogs && !showStats && !showRollCall && !selectedVisitor && (
+          <AutoClosedVisitsReview
+            visits={autoClosedVisits}
+            exitTimes={autoClosedExitTimes}
+            onExitTimeChange={handleAutoClosedExitTimeChange}
+            onReview={handleReviewAutoClosedVisit}
+          />
+        )}
+        {!showRegistration && !showHistory && !showAuditLogs && !showStats && !showRollCall && !selectedVisitor && (
           <VisitorsDashboard
             searchTerm={searchTerm}
             setSearchTerm={setSearchTerm}
@@ -929,6 +1847,7 @@ function App() {
             loadingInSite={isLoading && visitors.length === 0}
             errorInSite={error}
             visitors={visitors}
+            liveUpdates={liveUpdates}
             handleExit={handleVisitorLogout}
           />
         )}
@@ -941,14 +1860,30 @@ function App() {
             setEditFormData={setEditFormData}
             handleLogin={handleLogin}
             handleUpdate={handleUpdateAndLogin}
-            isAgreementCheckedAdult={isAgreementCheckedAdult} 
+            household={household}
+            presentDependentIds={presentDependentIds}
+            handleToggleDependentPresent={handleToggleDependentPresent}
+            handleHouseholdMemberSave={handleHouseholdMemberSave}
+            handleHouseholdMemberRemove={handleHouseholdMemberRemove}
+            isAgreementCheckedAdult={isAgreementCheckedAdult}
             setIsAgreementCheckedAdult={setIsAgreementCheckedAdult}
             isAgreementCheckedChild={isAgreementCheckedChild}
             setIsAgreementCheckedChild={setIsAgreementCheckedChild}
             handleBan={handleBan}
             handleUnbanClick={handleUnbanClick}
+            handleSubjectAccessExport={handleSubjectAccessExport}
+            handleEraseClick={handleEraseClick}
+            handleMergeClick={handleMergeClick}
+            profileFormData={profileFormData}
+            handleProfileInputChange={handleProfileInputChange}
+            handleProfileSave={handleProfileSave}
+            profileDuplicates={profileDuplicates}
+            handlePhotoReplace={handlePhotoReplace}
+            photoHistory={photoHistory}
+            banHistory={banHistory}
             handleRecordMissedVisitClick={handleRecordMissedVisitClick}
             handleCancelLogIn={handleCancelAction}
+            can={can}
             message={message}
             messageType={messageType}
           />
@@ -972,26 +1907,72 @@ function App() {
             isAgreementCheckedChild={isAgreementCheckedChild}
             setIsAgreementCheckedChild={setIsAgreementCheckedChild}
             handleSubmit={handleNewVisitorRegistration}
+            possibleDuplicates={possibleDuplicates}
+            onUseExistingVisitor={handleUseExistingVisitor}
+            onConfirmNewVisitor={handleConfirmNewVisitor}
             loadingRegistration={loadingRegistration}
             handleCancelRegistration={handleCancelAction}
           />
         )}
 
+        {/* Fire Roll-Call View */}
+        {showRollCall && (
+          <RollCall
+            rollCall={rollCall}
+            summary={rollCallSummary}
+            loading={rollCallLoading}
+            onStart={handleStartRollCall}
+            onToggleEntry={handleToggleRollCallEntry}
+            onClose={handleCloseRollCall}
+            onPrint={() => window.print()}
+          />
+        )}
+
+        {/* Audit Trail View */}
+        {showAuditLogs && (
+          <AuditLogViewer
+            entries={auditLogs}
+            loading={auditLoading}
+            filters={auditFilters}
+            onFilterChange={handleAuditFilterChange}
+            onApplyFilters={() => fetchAuditLogs(auditFilters)}
+            onClearFilters={handleClearAuditFilters}
+          />
+        )}
+
+        {/* Statistics View */}
+        {showStats && (
+          <StatisticsDashboard
+            stats={statsData}
+            loading={statsLoading}
+            filters={statsFilters}
+            onFilterChange={handleStatsFilterChange}
+            onApplyFilters={() => fetchStats(statsFilters)}
+            onClearFilters={handleClearStatsFilters}
+          />
+        )}
+
         {/* History View*/}
         {showHistory && (
           <HistoryDashboard
-            data={sortedHistoryData}
+            data={historyData}
             loading={historyLoading}
             searchQuery={historySearchQuery}
             startDate={historyStartDate}
             endDate={historyEndDate}
+            filters={historyFilters}
+            pagination={historyPagination}
             sortConfig={sortConfig}
             onSearchChange={setHistorySearchQuery}
             onStartDateChange={setHistoryStartDate}
             onEndDateChange={setHistoryEndDate}
+            onFilterChange={handleHistoryFilterChange}
+            onPageChange={handleHistoryPageChange}
             onApplyFilters={handleApplyFilters}
             onClearFilters={handleClearFilters}
-            onExportData={handlePrintTable}
+            onExport={handleHistoryExport}
+            onVisitorReport={handleVisitorHistoryReport}
+            onPrint={handlePrintTable}
             onRequestSort={handleRequestSort}
             statusMessage={message}
             isOnline={messageType !== "error"}
@@ -999,20 +1980,44 @@ function App() {
         )}
       </div>
 
-      {/* Password Modal (Always rendered but hidden by state) */}
-      <PasswordModal
-        showPasswordModal={showPasswordModal}
-        EnterPassword={EnterPassword}
-        setPassword={setPassword}
-        showPassword={showPassword}
-        setShowPassword={setShowPassword}
-        password={password}
-        message={message}
-        messageType={messageType}
-        setShowPasswordModal={setShowPasswordModal}
-        modalTitle={modalContext.title}
-        modalDescription={modalContext.description}
-        submitButtonText={modalContext.submitText}
+      {/* Ban Modal (Always rendered but hidden by state) */}
+      <BanVisitorModal
+        showModal={showBanModal}
+        setShowModal={setShowBanModal}
+        banDetails={banDetails}
+        setBanDetails={setBanDetails}
+        confirmAction={confirmBan}
+      />
+
+      {/* Erasure Modal (Always rendered but hidden by state) */}
+      <EraseVisitorModal
+        showModal={showEraseModal}
+        setShowModal={setShowEraseModal}
+        visitorName={
+          selectedVisitor
+            ? `${selectedVisitor.first_name} ${selectedVisitor.last_name}`
+            : ""
+        }
+        eraseDetails={eraseDetails}
+        setEraseDetails={setEraseDetails}
+        blockers={eraseBlockers}
+        canForce={can("force_erase_visitor")}
+        confirmAction={confirmErase}
+      />
+
+      {/* Merge Modal (Always rendered but hidden by state) */}
+      <MergeVisitorsModal
+        showModal={showMergeModal}
+        setShowModal={setShowMergeModal}
+        survivor={selectedVisitor}
+        mergeDetails={mergeDetails}
+        onDetailsChange={handleMergeDetailsChange}
+        onSearch={handleMergeSearch}
+        candidates={mergeCandidates}
+        preview={mergePreview}
+        merges={visitorMerges}
+        confirmAction={confirmMerge}
+        undoAction={handleUndoMerge}
       />
 
       {/* Missed Visit Correction Modal (Always rendered but hidden by state) */}
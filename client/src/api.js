@@ -0,0 +1,49 @@
+// Shared API helpers: every request carries the signed-in staff member's token.
+export const API_BASE_URL = import.meta.env.VITE_API_URL;
+
+const SESSION_KEY = "staffSession";
+
+// Called when the server rejects the token (expired or revoked session)
+let unauthorizedHandler = null;
+
+export const getStaffSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const saveStaffSession = (session) => {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearStaffSession = () => {
+  sessionStorage.removeItem(SESSION_KEY);
+};
+
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * fetch() wrapper that prefixes API_BASE_URL and adds the staff Authorization header.
+ * @param {string} path - API path (e.g. "/api/visitors") or an absolute URL.
+ * @param {RequestInit} options - Standard fetch options.
+ * @returns {Promise<Response>}
+ */
+export const apiFetch = async (path, options = {}) => {
+  const session = getStaffSession();
+  const headers = { ...(options.headers || {}) };
+  if (session?.token) {
+    headers.Authorization = `Bearer ${session.token}`;
+  }
+
+  const url = path.startsWith("http") ? path : `${API_BASE_URL}${path}`;
+  const response = await fetch(url, { ...options, headers });
+
+  if (response.status === 401 && session && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+  return response;
+};
@@ -0,0 +1,15 @@
+// Shared ban helpers: the severities the server accepts (see server/routes/ban.js) and display formatting.
+export const BAN_SEVERITIES = ["low", "medium", "high"];
+
+export const formatBanDate = (isoString) =>
+  isoString
+    ? new Date(isoString).toLocaleDateString("en-UK", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "";
+
+// e.g. "until 12 Nov 2026" or "until lifted by staff"
+export const describeBanEnd = (endDate) =>
+  endDate ? `until ${formatBanDate(endDate)}` : "until lifted by staff";
@@ -0,0 +1,238 @@
+import React from "react";
+import { Search, RefreshCcw, Loader } from "lucide-react";
+
+// Actions recorded by the server, in the order they appear in the filter
+const actionOptions = [
+  { value: "", label: "All actions" },
+  { value: "register_visitor", label: "Registered" },
+  { value: "sign_in_visitor", label: "Signed in" },
+  { value: "update_visitor_details", label: "Details updated" },
+  { value: "update_visitor_profile", label: "Profile corrected" },
+  { value: "replace_visitor_photo", label: "Photo replaced" },
+  { value: "add_household_member", label: "Household member added" },
+  { value: "update_household_member", label: "Household member updated" },
+  { value: "remove_household_member", label: "Household member removed" },
+  { value: "adopt_household", label: "Household started from last visit" },
+  { value: "sign_out_visitor", label: "Signed out" },
+  { value: "record_missed_visit", label: "Missed visit recorded" },
+  { value: "auto_sign_out", label: "Auto signed out" },
+  { value: "review_auto_sign_out", label: "Auto sign-out reviewed" },
+  { value: "ban_visitor", label: "Banned" },
+  { value: "unban_visitor", label: "Unbanned" },
+  { value: "ban_expired", label: "Ban expired" },
+  { value: "start_roll_call", label: "Roll-call started" },
+  { value: "close_roll_call", label: "Roll-call closed" },
+  { value: "create_staff", label: "Staff created" },
+  { value: "update_staff", label: "Staff updated" },
+  { value: "run_retention_cleanup", label: "Retention cleanup" },
+  { value: "update_retention_settings", label: "Retention settings changed" },
+  { value: "sweep_orphaned_photos", label: "Orphaned photos swept" },
+  { value: "export_history", label: "History export" },
+  { value: "export_subject_data", label: "Subject access export" },
+  { value: "erase_visitor", label: "Visitor erased" },
+  { value: "merge_visitors", label: "Visitors merged" },
+  { value: "undo_merge_visitors", label: "Merge undone" },
+  { value: "place_legal_hold", label: "Legal hold placed" },
+  { value: "release_legal_hold", label: "Legal hold released" },
+];
+
+const formatTimestamp = (isoString) =>
+  isoString
+    ? new Date(isoString).toLocaleString("en-UK", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    : "N/A";
+
+const formatValue = (value) =>
+  value === null || value === undefined
+    ? "—"
+    : typeof value === "object"
+    ? JSON.stringify(value)
+    : String(value);
+
+/**
+ * Lists the fields an entry changed as "field: before → after".
+ * Entries without a before snapshot (e.g. registrations) list the recorded values.
+ */
+const describeChanges = (before, after) => {
+  if (!after || typeof after !== "object") return [];
+  return Object.keys(after)
+    .filter(
+      (field) =>
+        !before || formatValue(before[field]) !== formatValue(after[field])
+    )
+    .map((field) =>
+      before
+        ? `${field}: ${formatValue(before[field])} → ${formatValue(after[field])}`
+        : `${field}: ${formatValue(after[field])}`
+    );
+};
+
+/**
+ * Stateless Audit Trail Viewer
+ * Entries, filter values and handlers are passed via props from App.
+ */
+function AuditLogViewer({
+  entries,
+  loading,
+  filters,
+  onFilterChange,
+  onApplyFilters,
+  onClearFilters,
+}) {
+  return (
+    <div className="p-4 font-['Inter'] w-full">
+      <div className="mb-4 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Audit Trail</h1>
+        <p className="text-sm text-gray-600">
+          Who changed what, and when. Showing the most recent {entries.length}{" "}
+          entries.
+        </p>
+      </div>
+
+      {/* --- Filter Bar --- */}
+      <div className="w-full flex flex-col md:flex-row gap-4 mb-6 p-4 bg-indigo-50 rounded-xl shadow-inner">
+        <select
+          value={filters.action}
+          onChange={(e) => onFilterChange("action", e.target.value)}
+          className="flex-grow px-3 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          aria-label="Action"
+        >
+          {actionOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          placeholder="Visitor ID"
+          value={filters.visitorId}
+          onChange={(e) => onFilterChange("visitorId", e.target.value)}
+          className="w-full md:w-32 px-3 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <div className="flex gap-4 w-full md:w-auto">
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => onFilterChange("startDate", e.target.value)}
+            className="w-full pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="Start Date"
+          />
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => onFilterChange("endDate", e.target.value)}
+            className="w-full pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="End Date"
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onApplyFilters}
+            disabled={loading}
+            className={`flex items-center justify-center px-4 py-2 font-semibold text-white bg-indigo-600 rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 ${
+              loading ? "opacity-70 cursor-not-allowed" : ""
+            }`}
+          >
+            {loading ? (
+              <Loader size={18} className="animate-spin mr-2" />
+            ) : (
+              <Search size={18} className="mr-2" />
+            )}
+            Apply Filters
+          </button>
+          <button
+            onClick={onClearFilters}
+            className="flex items-center justify-center px-4 py-2 font-semibold text-indigo-700 bg-white border border-indigo-200 rounded-lg shadow-md hover:bg-indigo-50 transition duration-150"
+          >
+            <RefreshCcw size={18} className="mr-2" />
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* --- Entries Table --- */}
+      <div className="shadow-2xl rounded-xl w-full overflow-x-auto">
+        <table className="w-full table-auto divide-y divide-gray-200">
+          <thead className="bg-indigo-700 text-white">
+            <tr>
+              {["When", "Staff", "Action", "Visitor", "Changes", "IP"].map(
+                (label) => (
+                  <th
+                    key={label}
+                    className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider"
+                  >
+                    {label}
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td
+                  colSpan={6}
+                  className="px-6 py-12 text-center text-lg text-indigo-500"
+                >
+                  <Loader size={24} className="animate-spin inline-block mr-2" />{" "}
+                  Loading audit trail...
+                </td>
+              </tr>
+            ) : entries.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={6}
+                  className="px-6 py-12 text-center text-lg text-gray-500"
+                >
+                  No audit entries found matching the criteria.
+                </td>
+              </tr>
+            ) : (
+              entries.map((entry) => (
+                <tr key={entry.id} className="hover:bg-indigo-50 align-top">
+                  <td className="px-4 py-3 text-sm whitespace-nowrap">
+                    {formatTimestamp(entry.timestamp)}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {entry.actor_name || "System"}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-semibold">{entry.event_name}</div>
+                    {entry.status !== "Success" && (
+                      <div className="text-xs text-red-600">{entry.status}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {entry.target_visitor_id
+                      ? `${entry.target_first_name || ""} ${
+                          entry.target_last_name || ""
+                        } (#${entry.target_visitor_id})`
+                      : "—"}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-700">
+                    {describeChanges(entry.before, entry.after).map((line) => (
+                      <div key={line}>{line}</div>
+                    ))}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-500">
+                    {entry.client_ip || "—"}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AuditLogViewer;
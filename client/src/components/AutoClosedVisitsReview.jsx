@@ -0,0 +1,75 @@
+import React from "react";
+import { Clock } from "lucide-react";
+
+const formatDateTime = (isoString) =>
+  isoString
+    ? new Date(isoString).toLocaleString("en-UK", {
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+/**
+ * Stateless Auto Sign-Out Review Panel
+ * Lists visits the end-of-day job closed at the cut-off time so staff can confirm
+ * the cut-off or enter the real exit time. Visits, edits and handlers come from App.
+ */
+function AutoClosedVisitsReview({ visits, exitTimes, onExitTimeChange, onReview }) {
+  if (visits.length === 0) return null;
+
+  return (
+    <div className="mb-6 p-4 bg-orange-50 border border-orange-200 rounded-xl shadow-md">
+      <h2 className="flex items-center text-lg font-bold text-orange-800 mb-1">
+        <Clock size={20} className="mr-2" />
+        {visits.length} visit{visits.length === 1 ? "" : "s"} signed out
+        automatically
+      </h2>
+      <p className="text-sm text-orange-900 mb-3">
+        These visitors were still signed in at the end of the day. Confirm the
+        cut-off time or enter when they actually left.
+      </p>
+      <ul className="divide-y divide-orange-100">
+        {visits.map((visit) => {
+          const exitTime = exitTimes[visit.visit_id] || "";
+          return (
+            <li
+              key={visit.visit_id}
+              className="flex flex-wrap items-center gap-3 py-2"
+            >
+              <span className="flex-grow">
+                <span className="font-semibold">
+                  {visit.first_name} {visit.last_name}
+                </span>
+                <span className="text-sm text-gray-600">
+                  {" "}
+                  · {visit.unit || "No unit"} · in{" "}
+                  {formatDateTime(visit.entry_time)} · closed{" "}
+                  {formatDateTime(visit.exit_time)}
+                </span>
+              </span>
+              <input
+                type="datetime-local"
+                value={exitTime}
+                onChange={(e) =>
+                  onExitTimeChange(visit.visit_id, e.target.value)
+                }
+                className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                aria-label={`Actual exit time for ${visit.first_name} ${visit.last_name}`}
+              />
+              <button
+                onClick={() => onReview(visit, exitTime)}
+                className="px-3 py-1 text-sm font-semibold text-white bg-orange-600 rounded-lg shadow hover:bg-orange-700 transition-colors"
+              >
+                {exitTime ? "Save Exit Time" : "Confirm Cut-Off"}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default AutoClosedVisitsReview;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { BAN_SEVERITIES } from '../bans';
+
+/**
+ * Modal for staff to record why a visitor is banned, how serious it is and
+ * (optionally) when the ban ends automatically.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {{reason: string, severity: string, endDate: string}} props.banDetails - Current form values.
+ * @param {function} props.setBanDetails - Function to update the form values.
+ * @param {function} props.confirmAction - The function to call the backend API.
+ */
+const BanVisitorModal = ({
+    showModal,
+    setShowModal,
+    banDetails,
+    setBanDetails,
+    confirmAction
+}) => {
+    if (!showModal) return null;
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setBanDetails((prev) => ({ ...prev, [name]: value }));
+    };
+
+    // Handler for the main action
+    const handleConfirm = () => {
+        if (!banDetails.reason.trim()) {
+            alert("Please record the reason for the ban before confirming.");
+            return;
+        }
+        confirmAction();
+    };
+
+    // Expiry dates must be in the future
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-red-600 mb-4 border-b pb-2">
+                    Ban Visitor
+                </h2>
+
+                <div className="mb-4">
+                    <label htmlFor="banReason" className="block text-sm font-medium text-gray-700 mb-2">
+                        Reason
+                    </label>
+                    <textarea
+                        id="banReason"
+                        name="reason"
+                        rows={3}
+                        value={banDetails.reason}
+                        onChange={handleChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-red-500 focus:border-red-500 transition duration-150"
+                        required
+                    />
+                </div>
+
+                <div className="mb-4">
+                    <label htmlFor="banSeverity" className="block text-sm font-medium text-gray-700 mb-2">
+                        Severity
+                    </label>
+                    <select
+                        id="banSeverity"
+                        name="severity"
+                        value={banDetails.severity}
+                        onChange={handleChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-red-500 focus:border-red-500 capitalize"
+                    >
+                        {BAN_SEVERITIES.map((severity) => (
+                            <option key={severity} value={severity}>
+                                {severity}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="mb-6">
+                    <label htmlFor="banEndDate" className="block text-sm font-medium text-gray-700 mb-2">
+                        Ends on (leave empty to keep the ban until it is lifted)
+                    </label>
+                    <input
+                        type="date"
+                        id="banEndDate"
+                        name="endDate"
+                        min={tomorrow}
+                        value={banDetails.endDate}
+                        onChange={handleChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-red-500 focus:border-red-500 transition duration-150"
+                    />
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleConfirm}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold shadow-md hover:bg-red-700 transition-colors flex items-center"
+                    >
+                        Confirm Ban
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BanVisitorModal;
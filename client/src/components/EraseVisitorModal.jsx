@@ -0,0 +1,129 @@
+import React from 'react';
+
+const BLOCKER_LABELS = {
+    banned: "The visitor is banned.",
+    on_site: "The visitor is signed in.",
+    legal_hold: "The visitor is under a legal hold. Release it before erasing.",
+};
+
+/**
+ * Modal for a right-to-erasure request: staff choose whether to delete the visitor
+ * or anonymise them (keeping visit statistics). When the server refused because the
+ * visitor is banned or on site, it lists why and lets admins force the erasure.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {string} props.visitorName - Who is being erased.
+ * @param {{mode: string, force: boolean}} props.eraseDetails - Current form values.
+ * @param {function} props.setEraseDetails - Function to update the form values.
+ * @param {string[]} props.blockers - Why the server refused the last attempt.
+ * @param {boolean} props.canForce - Whether the staff member may override the refusal.
+ * @param {function} props.confirmAction - The function to call the backend API.
+ */
+const EraseVisitorModal = ({
+    showModal,
+    setShowModal,
+    visitorName,
+    eraseDetails,
+    setEraseDetails,
+    blockers = [],
+    canForce,
+    confirmAction
+}) => {
+    if (!showModal) return null;
+
+    const isHeld = blockers.includes("legal_hold");
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-red-600 mb-4 border-b pb-2">
+                    Erase {visitorName}
+                </h2>
+
+                <p className="text-sm text-gray-700 mb-4">
+                    This removes their profile, photo, visits and dependents for good.
+                    Only an entry without personal data is kept in the audit trail.
+                </p>
+
+                <div className="mb-4 space-y-2">
+                    <label className="flex items-start space-x-3 cursor-pointer">
+                        <input
+                            type="radio"
+                            name="mode"
+                            value="delete"
+                            checked={eraseDetails.mode === "delete"}
+                            onChange={() => setEraseDetails((prev) => ({ ...prev, mode: "delete" }))}
+                            className="mt-1"
+                        />
+                        <span>
+                            <span className="font-semibold">Delete</span>
+                            <span className="block text-sm text-gray-600">Every record of the visitor is removed.</span>
+                        </span>
+                    </label>
+                    <label className="flex items-start space-x-3 cursor-pointer">
+                        <input
+                            type="radio"
+                            name="mode"
+                            value="anonymise"
+                            checked={eraseDetails.mode === "anonymise"}
+                            onChange={() => setEraseDetails((prev) => ({ ...prev, mode: "anonymise" }))}
+                            className="mt-1"
+                        />
+                        <span>
+                            <span className="font-semibold">Anonymise</span>
+                            <span className="block text-sm text-gray-600">
+                                Names and contact details are wiped; visit dates and units stay for statistics.
+                            </span>
+                        </span>
+                    </label>
+                </div>
+
+                {blockers.length > 0 && (
+                    <div className="mb-4 p-3 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg">
+                        <ul className="list-disc list-inside">
+                            {blockers.map((blocker) => (
+                                <li key={blocker}>{BLOCKER_LABELS[blocker] || blocker}</li>
+                            ))}
+                        </ul>
+                        {!isHeld && canForce && (
+                            <label className="flex items-center space-x-2 mt-3 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={eraseDetails.force}
+                                    onChange={(e) => setEraseDetails((prev) => ({ ...prev, force: e.target.checked }))}
+                                />
+                                <span className="font-semibold">Erase anyway (admin override)</span>
+                            </label>
+                        )}
+                        {!isHeld && !canForce && (
+                            <p className="mt-2">Ask an admin to erase this visitor.</p>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={confirmAction}
+                        disabled={isHeld}
+                        className={`px-4 py-2 rounded-lg font-semibold shadow-md transition-colors flex items-center ${
+                            isHeld
+                                ? "bg-gray-400 text-gray-700 cursor-not-allowed"
+                                : "bg-red-600 text-white hover:bg-red-700"
+                        }`}
+                    >
+                        {eraseDetails.mode === "delete" ? "Erase Visitor" : "Anonymise Visitor"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default EraseVisitorModal;
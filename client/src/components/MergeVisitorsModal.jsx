@@ -0,0 +1,230 @@
+import React from 'react';
+
+const BLOCKER_LABELS = {
+    already_merged: "One of these profiles has already been merged.",
+    both_on_site: "Both visitors are signed in. Sign one of them out first.",
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString("en-GB") : "—");
+
+// One side of the merge: the profile as it is now, with the choice of keeping its name and photo
+const ProfileColumn = ({ title, profile, source, mergeDetails, onChange }) => (
+    <div className="p-3 border border-gray-200 rounded-lg">
+        <h3 className="text-sm font-semibold text-gray-500 uppercase mb-2">{title}</h3>
+        {profile.photo ? (
+            <img src={profile.photo} alt="" className="w-16 h-16 object-cover rounded-full mb-2" />
+        ) : (
+            <div className="w-16 h-16 rounded-full bg-gray-200 mb-2" />
+        )}
+        <p className="font-semibold">{profile.first_name} {profile.last_name}</p>
+        <p className="text-sm text-gray-600">Born {profile.date_of_birth || "—"}</p>
+        <p className="text-sm text-gray-600">
+            {profile.visits} visits, {formatDate(profile.first_visit_time)} to {formatDate(profile.last_visit_time)}
+        </p>
+        {profile.is_banned && <p className="text-sm font-semibold text-red-600">Banned</p>}
+        <label className="flex items-center space-x-2 mt-2 text-sm cursor-pointer">
+            <input
+                type="radio"
+                name="nameFrom"
+                checked={mergeDetails.nameFrom === source}
+                onChange={() => onChange("nameFrom", source)}
+            />
+            <span>Keep this name</span>
+        </label>
+        <label className="flex items-center space-x-2 text-sm cursor-pointer">
+            <input
+                type="radio"
+                name="photoFrom"
+                checked={mergeDetails.photoFrom === source}
+                onChange={() => onChange("photoFrom", source)}
+                disabled={!profile.photo}
+            />
+            <span>Keep this photo</span>
+        </label>
+    </div>
+);
+
+/**
+ * Modal for merging a duplicate profile into the selected visitor. Staff search for
+ * the duplicate, choose which name and photo to keep, and check the preview of what
+ * moves before confirming. Recent merges involving the visitor can be undone here
+ * until their undo window ends.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {object} props.survivor - The selected visitor, who is kept.
+ * @param {{search: string, mergedId: number|null, nameFrom: string, photoFrom: string}} props.mergeDetails - Current form values.
+ * @param {function} props.onDetailsChange - Called with (field, value) when a form value changes.
+ * @param {function} props.onSearch - Searches for the duplicate by name.
+ * @param {Array<object>} props.candidates - Search results to pick the duplicate from.
+ * @param {object|null} props.preview - The server's preview of the merge.
+ * @param {Array<object>} props.merges - Recent merges involving the visitor.
+ * @param {function} props.confirmAction - The function to call the backend API.
+ * @param {function} props.undoAction - Called with a merge ID to undo it.
+ */
+const MergeVisitorsModal = ({
+    showModal,
+    setShowModal,
+    survivor,
+    mergeDetails,
+    onDetailsChange,
+    onSearch,
+    candidates = [],
+    preview,
+    merges = [],
+    confirmAction,
+    undoAction
+}) => {
+    if (!showModal || !survivor) return null;
+
+    const canMerge = Boolean(preview) && preview.blockers.length === 0;
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-full overflow-y-auto p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-indigo-700 mb-4 border-b pb-2">
+                    Merge a duplicate into {survivor.first_name} {survivor.last_name}
+                </h2>
+
+                <form
+                    className="flex gap-2 mb-3"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        onSearch(mergeDetails.search);
+                    }}
+                >
+                    <input
+                        type="text"
+                        value={mergeDetails.search}
+                        onChange={(e) => onDetailsChange("search", e.target.value)}
+                        placeholder="Search for the duplicate profile by name"
+                        className="flex-1 p-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:ring-indigo-500"
+                    />
+                    <button
+                        type="submit"
+                        className="px-4 py-2 font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                        Search
+                    </button>
+                </form>
+
+                {candidates.length > 0 && (
+                    <ul className="mb-4 border border-gray-200 rounded-lg divide-y max-h-40 overflow-y-auto">
+                        {candidates.map((candidate) => (
+                            <li key={candidate.id}>
+                                <button
+                                    type="button"
+                                    onClick={() => onDetailsChange("mergedId", candidate.id)}
+                                    className={`w-full text-left px-3 py-2 text-sm hover:bg-indigo-50 ${
+                                        mergeDetails.mergedId === candidate.id ? "bg-indigo-100 font-semibold" : ""
+                                    }`}
+                                >
+                                    {candidate.first_name} {candidate.last_name}
+                                    <span className="text-gray-500">
+                                        {" "}· born {candidate.date_of_birth || "—"} · {candidate.unit || "no unit"} · last visit{" "}
+                                        {formatDate(candidate.last_visit_time)}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {preview && (
+                    <div className="mb-4">
+                        <div className="grid grid-cols-2 gap-3 mb-3">
+                            <ProfileColumn
+                                title="Keep"
+                                profile={preview.survivor}
+                                source="survivor"
+                                mergeDetails={mergeDetails}
+                                onChange={onDetailsChange}
+                            />
+                            <ProfileColumn
+                                title="Merge and hide"
+                                profile={preview.merged}
+                                source="merged"
+                                mergeDetails={mergeDetails}
+                                onChange={onDetailsChange}
+                            />
+                        </div>
+                        <div className="p-3 text-sm bg-indigo-50 border border-indigo-200 rounded-lg">
+                            <p>
+                                The merged profile will be{" "}
+                                <span className="font-semibold">
+                                    {preview.result.first_name} {preview.result.last_name}
+                                </span>
+                                , born {preview.result.date_of_birth || "—"}
+                                {preview.result.is_banned && <span className="font-semibold text-red-600"> (banned)</span>}.
+                            </p>
+                            <p>
+                                Moving {preview.moves.visits} visits, {preview.moves.dependents} dependents,{" "}
+                                {preview.moves.household_members} household members, {preview.moves.bans} bans and{" "}
+                                {preview.moves.legal_holds} legal holds.
+                            </p>
+                            <p className="text-gray-600">The merge can be undone for {preview.undo_days} days.</p>
+                        </div>
+                        {preview.blockers.length > 0 && (
+                            <ul className="mt-3 p-3 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg list-disc list-inside">
+                                {preview.blockers.map((blocker) => (
+                                    <li key={blocker}>{BLOCKER_LABELS[blocker] || blocker}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                {merges.length > 0 && (
+                    <div className="mb-4">
+                        <h3 className="text-sm font-semibold text-gray-700 mb-1">Recent merges</h3>
+                        <ul className="text-sm divide-y border border-gray-200 rounded-lg">
+                            {merges.map((merge) => (
+                                <li key={merge.id} className="flex items-center justify-between px-3 py-2">
+                                    <span>
+                                        {merge.merged_first_name ?? "Erased"} {merge.merged_last_name ?? "visitor"} into{" "}
+                                        {merge.survivor_first_name ?? "Erased"} {merge.survivor_last_name ?? "visitor"}
+                                        <span className="block text-gray-500">
+                                            {formatDate(merge.merged_at)} by {merge.merged_by_name || "—"}
+                                            {merge.undone_at && ` · undone by ${merge.undone_by_name || "—"}`}
+                                        </span>
+                                    </span>
+                                    {merge.can_undo && (
+                                        <button
+                                            type="button"
+                                            onClick={() => undoAction(merge.id)}
+                                            className="px-3 py-1 font-semibold text-indigo-700 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50"
+                                        >
+                                            Undo
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={confirmAction}
+                        disabled={!canMerge}
+                        className={`px-4 py-2 rounded-lg font-semibold shadow-md transition-colors flex items-center ${
+                            canMerge
+                                ? "bg-indigo-600 text-white hover:bg-indigo-700"
+                                : "bg-gray-400 text-gray-700 cursor-not-allowed"
+                        }`}
+                    >
+                        Merge Visitors
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MergeVisitorsModal;
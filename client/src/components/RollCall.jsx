@@ -0,0 +1,189 @@
+import React from "react";
+import { Loader, Printer, Flame } from "lucide-react";
+
+const formatTime = (isoString) =>
+  isoString
+    ? new Date(isoString).toLocaleTimeString("en-UK", {
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+// Entries arrive ordered by unit; keep that order while grouping
+const groupByUnit = (entries) =>
+  entries.reduce((groups, entry) => {
+    const unit = entry.unit || "No unit";
+    const group = groups.find((existing) => existing.unit === unit);
+    if (group) {
+      group.entries.push(entry);
+    } else {
+      groups.push({ unit, entries: [entry] });
+    }
+    return groups;
+  }, []);
+
+/**
+ * Stateless Fire Roll-Call View
+ * A tickable, printable list of everyone on site when the roll-call started,
+ * grouped by unit. The roll-call, summary and handlers are passed via props from App.
+ */
+function RollCall({
+  rollCall,
+  summary,
+  loading,
+  onStart,
+  onToggleEntry,
+  onClose,
+  onPrint,
+}) {
+  if (loading && !rollCall) {
+    return (
+      <div className="p-12 text-center text-lg text-red-600">
+        <Loader size={24} className="animate-spin inline-block mr-2" /> Loading
+        roll-call...
+      </div>
+    );
+  }
+
+  if (!rollCall) {
+    return (
+      <div className="bg-white p-8 rounded-xl shadow-2xl text-center space-y-4">
+        <h1 className="text-2xl font-bold text-red-700">Fire Roll-Call</h1>
+        <p className="text-gray-600">
+          Starting a roll-call takes a snapshot of every visitor and dependent
+          currently on site for marshals to tick off.
+        </p>
+        <button
+          onClick={onStart}
+          className="inline-flex items-center px-6 py-3 font-semibold text-white bg-red-600 rounded-lg shadow-xl hover:bg-red-700 transition-colors"
+        >
+          <Flame size={20} className="mr-2" />
+          Start Roll-Call
+        </button>
+      </div>
+    );
+  }
+
+  const isClosed = Boolean(rollCall.closed_at);
+  const accountedCount = rollCall.entries.filter(
+    (entry) => entry.accounted_at
+  ).length;
+
+  return (
+    <div className="p-4 font-['Inter'] w-full bg-white rounded-xl shadow-2xl print-report-container">
+      <div className="mb-4 text-center">
+        <h1 className="text-2xl font-bold text-red-700 mb-1">
+          Fire Roll-Call #{rollCall.id}
+        </h1>
+        <p className="text-sm text-gray-600">
+          Started {formatTime(rollCall.started_at)} by{" "}
+          {rollCall.started_by_name || "—"}
+          {isClosed &&
+            ` · Closed ${formatTime(rollCall.closed_at)} by ${
+              rollCall.closed_by_name || "—"
+            }`}
+        </p>
+        <p className="text-lg font-semibold mt-2">
+          {accountedCount} of {rollCall.entries.length} accounted for
+        </p>
+      </div>
+
+      {summary && (
+        <div
+          className={`mb-4 p-4 rounded-lg text-center font-semibold ${
+            summary.missing_count === 0
+              ? "bg-green-100 text-green-800"
+              : "bg-red-100 text-red-800"
+          }`}
+        >
+          {summary.missing_count === 0
+            ? "Everyone is accounted for."
+            : `Not accounted for: ${summary.missing
+                .map((entry) => `${entry.full_name} (${entry.unit || "No unit"})`)
+                .join(", ")}`}
+        </div>
+      )}
+
+      <div className="flex justify-center gap-3 mb-6 print:hidden">
+        <button
+          onClick={onPrint}
+          className="flex items-center px-4 py-2 font-semibold text-red-700 bg-white border border-red-200 rounded-lg shadow-md hover:bg-red-50 transition duration-150"
+        >
+          <Printer size={18} className="mr-2" />
+          Print List
+        </button>
+        {isClosed ? (
+          <button
+            onClick={onStart}
+            className="flex items-center px-4 py-2 font-semibold text-white bg-red-600 rounded-lg shadow-md hover:bg-red-700 transition duration-150"
+          >
+            <Flame size={18} className="mr-2" />
+            Start New Roll-Call
+          </button>
+        ) : (
+          <button
+            onClick={onClose}
+            disabled={loading}
+            className={`flex items-center px-4 py-2 font-semibold text-white bg-gray-700 rounded-lg shadow-md hover:bg-gray-800 transition duration-150 ${
+              loading ? "opacity-70 cursor-not-allowed" : ""
+            }`}
+          >
+            Close Roll-Call
+          </button>
+        )}
+      </div>
+
+      {rollCall.entries.length === 0 ? (
+        <p className="text-center text-lg text-gray-500 py-8">
+          Nobody was signed in when this roll-call started.
+        </p>
+      ) : (
+        groupByUnit(rollCall.entries).map((group) => (
+          <div key={group.unit} className="mb-6 avoid-break">
+            <h2 className="text-lg font-bold text-blue-800 border-b border-blue-200 mb-2">
+              {group.unit}
+            </h2>
+            <ul className="divide-y divide-gray-100">
+              {group.entries.map((entry) => (
+                <li
+                  key={entry.id}
+                  className={`flex items-center gap-3 py-2 ${
+                    entry.person_type === "dependent" ? "pl-8" : ""
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={Boolean(entry.accounted_at)}
+                    disabled={isClosed}
+                    onChange={() => onToggleEntry(entry)}
+                    className="h-6 w-6 accent-green-600"
+                    aria-label={`Mark ${entry.full_name} as accounted for`}
+                  />
+                  <span className="flex-grow">
+                    <span className="font-semibold">{entry.full_name}</span>
+                    {entry.person_type === "dependent" && (
+                      <span className="text-sm text-gray-500">
+                        {" "}
+                        (dependent{entry.age ? `, ${entry.age}` : ""})
+                      </span>
+                    )}
+                  </span>
+                  {entry.accounted_at && (
+                    <span className="text-xs text-green-700">
+                      {formatTime(entry.accounted_at)}
+                      {entry.accounted_by_name
+                        ? ` · ${entry.accounted_by_name}`
+                        : ""}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default RollCall;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { EyeIcon, EyeOffIcon } from './IconComponents';
+import { apiFetch, saveStaffSession } from '../api';
+
+const StaffSignIn = ({ onSignIn, notice }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (loading) return;
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Sign-in failed.');
+      }
+
+      const session = { token: result.token, staff: result.staff };
+      saveStaffSession(session);
+      setPassword('');
+      onSignIn(session);
+    } catch (err) {
+      console.error('Staff Sign-In Error:', err.message);
+      setError(err.message);
+      setPassword('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="font-sans min-h-screen bg-blue-200 text-gray-800 p-4 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-md border-t-4 border-blue-600">
+        <img
+          src="salvation-army-logo.png"
+          alt="The Salvation Army Red Shield Logo"
+          className="w-20 h-20 object-contain mx-auto mb-4"
+          onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/96x96/DA251C/ffffff?text=TSA'; }}
+        />
+        <h2 className="text-2xl font-extrabold text-blue-800 text-center mb-1">Staff Sign In</h2>
+        <p className="text-gray-600 text-center mb-6">Catherine Booth House Visitors Tracking</p>
+
+        {/* Notification Area */}
+        {(error || notice) && (
+          <div className={`p-3 rounded-lg text-center font-medium mb-4 border ${error ? 'bg-red-100 text-red-700 border-red-300' : 'bg-blue-100 text-blue-700 border-blue-300'}`}>
+            {error || notice}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            placeholder="Username"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500 transition-shadow"
+            required
+          />
+          <div className="relative">
+            <input
+              type={showPassword ? "text" : "password"}
+              placeholder="Password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-lg pr-10 focus:border-blue-500 focus:ring-blue-500 transition-shadow"
+              required
+            />
+            <button
+              type="button"
+              onClick={() => setShowPassword(!showPassword)}
+              className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700"
+            >
+              {showPassword ? <EyeOffIcon className="w-5 h-5" /> : <EyeIcon className="w-5 h-5" />}
+            </button>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full py-3 px-4 font-semibold rounded-lg bg-green-600 text-white hover:bg-green-700 transition-colors disabled:opacity-60"
+          >
+            {loading ? 'Signing In...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StaffSignIn;
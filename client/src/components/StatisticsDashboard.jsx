@@ -0,0 +1,238 @@
+import React from "react";
+import { Loader, Search, RefreshCcw } from "lucide-react";
+
+const intervalOptions = [
+  { value: "day", label: "By day" },
+  { value: "week", label: "By week" },
+  { value: "month", label: "By month" },
+];
+
+// How many units and reasons the ranked charts show
+const TOP_ENTRIES = 10;
+
+const formatMinutes = (minutes) =>
+  minutes === null || minutes === undefined
+    ? "—"
+    : `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+
+// Short label for a by_period entry: "6 Jan" for days and weeks, "Jan 2025" for months
+const formatPeriod = (period, interval) => {
+  const date = new Date(interval === "month" ? `${period}-01T00:00:00Z` : `${period}T00:00:00Z`);
+  return date.toLocaleDateString("en-GB", {
+    timeZone: "UTC",
+    ...(interval === "month" ? { month: "short", year: "numeric" } : { day: "numeric", month: "short" }),
+  });
+};
+
+/**
+ * Vertical bar chart for values along an axis (periods, hours of the day).
+ * Each bar shows its value on hover.
+ */
+function ColumnChart({ title, entries, labelEvery = 1 }) {
+  const max = Math.max(1, ...entries.map((entry) => entry.value));
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4">
+      <h2 className="text-lg font-semibold text-gray-800 mb-3">{title}</h2>
+      <div className="flex items-end gap-px h-48 border-b border-gray-300">
+        {entries.map((entry) => (
+          <div
+            key={entry.key}
+            className="flex-1 bg-indigo-500 hover:bg-indigo-700 rounded-t transition-colors"
+            style={{ height: `${(entry.value / max) * 100}%` }}
+            title={`${entry.label}: ${entry.value}`}
+          />
+        ))}
+      </div>
+      <div className="flex gap-px mt-1">
+        {entries.map((entry, index) => (
+          <div key={entry.key} className="flex-1 text-[10px] text-gray-500 text-center overflow-visible whitespace-nowrap">
+            {index % labelEvery === 0 ? entry.label : ""}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Horizontal bar chart for ranked categories (units, visitor types, reasons).
+ */
+function RankedChart({ title, entries }) {
+  const max = Math.max(1, ...entries.map((entry) => entry.visits));
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4">
+      <h2 className="text-lg font-semibold text-gray-800 mb-3">{title}</h2>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No visits in this range.</p>
+      ) : (
+        <ul className="space-y-2">
+          {entries.map((entry) => (
+            <li key={entry.label} className="text-sm">
+              <div className="flex justify-between text-gray-700">
+                <span className="truncate mr-2">{entry.label}</span>
+                <span className="whitespace-nowrap">
+                  {entry.visits} visits · {entry.dependents} dependents · avg{" "}
+                  {formatMinutes(entry.average_duration_minutes)}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded">
+                <div
+                  className="h-2 bg-green-600 rounded"
+                  style={{ width: `${(entry.visits / max) * 100}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Gives each ranked entry a display label, naming blanks and keeping the busiest
+const rank = (entries, key) =>
+  entries.slice(0, TOP_ENTRIES).map((entry) => ({ ...entry, label: entry[key] || "Not recorded" }));
+
+/**
+ * Stateless Statistics Dashboard
+ * The statistics, date range and handlers are passed via props from App;
+ * every figure is aggregated by the server (GET /api/stats).
+ */
+function StatisticsDashboard({
+  stats,
+  loading,
+  filters,
+  onFilterChange,
+  onApplyFilters,
+  onClearFilters,
+}) {
+  const summary = stats
+    ? [
+        { label: "Visits", value: stats.totals.visits },
+        { label: "Unique visitors", value: stats.totals.unique_visitors },
+        { label: "Dependents", value: stats.totals.dependents },
+        { label: "Average visit", value: formatMinutes(stats.totals.average_duration_minutes) },
+        { label: "Still on site", value: stats.totals.open_visits },
+      ]
+    : [];
+
+  return (
+    <div className="p-4 font-['Inter'] w-full">
+      <div className="mb-4 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Visit Statistics</h1>
+        {stats && (
+          <p className="text-sm text-gray-600">
+            {formatPeriod(stats.range.start_date, "day")} to {formatPeriod(stats.range.end_date, "day")}{" "}
+            ({stats.range.time_zone} time)
+          </p>
+        )}
+      </div>
+
+      {/* --- Date Range Picker --- */}
+      <div className="w-full flex flex-col md:flex-row gap-4 mb-6 p-4 bg-indigo-50 rounded-xl shadow-inner">
+        <div className="flex gap-4 w-full md:w-auto">
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => onFilterChange("startDate", e.target.value)}
+            className="w-full pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="Start Date"
+          />
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => onFilterChange("endDate", e.target.value)}
+            className="w-full pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="End Date"
+          />
+        </div>
+        <select
+          value={filters.interval}
+          onChange={(e) => onFilterChange("interval", e.target.value)}
+          className="px-3 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          aria-label="Group visits"
+        >
+          {intervalOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          <button
+            onClick={onApplyFilters}
+            disabled={loading}
+            className={`flex items-center justify-center px-4 py-2 font-semibold text-white bg-indigo-600 rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 ${
+              loading ? "opacity-70 cursor-not-allowed" : ""
+            }`}
+          >
+            {loading ? (
+              <Loader size={18} className="animate-spin mr-2" />
+            ) : (
+              <Search size={18} className="mr-2" />
+            )}
+            Show Statistics
+          </button>
+          <button
+            onClick={onClearFilters}
+            className="flex items-center justify-center px-4 py-2 font-semibold text-indigo-700 bg-white border border-indigo-200 rounded-lg shadow-md hover:bg-indigo-50 transition duration-150"
+          >
+            <RefreshCcw size={18} className="mr-2" />
+            Last 30 Days
+          </button>
+        </div>
+      </div>
+
+      {!stats ? (
+        <div className="px-6 py-12 text-center text-lg text-indigo-500">
+          {loading ? (
+            <>
+              <Loader size={24} className="animate-spin inline-block mr-2" /> Loading statistics...
+            </>
+          ) : (
+            "No statistics loaded."
+          )}
+        </div>
+      ) : (
+        <div className={`space-y-6 ${loading ? "opacity-60" : ""}`}>
+          {/* --- Summary --- */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {summary.map((item) => (
+              <div key={item.label} className="bg-white rounded-xl shadow-md p-4 text-center">
+                <div className="text-2xl font-bold text-indigo-700">{item.value}</div>
+                <div className="text-sm text-gray-600">{item.label}</div>
+              </div>
+            ))}
+          </div>
+
+          <ColumnChart
+            title="Visits over time"
+            entries={stats.by_period.map((entry) => ({
+              key: entry.period,
+              label: formatPeriod(entry.period, stats.range.interval),
+              value: entry.visits,
+            }))}
+            labelEvery={Math.ceil(stats.by_period.length / 12)}
+          />
+          <ColumnChart
+            title="Peak hours (sign-in time)"
+            entries={stats.by_hour.map((entry) => ({
+              key: entry.hour,
+              label: `${String(entry.hour).padStart(2, "0")}:00`,
+              value: entry.visits,
+            }))}
+            labelEvery={3}
+          />
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <RankedChart title="Busiest units" entries={rank(stats.by_unit, "unit")} />
+            <RankedChart title="Visitor types" entries={rank(stats.by_type, "type")} />
+          </div>
+          <RankedChart title="Top reasons for visiting" entries={rank(stats.by_reason, "reason")} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StatisticsDashboard;
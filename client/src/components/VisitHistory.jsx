@@ -7,6 +7,13 @@ import {
   ArrowUp,
   ArrowDown,
   WifiOff,
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  FileText,
+  FileSpreadsheet,
+  FileDown,
+  Printer,
 } from "lucide-react";
 
 /**
@@ -36,28 +43,32 @@ const formatDate = (isoString) => {
   return { date: datePart, time: timePart };
 };
 
-// --- Table Headers Configuration ---
+// --- Table Headers Configuration (sortable keys are sorted by the server) ---
 const columns = [
-  { key: "first_name", label: "Name", sortable: false },
-  { key: "known_as", label: "Known as", sortable: false },
-  { key: "entry_time", label: "Check In", sortable: false },
-  { key: "exit_time", label: "Check Out", sortable: false },
-  { key: "address", label: "Address", sortable: false },
-  { key: "phone_number", label: "Contact/Unit", sortable: false },
-  { key: "reason_for_visit", label: "Type/Reason", sortable: false },
+  { key: "first_name", label: "Name", sortable: true },
+  { key: "known_as", label: "Known as", sortable: true },
+  { key: "entry_time", label: "Check In", sortable: true },
+  { key: "exit_time", label: "Check Out", sortable: true },
+  { key: "address", label: "Address", sortable: true },
+  { key: "phone_number", label: "Contact/Unit", sortable: true },
+  { key: "reason_for_visit", label: "Type/Reason", sortable: true },
   { key: "dependents", label: "Dependents", sortable: false },
-  { key: "is_banned", label: "Status", sortable: false },
+  { key: "is_banned", label: "Status", sortable: true },
   {
     key: "mandatory_acknowledgment_taken",
     label: "H&S Confirmed",
-    sortable: false,
+    sortable: true,
   },
 ];
 
+const filterSelectClass =
+  "px-3 py-2 border border-indigo-200 rounded-lg bg-white text-sm focus:ring-indigo-500 focus:border-indigo-500";
+
 /**
  * Stateless History Dashboard Component
  * All data, filter values, and action handlers are passed via props.
- * The data passed as 'data' prop is assumed to be the final, sorted data.
+ * The data passed as 'data' prop is one page, already filtered and sorted by the server;
+ * 'pagination' says which page it is and how many records match in total.
  */
 function HistoryDashboard({
   data,
@@ -65,12 +76,19 @@ function HistoryDashboard({
   searchQuery,
   startDate,
   endDate,
+  filters,
+  pagination,
   sortConfig,
   onSearchChange,
   onStartDateChange,
   onEndDateChange,
+  onFilterChange,
+  onPageChange,
   onApplyFilters,
   onClearFilters,
+  onExport,
+  onVisitorReport,
+  onPrint,
   onRequestSort,
   statusMessage, // For connection status / fallback
   isOnline,
@@ -86,10 +104,6 @@ function HistoryDashboard({
     );
   };
 
-  const handleExport = () => {
-    window.print();
-  };
-
   const displayData = data;
   const reportDate = new Date().toLocaleDateString("en-US", {
     year: "numeric",
@@ -178,30 +192,98 @@ function HistoryDashboard({
                         <RefreshCcw size={18} className="mr-2" />           
             Reset          
           </button>
-          <button
-            onClick={handleExport}
-            className="flex items-center justify-center px-4 py-2 font-semibold text-white bg-green-600 rounded-lg shadow-md hover:bg-green-700 transition duration-150"
-          >
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              width="18"
-              height="18"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              className="mr-2"
-            >
-              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
-                            <polyline points="7 10 12 15 17 10" />
-                            <line x1="12" x2="12" y1="15" y2="3" />             
-            </svg>
-                        Export PDF          
-          </button>
+          {/* Export menu: files and the PDF report cover every matching visit, print covers this page */}
+          <details className="relative">
+            <summary className="flex items-center justify-center px-4 py-2 font-semibold text-white bg-green-600 rounded-lg shadow-md hover:bg-green-700 transition duration-150 cursor-pointer list-none">
+              <Download size={18} className="mr-2" />
+              Export
+              <ChevronDown size={16} className="ml-1" />
+            </summary>
+            <div className="absolute right-0 z-10 mt-2 w-44 bg-white border border-indigo-100 rounded-lg shadow-lg overflow-hidden">
+              <button
+                onClick={() => onExport("csv")}
+                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50"
+              >
+                <FileText size={16} className="mr-2" />
+                CSV
+              </button>
+              <button
+                onClick={() => onExport("xlsx")}
+                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50"
+              >
+                <FileSpreadsheet size={16} className="mr-2" />
+                Excel
+              </button>
+              <button
+                onClick={() => onExport("pdf")}
+                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50"
+              >
+                <FileDown size={16} className="mr-2" />
+                PDF report
+              </button>
+              <button
+                onClick={onPrint}
+                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50"
+              >
+                <Printer size={16} className="mr-2" />
+                Print
+              </button>
+            </div>
+          </details>
         </div>
       </div>
+      {/* --- More Filters --- */}
+      <div className="w-full flex flex-wrap gap-3 mb-6 -mt-3 px-4 print:hidden">
+        <select
+          value={filters.type}
+          onChange={(e) => onFilterChange("type", e.target.value)}
+          className={filterSelectClass}
+          aria-label="Visitor type"
+        >
+          <option value="">All types</option>
+          <option value="visitor">Guest</option>
+          <option value="contractor">Contractor</option>
+          <option value="professional">Professional</option>
+        </select>
+        <input
+          type="text"
+          placeholder="Unit/flat"
+          value={filters.unit}
+          onChange={(e) => onFilterChange("unit", e.target.value)}
+          className={`${filterSelectClass} w-28`}
+          aria-label="Unit"
+        />
+        <select
+          value={filters.isBanned}
+          onChange={(e) => onFilterChange("isBanned", e.target.value)}
+          className={filterSelectClass}
+          aria-label="Ban status"
+        >
+          <option value="">Banned or clear</option>
+          <option value="true">Banned</option>
+          <option value="false">Clear</option>
+        </select>
+        <select
+          value={filters.hsConfirmed}
+          onChange={(e) => onFilterChange("hsConfirmed", e.target.value)}
+          className={filterSelectClass}
+          aria-label="H&S confirmation"
+        >
+          <option value="">H&S any</option>
+          <option value="true">H&S completed</option>
+          <option value="false">H&S pending</option>
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => onFilterChange("status", e.target.value)}
+          className={filterSelectClass}
+          aria-label="Visit status"
+        >
+          <option value="">Open and closed visits</option>
+          <option value="open">Still checked in</option>
+          <option value="closed">Checked out</option>
+        </select>
+      </div>
             {/*         --- Data Table ---         */}     
       <div className="shadow-2xl rounded-xl w-full px-0">
         <table className=" table-auto divide-y divide-gray-200">
@@ -256,6 +338,14 @@ function HistoryDashboard({
                 >
                   <td className="px-4 py-4 text-sm font-medium text-gray-900 break-words max-w-min align-middle">
                                         {visit.first_name} {visit.last_name}   
+                    <button
+                      onClick={() => onVisitorReport(visit.visitor_id)}
+                      title="Download this visitor's history as a PDF"
+                      className="flex items-center mt-1 text-xs font-semibold text-indigo-600 hover:text-indigo-800 print:hidden"
+                    >
+                      <FileText size={12} className="mr-1" />
+                      PDF
+                    </button>
                   </td>
                   <td className="px-4 py-4 text-sm font-medium text-gray-900 max-w-[50px] align-middle">
                                         {visit.known_as || "--"}             
@@ -287,6 +377,11 @@ function HistoryDashboard({
                         {formatDate(visit.exit_time).time}                     
                       </div>
                     )}
+                    {visit.auto_closed && (
+                      <span className="px-2 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full bg-orange-100 text-orange-800">
+                        Auto signed out
+                      </span>
+                    )}
                   </td>
                   <td className="px-4 py-4 text-sm font-medium text-gray-900 max-w-[50px] align-middle">
                                         {visit.address || "--"}               
@@ -365,8 +460,27 @@ function HistoryDashboard({
           </tbody>
         </table>
       </div>
-      <footer className="mt-6 text-center text-sm text-gray-400">
-                Displaying {displayData.length} total records.
+      <footer className="mt-6 flex items-center justify-center gap-4 text-sm text-gray-400">
+        <button
+          onClick={() => onPageChange(pagination.page - 1)}
+          disabled={loading || pagination.page <= 1}
+          className="flex items-center px-3 py-1 rounded-lg border border-indigo-200 text-indigo-700 disabled:opacity-40 print:hidden"
+        >
+          <ChevronLeft size={16} /> Previous
+        </button>
+        <span>
+          Displaying {displayData.length} of {pagination.total} records
+          {pagination.total_pages > 1 &&
+            ` (page ${pagination.page} of ${pagination.total_pages})`}
+          .
+        </span>
+        <button
+          onClick={() => onPageChange(pagination.page + 1)}
+          disabled={loading || pagination.page >= pagination.total_pages}
+          className="flex items-center px-3 py-1 rounded-lg border border-indigo-200 text-indigo-700 disabled:opacity-40 print:hidden"
+        >
+          Next <ChevronRight size={16} />
+        </button>
       </footer>
     </div>
   );
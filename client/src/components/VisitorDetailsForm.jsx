@@ -1,4 +1,5 @@
 import React from "react";
+import { formatBanDate, describeBanEnd } from "../bans";
 
 const VisitorDetailsForm = ({
   selectedVisitor,
@@ -6,16 +7,32 @@ const VisitorDetailsForm = ({
   setEditFormData,
   handleLogin,
   handleUpdate,
+  household = [],
+  presentDependentIds = [],
+  handleToggleDependentPresent,
+  handleHouseholdMemberSave,
+  handleHouseholdMemberRemove,
   isAgreementCheckedAdult,
   setIsAgreementCheckedAdult,
   isAgreementCheckedChild,
   setIsAgreementCheckedChild,
   handleBan,
   handleUnbanClick,
+  handleSubjectAccessExport,
+  handleEraseClick,
+  handleMergeClick,
+  profileFormData,
+  handleProfileInputChange,
+  handleProfileSave,
+  profileDuplicates,
+  handlePhotoReplace,
+  photoHistory = [],
+  banHistory = [],
   message,
   messageType,
   handleCancelLogIn,
   handleRecordMissedVisitClick,
+  can,
 }) => {
   if (!selectedVisitor) return null;
  
@@ -30,10 +47,7 @@ const VisitorDetailsForm = ({
     const newDependents = (editFormData.additional_dependents || []).map(
       (dep, i) => {
         if (i === index) {
-          return {
-            ...dep,
-            [name]: name === "age" ? parseInt(value) || "" : value,
-          };
+          return { ...dep, [name]: value };
         }
         return dep;
       }
@@ -51,7 +65,7 @@ const VisitorDetailsForm = ({
       ...prev,
       additional_dependents: [
         ...(prev.additional_dependents || []),
-        { full_name: "", age: "" },
+        { full_name: "", date_of_birth: "" },
       ],
     }));
   };
@@ -67,20 +81,17 @@ const VisitorDetailsForm = ({
 
   const dependents = editFormData.additional_dependents || [];
 const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
-  const hasValidAge = (dep) => Number(dep.age) > 0;
+  const hasDateOfBirth = (dep) => Boolean(dep.date_of_birth);
 
+  // New dependents join the household, so they need a date of birth for their age
   const validDependents = dependents.filter(
-    (dep) => hasName(dep) && hasValidAge(dep)
+    (dep) => hasName(dep) && hasDateOfBirth(dep)
   );
-  const isDependentDataIncomplete = dependents.some((dep) => {
-    const namePresent = hasName(dep);
-    const agePresent = hasValidAge(dep);
-
-    if (namePresent && !agePresent) return true;
-    if (!namePresent && agePresent) return true; 
-    return false;
-  });
- const isBanned = selectedVisitor.is_banned === 1;
+  const isDependentDataIncomplete = dependents.some(
+    (dep) => hasName(dep) !== hasDateOfBirth(dep)
+  );
+  const dependentsComing = presentDependentIds.length + validDependents.length;
+ const isBanned = Boolean(selectedVisitor.is_banned);
   const isAgreementRequired = [
     "contractor",
     "visitor",
@@ -89,7 +100,7 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
   
   const isAdultNotAcknowledged = isAgreementRequired && !isAgreementCheckedAdult;
   const isChildAgreementRequired =
-    validDependents.length > 0 && editFormData.type === "visitor";
+    dependentsComing > 0 && editFormData.type === "visitor";
   const isChildNotAcknowledged =
     isChildAgreementRequired && !isAgreementCheckedChild;
   const shouldDisable = isBanned || isAdultNotAcknowledged || isChildNotAcknowledged || isDependentDataIncomplete;
@@ -106,7 +117,7 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
           <div className="flex flex-col items-center w-full mt-6">
             <div className="w-60 h-60 rounded-lg overflow-hidden bg-gray-200 flex items-center justify-center border-4 border-gray-300 shadow-inner">
               <img
-                src={selectedVisitor.photo_path || "placeholder"}
+                src={selectedVisitor.photo || selectedVisitor.photo_path || "placeholder"}
                 alt="Visitor Photo"
                 className="w-full h-full object-cover"
                 onError={(e) => {
@@ -119,11 +130,167 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
             <h3 className="text-2xl font-bold text-gray-800 mt-3">
               {selectedVisitor.first_name} {selectedVisitor.last_name}
             </h3>
+            {selectedVisitor.date_of_birth && (
+              <p className="text-sm text-gray-600">
+                Born{" "}
+                {new Date(`${selectedVisitor.date_of_birth}T00:00:00Z`).toLocaleDateString("en-GB", {
+                  timeZone: "UTC",
+                  day: "numeric",
+                  month: "short",
+                  year: "numeric",
+                })}
+              </p>
+            )}
             {isBanned && (
               <span className="mt-2 text-lg font-bold text-red-600 p-1 bg-red-100 rounded-md">
                 BANNED
               </span>
             )}
+            {isBanned && selectedVisitor.ban_reason && (
+              <div className="mt-3 w-full p-3 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg">
+                <p className="font-semibold">{selectedVisitor.ban_reason}</p>
+                <p className="mt-1 capitalize">
+                  {selectedVisitor.ban_severity} severity,{" "}
+                  {describeBanEnd(selectedVisitor.ban_end_date)}
+                </p>
+                <p className="mt-1 text-red-700">
+                  Banned by {selectedVisitor.banned_by_name || "unknown"} on{" "}
+                  {formatBanDate(selectedVisitor.ban_start_date)}
+                </p>
+              </div>
+            )}
+            {banHistory.length > 0 && (
+              <div className="mt-3 w-full">
+                <h4 className="text-sm font-semibold text-gray-700 mb-1">
+                  Ban history
+                </h4>
+                <ul className="space-y-1 text-xs text-gray-600">
+                  {banHistory.map((ban) => (
+                    <li key={ban.id} className="border-b border-gray-100 pb-1">
+                      <span className="font-medium capitalize">{ban.severity}</span>
+                      {" — "}
+                      {ban.reason} ({formatBanDate(ban.start_date)}
+                      {ban.lifted_at
+                        ? ` to ${formatBanDate(ban.lifted_at)}, lifted by ${ban.lifted_by_name || "unknown"}`
+                        : `, ${describeBanEnd(ban.end_date)}`}
+                      )
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {can("export_subject_data") && (
+              <button
+                type="button"
+                onClick={() => handleSubjectAccessExport(selectedVisitor.id)}
+                className="mt-4 px-4 py-2 text-sm font-semibold text-gray-700 bg-gray-100 border border-gray-300 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Export Visitor Data (GDPR)
+              </button>
+            )}
+            {can("edit_visitor_profile") && (
+              <details className="mt-4 w-full p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                <summary className="text-sm font-semibold text-gray-700 cursor-pointer">
+                  Edit Profile
+                </summary>
+                <div className="mt-3 space-y-2">
+                  <input
+                    type="text"
+                    name="first_name"
+                    value={profileFormData.first_name}
+                    onChange={handleProfileInputChange}
+                    placeholder="First name"
+                    aria-label="First name"
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500"
+                  />
+                  <input
+                    type="text"
+                    name="last_name"
+                    value={profileFormData.last_name}
+                    onChange={handleProfileInputChange}
+                    placeholder="Last name"
+                    aria-label="Last name"
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500"
+                  />
+                  <input
+                    type="date"
+                    name="date_of_birth"
+                    value={profileFormData.date_of_birth}
+                    onChange={handleProfileInputChange}
+                    max={new Date().toISOString().slice(0, 10)}
+                    aria-label="Date of birth"
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500"
+                  />
+                  {profileDuplicates && (
+                    <div className="p-2 text-xs text-yellow-900 bg-yellow-50 border border-yellow-200 rounded-lg">
+                      <p className="font-semibold mb-1">{profileDuplicates.message}</p>
+                      <ul className="list-disc list-inside">
+                        {profileDuplicates.possibleDuplicates.map((duplicate) => (
+                          <li key={duplicate.id}>
+                            {duplicate.first_name} {duplicate.last_name}
+                            {duplicate.date_of_birth && `, born ${duplicate.date_of_birth}`} ({duplicate.match_reasons.join(", ")})
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleProfileSave(Boolean(profileDuplicates?.canConfirm))}
+                    disabled={profileDuplicates && !profileDuplicates.canConfirm}
+                    className="w-full px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {profileDuplicates?.canConfirm ? "Save Anyway (Different Person)" : "Save Profile"}
+                  </button>
+                  <label className="block text-sm font-medium text-gray-700 pt-2">
+                    Replace photo
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,image/gif"
+                      onChange={(e) => {
+                        handlePhotoReplace(e.target.files[0]);
+                        e.target.value = "";
+                      }}
+                      className="block w-full mt-1 text-sm text-gray-600"
+                    />
+                  </label>
+                  {photoHistory.length > 0 && (
+                    <div>
+                      <h4 className="text-sm font-semibold text-gray-700 mb-1">Earlier photos</h4>
+                      <div className="flex flex-wrap gap-2">
+                        {photoHistory.map((photo) => (
+                          <img
+                            key={photo.id}
+                            src={photo.photo}
+                            alt="Earlier visitor photo"
+                            title={`Replaced ${new Date(photo.replaced_at).toLocaleDateString("en-GB")} by ${photo.replaced_by_name || "unknown"}`}
+                            className="w-16 h-16 object-cover rounded border border-gray-300"
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </details>
+            )}
+            {can("merge_visitors") && (
+              <button
+                type="button"
+                onClick={handleMergeClick}
+                className="mt-2 px-4 py-2 text-sm font-semibold text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-lg hover:bg-indigo-100 transition-colors"
+              >
+                Merge Duplicate Profile
+              </button>
+            )}
+            {can("erase_visitor") && (
+              <button
+                type="button"
+                onClick={handleEraseClick}
+                className="mt-2 px-4 py-2 text-sm font-semibold text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 transition-colors"
+              >
+                Erase Visitor (GDPR)
+              </button>
+            )}
           </div>
         </div>
 
@@ -233,10 +400,58 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
           {["visitor"].includes(editFormData.type) && (
             <div className="self-end">
               <label className="block text-sm font-medium text-gray-700">
-                Additional Dependents
+                Household - tick who is here today
               </label>
 
               <div className="md:col-span-2 space-y-3 pt-2">
+                {household.length === 0 && (
+                  <p className="text-sm text-gray-500">No dependents on record.</p>
+                )}
+                {household.map((member) => (
+                  <div
+                    key={member.id}
+                    className="flex flex-col sm:flex-row gap-3 items-center p-3 bg-blue-50 rounded-lg border border-blue-200"
+                  >
+                    <label className="flex flex-grow items-center space-x-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={presentDependentIds.includes(member.id)}
+                        onChange={() => handleToggleDependentPresent(member.id)}
+                        className="form-checkbox h-5 w-5 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                      />
+                      <span className="text-sm font-medium text-gray-800">
+                        {member.full_name}
+                        <span className="ml-2 text-gray-500">
+                          {member.age !== null
+                            ? `Age ${member.age}`
+                            : member.last_recorded_age != null
+                              ? `Age ${member.last_recorded_age} at last visit, no date of birth`
+                              : "No date of birth"}
+                        </span>
+                      </span>
+                    </label>
+                    {!member.date_of_birth && (
+                      <input
+                        type="date"
+                        max={new Date().toISOString().slice(0, 10)}
+                        aria-label={`${member.full_name}'s date of birth`}
+                        onBlur={(e) =>
+                          e.target.value &&
+                          handleHouseholdMemberSave(member.id, { date_of_birth: e.target.value })
+                        }
+                        className="w-full sm:w-44 p-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleHouseholdMemberRemove(member.id)}
+                      className="w-full sm:w-auto px-4 py-2 text-sm bg-gray-600 text-white font-semibold rounded-lg hover:bg-gray-700 transition-colors shadow-md"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+
                 {dependents.map((dependent, index) => (
                   <div
                     key={index}
@@ -251,13 +466,13 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
                       className="flex-grow p-2 border border-gray-300 rounded-lg text-sm"
                     />
                     <input
-                      type="number"
-                      min="1"
-                      name="age"
-                      placeholder="Age"
-                      value={dependent.age || ""}
+                      type="date"
+                      name="date_of_birth"
+                      value={dependent.date_of_birth || ""}
+                      max={new Date().toISOString().slice(0, 10)}
                       onChange={(e) => handleDependentEditChange(index, e)}
-                      className="w-full sm:w-20 p-2 border border-gray-300 rounded-lg text-sm"
+                      aria-label="Dependent's date of birth"
+                      className="w-full sm:w-44 p-2 border border-gray-300 rounded-lg text-sm"
                     />
                     <button
                       type="button"
@@ -274,7 +489,7 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
                   onClick={handleAddDependent}
                   className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800 transition-colors mt-2 p-1 rounded-md hover:bg-blue-50"
                 >
-                  + Add Dependent
+                  + Add New Dependent
                 </button>
               </div>
             </div>
@@ -343,17 +558,19 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
       )}
       {/* Action Buttons */}
       <div className="flex flex-wrap justify-center gap-4 pt-8 border-t mt-8">
-        <button
-          onClick={handleRecordMissedVisitClick}
-          className={`px-8 py-3 font-bold rounded-lg transition-all shadow-xl ${
-            shouldDisable
-              ? "bg-gray-400 text-gray-700 cursor-not-allowed"
-              : "bg-yellow-700 -600 text-white hover:bg-yellow-900 -700"
-          }`}
-          disabled={shouldDisable}
-        >
-          Correct Missed Entry
-        </button>
+        {can("record_missed_visit") && (
+          <button
+            onClick={handleRecordMissedVisitClick}
+            className={`px-8 py-3 font-bold rounded-lg transition-all shadow-xl ${
+              shouldDisable
+                ? "bg-gray-400 text-gray-700 cursor-not-allowed"
+                : "bg-yellow-700 -600 text-white hover:bg-yellow-900 -700"
+            }`}
+            disabled={shouldDisable}
+          >
+            Correct Missed Entry
+          </button>
+        )}
         <button
           onClick={() => handleLogin(selectedVisitor.id)}
           className={`px-8 py-3 font-bold rounded-lg transition-all shadow-xl ${
@@ -366,20 +583,22 @@ const hasName = (dep) => dep.full_name && dep.full_name.trim() !== "";
           Sign In
         </button>
 
-        <button
-          onClick={
-            isBanned
-              ? () => handleUnbanClick(selectedVisitor.id)
-              : () => handleBan(selectedVisitor.id)
-          }
-          className={`px-8 py-3 font-bold rounded-lg transition-all shadow-xl ${
-            isBanned
-              ? "bg-green-600 text-white hover:bg-green-700"
-              : "bg-red-600 text-white hover:bg-red-700"
-          }`}
-        >
-          {isBanned ? "Unban" : "Ban"}
-        </button>
+        {can(isBanned ? "unban_visitor" : "ban_visitor") && (
+          <button
+            onClick={
+              isBanned
+                ? () => handleUnbanClick(selectedVisitor.id)
+                : () => handleBan(selectedVisitor.id)
+            }
+            className={`px-8 py-3 font-bold rounded-lg transition-all shadow-xl ${
+              isBanned
+                ? "bg-green-600 text-white hover:bg-green-700"
+                : "bg-red-600 text-white hover:bg-red-700"
+            }`}
+          >
+            {isBanned ? "Unban" : "Ban"}
+          </button>
+        )}
 
         <button
           onClick={handleUpdate}
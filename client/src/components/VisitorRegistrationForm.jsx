@@ -8,6 +8,15 @@ const videoConstraints = {
   facingMode: "user", // or "environment" for the rear camera
 };
 
+// "3 Feb 1980"; dates of birth are plain YYYY-MM-DD days
+const formatDay = (day) =>
+  new Date(`${day.slice(0, 10)}T00:00:00Z`).toLocaleDateString("en-GB", {
+    timeZone: "UTC",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
 const VisitorRegistrationForm = ({
   message,
   messageType,
@@ -24,6 +33,9 @@ const VisitorRegistrationForm = ({
   isAgreementCheckedChild,
   setIsAgreementCheckedChild,
   handleSubmit,
+  possibleDuplicates,
+  onUseExistingVisitor,
+  onConfirmNewVisitor,
   loadingRegistration,
   handleCancelRegistration,
 }) => {
@@ -138,6 +150,20 @@ const VisitorRegistrationForm = ({
               required
             />
           </div>
+          {/* Date of Birth */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Date of Birth
+            </label>
+            <input
+              type="date"
+              name="dateOfBirth"
+              value={formData.dateOfBirth}
+              max={new Date().toISOString().slice(0, 10)}
+              onChange={handleInputChange}
+              className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow"
+            />
+          </div>
           {/* Know by other names*/}
           {["visitor"].includes(formData.visitorType) && (
             <div>
@@ -367,14 +393,14 @@ const VisitorRegistrationForm = ({
                       className="flex-grow p-2 border border-gray-300 rounded-lg text-sm"
                     />
                     <input
-                      type="number"
-                      name="age"
-                      min="0"
-                      placeholder="Age"
+                      type="date"
+                      name="date_of_birth"
                       required
-                      value={dependent.age}
+                      value={dependent.date_of_birth}
+                      max={new Date().toISOString().slice(0, 10)}
                       onChange={(e) => handleDependentChange(index, e)}
-                      className="w-full sm:w-20 p-2 border border-gray-300 rounded-lg text-sm"
+                      aria-label="Dependent's date of birth"
+                      className="w-full sm:w-44 p-2 border border-gray-300 rounded-lg text-sm"
                     />
                     <button
                       type="button"
@@ -409,6 +435,69 @@ const VisitorRegistrationForm = ({
             {message}
           </div>
         )}
+        {/* Possible duplicates: existing visitors with a similar name, the same phone number or known-as name */}
+        {possibleDuplicates && (
+          <div className="p-4 bg-yellow-50 border border-yellow-300 rounded-lg space-y-3">
+            <h4 className="text-lg font-semibold text-yellow-800">
+              {formData.firstName} {formData.lastName} may already be registered
+            </h4>
+            <p className="text-sm text-yellow-800">
+              {possibleDuplicates.canConfirm
+                ? "These visitors look like the person you are registering. Check the photo, date of birth and last visit, and use the existing record if it is the same person."
+                : "A visitor with this name and date of birth is already registered. Please use their existing record."}
+            </p>
+            <ul className="space-y-2">
+              {possibleDuplicates.visitors.map((visitor) => (
+                <li
+                  key={visitor.id}
+                  className="flex items-center gap-3 p-2 bg-white rounded-lg border border-yellow-200"
+                >
+                  <div className="w-14 h-14 rounded-lg overflow-hidden bg-gray-200 flex items-center justify-center flex-shrink-0">
+                    {visitor.photo ? (
+                      <img src={visitor.photo} alt={`${visitor.first_name} ${visitor.last_name}`} className="w-full h-full object-cover" />
+                    ) : (
+                      <PersonIcon className="w-8 h-8 text-gray-500" />
+                    )}
+                  </div>
+                  <div className="flex-grow text-sm text-gray-700">
+                    <div className="font-semibold text-gray-900">
+                      {visitor.first_name} {visitor.last_name}
+                      {visitor.known_as ? <span className="font-normal text-gray-600"> (known as {visitor.known_as})</span> : null}
+                      {visitor.is_banned ? <span className="ml-2 text-red-600">(Banned)</span> : null}
+                    </div>
+                    {visitor.match_reasons?.length > 0 && (
+                      <div className="text-yellow-800">
+                        {visitor.match_reasons.join(", ")} · {visitor.match_score}% match
+                      </div>
+                    )}
+                    <div>Born: {visitor.date_of_birth ? formatDay(visitor.date_of_birth) : "Not recorded"}</div>
+                    <div>
+                      Phone: {visitor.phone_number || "—"} · Unit: {visitor.unit || "—"} · Last visit:{" "}
+                      {visitor.last_visit_time ? formatDay(visitor.last_visit_time) : "—"}
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => onUseExistingVisitor(visitor)}
+                    className="px-3 py-2 text-sm font-semibold bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                  >
+                    Use this visitor
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {possibleDuplicates.canConfirm && (
+              <button
+                type="button"
+                onClick={onConfirmNewVisitor}
+                disabled={loadingRegistration || !isAgreementCheckedAdult}
+                className="px-4 py-2 text-sm font-semibold bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition-colors disabled:opacity-60"
+              >
+                Register as a new person
+              </button>
+            )}
+          </div>
+        )}
         {["visitor"].includes(formData.visitorType) &&
           dependents.length > 0 && (
             <div className="mt-6">
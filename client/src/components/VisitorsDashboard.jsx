@@ -1,5 +1,6 @@
 import React from 'react';
 import { SearchIcon, PersonIcon } from './IconComponents';
+import { describeBanEnd } from '../bans';
 
 // Function to format time for display
 const formatTime = (timeString) => {
@@ -12,6 +13,15 @@ const formatTime = (timeString) => {
     hour12: true 
   });
 };
+// Dates of birth are plain YYYY-MM-DD days, so they are shown without a time zone shift
+const formatDateOfBirth = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString('en-GB', {
+    timeZone: 'UTC',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+
 // Helper function to parse the aggregated JSON string and format dependents
 const formatDependents = (dependentsString) => {
   if (!dependentsString) return 'None'; 
@@ -40,7 +50,7 @@ const formatDependents = (dependentsString) => {
 const VisitorsDashboard = ({
   searchTerm, loadingDashboard,
   searchResults, handleVisitorSelect, loadingInSite, errorInSite,
-  visitors, handleExit, message, messageType, handleSearchInput
+  visitors, liveUpdates, handleExit, message, messageType, handleSearchInput
 }) => {
 
   const isError = messageType === 'error' && message;
@@ -91,17 +101,37 @@ const VisitorsDashboard = ({
                 <div 
                   key={visitor.id} 
                   className={`flex justify-between items-center p-4 rounded-lg cursor-pointer transition-all ${
-                    visitor.is_banned === 1 
+                    visitor.is_banned
                       ? 'bg-red-50 hover:bg-red-100 border border-red-300'
                       : 'bg-green-50 hover:bg-green-100 border border-green-300'
                   }`}
                   onClick={() => handleVisitorSelect(visitor)}
                 >
                   <div className="flex items-center space-x-3">
-                    <PersonIcon className="h-6 w-6 text-blue-500" />
+                    {visitor.photo ? (
+                      <img
+                        src={visitor.photo}
+                        alt={`${visitor.first_name} ${visitor.last_name}`}
+                        className="h-12 w-12 rounded-full object-cover border border-gray-300"
+                      />
+                    ) : (
+                      <PersonIcon className="h-6 w-6 text-blue-500" />
+                    )}
                     <span className="font-medium text-gray-700">
                       {visitor.first_name} {visitor.last_name}
-                      {visitor.is_banned === 1 && <span className="ml-2 text-sm font-bold text-red-600">(BANNED)</span>}
+                      {!!visitor.is_banned && <span className="ml-2 text-sm font-bold text-red-600">(BANNED)</span>}
+                      {!!visitor.is_banned && visitor.ban_reason && (
+                        <span className="block text-sm text-red-700">
+                          {visitor.ban_reason} — {describeBanEnd(visitor.ban_end_date)}
+                        </span>
+                      )}
+                      {/* Enough detail to tell visitors with the same name apart */}
+                      <span className="block text-sm font-normal text-gray-500">
+                        Born {visitor.date_of_birth ? formatDateOfBirth(visitor.date_of_birth) : 'N/A'}
+                        {' · '}Phone {visitor.phone_number || 'N/A'}
+                        {' · '}Unit {visitor.unit || 'N/A'}
+                        {' · '}Last visit {formatTime(visitor.last_visit_time)}
+                      </span>
                     </span>
                   </div>
                   <button className="text-sm font-semibold text-blue-600 hover:text-blue-800 transition-colors">
@@ -118,7 +148,10 @@ const VisitorsDashboard = ({
 
       {/* Who is On Site Table */}
       <div className="bg-white p-6 md:p-8 rounded-xl shadow-2xl transition-all border border-blue-100">
-        <h2 className="text-2xl font-bold text-blue-700 mb-4 text-center">Who is On Site?</h2>
+        <h2 className="text-2xl font-bold text-blue-700 mb-1 text-center">Who is On Site?</h2>
+        <p className={`text-xs text-center mb-4 ${liveUpdates ? 'text-green-600' : 'text-gray-500'}`}>
+          {liveUpdates ? '● Live' : 'Refreshing every 5 seconds'}
+        </p>
         
         {loadingInSite && (
           <div className="text-center py-4 text-blue-500 font-semibold">Loading active visitors...</div>
@@ -0,0 +1,67 @@
+// Live on-site list: subscribes to the server's Server-Sent Events (server/routes/visitor_events.js).
+import { API_BASE_URL, getStaffSession } from "./api";
+
+export const VISITOR_EVENT_TYPES = [
+  "visitor_registered",
+  "visitor_signed_in",
+  "visitor_updated",
+  "visitor_signed_out",
+  "visitor_banned",
+];
+
+/**
+ * Applies one pushed event to the "Who is On Site?" list, newest sign-in first.
+ * @param {Array<Object>} visitors - The current on-site list.
+ * @param {Object} event - The event data sent by the server.
+ * @returns {Array<Object>} The updated list.
+ */
+export const applyVisitorEvent = (visitors, event) => {
+  switch (event.type) {
+    case "visitor_registered":
+    case "visitor_signed_in":
+      return [
+        event.visitor,
+        ...visitors.filter((visitor) => visitor.id !== event.visitor.id),
+      ];
+    // A corrected name or photo keeps the visitor's place in the list
+    case "visitor_updated":
+      return visitors.map((visitor) =>
+        visitor.id === event.visitor.id ? event.visitor : visitor
+      );
+    case "visitor_signed_out":
+    case "visitor_banned":
+      return visitors.filter((visitor) => visitor.id !== event.visitorId);
+    default:
+      return visitors;
+  }
+};
+
+/**
+ * Opens the event stream. EventSource reconnects by itself after a drop;
+ * onStatusChange(false) lets the caller poll in the meantime.
+ * @param {{onEvent: Function, onStatusChange: Function}} handlers
+ * @returns {Function} Closes the stream.
+ */
+export const openVisitorEventStream = ({ onEvent, onStatusChange }) => {
+  const token = getStaffSession()?.token;
+  // EventSource cannot send an Authorization header, so the token goes in the query string
+  const source = new EventSource(
+    `${API_BASE_URL}/api/events/visitors?access_token=${encodeURIComponent(
+      token || ""
+    )}`
+  );
+
+  source.onopen = () => onStatusChange(true);
+  source.onerror = () => onStatusChange(false);
+  VISITOR_EVENT_TYPES.forEach((type) =>
+    source.addEventListener(type, (message) => {
+      try {
+        onEvent(JSON.parse(message.data));
+      } catch (err) {
+        console.error("Failed to read visitor event:", err.message);
+      }
+    })
+  );
+
+  return () => source.close();
+};
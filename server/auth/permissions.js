@@ -0,0 +1,79 @@
+/**
+ * Staff roles and the actions each one may perform.
+ * Routes enforce these with requirePermission(); the client receives the
+ * signed-in staff member's permission list to decide which buttons to show.
+ */
+const ROLES = ["reception", "supervisor", "admin"];
+
+const PERMISSIONS = {
+  ban_visitor: ["supervisor", "admin"],
+  unban_visitor: ["supervisor", "admin"],
+  view_history: ["supervisor", "admin"],
+  view_stats: ["supervisor", "admin"],
+  export_subject_data: ["supervisor", "admin"],
+  // Correcting a visitor's name, date of birth or photo after registration
+  edit_visitor_profile: ["supervisor", "admin"],
+  erase_visitor: ["supervisor", "admin"],
+  // Erasing a visitor who is banned or on site
+  force_erase_visitor: ["admin"],
+  merge_visitors: ["admin"],
+  record_missed_visit: ["supervisor", "admin"],
+  review_auto_sign_out: ["supervisor", "admin"],
+  // Any staff member on shift may act as a fire marshal
+  run_roll_call: ["reception", "supervisor", "admin"],
+  run_retention_cleanup: ["admin"],
+  manage_retention: ["admin"],
+  manage_staff: ["admin"],
+  view_audit_logs: ["admin"],
+};
+
+/**
+ * Checks whether a role is granted a permission.
+ * @param {string} role - One of ROLES.
+ * @param {string} permission - A key of PERMISSIONS.
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Lists every permission granted to a role.
+ * @param {string} role - One of ROLES.
+ * @returns {string[]}
+ */
+function permissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter((permission) =>
+    hasPermission(role, permission)
+  );
+}
+
+/**
+ * Express middleware factory that rejects staff whose role lacks `permission`.
+ * Must run after requireStaffAuth, which sets req.staff.
+ * @param {string} permission - A key of PERMISSIONS.
+ */
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission "${permission}".`);
+  }
+
+  return (req, res, next) => {
+    const role = req.staff && req.staff.role;
+    if (!hasPermission(role, permission)) {
+      return res.status(403).json({
+        message: "Your role does not allow this action.",
+        permission,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  permissionsForRole,
+  requirePermission,
+};
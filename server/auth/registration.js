@@ -2,10 +2,28 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
+const { publishOnSiteVisitor, parseDateOfBirth } = require("../routes/visitors");
+const { findPossibleDuplicates, isSamePerson } = require("../visitorMatching");
+const { parseNewDependents, recordVisitDependents } = require("../routes/household");
+
+/**
+ * Deletes the photo uploaded with a registration that did not go through.
+ * @param {express.Request} req - The registration request.
+ */
+function removeUploadedPhoto(req) {
+  if (req.file && req.file.path) {
+    try {
+      fs.unlinkSync(req.file.path);
+      console.log(`Cleaned up uploaded file: ${req.file.path}`);
+    } catch (cleanupError) {
+      console.error("Failed to clean up uploaded file:", cleanupError.message);
+    }
+  }
+}
 
 /**
  * Creates and configures a router for handling new visitor registrations.
- * @param {object} dbService - The Azure SQL database service instance (with executeQuery and sqlTypes).
+ * @param {object} dbService - The database service instance (with executeQuery, transaction and sqlTypes).
  * @param {object} upload - The Multer instance for file uploads.
  * @returns {express.Router} - An Express router with the registration endpoint.
  */
@@ -20,6 +38,7 @@ function createRegistrationRouter(dbService, upload) {
     const {
       first_name,
       last_name,
+      date_of_birth,
       known_as,
       address,
       phone_number,
@@ -29,154 +48,122 @@ function createRegistrationRouter(dbService, upload) {
       company_name,
       mandatory_acknowledgment_taken,
       additional_dependents,
+      confirm_new_visitor,
     } = req.body;
 
     const photo_path = req.file
       ? `uploads/${path.basename(req.file.path)}`
       : null;
 
-    let transaction; // Initialize transaction variable
+    const dateOfBirth = parseDateOfBirth(date_of_birth);
+    if (dateOfBirth.error) {
+      removeUploadedPhoto(req);
+      return res.status(400).json({ message: dateOfBirth.error });
+    }
+    // The dependents start the visitor's household and are recorded on the first visit
+    const newDependents = parseNewDependents(additional_dependents);
+    if (newDependents.error) {
+      removeUploadedPhoto(req);
+      return res.status(400).json({ message: newDependents.error });
+    }
 
     try {
-      // --- 1. CHECK FOR DUPLICATE VISITOR (SELECT) ---
-      const checkSql = `SELECT id FROM visitors WHERE first_name = @first_name AND last_name = @last_name`;
-      const checkParams = [
-        { name: "first_name", type: sql.NVarChar(255), value: first_name },
-        { name: "last_name", type: sql.NVarChar(255), value: last_name },
-      ];
-
-      const existingVisitor = await dbService.executeQuery(
-        checkSql,
-        checkParams
-      );
-
-      // If a row is found, it means the visitor already exists.
-      if (existingVisitor.length > 0) {
-        const message = `A visitor named ${first_name} ${last_name} already exists. Please use the search bar to log them in.`;
-        return res.status(409).json({ message });
+      // --- 1. CHECK FOR POSSIBLE DUPLICATES (SELECT) ---
+      // Similar names, the same phone number or known-as name are only a warning
+      // that staff can confirm past. The same name and date of birth is the same person.
+      const matchInput = { first_name, last_name, known_as, phone_number, date_of_birth: dateOfBirth.value };
+      const possibleDuplicates = await findPossibleDuplicates(dbService, `${req.protocol}://${req.get("host")}`, matchInput);
+      if (possibleDuplicates.length > 0) {
+        const sameBirthday = possibleDuplicates.some((visitor) => isSamePerson(matchInput, visitor));
+        if (sameBirthday || !(confirm_new_visitor === "true" || confirm_new_visitor === true)) {
+          removeUploadedPhoto(req);
+          return res.status(409).json({
+            message: sameBirthday
+              ? `${first_name} ${last_name} born ${dateOfBirth.value} is already registered. Please use the search bar to log them in.`
+              : `${first_name} ${last_name} may already be registered. Check the possible matches before registering someone new.`,
+            possibleDuplicates,
+            canConfirm: !sameBirthday,
+          });
+        }
       }
 
-      // --- 2. START TRANSACTION (CRITICAL FOR DATA INTEGRITY) ---
-      // Note: We get the pool from the dbService and start a transaction manually
-      const pool = await dbService.connectDb();
-      transaction = new sql.Transaction(pool);
-      await transaction.begin();
-
-      // Create a request object tied to this specific transaction
-      const request = new sql.Request(transaction);
-
-      let visitorId;
-      let visitId;
-
-      // --- 3. INSERT INTO visitors TABLE ---
-      const visitorSql = `
-                INSERT INTO visitors (first_name, last_name, photo_path) 
-                VALUES (@first_name, @last_name, @photo_path);
-                SELECT @visitorId = SCOPE_IDENTITY();
-            `;
-
-      // Define parameters for the visitors table
-      request.input("first_name", sql.NVarChar(255), first_name);
-      request.input("last_name", sql.NVarChar(255), last_name);
-      request.input("photo_path", sql.NVarChar(500), photo_path);
-
-      // Define an output parameter to capture the ID
-      request.output("visitorId", sql.Int);
-
-      const visitorResult = await request.query(visitorSql);
-      visitorId = visitorResult.output.visitorId;
-
-      // Check if insertion failed (shouldn't happen with SCOPE_IDENTITY, but for safety)
-      if (!visitorId) {
-        throw new Error("Failed to retrieve new visitor ID.");
-      }
+      // --- 2. INSERT THE VISITOR, THEIR FIRST VISIT AND HOUSEHOLD IN ONE TRANSACTION ---
+      const { visitorId, visitId } = await dbService.transaction(async (tx) => {
+        // --- 3. INSERT INTO visitors TABLE ---
+        const [visitor] = await tx.executeQuery(
+          `
+                INSERT INTO visitors (first_name, last_name, date_of_birth, photo_path) 
+                OUTPUT INSERTED.id
+                VALUES (@first_name, @last_name, @date_of_birth, @photo_path);
+            `,
+          [
+            { name: "first_name", type: sql.NVarChar(255), value: first_name },
+            { name: "last_name", type: sql.NVarChar(255), value: last_name },
+            { name: "date_of_birth", type: sql.Date, value: dateOfBirth.value },
+            { name: "photo_path", type: sql.NVarChar(500), value: photo_path },
+          ]
+        );
+
+        // Check if insertion failed (shouldn't happen with OUTPUT, but for safety)
+        if (!visitor || !visitor.id) {
+          throw new Error("Failed to retrieve new visitor ID.");
+        }
 
-      // --- 4. INSERT INTO visits TABLE ---
-      const visitsSql = `
+        // --- 4. INSERT INTO visits TABLE ---
+        const entry_time = new Date().toISOString(); // Use JS ISO string format for DATETIMEOFFSET
+        const [visit] = await tx.executeQuery(
+          `
                 INSERT INTO visits (
                     visitor_id, entry_time, known_as, address, phone_number, unit, reason_for_visit, type, company_name, mandatory_acknowledgment_taken
-                ) VALUES (
+                )
+                OUTPUT INSERTED.id
+                VALUES (
                     @visitor_id, @entry_time, @known_as, @address, @phone_number, @unit, @reason_for_visit, @type, @company_name, @mandatory_acknowledgment_taken
                 );
-                SELECT @visitId = SCOPE_IDENTITY();
-            `;
-
-      // Reset the request inputs and outputs for the visits query
-      const visitRequest = new sql.Request(transaction);
-
-      const entry_time = new Date().toISOString(); // Use JS ISO string format for DATETIMEOFFSET
-
-      visitRequest.input("visitor_id", sql.Int, visitorId);
-      visitRequest.input("entry_time", sql.DateTimeOffset, entry_time);
-      visitRequest.input("known_as", sql.NVarChar(255), known_as);
-      visitRequest.input("address", sql.NVarChar(500), address);
-      visitRequest.input("phone_number", sql.NVarChar(50), phone_number);
-      visitRequest.input("unit", sql.NVarChar(50), unit);
-      visitRequest.input(
-        "reason_for_visit",
-        sql.NVarChar(500),
-        reason_for_visit
-      );
-      visitRequest.input("type", sql.NVarChar(50), type);
-      visitRequest.input("company_name", sql.NVarChar(255), company_name);
-      visitRequest.input(
-        "mandatory_acknowledgment_taken",
-        sql.Bit,
-        mandatory_acknowledgment_taken === "true" ||
-          mandatory_acknowledgment_taken === true
-          ? 1
-          : 0
-      );
-
-      visitRequest.output("visitId", sql.Int);
-
-      const visitResult = await visitRequest.query(visitsSql);
-      visitId = visitResult.output.visitId;
-
-      if (!visitId) {
-        throw new Error("Failed to retrieve new visit ID.");
-      }
-
-      // --- 5. INSERT DEPENDENTS (IF ANY) ---
-      if (additional_dependents) {
-        let dependentsArray = [];
-        try {
-          dependentsArray = JSON.parse(additional_dependents);
-        } catch (parseError) {
-          throw new Error("Invalid dependents JSON format."); // Rollback handled below
+            `,
+          [
+            { name: "visitor_id", type: sql.Int, value: visitor.id },
+            { name: "entry_time", type: sql.DateTimeOffset, value: entry_time },
+            { name: "known_as", type: sql.NVarChar(255), value: known_as },
+            { name: "address", type: sql.NVarChar(500), value: address },
+            { name: "phone_number", type: sql.NVarChar(50), value: phone_number },
+            { name: "unit", type: sql.NVarChar(50), value: unit },
+            { name: "reason_for_visit", type: sql.NVarChar(500), value: reason_for_visit },
+            { name: "type", type: sql.NVarChar(50), value: type },
+            { name: "company_name", type: sql.NVarChar(255), value: company_name },
+            {
+              name: "mandatory_acknowledgment_taken",
+              type: sql.Bit,
+              value: mandatory_acknowledgment_taken === "true" || mandatory_acknowledgment_taken === true ? 1 : 0,
+            },
+          ]
+        );
+
+        if (!visit || !visit.id) {
+          throw new Error("Failed to retrieve new visit ID.");
         }
 
-        if (dependentsArray.length > 0) {
-          // Create a separate request for batch dependent insertion
-          const dependentRequest = new sql.Request(transaction);
-
-          const dependentSql = `
-                        INSERT INTO dependents (full_name, age, visit_id) 
-                        VALUES (@full_name, @age, @visit_id)
-                    `;
-
-          for (const dependent of dependentsArray) {
-            // We must re-define the request parameters for each dependent,
-            // as mssql reuses the request object for different queries in a transaction
-            dependentRequest.input(
-              "full_name",
-              sql.NVarChar(255),
-              dependent.full_name
-            );
-            dependentRequest.input("age", sql.Int, dependent.age);
-            dependentRequest.input("visit_id", sql.Int, visitId);
-
-            // Execute the single dependent insert
-            await dependentRequest.query(dependentSql);
-
-            // Clear inputs for the next iteration to prevent using wrong values
-            dependentRequest.inputs = [];
-          }
-        }
-      }
+        // --- 5. ADD THE HOUSEHOLD AND INSERT DEPENDENTS (IF ANY) ---
+        await recordVisitDependents(tx.executeQuery, visitor.id, visit.id, {
+          newDependents: newDependents.dependents,
+        });
 
-      // --- 6. COMMIT TRANSACTION ---
-      await transaction.commit();
+        // --- 6. COMMIT (dbService.transaction commits when this resolves) ---
+        return { visitorId: visitor.id, visitId: visit.id };
+      });
+
+      await dbService.logAudit({
+        eventName: "Visitor Registered",
+        status: "Success",
+        action: "register_visitor",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visitorId,
+        targetVisitId: visitId,
+        before: null,
+        after: { first_name, last_name, date_of_birth: dateOfBirth.value, known_as, unit, type, photo_path },
+      });
+      await publishOnSiteVisitor(dbService, req, "visitor_registered", visitorId);
 
       res.status(201).json({
         message: "Visitor registered successfully!",
@@ -186,29 +173,10 @@ function createRegistrationRouter(dbService, upload) {
     } catch (error) {
       console.error("Registration Transaction Failed:", error.message);
 
-      // --- 7. ROLLBACK ON ANY FAILURE ---
-      if (transaction) {
-        try {
-          await transaction.rollback();
-          console.log("Transaction successfully rolled back.");
-        } catch (rollbackError) {
-          console.error("Rollback failed:", rollbackError.message);
-        }
-      }
+      // --- 7. dbService.transaction has rolled back any failure ---
 
       // Clean up uploaded file if registration failed
-      if (req.file && req.file.path) {
-        try {
-          // Assuming fs module is available from your server.js context
-          fs.unlinkSync(req.file.path);
-          console.log(`Cleaned up uploaded file: ${req.file.path}`);
-        } catch (cleanupError) {
-          console.error(
-            "Failed to clean up uploaded file:",
-            cleanupError.message
-          );
-        }
-      }
+      removeUploadedPhoto(req);
 
       return res.status(500).json({
         error:
@@ -234,3 +202,4 @@ function createRegistrationRouter(dbService, upload) {
 }
 
 module.exports = createRegistrationRouter;
+module.exports.removeUploadedPhoto = removeUploadedPhoto;
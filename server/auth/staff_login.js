@@ -0,0 +1,123 @@
+const express = require("express");
+const sql = require("mssql");
+const {
+  hashPassword,
+  verifyPassword,
+  signStaffToken,
+  requireStaffAuth,
+} = require("./staff_session");
+const { permissionsForRole } = require("./permissions");
+
+/**
+ * Creates and configures a router for staff sign-in.
+ * These are the only /api endpoints reachable without a staff token.
+ *
+ * @param {object} dbService - The database service wrapper (e.g., with executeQuery).
+ * @returns {express.Router} - An Express router with the staff sign-in endpoints.
+ */
+function createStaffLoginRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint for a staff member to sign in and receive a token
+  router.post("/auth/login", async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ message: "Username and password are required." });
+    }
+
+    try {
+      const findStaffSql = `
+        SELECT id, username, display_name, role, password_hash, is_active
+        FROM staff_users
+        WHERE username = @username
+      `;
+      const rows = await dbService.executeQuery(findStaffSql, [
+        { name: "username", type: sql.NVarChar(100), value: username.trim().toLowerCase() },
+      ]);
+      const staff = rows[0];
+
+      // Same message for unknown users, disabled accounts and wrong passwords
+      if (!staff || !staff.is_active || !(await verifyPassword(password, staff.password_hash))) {
+        return res.status(401).json({ message: "Invalid username or password." });
+      }
+
+      await dbService.executeQuery(
+        `UPDATE staff_users SET last_login_at = GETUTCDATE() WHERE id = @id`,
+        [{ name: "id", type: sql.Int, value: staff.id }]
+      );
+
+      res.status(200).json({
+        message: `Welcome, ${staff.display_name}.`,
+        token: signStaffToken(staff),
+        staff: {
+          id: staff.id,
+          username: staff.username,
+          display_name: staff.display_name,
+          role: staff.role,
+          permissions: permissionsForRole(staff.role),
+        },
+      });
+    } catch (err) {
+      console.error("Database Error in POST /auth/login:", err.message);
+      res.status(500).json({ message: "Sign-in failed due to a server error." });
+    }
+  });
+
+  // Endpoint to check a stored token and return the signed-in staff member
+  router.get("/auth/me", requireStaffAuth(dbService), (req, res) => {
+    res.status(200).json({
+      staff: {
+        id: req.staff.id,
+        username: req.staff.username,
+        display_name: req.staff.displayName,
+        role: req.staff.role,
+        permissions: permissionsForRole(req.staff.role),
+      },
+    });
+  });
+
+  return router;
+}
+
+/**
+ * Creates the first (admin) staff account from STAFF_ADMIN_USERNAME / STAFF_ADMIN_PASSWORD
+ * when the staff_users table is empty, so a fresh install can be signed into.
+ *
+ * @param {object} dbService - The database service wrapper (e.g., with executeQuery).
+ */
+async function bootstrapStaffAccount(dbService) {
+  try {
+    const rows = await dbService.executeQuery(
+      `SELECT COUNT(*) AS staffCount FROM staff_users`
+    );
+    if (rows[0].staffCount > 0) return;
+
+    const username = process.env.STAFF_ADMIN_USERNAME;
+    const password = process.env.STAFF_ADMIN_PASSWORD;
+    if (!username || !password) {
+      console.warn(
+        "No staff accounts exist. Set STAFF_ADMIN_USERNAME and STAFF_ADMIN_PASSWORD to create the first one."
+      );
+      return;
+    }
+
+    await dbService.executeQuery(
+      `INSERT INTO staff_users (username, display_name, password_hash, role)
+       VALUES (@username, @displayName, @passwordHash, 'admin')`,
+      [
+        { name: "username", type: sql.NVarChar(100), value: username.trim().toLowerCase() },
+        { name: "displayName", type: sql.NVarChar(255), value: process.env.STAFF_ADMIN_NAME || username },
+        { name: "passwordHash", type: sql.NVarChar(255), value: await hashPassword(password) },
+      ]
+    );
+    console.log(`Initial staff account "${username}" created.`);
+  } catch (err) {
+    console.error("Failed to create the initial staff account:", err.message);
+  }
+}
+
+module.exports = createStaffLoginRouter;
+module.exports.bootstrapStaffAccount = bootstrapStaffAccount;
@@ -0,0 +1,228 @@
+const request = require("supertest");
+const express = require("express");
+const bcrypt = require("bcryptjs");
+
+process.env.JWT_SECRET = "test-jwt-secret";
+const createStaffLoginRouter = require("./staff_login");
+const { bootstrapStaffAccount } = createStaffLoginRouter;
+const { requireStaffAuth, signStaffToken } = require("./staff_session");
+const { requirePermission } = require("./permissions");
+
+const STAFF_ROW = {
+    id: 7,
+    username: "reception1",
+    display_name: "Front Desk",
+    role: "reception",
+    password_hash: bcrypt.hashSync("correct-horse", 4),
+    is_active: true,
+};
+
+// Helper to create a test app: the login router is public, everything after it is protected
+function setupTestApp(dbService) {
+    const app = express();
+    app.use(express.json());
+    app.use("/", createStaffLoginRouter(dbService));
+    app.use(requireStaffAuth(dbService));
+    app.get("/protected", (req, res) => res.json({ staff: req.staff }));
+    return app;
+}
+
+describe("Staff sign-in", () => {
+    let mockDbService;
+    let app;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        jest.spyOn(console, "warn").mockImplementation(() => {});
+        jest.spyOn(console, "log").mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+        };
+        app = setupTestApp(mockDbService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe("POST /auth/login", () => {
+        test("should return 400 when username or password is missing", async () => {
+            const response = await request(app).post("/auth/login").send({ username: "reception1" });
+
+            expect(response.status).toBe(400);
+            expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+        });
+
+        test("should issue a token for valid credentials, matching the username case-insensitively", async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([STAFF_ROW]).mockResolvedValueOnce({ rowsAffected: [1] });
+
+            const response = await request(app)
+                .post("/auth/login")
+                .send({ username: " Reception1 ", password: "correct-horse" });
+
+            expect(response.status).toBe(200);
+            expect(response.body.token).toEqual(expect.any(String));
+            expect(response.body.staff).toEqual({
+                id: 7,
+                username: "reception1",
+                display_name: "Front Desk",
+                role: "reception",
+                permissions: ["run_roll_call"],
+            });
+            expect(response.body.staff).not.toHaveProperty("password_hash");
+            expect(mockDbService.executeQuery.mock.calls[0][1][0].value).toBe("reception1");
+            expect(mockDbService.executeQuery.mock.calls[1][0]).toContain("last_login_at");
+        });
+
+        test("should return 401 for a wrong password", async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([STAFF_ROW]);
+
+            const response = await request(app)
+                .post("/auth/login")
+                .send({ username: "reception1", password: "wrong" });
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe("Invalid username or password.");
+        });
+
+        test("should return 401 for an unknown or disabled account", async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([]);
+            const unknown = await request(app).post("/auth/login").send({ username: "nobody", password: "x" });
+            expect(unknown.status).toBe(401);
+
+            mockDbService.executeQuery.mockResolvedValueOnce([{ ...STAFF_ROW, is_active: false }]);
+            const disabled = await request(app)
+                .post("/auth/login")
+                .send({ username: "reception1", password: "correct-horse" });
+            expect(disabled.status).toBe(401);
+        });
+
+        test("should return 500 on a database error", async () => {
+            mockDbService.executeQuery.mockRejectedValue(new Error("DB down"));
+
+            const response = await request(app).post("/auth/login").send({ username: "a", password: "b" });
+
+            expect(response.status).toBe(500);
+        });
+    });
+
+    describe("requireStaffAuth", () => {
+        test("should reject requests without a token", async () => {
+            const response = await request(app).get("/protected");
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe("Staff sign-in required.");
+        });
+
+        test("should reject an invalid token", async () => {
+            const response = await request(app).get("/protected").set("Authorization", "Bearer not-a-token");
+
+            expect(response.status).toBe(401);
+        });
+
+        test("should expose the signed-in staff member as req.staff", async () => {
+            const token = signStaffToken(STAFF_ROW);
+            mockDbService.executeQuery.mockResolvedValueOnce([STAFF_ROW]);
+
+            const response = await request(app).get("/protected").set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.staff).toEqual({ id: 7, username: "reception1", displayName: "Front Desk", role: "reception" });
+            expect(mockDbService.executeQuery.mock.calls[0][0]).toContain("FROM staff_users WHERE id = @id");
+            expect(mockDbService.executeQuery.mock.calls[0][1][0].value).toBe(7);
+        });
+
+        test("should sign out a deactivated or deleted account before its token expires", async () => {
+            const token = signStaffToken(STAFF_ROW);
+
+            mockDbService.executeQuery.mockResolvedValueOnce([{ ...STAFF_ROW, is_active: false }]);
+            const deactivated = await request(app).get("/protected").set("Authorization", `Bearer ${token}`);
+            expect(deactivated.status).toBe(401);
+            expect(deactivated.body.message).toBe("Your staff account is no longer active. Please contact an administrator.");
+
+            mockDbService.executeQuery.mockResolvedValueOnce([]);
+            const deleted = await request(app).get("/protected").set("Authorization", `Bearer ${token}`);
+            expect(deleted.status).toBe(401);
+        });
+
+        test("should use the current role, not the one in the token", async () => {
+            const token = signStaffToken({ ...STAFF_ROW, role: "admin" });
+            mockDbService.executeQuery.mockResolvedValueOnce([STAFF_ROW]);
+            const demoted = setupTestApp(mockDbService);
+            demoted.get("/admin-only", requirePermission("manage_staff"), (req, res) => res.json({ ok: true }));
+
+            const response = await request(demoted).get("/admin-only").set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.permission).toBe("manage_staff");
+        });
+
+        test("should return 500 when the account cannot be checked", async () => {
+            mockDbService.executeQuery.mockRejectedValueOnce(new Error("DB down"));
+
+            const response = await request(app)
+                .get("/protected")
+                .set("Authorization", `Bearer ${signStaffToken(STAFF_ROW)}`);
+
+            expect(response.status).toBe(500);
+            expect(response.body.message).toBe("Failed to check your staff session.");
+        });
+
+        test("should accept ?access_token= only for event streams", async () => {
+            const token = signStaffToken(STAFF_ROW);
+            mockDbService.executeQuery.mockResolvedValue([STAFF_ROW]);
+
+            const stream = await request(app)
+                .get("/protected")
+                .query({ access_token: token })
+                .set("Accept", "text/event-stream");
+            expect(stream.status).toBe(200);
+            expect(stream.body.staff.id).toBe(7);
+
+            const plain = await request(app).get("/protected").query({ access_token: token });
+            expect(plain.status).toBe(401);
+        });
+
+        test("GET /auth/me should return the staff member for a valid token, with their current role", async () => {
+            const token = signStaffToken(STAFF_ROW);
+            mockDbService.executeQuery.mockResolvedValueOnce([{ ...STAFF_ROW, role: "supervisor" }]);
+
+            const response = await request(app).get("/auth/me").set("Authorization", `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.staff.display_name).toBe("Front Desk");
+            expect(response.body.staff.role).toBe("supervisor");
+        });
+    });
+
+    describe("bootstrapStaffAccount", () => {
+        afterEach(() => {
+            delete process.env.STAFF_ADMIN_USERNAME;
+            delete process.env.STAFF_ADMIN_PASSWORD;
+        });
+
+        test("should create the first account from the environment when none exist", async () => {
+            process.env.STAFF_ADMIN_USERNAME = "Admin";
+            process.env.STAFF_ADMIN_PASSWORD = "bootstrap-pass";
+            mockDbService.executeQuery.mockResolvedValueOnce([{ staffCount: 0 }]).mockResolvedValueOnce({ rowsAffected: [1] });
+
+            await bootstrapStaffAccount(mockDbService);
+
+            expect(mockDbService.executeQuery).toHaveBeenCalledTimes(2);
+            const [insertSql, inputs] = mockDbService.executeQuery.mock.calls[1];
+            expect(insertSql).toContain("'admin'");
+            expect(inputs[0].value).toBe("admin");
+            expect(await bcrypt.compare("bootstrap-pass", inputs[2].value)).toBe(true);
+        });
+
+        test("should do nothing when staff accounts already exist", async () => {
+            process.env.STAFF_ADMIN_USERNAME = "admin";
+            process.env.STAFF_ADMIN_PASSWORD = "bootstrap-pass";
+            mockDbService.executeQuery.mockResolvedValueOnce([{ staffCount: 3 }]);
+
+            await bootstrapStaffAccount(mockDbService);
+
+            expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const sql = require("mssql");
+
+const BCRYPT_ROUNDS = 10;
+const TOKEN_TTL = process.env.STAFF_TOKEN_TTL || "12h";
+
+let generatedSecret;
+
+// Secret used to sign staff tokens. Falls back to a per-process random secret
+// (every session ends on restart) so a missing JWT_SECRET never means an unsigned token.
+function getTokenSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (!generatedSecret) {
+    console.warn("JWT_SECRET is not set. Using a temporary secret; staff will be signed out on restart.");
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return generatedSecret;
+}
+
+/**
+ * Hashes a staff password for storage.
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} The bcrypt hash.
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compares a plaintext password with a stored bcrypt hash.
+ * @param {string} password - The plaintext password.
+ * @param {string} passwordHash - The stored hash.
+ * @returns {Promise<boolean>} True when they match.
+ */
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Issues a signed token for a staff member.
+ * @param {{id: number, username: string, display_name: string, role: string}} staff - The staff_users row.
+ * @returns {string} The signed JWT.
+ */
+function signStaffToken(staff) {
+  return jwt.sign(
+    { username: staff.username, name: staff.display_name, role: staff.role },
+    getTokenSecret(),
+    { subject: String(staff.id), expiresIn: TOKEN_TTL }
+  );
+}
+
+/**
+ * Verifies a staff token and returns the staff member it was issued to.
+ * @param {string} token - The signed JWT.
+ * @returns {{id: number, username: string, displayName: string, role: string}} The staff member.
+ * @throws {Error} When the token is invalid or expired.
+ */
+function verifyStaffToken(token) {
+  const payload = jwt.verify(token, getTokenSecret());
+  return {
+    id: parseInt(payload.sub, 10),
+    username: payload.username,
+    displayName: payload.name,
+    role: payload.role,
+  };
+}
+
+// Reads the token from `Authorization: Bearer <token>`. The browser's EventSource cannot
+// set headers, so event streams (Accept: text/event-stream) may pass ?access_token= instead.
+function readStaffToken(req) {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme === "Bearer" && token) return token;
+
+  const acceptsEventStream = (req.get("accept") || "").includes("text/event-stream");
+  if (req.method === "GET" && acceptsEventStream && typeof req.query.access_token === "string") {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+/**
+ * Express middleware factory that only lets requests with a valid staff token through.
+ * The token is sent as `Authorization: Bearer <token>`; the staff member is exposed as `req.staff`.
+ * The staff_users row is read on every request, so a deactivated account is signed out and a
+ * role change applies straight away instead of when the token expires.
+ *
+ * @param {object} dbService - The database service wrapper (e.g., with executeQuery).
+ */
+function requireStaffAuth(dbService) {
+  return async (req, res, next) => {
+    const token = readStaffToken(req);
+
+    if (!token) {
+      return res.status(401).json({ message: "Staff sign-in required." });
+    }
+
+    let staff;
+    try {
+      staff = verifyStaffToken(token);
+    } catch (err) {
+      return res
+        .status(401)
+        .json({ message: "Your session has expired. Please sign in again." });
+    }
+
+    try {
+      const [account] = await dbService.executeQuery(
+        `SELECT username, display_name, role, is_active FROM staff_users WHERE id = @id`,
+        [{ name: "id", type: sql.Int, value: staff.id }]
+      );
+      if (!account || !account.is_active) {
+        return res
+          .status(401)
+          .json({ message: "Your staff account is no longer active. Please contact an administrator." });
+      }
+
+      req.staff = {
+        ...staff,
+        username: account.username,
+        displayName: account.display_name,
+        role: account.role,
+      };
+    } catch (err) {
+      console.error("Database Error in requireStaffAuth:", err.message);
+      return res.status(500).json({ message: "Failed to check your staff session." });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signStaffToken,
+  verifyStaffToken,
+  requireStaffAuth,
+};
@@ -1,5 +1,6 @@
 const sql = require("mssql");
 const { DefaultAzureCredential } = require("@azure/identity");
+const { toQueryResult, createAuditLogger } = require("./dbAdapterUtils");
 
 // Configuring connection using environment variables.
 const config = { 
@@ -49,11 +50,28 @@ async function connectDb() {
     throw err;
   }
 }
+// Binds the parameters to a request and runs the query.
+async function runRequest(request, querySql, params) {
+  try {
+    // Add parameters to prevent SQL Injection 
+    for (const param of params) {
+      request.input(param.name, param.type, param.value);
+    }
+
+    const result = await request.query(querySql);
+    return toQueryResult(result);
+  } catch (err) {
+    console.error("SQL Execution Error:", err.message);
+    throw new Error(`Database error during execution: ${err.message}`);
+  }
+}
+
 /**
  * Core secure query execution function. Used by all routers.
  * @param {string} querySql The T-SQL query string.
  * @param {Array<{name: string, type: any, value: any}>} params Array of parameters for security.
- * @returns {Promise<Array<Object>>} The results from the query.
+ * @returns {Promise<Array<Object>>} The rows of the first recordset, also exposing
+ *   `recordset`, `rowsAffected` and `output` like the mssql result object.
  */
 async function executeQuery(querySql, params = []) {
   if (!pool) {
@@ -61,54 +79,55 @@ async function executeQuery(querySql, params = []) {
       "Database connection pool is not initialized. Call connectDb() first."
     );
   }
+  return runRequest(pool.request(), querySql, params);
+}
 
-  try {
-    const request = pool.request();
-    // Add parameters to prevent SQL Injection 
-    for (const param of params) {
-      request.input(param.name, param.type, param.value);
-    }
-
-    const result = await request.query(querySql);
-    return result.recordset;
-  } catch (err) {
-    console.error("SQL Execution Error:", err.message);
-    throw new Error(`Database error during execution: ${err.message}`);
+/**
+ * Runs `work` inside a single database transaction.
+ * Commits when `work` resolves and rolls back when it throws.
+ * @param {function({executeQuery: Function}): Promise<any>} work Receives a transaction-bound executeQuery.
+ * @returns {Promise<any>} Whatever `work` resolves with.
+ */
+async function transaction(work) {
+  if (!pool) {
+    throw new Error(
+      "Database connection pool is not initialized. Call connectDb() first."
+    );
   }
-}
 
-//Logs an event into the AuditLogs table.
-async function logAudit({
-  eventName,
-  status,
-  profilesDeleted = 0,
-  visitsDeleted = 0,
-  dependentsDeleted = 0,
-}) {
-  const query = `
-        INSERT INTO AuditLogs (EventName, Timestamp, Status, ProfilesDeleted, VisitsDeleted, DependentsDeleted)
-        VALUES (@eventName, GETUTCDATE(), @status, @profilesDeleted, @visitsDeleted, @dependentsDeleted);
-    `;
-  const params = [
-    { name: "eventName", type: sql.NVarChar(255), value: eventName },
-    { name: "status", type: sql.NVarChar(50), value: status },
-    { name: "profilesDeleted", type: sql.Int, value: profilesDeleted },
-    { name: "visitsDeleted", type: sql.Int, value: visitsDeleted },
-    { name: "dependentsDeleted", type: sql.Int, value: dependentsDeleted },
-  ];
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  const txService = {
+    executeQuery: (querySql, params = []) =>
+      runRequest(new sql.Request(tx), querySql, params),
+  };
 
   try {
-    await executeQuery(query, params);
-    console.log(`Audit log recorded: ${eventName} - ${status}`);
+    const result = await work(txService);
+    await tx.commit();
+    return result;
   } catch (err) {
-    console.error("CRITICAL: Failed to log audit event.", err.message);
-    // Continue application flow even if audit logging fails
+    try {
+      await tx.rollback();
+    } catch (rollbackErr) {
+      console.error("Transaction rollback failed:", rollbackErr.message);
+    }
+    throw err;
+  }
+}
+
+async function closeDb() {
+  if (pool) {
+    await pool.close();
+    pool = null;
   }
 }
 
 module.exports = {
   connectDb,
   executeQuery,
-  logAudit,
+  transaction,
+  logAudit: createAuditLogger(executeQuery),
+  closeDb,
   sqlTypes: sql, // Exporting the mssql types so routers can define parameter types (e.g., sql.Int)
 };
@@ -13,10 +13,14 @@ CREATE TABLE visitors (
     -- Core Identification 
     first_name NVARCHAR(255) NOT NULL,
     last_name NVARCHAR(255) NOT NULL,
+    date_of_birth DATE NULL, -- Tells apart visitors who share a name
     
     -- Security / Access Control
     photo_path NVARCHAR(500) NULL, -- Path to the stored image file
     is_banned BIT NOT NULL DEFAULT 0, -- 0 = Not Banned, 1 = Banned
+
+    -- Duplicate Merging (set while this profile is merged into another; hidden until the merge is undone)
+    merged_into_id INT NULL,
     
     -- Metadata 
     created_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE()
@@ -38,11 +42,19 @@ CREATE TABLE visits (
     -- Visit Details 
     entry_time DATETIMEOFFSET NOT NULL,
     exit_time DATETIMEOFFSET NULL, -- NULL until the visitor signs out
+
+    -- End-of-day Auto Sign-Out (exit_time is the cut-off, not a real exit, until staff review it)
+    auto_closed BIT NOT NULL DEFAULT 0,
+    auto_close_reviewed_at DATETIMEOFFSET NULL,
+    auto_close_reviewed_by NVARCHAR(255) NULL,
     
     -- Contact  Details 
     known_as NVARCHAR(255) NULL,
     address NVARCHAR(500) NULL,
     phone_number NVARCHAR(50) NULL,
+    -- Last 9 digits of phone_number without spaces, dashes, brackets, plus signs, dots or slashes,
+    -- indexed for duplicate checks (visitorMatching.js strips the same characters)
+    phone_suffix AS RIGHT(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(phone_number, ' ', ''), '-', ''), '(', ''), ')', ''), '+', ''), '.', ''), '/', ''), 9) PERSISTED,
     unit NVARCHAR(50) NOT NULL,
     reason_for_visit NVARCHAR(500) NULL,
     type NVARCHAR(50) NOT NULL, -- e.g., 'Guest', 'Contractor'
@@ -54,7 +66,32 @@ CREATE TABLE visits (
 );
 GO
 
--- 3. dependents Table: Stores details of additional dependents linked to a primary visitor
+-- 3. household_members Table: The dependents who come with a visitor (removed_at set once they no longer do)
+IF OBJECT_ID('household_members', 'U') IS NOT NULL
+    DROP TABLE household_members;
+GO
+
+CREATE TABLE household_members (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Foreign Key to the visitors table
+    visitor_id INT NOT NULL,
+
+    -- Member Details (age is worked out from date_of_birth on each visit)
+    full_name NVARCHAR(255) NOT NULL,
+    date_of_birth DATE NULL,
+
+    -- Lifecycle (removed members stay linked to the visits they came on)
+    created_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    removed_at DATETIMEOFFSET NULL,
+
+    -- Constraints
+    CONSTRAINT FK_HouseholdMember_Visitor FOREIGN KEY (visitor_id) REFERENCES visitors(id) ON DELETE CASCADE
+);
+GO
+
+-- 4. dependents Table: Stores details of additional dependents linked to a primary visitor
 IF OBJECT_ID('dependents', 'U') IS NOT NULL
     DROP TABLE dependents;
 GO
@@ -63,19 +100,23 @@ CREATE TABLE dependents (
     -- Primary Key
     id INT IDENTITY(1,1) PRIMARY KEY,
 
-    -- Dependent Details 
+    -- Dependent Details (as on the day of the visit)
     full_name NVARCHAR(255) NOT NULL,
     age INT NULL,
 
     -- Foreign Key to the visits table (linking dependents to a specific check-in event)
     visit_id INT NOT NULL, 
 
-    -- Foreign Key Constraint
-    CONSTRAINT FK_Dependent_Visit FOREIGN KEY (visit_id) REFERENCES visits(id)
+    -- The household member who came (NULL for visits recorded before households existed)
+    household_member_id INT NULL,
+
+    -- Foreign Key Constraints
+    CONSTRAINT FK_Dependent_Visit FOREIGN KEY (visit_id) REFERENCES visits(id),
+    CONSTRAINT FK_Dependent_HouseholdMember FOREIGN KEY (household_member_id) REFERENCES household_members(id) ON DELETE SET NULL
 );
 GO
 
--- 4. audit_logs Table: Stores records of internal actions
+-- 5. audit_logs Table: Stores records of internal actions and every staff change to visitor data
 IF OBJECT_ID('audit_logs', 'U') IS NOT NULL
     DROP TABLE audit_logs;
 GO
@@ -90,11 +131,274 @@ CREATE TABLE audit_logs (
     status NVARCHAR(50) NOT NULL,
     profiles_deleted INT NULL,
     visits_deleted INT NULL,
-    dependents_deleted INT NULL
+    dependents_deleted INT NULL,
+    photos_deleted INT NULL, -- Photo files removed from uploads/
+
+    -- Action Trail (NULL for system jobs such as the compliance cleanup)
+    action NVARCHAR(100) NULL, -- Machine-readable action, e.g. 'ban_visitor'
+    actor_id INT NULL, -- staff_users.id of the staff member (not a foreign key, so entries outlive the account)
+    actor_name NVARCHAR(255) NULL,
+    target_visitor_id INT NULL,
+    target_visit_id INT NULL,
+    before_values NVARCHAR(MAX) NULL, -- JSON snapshot of the changed fields before the action
+    after_values NVARCHAR(MAX) NULL, -- JSON snapshot of the changed fields after the action
+    client_ip NVARCHAR(64) NULL
+);
+GO
+
+-- 6. staff_users Table: Staff accounts allowed to use the application
+IF OBJECT_ID('staff_users', 'U') IS NOT NULL
+    DROP TABLE staff_users;
+GO
+
+CREATE TABLE staff_users (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Credentials (usernames are stored lower-case, passwords as bcrypt hashes)
+    username NVARCHAR(100) NOT NULL UNIQUE,
+    display_name NVARCHAR(255) NOT NULL,
+    password_hash NVARCHAR(255) NOT NULL,
+    is_active BIT NOT NULL DEFAULT 1, -- 0 = Account disabled
+
+    -- Access Control (see auth/permissions.js for what each role may do)
+    role NVARCHAR(20) NOT NULL DEFAULT 'reception',
+
+    -- Metadata
+    created_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    last_login_at DATETIMEOFFSET NULL,
+
+    CONSTRAINT CK_staff_users_role CHECK (role IN ('reception', 'supervisor', 'admin'))
+);
+GO
+
+-- 7. visitor_bans Table: History of every ban placed on a visitor (visitors.is_banned mirrors the active one)
+IF OBJECT_ID('visitor_bans', 'U') IS NOT NULL
+    DROP TABLE visitor_bans;
+GO
+
+CREATE TABLE visitor_bans (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Foreign Key to the visitors table
+    visitor_id INT NOT NULL,
+
+    -- Ban Details
+    reason NVARCHAR(1000) NOT NULL,
+    severity NVARCHAR(20) NOT NULL DEFAULT 'medium',
+    banned_by_id INT NULL, -- staff_users.id (names are copied so the history outlives the account)
+    banned_by_name NVARCHAR(255) NULL,
+    start_date DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    end_date DATETIMEOFFSET NULL, -- NULL = Until lifted; otherwise lifted automatically once passed
+
+    -- Lifting (NULL while the ban is active)
+    lifted_at DATETIMEOFFSET NULL,
+    lifted_by_id INT NULL,
+    lifted_by_name NVARCHAR(255) NULL,
+
+    -- Constraints
+    CONSTRAINT FK_Ban_Visitor FOREIGN KEY (visitor_id) REFERENCES visitors(id) ON DELETE CASCADE,
+    CONSTRAINT CK_visitor_bans_severity CHECK (severity IN ('low', 'medium', 'high'))
+);
+GO
+
+-- 8. roll_calls Table: Fire evacuation roll-calls (one open at a time; closed_at NULL while in progress)
+IF OBJECT_ID('roll_calls', 'U') IS NOT NULL
+    DROP TABLE roll_calls;
+GO
+
+CREATE TABLE roll_calls (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Started / Closed By (names are copied so the record outlives the account)
+    started_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    started_by_id INT NULL,
+    started_by_name NVARCHAR(255) NULL,
+    closed_at DATETIMEOFFSET NULL,
+    closed_by_id INT NULL,
+    closed_by_name NVARCHAR(255) NULL,
+
+    -- Summary (filled in when the roll-call is closed)
+    total_people INT NULL,
+    accounted_count INT NULL
+);
+GO
+
+-- 9. roll_call_entries Table: Everyone on site when a roll-call started, one row per visitor or dependent
+IF OBJECT_ID('roll_call_entries', 'U') IS NOT NULL
+    DROP TABLE roll_call_entries;
+GO
+
+CREATE TABLE roll_call_entries (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Foreign Key to the roll_calls table
+    roll_call_id INT NOT NULL,
+
+    -- Who (a snapshot: no foreign keys, so the record survives retention cleanup)
+    person_type NVARCHAR(20) NOT NULL, -- 'visitor' or 'dependent'
+    visitor_id INT NULL,
+    visit_id INT NULL,
+    dependent_id INT NULL,
+    full_name NVARCHAR(255) NOT NULL,
+    age INT NULL,
+    unit NVARCHAR(50) NULL,
+
+    -- Accounted For (NULL until a marshal ticks them off)
+    accounted_at DATETIMEOFFSET NULL,
+    accounted_by_id INT NULL,
+    accounted_by_name NVARCHAR(255) NULL,
+
+    -- Constraints
+    CONSTRAINT FK_RollCallEntry_RollCall FOREIGN KEY (roll_call_id) REFERENCES roll_calls(id) ON DELETE CASCADE,
+    CONSTRAINT CK_roll_call_entries_person_type CHECK (person_type IN ('visitor', 'dependent'))
+);
+GO
+
+-- 10. retention_settings Table: Retention periods an admin has changed (others come from env or the defaults in routes/clean_data.js)
+IF OBJECT_ID('retention_settings', 'U') IS NOT NULL
+    DROP TABLE retention_settings;
+GO
+
+CREATE TABLE retention_settings (
+    -- Primary Key: e.g. 'visits_days', 'banned_visitor_policy'
+    setting_key NVARCHAR(100) NOT NULL PRIMARY KEY,
+    setting_value NVARCHAR(50) NULL, -- NULL = Keep forever
+
+    -- Changed By (names are copied so the record outlives the account)
+    updated_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    updated_by_id INT NULL,
+    updated_by_name NVARCHAR(255) NULL
+);
+GO
+
+-- 11. legal_holds Table: Visitors the retention cleanup must skip (released_at NULL while the hold is active)
+IF OBJECT_ID('legal_holds', 'U') IS NOT NULL
+    DROP TABLE legal_holds;
+GO
+
+CREATE TABLE legal_holds (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Foreign Key to the visitors table
+    visitor_id INT NOT NULL,
+
+    -- Hold Details (names are copied so the history outlives the account)
+    reason NVARCHAR(1000) NOT NULL,
+    placed_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    placed_by_id INT NULL,
+    placed_by_name NVARCHAR(255) NULL,
+
+    -- Releasing (NULL while the hold is active)
+    released_at DATETIMEOFFSET NULL,
+    released_by_id INT NULL,
+    released_by_name NVARCHAR(255) NULL,
+
+    -- Constraints
+    CONSTRAINT FK_LegalHold_Visitor FOREIGN KEY (visitor_id) REFERENCES visitors(id) ON DELETE CASCADE
+);
+GO
+
+-- 12. visitor_merges Table: Duplicate profiles merged into a surviving one (undoable until undo_until)
+IF OBJECT_ID('visitor_merges', 'U') IS NOT NULL
+    DROP TABLE visitor_merges;
+GO
+
+CREATE TABLE visitor_merges (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- The profile kept and the one merged into it (no foreign keys: the merged profile is deleted once the undo period ends)
+    survivor_id INT NOT NULL,
+    merged_id INT NOT NULL,
+
+    -- What the survivor looked like before, to restore on undo (JSON: first_name, last_name, date_of_birth)
+    survivor_before NVARCHAR(MAX) NULL,
+    -- What the merge set on the survivor, so an undo keeps fields corrected since (JSON: first_name, last_name, date_of_birth, photo_path)
+    survivor_after NVARCHAR(MAX) NULL,
+    photo_swapped BIT NOT NULL DEFAULT 0, -- The survivor took the merged profile's photo (and the merged profile holds the old one)
+
+    -- Merged By (names are copied so the record outlives the account)
+    merged_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    merged_by_id INT NULL,
+    merged_by_name NVARCHAR(255) NULL,
+    undo_until DATETIMEOFFSET NOT NULL,
+
+    -- Undoing (NULL unless the merge was undone)
+    undone_at DATETIMEOFFSET NULL,
+    undone_by_id INT NULL,
+    undone_by_name NVARCHAR(255) NULL
+);
+GO
+
+-- 13. visitor_merge_moves Table: The visits, bans, legal holds and household members a merge moved to the survivor
+IF OBJECT_ID('visitor_merge_moves', 'U') IS NOT NULL
+    DROP TABLE visitor_merge_moves;
+GO
+
+CREATE TABLE visitor_merge_moves (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Foreign Key to the visitor_merges table
+    merge_id INT NOT NULL,
+
+    -- The moved row
+    table_name NVARCHAR(50) NOT NULL, -- 'visits', 'visitor_bans', 'legal_holds' or 'household_members'
+    row_id INT NOT NULL,
+
+    -- Constraints
+    CONSTRAINT FK_MergeMove_Merge FOREIGN KEY (merge_id) REFERENCES visitor_merges(id) ON DELETE CASCADE,
+    CONSTRAINT CK_visitor_merge_moves_table CHECK (table_name IN ('visits', 'visitor_bans', 'legal_holds', 'household_members'))
+);
+GO
+
+-- 14. visitor_photos Table: Photos a visitor had before their current one (the newest PHOTO_HISTORY_LIMIT are kept)
+IF OBJECT_ID('visitor_photos', 'U') IS NOT NULL
+    DROP TABLE visitor_photos;
+GO
+
+CREATE TABLE visitor_photos (
+    -- Primary Key
+    id INT IDENTITY(1,1) PRIMARY KEY,
+
+    -- Foreign Key to the visitors table
+    visitor_id INT NOT NULL,
+
+    -- The replaced photo ("uploads/<file name>", like visitors.photo_path)
+    photo_path NVARCHAR(500) NOT NULL,
+
+    -- Replaced By (names are copied so the history outlives the account)
+    replaced_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE(),
+    replaced_by_id INT NULL,
+    replaced_by_name NVARCHAR(255) NULL,
+
+    -- Constraints
+    CONSTRAINT FK_VisitorPhoto_Visitor FOREIGN KEY (visitor_id) REFERENCES visitors(id) ON DELETE CASCADE
 );
 GO
 
--- 5. Create Indexes for performance
+-- 15. Create Indexes for performance
 CREATE NONCLUSTERED INDEX IX_visits_OnSite ON visits (exit_time) INCLUDE (visitor_id, entry_time);
-CREATE UNIQUE NONCLUSTERED INDEX IX_visitors_FullName ON visitors (first_name, last_name);
+-- Names are not unique: registration warns about possible duplicates instead
+CREATE NONCLUSTERED INDEX IX_visitors_Name ON visitors (last_name, first_name);
+-- Duplicate checks look visitors up by the first letters of either name and by phone number
+CREATE NONCLUSTERED INDEX IX_visitors_FirstName ON visitors (first_name);
+CREATE NONCLUSTERED INDEX IX_visits_PhoneSuffix ON visits (phone_suffix) INCLUDE (visitor_id);
+-- A visitor can only have one open visit (exit_time IS NULL) at a time
+CREATE UNIQUE NONCLUSTERED INDEX UX_visits_OpenVisit ON visits (visitor_id) WHERE exit_time IS NULL;
+CREATE NONCLUSTERED INDEX IX_visitor_bans_Active ON visitor_bans (visitor_id, lifted_at) INCLUDE (end_date);
+CREATE NONCLUSTERED INDEX IX_audit_logs_Timestamp ON audit_logs (timestamp) INCLUDE (action, actor_id, target_visitor_id);
+CREATE NONCLUSTERED INDEX IX_visits_AutoClosed ON visits (auto_closed, auto_close_reviewed_at) INCLUDE (visitor_id, exit_time);
+CREATE NONCLUSTERED INDEX IX_legal_holds_Active ON legal_holds (visitor_id) WHERE released_at IS NULL;
+CREATE NONCLUSTERED INDEX IX_roll_call_entries_RollCall ON roll_call_entries (roll_call_id) INCLUDE (unit, accounted_at);
+CREATE NONCLUSTERED INDEX IX_visitor_merges_Merged ON visitor_merges (merged_id) INCLUDE (undone_at, undo_until);
+CREATE NONCLUSTERED INDEX IX_visitor_merge_moves_Merge ON visitor_merge_moves (merge_id, table_name);
+CREATE NONCLUSTERED INDEX IX_visitor_photos_Visitor ON visitor_photos (visitor_id, replaced_at);
+CREATE NONCLUSTERED INDEX IX_household_members_Visitor ON household_members (visitor_id) INCLUDE (removed_at);
+CREATE NONCLUSTERED INDEX IX_dependents_Visit ON dependents (visit_id) INCLUDE (household_member_id);
 GO
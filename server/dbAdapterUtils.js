@@ -0,0 +1,93 @@
+const sql = require("mssql");
+
+/**
+ * Normalises a driver result into the shape every adapter returns from executeQuery:
+ * the first recordset as a plain array (what most routers iterate over), with the
+ * mssql-style `recordset`, `recordsets`, `rowsAffected` and `output` properties
+ * attached so routers that read `result.recordset` or `result.rowsAffected` keep working.
+ * @param {{recordset?: Array<Object>, recordsets?: Array<Array<Object>>, rowsAffected?: number[], output?: Object}} result
+ * @returns {Array<Object>} The rows, decorated with the non-enumerable result properties.
+ */
+function toQueryResult(result) {
+  const rows = Array.isArray(result.recordset) ? result.recordset : [];
+  return Object.defineProperties(rows, {
+    recordset: { value: rows },
+    recordsets: { value: result.recordsets || [rows] },
+    rowsAffected: { value: result.rowsAffected || [] },
+    output: { value: result.output || {} },
+  });
+}
+
+/**
+ * Serialises a before/after snapshot for the audit_logs JSON columns.
+ * @param {Object|null|undefined} values
+ * @returns {string|null}
+ */
+function toAuditJson(values) {
+  return values === undefined || values === null ? null : JSON.stringify(values);
+}
+
+/**
+ * Builds the logAudit function shared by the storage adapters.
+ * System jobs pass the cleanup counts; staff actions pass the action, the acting
+ * staff member (req.staff), the target visitor/visit, before/after snapshots and the client IP.
+ * @param {Function} executeQuery - The adapter's executeQuery function.
+ * @returns {Function} logAudit({ eventName, status, profilesDeleted, visitsDeleted, dependentsDeleted,
+ *   action, actor, targetVisitorId, targetVisitId, before, after, clientIp })
+ */
+function createAuditLogger(executeQuery) {
+  //Logs an event into the audit_logs table.
+  return async function logAudit({
+    eventName,
+    status,
+    profilesDeleted = null,
+    visitsDeleted = null,
+    dependentsDeleted = null,
+    action = null,
+    actor = null,
+    targetVisitorId = null,
+    targetVisitId = null,
+    before = null,
+    after = null,
+    clientIp = null,
+  }) {
+    const query = `
+        INSERT INTO audit_logs (
+            event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted,
+            action, actor_id, actor_name, target_visitor_id, target_visit_id, before_values, after_values, client_ip
+        )
+        VALUES (
+            @eventName, GETUTCDATE(), @status, @profilesDeleted, @visitsDeleted, @dependentsDeleted,
+            @action, @actorId, @actorName, @targetVisitorId, @targetVisitId, @beforeValues, @afterValues, @clientIp
+        );
+    `;
+    const params = [
+      { name: "eventName", type: sql.NVarChar(255), value: eventName },
+      { name: "status", type: sql.NVarChar(50), value: status },
+      { name: "profilesDeleted", type: sql.Int, value: profilesDeleted },
+      { name: "visitsDeleted", type: sql.Int, value: visitsDeleted },
+      { name: "dependentsDeleted", type: sql.Int, value: dependentsDeleted },
+      { name: "action", type: sql.NVarChar(100), value: action },
+      { name: "actorId", type: sql.Int, value: actor ? actor.id : null },
+      { name: "actorName", type: sql.NVarChar(255), value: actor ? actor.displayName || actor.username : null },
+      { name: "targetVisitorId", type: sql.Int, value: targetVisitorId },
+      { name: "targetVisitId", type: sql.Int, value: targetVisitId },
+      { name: "beforeValues", type: sql.NVarChar(sql.MAX), value: toAuditJson(before) },
+      { name: "afterValues", type: sql.NVarChar(sql.MAX), value: toAuditJson(after) },
+      { name: "clientIp", type: sql.NVarChar(64), value: clientIp },
+    ];
+
+    try {
+      await executeQuery(query, params);
+      console.log(`Audit log recorded: ${eventName} - ${status}`);
+    } catch (err) {
+      console.error("CRITICAL: Failed to log audit event.", err.message);
+      // Continue application flow even if audit logging fails
+    }
+  };
+}
+
+module.exports = {
+  toQueryResult,
+  createAuditLogger,
+};
@@ -0,0 +1,31 @@
+/**
+ * Selects the storage adapter the routers use.
+ *
+ * DB_PROVIDER=azure (default) connects to Azure SQL through azureSqlService.
+ * DB_PROVIDER=sqlite runs the same schema and queries on a local SQLite database
+ * (localSqlService), so the app can run on a laptop without a cloud connection.
+ *
+ * Both adapters expose the same interface:
+ *  - connectDb(): opens the connection (routers never use it directly)
+ *  - executeQuery(sql, params): runs parameterised T-SQL
+ *  - transaction(work): runs work({ executeQuery }) atomically; the only way to group writes
+ *  - logAudit(event): writes an audit_logs row
+ *  - closeDb(): releases the connection
+ *  - sqlTypes: the mssql type definitions for parameters
+ */
+const PROVIDERS = {
+  azure: "./azureSqlService",
+  sqlite: "./localSqlService",
+};
+
+const provider = (process.env.DB_PROVIDER || "azure").toLowerCase();
+
+if (!PROVIDERS[provider]) {
+  throw new Error(
+    `Unknown DB_PROVIDER "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}.`
+  );
+}
+
+console.log(`Using "${provider}" storage adapter.`);
+
+module.exports = require(PROVIDERS[provider]);
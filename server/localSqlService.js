@@ -0,0 +1,281 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const sql = require("mssql");
+const { translateQuery, translateSchema, findBitColumns } = require("./sqliteDialect");
+const { toQueryResult, createAuditLogger } = require("./dbAdapterUtils");
+
+// Local SQLite storage adapter (sql.js, no native build needed).
+// Runs the same schema script and T-SQL as the Azure adapter, translated on the fly.
+// SQLITE_DB_PATH persists the database to a file; without it the data lives in memory.
+
+const SCHEMA_FILE = path.join(__dirname, "azure_schema_creation.sql");
+
+let db = null;
+let connecting = null;
+let bitColumns = new Set();
+let inTransaction = false;
+
+// sql.js is synchronous, but a transaction spans several awaited calls, so
+// every query and transaction takes this lock to keep them from interleaving.
+let lockTail = Promise.resolve();
+function acquireLock() {
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const previous = lockTail;
+  lockTail = previous.then(() => held);
+  return previous.then(() => release);
+}
+
+function persist() {
+  const file = process.env.SQLITE_DB_PATH;
+  if (!file || inTransaction) return;
+  fs.writeFileSync(file, Buffer.from(db.export()));
+  // export() reopens the connection, which resets connection-level pragmas.
+  db.run("PRAGMA foreign_keys = ON;");
+}
+
+// The CREATE TABLE statement SQLite keeps in sqlite_master for a schema statement
+const storedTableSql = (statement) =>
+  statement.replace(/^CREATE\s+TABLE\s+IF\s+NOT\s+EXISTS\s+/i, "CREATE TABLE ").replace(/\s+/g, " ").trim();
+
+/**
+ * Brings tables of an existing database file up to the schema script.
+ * SQLite cannot alter columns or constraints in place, so each table whose
+ * definition changed is rebuilt: renamed aside, created afresh, its rows copied
+ * across by the columns both versions share, then the old copy is dropped.
+ * Indexes are recreated by the schema statements that follow.
+ * Throws, leaving the file untouched, when rows cannot be copied (e.g. a new
+ * NOT NULL column without a default) or break a foreign key.
+ * @param {string[]} statements - translateSchema output.
+ * @param {string|undefined} file - SQLITE_DB_PATH, for the error message.
+ */
+function migrateTables(statements, file) {
+  const stored = new Map(
+    (db.exec("SELECT name, sql FROM sqlite_master WHERE type = 'table'")[0]?.values || []).map(([name, sql]) => [
+      name,
+      sql.replace(/\s+/g, " ").trim(),
+    ])
+  );
+  const outdated = statements
+    .map((statement) => ({ statement, name: (statement.match(/^CREATE\s+TABLE\s+IF\s+NOT\s+EXISTS\s+(\w+)/i) || [])[1] }))
+    .filter(({ statement, name }) => name && stored.has(name) && stored.get(name) !== storedTableSql(statement));
+  if (outdated.length === 0) return;
+
+  const columnsOf = (table) => db.exec(`PRAGMA table_info("${table}")`)[0].values.map((column) => column[1]);
+  // Foreign keys are off while tables are swapped, and other tables' references keep the name
+  db.run("PRAGMA foreign_keys = OFF;");
+  db.run("PRAGMA legacy_alter_table = ON;");
+  db.run("BEGIN TRANSACTION;");
+  try {
+    for (const { statement, name } of outdated) {
+      const previous = `${name}_before_migration`;
+      const oldColumns = columnsOf(name);
+      db.run(`ALTER TABLE "${name}" RENAME TO "${previous}";`);
+      db.run(statement);
+      const shared = columnsOf(name)
+        .filter((column) => oldColumns.includes(column))
+        .map((column) => `"${column}"`)
+        .join(", ");
+      db.run(`INSERT INTO "${name}" (${shared}) SELECT ${shared} FROM "${previous}";`);
+      db.run(`DROP TABLE "${previous}";`);
+    }
+    const violations = db.exec("PRAGMA foreign_key_check;");
+    if (violations.length > 0) {
+      throw new Error(`${violations[0].values.length} rows break a foreign key`);
+    }
+    db.run("COMMIT;");
+    console.log(`Local SQLite schema migrated: rebuilt ${outdated.map(({ name }) => name).join(", ")}.`);
+  } catch (err) {
+    db.run("ROLLBACK;");
+    throw new Error(
+      `The SQLite database ${file || "in memory"} does not match azure_schema_creation.sql and could not be migrated (${err.message}).`
+    );
+  } finally {
+    db.run("PRAGMA legacy_alter_table = OFF;");
+    db.run("PRAGMA foreign_keys = ON;");
+  }
+}
+
+async function openDatabase() {
+  const SQL = await initSqlJs();
+  const file = process.env.SQLITE_DB_PATH;
+  db =
+    file && fs.existsSync(file)
+      ? new SQL.Database(fs.readFileSync(file))
+      : new SQL.Database();
+  db.run("PRAGMA foreign_keys = ON;");
+
+  const schemaSql = fs.readFileSync(SCHEMA_FILE, "utf8");
+  bitColumns = findBitColumns(schemaSql);
+  const statements = translateSchema(schemaSql);
+  migrateTables(statements, file);
+  for (const statement of statements) {
+    db.run(statement);
+  }
+  persist();
+  console.log(`✅ Local SQLite database ready (${file || "in-memory"}).`);
+}
+
+// sql.js only binds numbers, strings, blobs and null.
+function toSqliteValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "bigint") return Number(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object" && !(value instanceof Uint8Array)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function normaliseRow(row) {
+  for (const column of Object.keys(row)) {
+    if (bitColumns.has(column) && row[column] !== null) {
+      row[column] = row[column] === 1;
+    }
+  }
+  return row;
+}
+
+/**
+ * Runs a T-SQL batch against the SQLite database.
+ * @returns {{recordset: Array<Object>, recordsets: Array<Array<Object>>, rowsAffected: number[], output: Object}}
+ */
+function runQuery(querySql, params) {
+  const values = {};
+  for (const param of params) {
+    values[`@${param.name}`] = toSqliteValue(param.value);
+  }
+
+  const recordsets = [];
+  const rowsAffected = [];
+  const output = {};
+  let wrote = false;
+
+  for (const statement of translateQuery(querySql)) {
+    const referenced = {};
+    for (const name of statement.sql.match(/@\w+/g) || []) {
+      if (name in values) referenced[name] = values[name];
+    }
+
+    const prepared = db.prepare(statement.sql);
+    try {
+      if (Object.keys(referenced).length > 0) prepared.bind(referenced);
+      const rows = [];
+      while (prepared.step()) {
+        rows.push(normaliseRow(prepared.getAsObject()));
+      }
+
+      if (statement.outputVariable) {
+        output[statement.outputVariable] = rows.length > 0 ? Object.values(rows[0])[0] : null;
+        continue;
+      }
+
+      const keyword = statement.sql.trimStart().split(/\s/)[0].toUpperCase();
+      if (keyword === "BEGIN") inTransaction = true;
+      if (keyword === "COMMIT" || keyword === "ROLLBACK") inTransaction = false;
+
+      if (["INSERT", "UPDATE", "DELETE"].includes(keyword)) {
+        wrote = true;
+        rowsAffected.push(db.getRowsModified());
+      } else {
+        rowsAffected.push(rows.length);
+      }
+      if (prepared.getColumnNames().length > 0) {
+        recordsets.push(rows);
+      }
+    } finally {
+      prepared.free();
+    }
+  }
+
+  if (wrote) persist();
+  return { recordset: recordsets[0], recordsets, rowsAffected, output };
+}
+
+async function connectDb() {
+  if (!connecting) {
+    connecting = openDatabase().catch((err) => {
+      console.error("CRITICAL ERROR: Local SQLite database failed to open.", err);
+      connecting = null;
+      throw err;
+    });
+  }
+  await connecting;
+}
+
+/**
+ * Core secure query execution function. Used by all routers.
+ * @param {string} querySql The T-SQL query string (translated to SQLite).
+ * @param {Array<{name: string, type: any, value: any}>} params Array of parameters for security.
+ * @returns {Promise<Array<Object>>} The rows of the first recordset, also exposing
+ *   `recordset`, `rowsAffected` and `output` like the mssql result object.
+ */
+async function executeQuery(querySql, params = []) {
+  await connectDb();
+  const release = await acquireLock();
+  try {
+    return toQueryResult(runQuery(querySql, params));
+  } catch (err) {
+    console.error("SQL Execution Error:", err.message);
+    throw new Error(`Database error during execution: ${err.message}`);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Runs `work` inside a single database transaction.
+ * Commits when `work` resolves and rolls back when it throws.
+ * @param {function({executeQuery: Function}): Promise<any>} work Receives a transaction-bound executeQuery.
+ * @returns {Promise<any>} Whatever `work` resolves with.
+ */
+async function transaction(work) {
+  await connectDb();
+  const release = await acquireLock();
+  runQuery("BEGIN TRANSACTION;", []);
+  const txService = {
+    executeQuery: async (querySql, params = []) => {
+      try {
+        return toQueryResult(runQuery(querySql, params));
+      } catch (err) {
+        console.error("SQL Execution Error:", err.message);
+        throw new Error(`Database error during execution: ${err.message}`);
+      }
+    },
+  };
+
+  try {
+    const result = await work(txService);
+    runQuery("COMMIT TRANSACTION;", []);
+    persist();
+    return result;
+  } catch (err) {
+    runQuery("ROLLBACK TRANSACTION;", []);
+    throw err;
+  } finally {
+    release();
+  }
+}
+
+async function closeDb() {
+  if (connecting) {
+    await connecting.catch(() => {});
+  }
+  if (db) {
+    db.close();
+  }
+  db = null;
+  connecting = null;
+  inTransaction = false;
+}
+
+module.exports = {
+  connectDb,
+  executeQuery,
+  transaction,
+  logAudit: createAuditLogger(executeQuery),
+  closeDb,
+  sqlTypes: sql, // mssql types for parameter definitions; transactions go through transaction()
+};
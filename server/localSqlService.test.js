@@ -0,0 +1,794 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const express = require("express");
+const multer = require("multer");
+
+// Runs the real routers against the in-memory SQLite adapter, end to end.
+delete process.env.SQLITE_DB_PATH;
+// Photo files go to a throwaway folder, never server/uploads
+process.env.UPLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "visitor-uploads-"));
+const dbService = require("./localSqlService");
+const createRegistrationRouter = require("./auth/registration");
+const createVisitorsRouter = require("./routes/visitors");
+const createLoginRouter = require("./routes/login");
+const createUpdateVisitorRouter = require("./routes/update_visitor_details");
+const createLogoutRouter = require("./routes/logout");
+const createBanVisitorRouter = require("./routes/ban");
+const createSearchVisitorsRouter = require("./routes/search_visitors");
+const createHistoryRouter = require("./routes/display_history");
+const createAuditLogsRouter = require("./routes/audit_logs");
+const createRollCallRouter = require("./routes/roll_call");
+const createAutoSignOutRouter = require("./routes/auto_sign_out");
+const runDataComplianceCleanup = require("./routes/clean_data");
+const createLegalHoldsRouter = require("./routes/legal_holds");
+const createSubjectAccessRouter = require("./routes/subject_access");
+const createEraseVisitorRouter = require("./routes/erase_visitor");
+const createExportHistoryRouter = require("./routes/export_history");
+const createHistoryReportRouter = require("./routes/history_report");
+const createStatsRouter = require("./routes/stats");
+const createMergeVisitorsRouter = require("./routes/merge_visitors");
+const createVisitorProfileRouter = require("./routes/visitor_profile");
+const createHouseholdRouter = require("./routes/household");
+const { subscribeToVisitorEvents } = require("./visitorEvents");
+
+let app;
+
+beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await dbService.connectDb();
+
+    const upload = multer({ storage: multer.memoryStorage() });
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "admin", displayName: "Admin", role: "admin" };
+        next();
+    });
+    app.use("/api", createRegistrationRouter(dbService, upload));
+    app.use("/api", createVisitorsRouter(dbService));
+    app.use("/api", createLoginRouter(dbService));
+    app.use("/api", createUpdateVisitorRouter(dbService));
+    app.use("/api", createLogoutRouter(dbService));
+    app.use("/api", createBanVisitorRouter(dbService));
+    app.use("/api", createSearchVisitorsRouter(dbService, dbService.sqlTypes));
+    app.use("/api", createHistoryRouter(dbService));
+    // Tiny batches so the export pages through the visits
+    app.use("/api", createExportHistoryRouter(dbService, { batchSize: 1 }));
+    app.use("/api", createHistoryReportRouter(dbService));
+    app.use("/api", createStatsRouter(dbService));
+    app.use("/api", createAuditLogsRouter(dbService));
+    app.use("/api", createRollCallRouter(dbService));
+    app.use("/api", createAutoSignOutRouter(dbService));
+    app.use("/api", runDataComplianceCleanup.createCleanupRouter(dbService));
+    app.use("/api", createLegalHoldsRouter(dbService));
+    app.use("/api", createSubjectAccessRouter(dbService));
+    app.use("/api", createEraseVisitorRouter(dbService));
+    app.use("/api", createMergeVisitorsRouter(dbService));
+    // Replaced photos are saved to disk, as on the real server
+    app.use("/api", createVisitorProfileRouter(dbService, multer({ dest: process.env.UPLOADS_DIR })));
+    app.use("/api", createHouseholdRouter(dbService));
+});
+
+afterAll(async () => {
+    await dbService.closeDb();
+    fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+// Collects a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+const registerVisitor = (firstName, lastName, dependents = []) =>
+    request(app)
+        .post("/api/register-visitor")
+        .field("first_name", firstName)
+        .field("last_name", lastName)
+        .field("known_as", firstName.slice(0, 3))
+        .field("unit", "Unit 4")
+        .field("type", "Visitor")
+        .field("reason_for_visit", "Family")
+        .field("mandatory_acknowledgment_taken", "true")
+        .field("additional_dependents", JSON.stringify(dependents));
+
+describe("Local SQLite storage adapter", () => {
+    let janeId;
+    // Kid Doe turned 7 this year
+    const kidDateOfBirth = `${new Date().getUTCFullYear() - 7}-01-01`;
+
+    test("should register a visitor with dependents inside a transaction", async () => {
+        const response = await registerVisitor("Jane", "Doe", [{ full_name: "Kid Doe", date_of_birth: kidDateOfBirth }]);
+
+        expect(response.statusCode).toBe(201);
+        expect(response.body.id).toEqual(expect.any(Number));
+        janeId = response.body.id;
+
+        // A second Jane Doe needs staff to confirm she is someone else
+        const duplicate = await registerVisitor("Jane", "Doe");
+        expect(duplicate.statusCode).toBe(409);
+        expect(duplicate.body).toMatchObject({ canConfirm: true, possibleDuplicates: [{ id: janeId, unit: "Unit 4" }] });
+    });
+
+    test("should list on-site visitors with their dependents", async () => {
+        const response = await request(app).get("/api/visitors");
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0]).toMatchObject({
+            id: janeId,
+            first_name: "Jane",
+            unit: "Unit 4",
+            is_banned: false,
+            mandatory_acknowledgment_taken: true,
+            dependents: [{ full_name: "Kid Doe", age: 7 }],
+        });
+    });
+
+    test("should sign a visitor out and back in with the household members who came", async () => {
+        const events = [];
+        const unsubscribe = subscribeToVisitorEvents((event) => events.push(event));
+
+        const exit = await request(app).post(`/api/exit-visitor/${janeId}`);
+        expect(exit.statusCode).toBe(200);
+        expect((await request(app).get("/api/visitors")).body).toHaveLength(0);
+
+        const household = await request(app).get(`/api/visitors/${janeId}/household`);
+        expect(household.body).toEqual([
+            expect.objectContaining({ full_name: "Kid Doe", date_of_birth: kidDateOfBirth, age: 7 }),
+        ]);
+        const unknownMember = await request(app).post("/api/login").send({ id: janeId, dependent_ids: [household.body[0].id + 1000] });
+        expect(unknownMember.statusCode).toBe(400);
+
+        const login = await request(app).post("/api/login").send({ id: janeId, dependent_ids: [household.body[0].id] });
+        expect(login.statusCode).toBe(200);
+        expect(login.body.visitorData).toMatchObject({
+            id: janeId,
+            unit: "Unit 4",
+            dependents: [{ full_name: "Kid Doe", age: 7 }],
+        });
+
+        // Open dashboards are told about both changes, with the on-site row for the sign-in
+        unsubscribe();
+        expect(events.map((event) => event.type)).toEqual(["visitor_signed_out", "visitor_signed_in"]);
+        expect(events[0].visitorId).toBe(janeId);
+        expect(events[1].visitor).toMatchObject({
+            id: janeId,
+            unit: "Unit 4",
+            dependents: [{ full_name: "Kid Doe", age: 7 }],
+        });
+    });
+
+    test("should refuse a second sign-in while the visitor is on site", async () => {
+        const again = await request(app).post("/api/login").send({ id: janeId });
+        expect(again.statusCode).toBe(409);
+        expect(again.body.openVisit).toMatchObject({ unit: "Unit 4" });
+
+        const update = await request(app).post("/api/update-visitor-details").send({ id: janeId, unit: "Unit 9" });
+        expect(update.statusCode).toBe(409);
+
+        // The filtered unique index backs the check up
+        await expect(
+            dbService.executeQuery(
+                "INSERT INTO visits (visitor_id, entry_time, unit, type) VALUES (@id, GETUTCDATE(), 'Unit 4', 'Visitor')",
+                [{ name: "id", value: janeId }]
+            )
+        ).rejects.toThrow(/UNIQUE constraint failed: visits.visitor_id/);
+        expect((await request(app).get("/api/visitors")).body).toHaveLength(1);
+    });
+
+    test("should run a roll-call of everyone on site and close it with a summary", async () => {
+        const started = await request(app).post("/api/roll-calls");
+        expect(started.statusCode).toBe(201);
+        expect(started.body.entries.map((entry) => [entry.person_type, entry.full_name, entry.unit])).toEqual([
+            ["visitor", "Jane Doe", "Unit 4"],
+            ["dependent", "Kid Doe", "Unit 4"],
+        ]);
+        expect((await request(app).post("/api/roll-calls")).statusCode).toBe(409);
+
+        const rollCallId = started.body.id;
+        const [jane] = started.body.entries;
+        const marked = await request(app)
+            .patch(`/api/roll-calls/${rollCallId}/entries/${jane.id}`)
+            .send({ accounted: true });
+        expect(marked.statusCode).toBe(200);
+        expect(marked.body).toMatchObject({ id: jane.id, accounted_by_name: "Admin", accounted_at: expect.any(String) });
+
+        const closed = await request(app).post(`/api/roll-calls/${rollCallId}/close`);
+        expect(closed.statusCode).toBe(200);
+        expect(closed.body.summary).toMatchObject({ total_people: 2, accounted_count: 1, missing_count: 1 });
+        expect(closed.body.summary.missing.map((entry) => entry.full_name)).toEqual(["Kid Doe"]);
+        expect(closed.body.rollCall.closed_at).toEqual(expect.any(String));
+        expect((await request(app).get("/api/roll-calls/active")).statusCode).toBe(404);
+    });
+
+    test("should find visitors by name with their latest visit details", async () => {
+        const response = await request(app).get("/api/visitor-search").query({ name: "jane" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0]).toMatchObject({ id: janeId, known_as: "Jan", unit: "Unit 4" });
+    });
+
+    test("should return every visit in the history, newest first", async () => {
+        const response = await request(app).get("/api/history").query({ search: "doe" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.pagination).toEqual({ page: 1, limit: 50, total: 2, total_pages: 1 });
+        expect(response.body.data).toHaveLength(2);
+        expect(response.body.data[0].exit_time).toBeNull();
+        expect(response.body.data[1].exit_time).not.toBeNull();
+    });
+
+    test("should page, sort and filter the history on the server", async () => {
+        const secondPage = await request(app)
+            .get("/api/history")
+            .query({ search: "doe", limit: 1, page: 2, sort_by: "entry_time", sort_dir: "asc" });
+
+        expect(secondPage.statusCode).toBe(200);
+        expect(secondPage.body.pagination).toMatchObject({ total: 2, total_pages: 2 });
+        expect(secondPage.body.data).toHaveLength(1);
+        expect(secondPage.body.data[0].exit_time).toBeNull();
+
+        const closed = await request(app).get("/api/history").query({ search: "doe", status: "closed", is_banned: "false" });
+        expect(closed.body.data).toHaveLength(1);
+        expect(closed.body.data[0].exit_time).not.toBeNull();
+    });
+
+    test("should export the filtered history as CSV in batches", async () => {
+        const response = await request(app)
+            .get("/api/history/export")
+            .query({ search: "doe", sort_by: "entry_time", sort_dir: "asc" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.headers["content-disposition"]).toMatch(/^attachment; filename="visit-history-\d{4}-\d{2}-\d{2}\.csv"$/);
+        const lines = response.text.trim().split("\r\n");
+        expect(lines).toHaveLength(3);
+        expect(lines[1]).toContain("Jane,Doe,Jan,");
+        expect(lines[1]).toMatch(/,Yes,No,No,1,Kid Doe \(7\)$/);
+        // The visit still open has no exit time or duration
+        expect(lines[2]).toMatch(/\.\d{3}Z,,,Visitor,Unit 4,/);
+
+        // Batches continue past the open visit's NULL exit time without repeating or losing rows
+        const byExit = await request(app).get("/api/history/export").query({ search: "doe", sort_by: "exit_time" });
+        const exitLines = byExit.text.trim().split("\r\n");
+        expect(exitLines).toHaveLength(3);
+        expect(exitLines[2]).toMatch(/\.\d{3}Z,,,Visitor,Unit 4,/);
+    });
+
+    test("should generate PDF reports for a date range and for one visitor", async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const range = await request(app)
+            .get("/api/history/report")
+            .query({ start_date: "2000-01-01", end_date: today })
+            .buffer(true)
+            .parse(binaryParser);
+
+        expect(range.statusCode).toBe(200);
+        expect(range.headers["content-type"]).toBe("application/pdf");
+        expect(range.body.subarray(0, 5).toString()).toBe("%PDF-");
+
+        const visitor = await request(app).get(`/api/visitors/${janeId}/history-report`).buffer(true).parse(binaryParser);
+        expect(visitor.statusCode).toBe(200);
+        expect(visitor.headers["content-disposition"]).toContain(`visit-history-${janeId}-`);
+
+        const audit = await dbService.executeQuery(
+            "SELECT target_visitor_id, after_values FROM audit_logs WHERE event_name = 'History Report' ORDER BY id"
+        );
+        expect(audit).toHaveLength(2);
+        expect(JSON.parse(audit[1].after_values)).toMatchObject({ format: "pdf", rows: 2 });
+        expect(audit[1].target_visitor_id).toBe(janeId);
+    });
+
+    test("should aggregate visit statistics in the database", async () => {
+        const response = await request(app).get("/api/stats").query({ interval: "month", unit: "Unit 4" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.totals).toMatchObject({ visits: 2, unique_visitors: 1, dependents: 2, open_visits: 1 });
+        expect(response.body.totals.average_duration_minutes).toEqual(expect.any(Number));
+        expect(response.body.by_unit).toEqual([expect.objectContaining({ unit: "Unit 4", visits: 2 })]);
+        expect(response.body.by_reason).toEqual([expect.objectContaining({ reason: "Family", visits: 2 })]);
+        // Both visits land in a local hour and in the current month
+        expect(response.body.by_hour.reduce((sum, { visits }) => sum + visits, 0)).toBe(2);
+        expect(response.body.by_period.reduce((sum, { visits }) => sum + visits, 0)).toBe(2);
+    });
+
+    test("should ban a visitor with a reason, sign them out and block their sign-in", async () => {
+        const ban = { reason: "Threatened staff", severity: "high" };
+        const response = await request(app).post(`/api/ban-visitor/${janeId}`).send(ban);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.message).toBe("Visitor has been banned & signed out.");
+        expect(response.body.closedVisits).toHaveLength(1);
+        expect(response.body.closedVisits[0]).toMatchObject({
+            unit: "Unit 4",
+            exit_time: expect.any(String),
+            dependents: [{ full_name: "Kid Doe", age: 7 }],
+        });
+        expect((await request(app).get("/api/visitors")).body).toHaveLength(0);
+
+        const missing = await request(app).post("/api/ban-visitor/9999").send(ban);
+        expect(missing.statusCode).toBe(404);
+
+        const login = await request(app).post("/api/login").send({ id: janeId });
+        expect(login.statusCode).toBe(403);
+        const updated = await request(app).post("/api/update-visitor-details").send({ id: janeId, unit: "Unit 2", type: "Visitor" });
+        expect(updated.statusCode).toBe(403);
+
+        const search = await request(app).get("/api/visitor-search").query({ name: "jane" });
+        expect(search.body[0]).toMatchObject({
+            is_banned: true,
+            ban_reason: "Threatened staff",
+            ban_severity: "high",
+            banned_by_name: "Admin",
+            ban_end_date: null,
+        });
+    });
+
+    test("should record staff actions in the audit trail", async () => {
+        const response = await request(app).get("/api/audit-logs").query({ visitor_id: janeId });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.map((entry) => entry.action)).toEqual([
+            "ban_visitor",
+            "export_history",
+            "sign_in_visitor",
+            "sign_out_visitor",
+            "register_visitor",
+        ]);
+        expect(response.body[0]).toMatchObject({
+            actor_id: 1,
+            actor_name: "Admin",
+            target_first_name: "Jane",
+            before: { is_banned: false },
+            after: { is_banned: true },
+            client_ip: expect.any(String),
+        });
+
+        const filtered = await request(app).get("/api/audit-logs").query({ action: "sign_out_visitor" });
+        expect(filtered.body).toHaveLength(1);
+    });
+
+    test("liftExpiredBans should lift bans whose end date has passed and keep the history", async () => {
+        const registered = await registerVisitor("Sam", "Short");
+        const samId = registered.body.id;
+        await dbService.executeQuery("UPDATE visitors SET is_banned = 1 WHERE id = @id", [{ name: "id", value: samId }]);
+        await dbService.executeQuery(
+            "INSERT INTO visitor_bans (visitor_id, reason, end_date) VALUES (@id, 'Cooling off', '2000-01-01T00:00:00.000Z')",
+            [{ name: "id", value: samId }]
+        );
+
+        expect(await createBanVisitorRouter.liftExpiredBans(dbService)).toEqual([samId]);
+
+        const visitor = await dbService.executeQuery("SELECT is_banned FROM visitors WHERE id = @id", [{ name: "id", value: samId }]);
+        expect(visitor[0].is_banned).toBe(false);
+
+        const history = await request(app).get(`/api/visitors/${samId}/bans`);
+        expect(history.body).toEqual([
+            expect.objectContaining({ reason: "Cooling off", severity: "medium", lifted_by_name: "Automatic expiry" }),
+        ]);
+        expect((await request(app).get(`/api/visitors/${janeId}/bans`)).body[0].lifted_at).toBeNull();
+
+        // A ban that ends does not clear the flag while another ban is still active
+        await dbService.executeQuery(
+            `INSERT INTO visitor_bans (visitor_id, reason, end_date) VALUES (@id, 'Expired again', '2000-01-01T00:00:00.000Z');
+             INSERT INTO visitor_bans (visitor_id, reason) VALUES (@id, 'Open-ended');
+             UPDATE visitors SET is_banned = 1 WHERE id = @id;`,
+            [{ name: "id", value: samId }]
+        );
+        expect(await createBanVisitorRouter.liftExpiredBans(dbService)).toEqual([samId]);
+        const stillBanned = await dbService.executeQuery("SELECT is_banned FROM visitors WHERE id = @id", [{ name: "id", value: samId }]);
+        expect(stillBanned[0].is_banned).toBe(true);
+        const [expiryAudit] = await dbService.executeQuery("SELECT TOP 1 after_values FROM audit_logs WHERE action = 'ban_expired' ORDER BY id DESC");
+        expect(JSON.parse(expiryAudit.after_values)).toEqual({ is_banned: true });
+
+        await dbService.executeQuery(
+            `UPDATE visitor_bans SET lifted_at = GETUTCDATE() WHERE visitor_id = @id AND lifted_at IS NULL;
+             UPDATE visitors SET is_banned = 0 WHERE id = @id;`,
+            [{ name: "id", value: samId }]
+        );
+    });
+
+    test("runAutoSignOut should close visits left open past the cut-off for staff to review", async () => {
+        const registered = await registerVisitor("Nora", "Late");
+        const noraId = registered.body.id;
+        await dbService.executeQuery(
+            "UPDATE visits SET entry_time = '2000-01-02T09:00:00.000Z' WHERE visitor_id = @id",
+            [{ name: "id", value: noraId }]
+        );
+
+        const closed = await createAutoSignOutRouter.runAutoSignOut(dbService, new Date("2000-01-02T23:00:00.000Z"));
+        expect(closed.map((visit) => visit.visitor_id)).toEqual([noraId]);
+        expect((await request(app).get("/api/visitors")).body.map((visitor) => visitor.id)).not.toContain(noraId);
+
+        const pending = await request(app).get("/api/visits/auto-closed");
+        expect(pending.body).toEqual([
+            expect.objectContaining({ visitor_id: noraId, exit_time: "2000-01-02T23:00:00.000Z", auto_close_reviewed_at: null }),
+        ]);
+
+        const reviewed = await request(app)
+            .post(`/api/visits/${pending.body[0].visit_id}/auto-close-review`)
+            .send({ exit_time: "2000-01-02T17:30:00.000Z" });
+        expect(reviewed.statusCode).toBe(200);
+        expect((await request(app).get("/api/visits/auto-closed")).body).toHaveLength(0);
+
+        const history = await request(app).get("/api/history").query({ search: "late" });
+        expect(history.body.data[0]).toMatchObject({ exit_time: "2000-01-02T17:30:00.000Z", auto_closed: true });
+
+        const audit = await request(app).get("/api/audit-logs").query({ visitor_id: noraId });
+        expect(audit.body.map((entry) => entry.action).slice(0, 2)).toEqual(["review_auto_sign_out", "auto_sign_out"]);
+    });
+
+    test("runDataComplianceCleanup should delete expired visits and profiles in one transaction", async () => {
+        const registered = await registerVisitor("Olga", "Expired", [{ full_name: "Kit Expired", age: 4 }]);
+        const olgaId = registered.body.id;
+        const heldVisitor = await registerVisitor("Hal", "Held");
+        const halId = heldVisitor.body.id;
+        for (const id of [olgaId, halId]) {
+            await request(app).post(`/api/exit-visitor/${id}`);
+            await dbService.executeQuery(
+                "UPDATE visits SET entry_time = '2001-01-01T09:00:00.000Z' WHERE visitor_id = @id",
+                [{ name: "id", value: id }]
+            );
+        }
+        // Olga's photo goes with her profile; the stray upload belongs to nobody
+        const uploadsDir = process.env.UPLOADS_DIR;
+        fs.writeFileSync(path.join(uploadsDir, "olga.jpg"), "photo");
+        fs.writeFileSync(path.join(uploadsDir, "stray.jpg"), "photo");
+        const longAgo = new Date("2001-01-01T09:00:00.000Z");
+        fs.utimesSync(path.join(uploadsDir, "stray.jpg"), longAgo, longAgo);
+        await dbService.executeQuery("UPDATE visitors SET photo_path = 'uploads/olga.jpg' WHERE id = @id", [
+            { name: "id", value: olgaId },
+        ]);
+        await request(app).put("/api/retention/settings").send({ banned_visitor_policy: "keep_profile" });
+        const hold = await request(app).post(`/api/visitors/${halId}/legal-holds`).send({ reason: "Insurance claim" });
+        expect(hold.statusCode).toBe(201);
+
+        // The preview lists Olga (and Nora, auto-signed-out in 2000) but skips Hal
+        const preview = await request(app).get("/api/retention/preview");
+        expect(preview.statusCode).toBe(200);
+        expect(preview.body.profiles.map((profile) => profile.id)).toContain(olgaId);
+        expect(preview.body.visits.map((visit) => visit.visitor_id)).not.toContain(halId);
+        expect(preview.body.dependents).toEqual([expect.objectContaining({ full_name: "Kit Expired" })]);
+        expect(preview.body.orphaned_photos).toEqual(["uploads/stray.jpg"]);
+
+        const summary = await runDataComplianceCleanup(dbService);
+
+        expect(summary.status).toBe("OK");
+        expect(summary.deletedCounts).toMatchObject({
+            dependents: 1,
+            visits: preview.body.counts.visits,
+            profiles: preview.body.counts.profiles,
+            photos: 1,
+            orphaned_photos: 1,
+        });
+        expect(fs.readdirSync(process.env.UPLOADS_DIR)).toEqual([]);
+        const hal = await dbService.executeQuery("SELECT id FROM visitors WHERE id = @id", [{ name: "id", value: halId }]);
+        expect(hal).toHaveLength(1);
+        const olga = await dbService.executeQuery("SELECT id FROM visitors WHERE id = @id", [{ name: "id", value: olgaId }]);
+        expect(olga).toHaveLength(0);
+        // Jane is banned and keeps her profile under keep_profile
+        const jane = await dbService.executeQuery("SELECT id FROM visitors WHERE id = @id", [{ name: "id", value: janeId }]);
+        expect(jane).toHaveLength(1);
+
+        const settings = await request(app).get("/api/retention/settings");
+        expect(settings.body.sources.banned_visitor_policy).toBe("admin");
+    });
+
+    test("subject access export should gather the visitor's visits, bans and audit entries", async () => {
+        const exported = await request(app).get(`/api/visitors/${janeId}/subject-access`);
+
+        expect(exported.statusCode).toBe(200);
+        expect(exported.body.visitor).toMatchObject({ id: janeId, is_banned: true });
+        expect(exported.body.visits.length).toBeGreaterThan(0);
+        expect(exported.body.bans.length).toBeGreaterThan(0);
+        expect(exported.body.audit_entries.map((entry) => entry.action)).toContain("ban_visitor");
+
+        const html = await request(app).get(`/api/visitors/${janeId}/subject-access`).query({ format: "html" });
+        expect(html.statusCode).toBe(200);
+        expect(html.text).toContain("Subject access export");
+    });
+
+    test("DELETE /api/visitors/:id should erase or anonymise a visitor and leave a tombstone", async () => {
+        const erin = (await registerVisitor("Erin", "Erase", [{ full_name: "Eddie Erase", age: 7 }])).body.id;
+        const anna = (await registerVisitor("Anna", "Anon", [{ full_name: "Abe Anon", age: 5 }])).body.id;
+
+        // Erin is still on site, so even an admin has to force it
+        const refused = await request(app).delete(`/api/visitors/${erin}`);
+        expect(refused.statusCode).toBe(409);
+        expect(refused.body).toMatchObject({ blockers: ["on_site"], canOverride: true });
+
+        const erased = await request(app).delete(`/api/visitors/${erin}`).query({ force: "true" });
+        expect(erased.statusCode).toBe(200);
+        expect(erased.body.erased).toMatchObject({ visits: 1, dependents: 1 });
+        const erinRows = await dbService.executeQuery(
+            "SELECT (SELECT COUNT(*) FROM visitors WHERE id = @id) AS visitors, (SELECT COUNT(*) FROM visits WHERE visitor_id = @id) AS visits",
+            [{ name: "id", value: erin }]
+        );
+        expect(erinRows[0]).toEqual({ visitors: 0, visits: 0 });
+
+        // Anna is on site too: anonymising her signs her out, so no anonymous visit stays open
+        const anonymised = await request(app).delete(`/api/visitors/${anna}`).query({ mode: "anonymise", force: "true" });
+        expect(anonymised.statusCode).toBe(200);
+        const annaRows = await dbService.executeQuery(
+            `SELECT V.first_name, T.phone_number, D.full_name AS dependent_name, CASE WHEN T.exit_time IS NULL THEN 0 ELSE 1 END AS signed_out
+             FROM visitors AS V JOIN visits AS T ON T.visitor_id = V.id JOIN dependents AS D ON D.visit_id = T.id
+             WHERE V.id = @id`,
+            [{ name: "id", value: anna }]
+        );
+        expect(annaRows).toEqual([{ first_name: "Erased", phone_number: null, dependent_name: "Erased", signed_out: 1 }]);
+        expect((await request(app).get("/api/visitors")).body.map((visitor) => visitor.id)).not.toContain(anna);
+        const annaHousehold = await dbService.executeQuery("SELECT id FROM household_members WHERE visitor_id = @id", [
+            { name: "id", value: anna },
+        ]);
+        expect(annaHousehold).toHaveLength(0);
+
+        // Only the tombstones keep anything about them, and they hold no names
+        const audit = await request(app).get("/api/audit-logs").query({ action: "erase_visitor" });
+        expect(audit.body.map((entry) => entry.event_name)).toEqual(["Visitor Anonymised", "Visitor Erased"]);
+        expect(JSON.stringify(audit.body)).not.toMatch(/Erin|Anna|Eddie|Abe/);
+    });
+
+    test("should register visitors who share a name once staff confirm, told apart by date of birth", async () => {
+        const first = await registerVisitor("John", "Smith").field("date_of_birth", "1980-02-03");
+        expect(first.statusCode).toBe(201);
+
+        const sameBirthday = await registerVisitor(" john ", "SMITH")
+            .field("date_of_birth", "1980-02-03")
+            .field("confirm_new_visitor", "true");
+        expect(sameBirthday.statusCode).toBe(409);
+        expect(sameBirthday.body).toMatchObject({ canConfirm: false, possibleDuplicates: [{ id: first.body.id, date_of_birth: "1980-02-03" }] });
+
+        const second = await registerVisitor("John", "Smith")
+            .field("date_of_birth", "1995-07-08")
+            .field("confirm_new_visitor", "true");
+        expect(second.statusCode).toBe(201);
+
+        // Spellings that sound alike are caught too, best match first
+        const misspelt = await registerVisitor("Jon", "Smyth").field("date_of_birth", "1995-07-08");
+        expect(misspelt.statusCode).toBe(409);
+        expect(misspelt.body.possibleDuplicates.map((visitor) => visitor.id)).toEqual([second.body.id]);
+        expect(misspelt.body.possibleDuplicates[0]).toMatchObject({ match_reasons: ["Similar name", "Same date of birth"] });
+
+        const found = await request(app).get("/api/visitor-search").query({ name: "john smith" });
+        expect(found.body.map((visitor) => visitor.date_of_birth)).toEqual(["1980-02-03", "1995-07-08"]);
+        expect(found.body[0].last_visit_time).toEqual(expect.any(String));
+
+        const future = await registerVisitor("Jo", "Future").field("date_of_birth", "2999-01-01");
+        expect(future.statusCode).toBe(400);
+    });
+
+    test("should find a possible duplicate by phone number through the stored phone_suffix", async () => {
+        const pat = (await registerVisitor("Pat", "Phone").field("phone_number", "07700 900123")).body.id;
+        await request(app).post(`/api/exit-visitor/${pat}`);
+        const [visit] = await dbService.executeQuery("SELECT phone_suffix FROM visits WHERE visitor_id = @id", [{ name: "id", value: pat }]);
+        expect(visit.phone_suffix).toBe("700900123");
+
+        const dotted = (await registerVisitor("Dot", "Number").field("phone_number", "+44 7700.900.456")).body.id;
+        await request(app).post(`/api/exit-visitor/${dotted}`);
+        const [dottedVisit] = await dbService.executeQuery("SELECT phone_suffix FROM visits WHERE visitor_id = @id", [{ name: "id", value: dotted }]);
+        expect(dottedVisit.phone_suffix).toBe("700900456");
+
+        const again = await registerVisitor("Patrick", "Fone").field("phone_number", "+44 (7700) 900-123");
+        expect(again.statusCode).toBe(409);
+        expect(again.body.possibleDuplicates).toEqual([
+            expect.objectContaining({ id: pat, match_reasons: expect.arrayContaining(["Same phone number"]) }),
+        ]);
+    });
+
+    test("should merge a duplicate profile into the survivor and undo the merge", async () => {
+        const mia = (await registerVisitor("Mia", "Merge", [{ full_name: "Max Merge", age: 4 }])).body.id;
+        await request(app).post(`/api/exit-visitor/${mia}`);
+        const mya = (await registerVisitor("Mya", "Merge").field("date_of_birth", "1990-05-06").field("confirm_new_visitor", "true")).body.id;
+
+        const preview = await request(app)
+            .get("/api/visitor-merges/preview")
+            .query({ survivor_id: mia, merged_id: mya });
+        expect(preview.statusCode).toBe(200);
+        expect(preview.body.result).toMatchObject({ first_name: "Mia", date_of_birth: "1990-05-06" });
+        expect(preview.body.moves).toEqual({ visits: 1, dependents: 0, bans: 0, legal_holds: 0, household_members: 0 });
+
+        const merged = await request(app).post("/api/visitor-merges").send({ survivor_id: mia, merged_id: mya });
+        expect(merged.statusCode).toBe(201);
+        const visitorIds = () =>
+            dbService.executeQuery("SELECT visitor_id FROM visits WHERE visitor_id IN (@mia, @mya) ORDER BY id", [
+                { name: "mia", value: mia },
+                { name: "mya", value: mya },
+            ]);
+        expect((await visitorIds()).map((visit) => visit.visitor_id)).toEqual([mia, mia]);
+        // Mya was on site, so she now shows as Mia and the duplicate profile is hidden
+        expect((await request(app).get("/api/visitors")).body.map((visitor) => visitor.id)).toContain(mia);
+        const search = await request(app).get("/api/visitor-search").query({ name: "merge" });
+        expect(search.body.map((visitor) => [visitor.id, visitor.date_of_birth])).toEqual([[mia, "1990-05-06"]]);
+        expect((await request(app).post("/api/login").send({ id: mya })).statusCode).toBe(404);
+
+        const again = await request(app).post("/api/visitor-merges").send({ survivor_id: mia, merged_id: mya });
+        expect(again.statusCode).toBe(409);
+
+        expect((await request(app).patch(`/api/visitors/${mya}/profile`).send({ last_name: "Merged" })).statusCode).toBe(409);
+
+        // A correction made after the merge survives the undo
+        const corrected = await request(app).patch(`/api/visitors/${mia}/profile`).send({ last_name: "Merger" });
+        expect(corrected.statusCode).toBe(200);
+
+        const undone = await request(app).post(`/api/visitor-merges/${merged.body.mergeId}/undo`);
+        expect(undone.statusCode).toBe(200);
+        expect(undone.body.restored).toMatchObject({ visits: 1 });
+        expect(undone.body.kept).toEqual(["last_name"]);
+        expect((await visitorIds()).map((visit) => visit.visitor_id)).toEqual([mia, mya]);
+        const restored = await request(app).get("/api/visitor-search").query({ name: "merge" });
+        expect(restored.body.map((visitor) => [visitor.first_name, visitor.last_name, visitor.date_of_birth])).toEqual([
+            ["Mia", "Merger", null],
+            ["Mya", "Merge", "1990-05-06"],
+        ]);
+
+        const history = await request(app).get("/api/visitor-merges");
+        expect(history.body[0]).toMatchObject({ id: merged.body.mergeId, can_undo: false, undone_by_name: "Admin" });
+        const audit = await request(app).get("/api/audit-logs").query({ visitor_id: mia });
+        expect(audit.body.map((entry) => entry.action)).toEqual(expect.arrayContaining(["merge_visitors", "undo_merge_visitors"]));
+    });
+
+    test("should correct a visitor's profile and replace their photo, keeping the earlier one", async () => {
+        const pat = (await registerVisitor("Pat", "Profile")).body.id;
+
+        const renamed = await request(app).patch(`/api/visitors/${pat}/profile`).send({ first_name: "Patricia", date_of_birth: "1970-01-02" });
+        expect(renamed.statusCode).toBe(200);
+        expect(renamed.body.visitor).toMatchObject({ first_name: "Patricia", last_name: "Profile", date_of_birth: "1970-01-02", photo: null });
+        const search = await request(app).get("/api/visitor-search").query({ name: "patricia" });
+        expect(search.body.map((visitor) => visitor.id)).toEqual([pat]);
+
+        // Renaming someone to an existing visitor's name warns like registration does
+        const clash = await request(app).patch(`/api/visitors/${pat}/profile`).send({ first_name: "Jane", last_name: "Doe" });
+        expect(clash.statusCode).toBe(409);
+        expect(clash.body).toMatchObject({ canConfirm: true, possibleDuplicates: [expect.objectContaining({ first_name: "Jane" })] });
+
+        const first = await request(app).post(`/api/visitors/${pat}/photo`).attach("photo", Buffer.from("first"), "first.jpg");
+        const second = await request(app).post(`/api/visitors/${pat}/photo`).attach("photo", Buffer.from("second"), "second.jpg");
+        expect(second.statusCode).toBe(200);
+        const photos = await request(app).get(`/api/visitors/${pat}/photos`);
+        const fileName = (url) => path.basename(url);
+        expect(fileName(photos.body.current)).toBe(fileName(second.body.visitor.photo));
+        expect(photos.body.history.map((photo) => fileName(photo.photo))).toEqual([fileName(first.body.visitor.photo)]);
+        expect(photos.body.history[0].replaced_by_name).toBe("Admin");
+
+        // Erasing the visitor removes every photo they had
+        const fileOf = (url) => path.join(process.env.UPLOADS_DIR, fileName(url));
+        expect(fs.existsSync(fileOf(first.body.visitor.photo))).toBe(true);
+        await request(app).post(`/api/exit-visitor/${pat}`);
+        expect((await request(app).delete(`/api/visitors/${pat}`)).statusCode).toBe(200);
+        expect(fs.existsSync(fileOf(first.body.visitor.photo))).toBe(false);
+        expect(fs.existsSync(fileOf(second.body.visitor.photo))).toBe(false);
+    });
+
+    test("transaction() should roll back every statement when the work throws", async () => {
+        await expect(
+            dbService.transaction(async (tx) => {
+                await tx.executeQuery(
+                    "INSERT INTO visitors (first_name, last_name) VALUES (@first, @last)",
+                    [{ name: "first", value: "Temp" }, { name: "last", value: "Visitor" }]
+                );
+                throw new Error("boom");
+            })
+        ).rejects.toThrow("boom");
+
+        const rows = await dbService.executeQuery("SELECT id FROM visitors WHERE first_name = 'Temp'");
+        expect(rows).toHaveLength(0);
+    });
+
+    test("connectDb() should bring an existing database file up to the schema, keeping its rows", async () => {
+        const initSqlJs = require("sql.js");
+        const SQL = await initSqlJs();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "visitor-db-"));
+        const oldFile = path.join(dir, "old.sqlite");
+        const brokenFile = path.join(dir, "broken.sqlite");
+
+        // A visitors table from before dates of birth and merges
+        const old = new SQL.Database();
+        old.run(`CREATE TABLE visitors (id INTEGER PRIMARY KEY AUTOINCREMENT, first_name TEXT NOT NULL,
+                 last_name TEXT NOT NULL, photo_path TEXT, is_banned INTEGER NOT NULL DEFAULT 0)`);
+        old.run("INSERT INTO visitors (first_name, last_name) VALUES ('Olive', 'Old')");
+        fs.writeFileSync(oldFile, Buffer.from(old.export()));
+        // A visitors table whose rows cannot fill the required last_name
+        const broken = new SQL.Database();
+        broken.run("CREATE TABLE visitors (id INTEGER PRIMARY KEY AUTOINCREMENT, first_name TEXT NOT NULL)");
+        broken.run("INSERT INTO visitors (first_name) VALUES ('Nameless')");
+        fs.writeFileSync(brokenFile, Buffer.from(broken.export()));
+        const brokenBytes = fs.readFileSync(brokenFile);
+
+        const openFile = async (file, work) => {
+            process.env.SQLITE_DB_PATH = file;
+            let service;
+            jest.isolateModules(() => {
+                service = require("./localSqlService");
+            });
+            try {
+                await work(service);
+            } finally {
+                await service.closeDb();
+                delete process.env.SQLITE_DB_PATH;
+            }
+        };
+
+        try {
+            await openFile(oldFile, async (service) => {
+                await service.connectDb();
+                const rows = await service.executeQuery("SELECT id, first_name, date_of_birth, merged_into_id FROM visitors");
+                expect(rows).toEqual([{ id: 1, first_name: "Olive", date_of_birth: null, merged_into_id: null }]);
+                // New rows carry on from the old IDs, and the tables added later exist
+                const [added] = await service.executeQuery(
+                    "INSERT INTO visitors (first_name, last_name) OUTPUT INSERTED.id VALUES ('New', 'Visitor')"
+                );
+                expect(added.id).toBe(2);
+                expect(await service.executeQuery("SELECT id FROM household_members")).toEqual([]);
+            });
+            // The migrated file opens again without changes
+            await openFile(oldFile, async (service) => {
+                await service.connectDb();
+                expect(await service.executeQuery("SELECT COUNT(*) AS total FROM visitors")).toEqual([{ total: 2 }]);
+            });
+
+            await openFile(brokenFile, async (service) => {
+                await expect(service.connectDb()).rejects.toThrow(/does not match azure_schema_creation\.sql/);
+            });
+            expect(fs.readFileSync(brokenFile).equals(brokenBytes)).toBe(true);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test("adoptLastVisitDependents should start a household from the last visit once, keeping the ages", async () => {
+        let service;
+        jest.isolateModules(() => {
+            service = require("./localSqlService");
+        });
+        try {
+            await service.connectDb();
+            const [visitor] = await service.executeQuery(
+                "INSERT INTO visitors (first_name, last_name) OUTPUT INSERTED.id VALUES ('Olive', 'Old')"
+            );
+            const visitorInput = [{ name: "visitorId", type: service.sqlTypes.Int, value: visitor.id }];
+            // Dependents from before households: an older visit, then the last one
+            for (const [entryTime, names] of [["2024-01-01T09:00:00.000Z", ["Gone Old"]], ["2024-02-01T09:00:00.000Z", ["Ivy Old", "Ned Old"]]]) {
+                const [visit] = await service.executeQuery(
+                    "INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type) OUTPUT INSERTED.id VALUES (@visitorId, @entryTime, @entryTime, 'Unit 9', 'Visitor')",
+                    [...visitorInput, { name: "entryTime", type: service.sqlTypes.DateTime, value: entryTime }]
+                );
+                for (const [index, name] of names.entries()) {
+                    await service.executeQuery("INSERT INTO dependents (full_name, age, visit_id) VALUES (@name, @age, @visitId)", [
+                        { name: "name", type: service.sqlTypes.NVarChar(255), value: name },
+                        { name: "age", type: service.sqlTypes.Int, value: 4 + index },
+                        { name: "visitId", type: service.sqlTypes.Int, value: visit.id },
+                    ]);
+                }
+            }
+
+            expect(await createHouseholdRouter.adoptLastVisitDependents(service)).toEqual([visitor.id]);
+            // A second start finds nothing left to do
+            expect(await createHouseholdRouter.adoptLastVisitDependents(service)).toEqual([]);
+
+            const ids = (await service.executeQuery("SELECT id FROM household_members WHERE visitor_id = @visitorId", visitorInput)).map((row) => row.id);
+            const members = await createHouseholdRouter.findHouseholdMembers(service.executeQuery, visitor.id, ids);
+            expect(members.map(({ full_name, last_recorded_age }) => ({ full_name, last_recorded_age }))).toEqual([
+                { full_name: "Ivy Old", last_recorded_age: 4 },
+                { full_name: "Ned Old", last_recorded_age: 5 },
+            ]);
+            const audits = await service.executeQuery("SELECT action, target_visitor_id FROM audit_logs WHERE action = 'adopt_household'");
+            expect(audits).toEqual([{ action: "adopt_household", target_visitor_id: visitor.id }]);
+        } finally {
+            await service.closeDb();
+        }
+    });
+
+    test("logAudit should write to audit_logs", async () => {
+        await dbService.logAudit({ eventName: "Test Event", status: "Success", visitsDeleted: 2 });
+
+        const rows = await dbService.executeQuery("SELECT TOP 1 event_name, visits_deleted FROM audit_logs ORDER BY id DESC");
+        expect(rows[0]).toEqual({ event_name: "Test Event", visits_deleted: 2 });
+    });
+});
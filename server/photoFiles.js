@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Visitor photos on disk.
+ *
+ * Registration saves each photo in UPLOADS_DIR through multer and stores
+ * "uploads/<file name>" in visitors.photo_path; replaced photos move to the
+ * visitor_photos history. Anything that deletes a visitor must remove their
+ * files too, after its transaction commits; the orphan sweep catches files no
+ * visitor or photo history points to any more.
+ */
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, "uploads");
+
+// Files younger than this may belong to a registration that has not committed yet
+const ORPHAN_GRACE_PERIOD_MS = 60 * 60 * 1000;
+
+/**
+ * Resolves a stored photo_path to its file, refusing anything outside UPLOADS_DIR.
+ * @param {string} photoPath - e.g. "uploads/photo-1700000000000.jpg".
+ * @returns {string|null} The absolute file path, or null.
+ */
+function resolvePhotoFile(photoPath) {
+  if (!photoPath) return null;
+  const fileName = path.basename(photoPath);
+  if (photoPath !== `uploads/${fileName}`) return null;
+  return path.join(UPLOADS_DIR, fileName);
+}
+
+/**
+ * Deletes the files behind a list of photo_path values. Missing files are not an error.
+ * @param {string[]} photoPaths - visitors.photo_path values.
+ * @returns {Promise<{deleted: number, missing: number, failed: string[]}>}
+ */
+async function deletePhotoFiles(photoPaths) {
+  const summary = { deleted: 0, missing: 0, failed: [] };
+
+  for (const photoPath of photoPaths) {
+    const file = resolvePhotoFile(photoPath);
+    if (!file) {
+      summary.failed.push(photoPath);
+      continue;
+    }
+    try {
+      await fs.promises.unlink(file);
+      summary.deleted += 1;
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        summary.missing += 1;
+      } else {
+        console.error(`Failed to delete photo ${photoPath}:`, err.message);
+        summary.failed.push(photoPath);
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Lists upload files that no visitors.photo_path or visitor_photos.photo_path refers to.
+ * @param {object} dbService - The database service wrapper (with executeQuery).
+ * @returns {Promise<string[]>} photo_path-style names ("uploads/<file name>").
+ */
+async function findOrphanedPhotoFiles(dbService) {
+  let fileNames;
+  try {
+    fileNames = await fs.promises.readdir(UPLOADS_DIR);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const rows = await dbService.executeQuery(
+    `SELECT photo_path FROM visitors WHERE photo_path IS NOT NULL
+     UNION SELECT photo_path FROM visitor_photos`
+  );
+  const referenced = new Set(rows.map((row) => path.basename(row.photo_path)));
+  const graceCutoff = Date.now() - ORPHAN_GRACE_PERIOD_MS;
+
+  const orphans = [];
+  for (const fileName of fileNames) {
+    if (referenced.has(fileName)) continue;
+    const stats = await fs.promises.stat(path.join(UPLOADS_DIR, fileName));
+    if (stats.isFile() && stats.mtimeMs < graceCutoff) {
+      orphans.push(`uploads/${fileName}`);
+    }
+  }
+  return orphans.sort();
+}
+
+/**
+ * Deletes every orphaned upload file.
+ * @param {object} dbService - The database service wrapper (with executeQuery).
+ * @returns {Promise<{orphans: string[], deleted: number, missing: number, failed: string[]}>}
+ */
+async function sweepOrphanedPhotoFiles(dbService) {
+  const orphans = await findOrphanedPhotoFiles(dbService);
+  const summary = await deletePhotoFiles(orphans);
+  return { orphans, ...summary };
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  resolvePhotoFile,
+  deletePhotoFiles,
+  findOrphanedPhotoFiles,
+  sweepOrphanedPhotoFiles,
+};
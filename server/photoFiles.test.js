@@ -0,0 +1,82 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), "photo-files-"));
+process.env.UPLOADS_DIR = uploadsDir;
+const { resolvePhotoFile, deletePhotoFiles, findOrphanedPhotoFiles, sweepOrphanedPhotoFiles } = require("./photoFiles");
+
+// Writes an upload file, backdated so it is past the orphan grace period unless `recent`
+const writeUpload = (fileName, recent = false) => {
+    const file = path.join(uploadsDir, fileName);
+    fs.writeFileSync(file, "photo");
+    if (!recent) {
+        const longAgo = new Date("2020-01-01T00:00:00.000Z");
+        fs.utimesSync(file, longAgo, longAgo);
+    }
+};
+
+describe("photoFiles", () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+        fs.mkdirSync(uploadsDir);
+        mockDbService = { executeQuery: jest.fn().mockResolvedValue([]) };
+    });
+
+    afterAll(() => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+    });
+
+    test("resolvePhotoFile should only accept files directly in uploads/", () => {
+        expect(resolvePhotoFile("uploads/photo-1.jpg")).toBe(path.join(uploadsDir, "photo-1.jpg"));
+        expect(resolvePhotoFile("uploads/../server.js")).toBeNull();
+        expect(resolvePhotoFile("/etc/passwd")).toBeNull();
+        expect(resolvePhotoFile(null)).toBeNull();
+    });
+
+    test("deletePhotoFiles should delete files, count missing ones and refuse unsafe paths", async () => {
+        writeUpload("photo-1.jpg");
+        jest.spyOn(console, "error").mockImplementation(() => {});
+
+        const summary = await deletePhotoFiles(["uploads/photo-1.jpg", "uploads/gone.jpg", "../secret.jpg"]);
+
+        expect(summary).toEqual({ deleted: 1, missing: 1, failed: ["../secret.jpg"] });
+        expect(fs.existsSync(path.join(uploadsDir, "photo-1.jpg"))).toBe(false);
+        jest.restoreAllMocks();
+    });
+
+    test("findOrphanedPhotoFiles should skip referenced and recent files", async () => {
+        writeUpload("kept.jpg");
+        writeUpload("orphan-b.jpg");
+        writeUpload("orphan-a.jpg");
+        writeUpload("just-uploaded.jpg", true);
+        mockDbService.executeQuery.mockResolvedValue([{ photo_path: "uploads/kept.jpg" }]);
+
+        const orphans = await findOrphanedPhotoFiles(mockDbService);
+
+        expect(orphans).toEqual(["uploads/orphan-a.jpg", "uploads/orphan-b.jpg"]);
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain("SELECT photo_path FROM visitors");
+        // Earlier photos kept in the history are not orphans either
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain("SELECT photo_path FROM visitor_photos");
+    });
+
+    test("sweepOrphanedPhotoFiles should delete the orphans only", async () => {
+        writeUpload("kept.jpg");
+        writeUpload("orphan.jpg");
+        mockDbService.executeQuery.mockResolvedValue([{ photo_path: "uploads/kept.jpg" }]);
+
+        const sweep = await sweepOrphanedPhotoFiles(mockDbService);
+
+        expect(sweep).toEqual({ orphans: ["uploads/orphan.jpg"], deleted: 1, missing: 0, failed: [] });
+        expect(fs.readdirSync(uploadsDir)).toEqual(["kept.jpg"]);
+    });
+
+    test("should find nothing when the uploads folder does not exist", async () => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+
+        expect(await findOrphanedPhotoFiles(mockDbService)).toEqual([]);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,117 @@
+const express = require("express");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Parses a before/after JSON column, leaving unreadable values as the raw string
+const parseAuditJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    return value;
+  }
+};
+
+/**
+ * Creates and configures a read-only router for the audit trail.
+ *
+ * @param {object} dbService - The database service wrapper (e.g., with executeQuery).
+ * @returns {express.Router} - An Express router with the /audit-logs endpoint.
+ */
+function createAuditLogsRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint to list audit entries, newest first, with optional filters:
+  // action, actor_id, visitor_id, start_date, end_date (YYYY-MM-DD) and limit
+  router.get("/audit-logs", requirePermission("view_audit_logs"), async (req, res) => {
+    const { action, actor_id, visitor_id, start_date, end_date } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res
+        .status(400)
+        .json({ message: `Limit must be between 1 and ${MAX_LIMIT}.` });
+    }
+    if ((actor_id && isNaN(parseInt(actor_id, 10))) || (visitor_id && isNaN(parseInt(visitor_id, 10)))) {
+      return res
+        .status(400)
+        .json({ message: "Actor and visitor IDs must be numbers." });
+    }
+
+    const whereClauses = [];
+    const inputs = [{ name: "limit", type: sql.Int, value: limit }];
+
+    if (action) {
+      whereClauses.push("a.action = @action");
+      inputs.push({ name: "action", type: sql.NVarChar(100), value: action });
+    }
+    if (actor_id) {
+      whereClauses.push("a.actor_id = @actorId");
+      inputs.push({ name: "actorId", type: sql.Int, value: parseInt(actor_id, 10) });
+    }
+    if (visitor_id) {
+      whereClauses.push("a.target_visitor_id = @visitorId");
+      inputs.push({ name: "visitorId", type: sql.Int, value: parseInt(visitor_id, 10) });
+    }
+    if (start_date) {
+      whereClauses.push("a.timestamp >= @startDate");
+      inputs.push({ name: "startDate", type: sql.NVarChar, value: start_date });
+    }
+    if (end_date) {
+      // End date must include the entire day
+      whereClauses.push("a.timestamp <= @endDate");
+      inputs.push({ name: "endDate", type: sql.NVarChar, value: `${end_date}T23:59:59.999Z` });
+    }
+
+    const whereClause =
+      whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
+
+    const query = `
+        SELECT TOP (@limit)
+            a.id,
+            a.timestamp,
+            a.event_name,
+            a.status,
+            a.action,
+            a.actor_id,
+            a.actor_name,
+            a.target_visitor_id,
+            a.target_visit_id,
+            v.first_name AS target_first_name,
+            v.last_name AS target_last_name,
+            a.before_values,
+            a.after_values,
+            a.client_ip,
+            a.profiles_deleted,
+            a.visits_deleted,
+            a.dependents_deleted
+        FROM audit_logs AS a
+        LEFT JOIN visitors AS v
+            ON v.id = a.target_visitor_id
+        ${whereClause}
+        ORDER BY a.timestamp DESC, a.id DESC
+    `;
+
+    try {
+      const rows = await dbService.executeQuery(query, inputs);
+
+      const entries = rows.map(({ before_values, after_values, ...entry }) => ({
+        ...entry,
+        before: parseAuditJson(before_values),
+        after: parseAuditJson(after_values),
+      }));
+
+      res.status(200).json(entries);
+    } catch (err) {
+      console.error("Database Error in GET /audit-logs:", err.message);
+      res.status(500).json({ message: "Failed to retrieve the audit trail." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuditLogsRouter;
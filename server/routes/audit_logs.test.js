@@ -0,0 +1,103 @@
+const request = require("supertest");
+const express = require("express");
+const createAuditLogsRouter = require("./audit_logs");
+
+// Helper to create a test app with a signed-in staff member of the given role
+function setupTestApp(dbService, role = "admin") {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "admin", displayName: "Admin", role };
+        next();
+    });
+    app.use("/", createAuditLogsRouter(dbService));
+    return app;
+}
+
+describe("GET /audit-logs", () => {
+    let mockDbService;
+    let app;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+        };
+        app = setupTestApp(mockDbService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("should return 403 for staff who cannot view the audit trail", async () => {
+        const response = await request(setupTestApp(mockDbService, "supervisor")).get("/audit-logs");
+
+        expect(response.status).toBe(403);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("should return entries with the before/after snapshots parsed", async () => {
+        mockDbService.executeQuery.mockResolvedValue([
+            {
+                id: 3,
+                action: "ban_visitor",
+                actor_name: "Admin",
+                target_visitor_id: 12,
+                before_values: '{"is_banned":false}',
+                after_values: '{"is_banned":true}',
+            },
+        ]);
+
+        const response = await request(app).get("/audit-logs").expect(200);
+
+        expect(response.body).toEqual([
+            {
+                id: 3,
+                action: "ban_visitor",
+                actor_name: "Admin",
+                target_visitor_id: 12,
+                before: { is_banned: false },
+                after: { is_banned: true },
+            },
+        ]);
+        const [query, inputs] = mockDbService.executeQuery.mock.calls[0];
+        expect(query).not.toContain("WHERE");
+        expect(inputs).toEqual([expect.objectContaining({ name: "limit", value: 100 })]);
+    });
+
+    test("should apply the action, actor, visitor and date filters", async () => {
+        mockDbService.executeQuery.mockResolvedValue([]);
+
+        await request(app)
+            .get("/audit-logs")
+            .query({ action: "unban_visitor", actor_id: "4", visitor_id: "12", start_date: "2026-01-01", end_date: "2026-01-31", limit: "20" })
+            .expect(200);
+
+        const [query, inputs] = mockDbService.executeQuery.mock.calls[0];
+        expect(query).toContain("a.action = @action");
+        expect(query).toContain("a.actor_id = @actorId");
+        expect(query).toContain("a.target_visitor_id = @visitorId");
+        expect(query).toContain("a.timestamp >= @startDate");
+        expect(inputs).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "limit", value: 20 }),
+            expect.objectContaining({ name: "actorId", value: 4 }),
+            expect.objectContaining({ name: "endDate", value: "2026-01-31T23:59:59.999Z" }),
+        ]));
+    });
+
+    test("should return 400 for an invalid limit or ID", async () => {
+        await request(app).get("/audit-logs").query({ limit: "5000" }).expect(400);
+        await request(app).get("/audit-logs").query({ visitor_id: "abc" }).expect(400);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("should return 500 on a database error", async () => {
+        mockDbService.executeQuery.mockRejectedValue(new Error("DB down"));
+
+        const response = await request(app).get("/audit-logs");
+
+        expect(response.status).toBe(500);
+        expect(response.body.message).toBe("Failed to retrieve the audit trail.");
+    });
+});
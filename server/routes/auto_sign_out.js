@@ -0,0 +1,251 @@
+const express = require("express");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+const { publishVisitorEvent } = require("../visitorEvents");
+
+// Server-local time of day at which visits still open are closed (AUTO_SIGN_OUT_TIME, "off" to disable)
+const DEFAULT_CUTOFF_TIME = "23:00";
+
+/**
+ * Parses an HH:MM cut-off setting.
+ * @param {string} setting - e.g. "23:00", or "off".
+ * @returns {{hours: number, minutes: number}|null} null when automatic sign-out is off.
+ */
+function parseCutoffTime(setting = DEFAULT_CUTOFF_TIME) {
+  if (String(setting).trim().toLowerCase() === "off") return null;
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(setting).trim());
+  const hours = match ? parseInt(match[1], 10) : NaN;
+  const minutes = match ? parseInt(match[2], 10) : NaN;
+  if (!match || hours > 23 || minutes > 59) {
+    console.warn(`Invalid AUTO_SIGN_OUT_TIME "${setting}". Using ${DEFAULT_CUTOFF_TIME}.`);
+    return parseCutoffTime(DEFAULT_CUTOFF_TIME);
+  }
+  return { hours, minutes };
+}
+
+/**
+ * The most recent cut-off at or before `now`.
+ * @param {Date} now
+ * @param {{hours: number, minutes: number}} cutoff
+ * @returns {Date}
+ */
+function previousCutoff(now, cutoff) {
+  const date = new Date(now);
+  date.setHours(cutoff.hours, cutoff.minutes, 0, 0);
+  if (date > now) date.setDate(date.getDate() - 1);
+  return date;
+}
+
+/**
+ * The first cut-off after `now`.
+ * @param {Date} now
+ * @param {{hours: number, minutes: number}} cutoff
+ * @returns {Date}
+ */
+function nextCutoff(now, cutoff) {
+  const date = previousCutoff(now, cutoff);
+  date.setDate(date.getDate() + 1);
+  return date;
+}
+
+/**
+ * Closes every visit still open that started before the cut-off. The exit time is set to
+ * the cut-off and the visit is flagged auto_closed, so staff can review it the next morning.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and logAudit).
+ * @param {Date} cutoff - Visits that started before this time are closed at this time.
+ * @returns {Promise<Array<{id: number, visitor_id: number}>>} The visits that were closed.
+ */
+async function runAutoSignOut(dbService, cutoff) {
+  const exitTime = cutoff.toISOString();
+
+  try {
+    const closed = await dbService.executeQuery(
+      `UPDATE visits
+       SET exit_time = @exitTime, auto_closed = 1
+       OUTPUT INSERTED.id, INSERTED.visitor_id
+       WHERE exit_time IS NULL AND entry_time < @exitTime`,
+      [{ name: "exitTime", type: sql.NVarChar, value: exitTime }]
+    );
+
+    for (const visit of closed) {
+      await dbService.logAudit({
+        eventName: "Visitor Auto Signed Out",
+        status: "Success",
+        action: "auto_sign_out",
+        targetVisitorId: visit.visitor_id,
+        targetVisitId: visit.id,
+        before: { exit_time: null },
+        after: { exit_time: exitTime, auto_closed: true },
+      });
+      publishVisitorEvent("visitor_signed_out", { visitorId: visit.visitor_id });
+    }
+
+    if (closed.length > 0) {
+      console.log(`Auto sign-out: closed ${closed.length} visit(s) left open at ${exitTime}.`);
+    }
+    return [...closed];
+  } catch (err) {
+    console.error("Automatic sign-out failed:", err.message);
+    return [];
+  }
+}
+
+/**
+ * Catches up on the last cut-off (e.g. the server was down at the time) and then
+ * closes forgotten visits at every cut-off. Called from server.js once the database is connected.
+ *
+ * @param {object} dbService - The database service wrapper.
+ * @param {string} setting - The AUTO_SIGN_OUT_TIME setting.
+ * @returns {Promise<{hours: number, minutes: number}|null>} The cut-off in use, or null when off.
+ */
+async function scheduleAutoSignOut(dbService, setting = process.env.AUTO_SIGN_OUT_TIME || DEFAULT_CUTOFF_TIME) {
+  const cutoff = parseCutoffTime(setting);
+  if (!cutoff) {
+    console.log("Automatic end-of-day sign-out is off.");
+    return null;
+  }
+
+  await runAutoSignOut(dbService, previousCutoff(new Date(), cutoff));
+
+  // Re-computed every day so daylight saving changes keep the local cut-off time
+  const scheduleNext = () => {
+    const next = nextCutoff(new Date(), cutoff);
+    setTimeout(async () => {
+      await runAutoSignOut(dbService, next);
+      scheduleNext();
+    }, next.getTime() - Date.now()).unref();
+  };
+  scheduleNext();
+
+  return cutoff;
+}
+
+/**
+ * Creates and configures a router that lets staff review visits closed by the
+ * automatic end-of-day sign-out and correct their exit time.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and logAudit).
+ * @returns {express.Router} - An Express router with the review endpoints.
+ */
+function createAutoSignOutRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint: GET /visits/auto-closed - visits awaiting review (include_reviewed=true lists all)
+  router.get("/visits/auto-closed", requirePermission("review_auto_sign_out"), async (req, res) => {
+    const includeReviewed = req.query.include_reviewed === "true";
+
+    try {
+      const visits = await dbService.executeQuery(
+        `SELECT TOP 200
+           T2.id AS visit_id,
+           T1.id AS visitor_id,
+           T1.first_name,
+           T1.last_name,
+           T2.unit,
+           T2.entry_time,
+           T2.exit_time,
+           T2.auto_close_reviewed_at,
+           T2.auto_close_reviewed_by
+         FROM visits AS T2
+         JOIN visitors AS T1 ON T1.id = T2.visitor_id
+         WHERE T2.auto_closed = 1${includeReviewed ? "" : " AND T2.auto_close_reviewed_at IS NULL"}
+         ORDER BY T2.exit_time DESC, T2.id DESC`
+      );
+      res.status(200).json(visits);
+    } catch (err) {
+      console.error("Database Error in GET /visits/auto-closed:", err.message);
+      res.status(500).json({ message: "Failed to retrieve auto-closed visits." });
+    }
+  });
+
+  // Endpoint: POST /visits/:id/auto-close-review
+  // Body: exit_time (optional) - the real exit time; omit it to confirm the cut-off time
+  router.post("/visits/:id/auto-close-review", requirePermission("review_auto_sign_out"), async (req, res) => {
+    const visitId = parseInt(req.params.id, 10);
+    const { exit_time } = req.body || {};
+
+    if (isNaN(visitId)) {
+      return res.status(400).json({ message: "A valid Visit ID is required." });
+    }
+
+    try {
+      const visitInputs = [{ name: "visitId", type: sql.Int, value: visitId }];
+      const existing = await dbService.executeQuery(
+        `SELECT id, visitor_id, entry_time, exit_time, auto_closed FROM visits WHERE id = @visitId`,
+        visitInputs
+      );
+
+      if (existing.length === 0) {
+        return res.status(404).json({ message: "Visit not found." });
+      }
+      const visit = existing[0];
+      if (!visit.auto_closed) {
+        return res.status(409).json({ message: "This visit was not closed automatically." });
+      }
+
+      let exitTime = new Date(visit.exit_time).toISOString();
+      if (exit_time) {
+        const exitDate = new Date(exit_time);
+        if (
+          isNaN(exitDate.getTime()) ||
+          exitDate.getTime() <= new Date(visit.entry_time).getTime() ||
+          exitDate.getTime() > Date.now()
+        ) {
+          return res.status(400).json({
+            message: "The exit time must be after the entry time and not in the future.",
+          });
+        }
+        exitTime = exitDate.toISOString();
+      }
+
+      const reviewedAt = new Date().toISOString();
+      await dbService.executeQuery(
+        `UPDATE visits
+         SET exit_time = @exitTime, auto_close_reviewed_at = @reviewedAt, auto_close_reviewed_by = @reviewedBy
+         WHERE id = @visitId`,
+        [
+          ...visitInputs,
+          { name: "exitTime", type: sql.NVarChar, value: exitTime },
+          { name: "reviewedAt", type: sql.NVarChar, value: reviewedAt },
+          { name: "reviewedBy", type: sql.NVarChar(255), value: req.staff.displayName },
+        ]
+      );
+
+      await dbService.logAudit({
+        eventName: "Auto Sign-Out Reviewed",
+        status: "Success",
+        action: "review_auto_sign_out",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visit.visitor_id,
+        targetVisitId: visitId,
+        before: { exit_time: new Date(visit.exit_time).toISOString() },
+        after: { exit_time: exitTime },
+      });
+
+      res.status(200).json({
+        message: exit_time ? "Exit time corrected." : "Cut-off time confirmed.",
+        visit: {
+          id: visitId,
+          exit_time: exitTime,
+          auto_close_reviewed_at: reviewedAt,
+          auto_close_reviewed_by: req.staff.displayName,
+        },
+      });
+    } catch (err) {
+      console.error("Database Error in POST /visits/:id/auto-close-review:", err.message);
+      res.status(500).json({ message: "Failed to review the visit." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAutoSignOutRouter;
+module.exports.runAutoSignOut = runAutoSignOut;
+module.exports.scheduleAutoSignOut = scheduleAutoSignOut;
+module.exports.parseCutoffTime = parseCutoffTime;
+module.exports.previousCutoff = previousCutoff;
+module.exports.nextCutoff = nextCutoff;
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const express = require('express');
+const createAutoSignOutRouter = require('./auto_sign_out');
+const { runAutoSignOut, parseCutoffTime, previousCutoff, nextCutoff } = createAutoSignOutRouter;
+const { subscribeToVisitorEvents } = require('../visitorEvents');
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "supervisor") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 2, username: "sup", displayName: "Supervisor", role };
+        next();
+    });
+    app.use('/', createAutoSignOutRouter(dbService));
+    return app;
+}
+
+const AUTO_CLOSED_VISIT = {
+    id: 100,
+    visitor_id: 10,
+    entry_time: '2026-10-18T09:00:00.000Z',
+    exit_time: '2026-10-18T22:00:00.000Z',
+    auto_closed: true,
+};
+
+describe('Automatic end-of-day sign-out', () => {
+    let mockDbService;
+    let app;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+        app = setupTestApp(mockDbService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('cut-off time', () => {
+        test('should parse HH:MM, turn off with "off" and fall back to 23:00 when invalid', () => {
+            expect(parseCutoffTime('21:30')).toEqual({ hours: 21, minutes: 30 });
+            expect(parseCutoffTime('OFF')).toBeNull();
+            expect(parseCutoffTime('25:00')).toEqual({ hours: 23, minutes: 0 });
+            expect(console.warn).toHaveBeenCalled();
+        });
+
+        test('should find the last cut-off that has passed and the next one', () => {
+            const cutoff = { hours: 23, minutes: 0 };
+            const morning = new Date(2026, 9, 19, 8, 0);
+            const lateNight = new Date(2026, 9, 19, 23, 30);
+
+            expect(previousCutoff(morning, cutoff)).toEqual(new Date(2026, 9, 18, 23, 0));
+            expect(nextCutoff(morning, cutoff)).toEqual(new Date(2026, 9, 19, 23, 0));
+            expect(previousCutoff(lateNight, cutoff)).toEqual(new Date(2026, 9, 19, 23, 0));
+        });
+    });
+
+    describe('runAutoSignOut', () => {
+        test('should close open visits at the cut-off, flag them and audit each one', async () => {
+            const events = [];
+            const unsubscribe = subscribeToVisitorEvents((event) => events.push(event));
+            mockDbService.executeQuery.mockResolvedValueOnce([
+                { id: 100, visitor_id: 10 },
+                { id: 101, visitor_id: 11 },
+            ]);
+
+            const closed = await runAutoSignOut(mockDbService, new Date('2026-10-18T22:00:00.000Z'));
+            unsubscribe();
+
+            expect(closed).toHaveLength(2);
+            const [updateSql, inputs] = mockDbService.executeQuery.mock.calls[0];
+            expect(updateSql).toContain('auto_closed = 1');
+            expect(updateSql).toContain('WHERE exit_time IS NULL AND entry_time < @exitTime');
+            expect(inputs).toEqual([expect.objectContaining({ name: 'exitTime', value: '2026-10-18T22:00:00.000Z' })]);
+
+            expect(mockDbService.logAudit).toHaveBeenCalledTimes(2);
+            expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'auto_sign_out',
+                targetVisitorId: 10,
+                targetVisitId: 100,
+                after: { exit_time: '2026-10-18T22:00:00.000Z', auto_closed: true },
+            }));
+            expect(events.map((event) => [event.type, event.visitorId])).toEqual([
+                ['visitor_signed_out', 10],
+                ['visitor_signed_out', 11],
+            ]);
+        });
+
+        test('should log and return an empty list on a database error', async () => {
+            mockDbService.executeQuery.mockRejectedValue(new Error('DB down'));
+
+            await expect(runAutoSignOut(mockDbService, new Date())).resolves.toEqual([]);
+            expect(console.error).toHaveBeenCalled();
+            expect(mockDbService.logAudit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /visits/auto-closed', () => {
+        test('should list auto-closed visits awaiting review', async () => {
+            const rows = [{ visit_id: 100, visitor_id: 10, first_name: 'Jane', last_name: 'Doe' }];
+            mockDbService.executeQuery.mockResolvedValueOnce(rows);
+
+            const response = await request(app).get('/visits/auto-closed').expect(200);
+
+            expect(response.body).toEqual(rows);
+            expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('auto_close_reviewed_at IS NULL');
+        });
+
+        test('should include reviewed visits when asked', async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([]);
+
+            await request(app).get('/visits/auto-closed').query({ include_reviewed: 'true' }).expect(200);
+
+            expect(mockDbService.executeQuery.mock.calls[0][0]).not.toContain('auto_close_reviewed_at IS NULL');
+        });
+
+        test('should return 403 for reception staff', async () => {
+            await request(setupTestApp(mockDbService, 'reception')).get('/visits/auto-closed').expect(403);
+
+            expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /visits/:id/auto-close-review', () => {
+        test('should confirm the cut-off time when no exit time is given', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([AUTO_CLOSED_VISIT])
+                .mockResolvedValueOnce({ rowsAffected: [1] });
+
+            const response = await request(app).post('/visits/100/auto-close-review').send({}).expect(200);
+
+            expect(response.body.message).toBe('Cut-off time confirmed.');
+            expect(response.body.visit).toMatchObject({
+                id: 100,
+                exit_time: AUTO_CLOSED_VISIT.exit_time,
+                auto_close_reviewed_by: 'Supervisor',
+            });
+        });
+
+        test('should correct the exit time and audit the change', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([AUTO_CLOSED_VISIT])
+                .mockResolvedValueOnce({ rowsAffected: [1] });
+
+            const response = await request(app)
+                .post('/visits/100/auto-close-review')
+                .send({ exit_time: '2026-10-18T16:45:00.000Z' })
+                .expect(200);
+
+            expect(response.body.message).toBe('Exit time corrected.');
+            expect(mockDbService.executeQuery.mock.calls[1][1]).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'exitTime', value: '2026-10-18T16:45:00.000Z' }),
+                expect.objectContaining({ name: 'reviewedBy', value: 'Supervisor' }),
+            ]));
+            expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'review_auto_sign_out',
+                actor: expect.objectContaining({ id: 2 }),
+                targetVisitId: 100,
+                before: { exit_time: AUTO_CLOSED_VISIT.exit_time },
+                after: { exit_time: '2026-10-18T16:45:00.000Z' },
+            }));
+        });
+
+        test('should return 400 for an exit time before the entry time', async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([AUTO_CLOSED_VISIT]);
+
+            const response = await request(app)
+                .post('/visits/100/auto-close-review')
+                .send({ exit_time: '2026-10-18T08:00:00.000Z' })
+                .expect(400);
+
+            expect(response.body.message).toBe('The exit time must be after the entry time and not in the future.');
+            expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        });
+
+        test('should return 404 for an unknown visit and 409 for a visit closed by staff', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([{ ...AUTO_CLOSED_VISIT, auto_closed: false }]);
+
+            await request(app).post('/visits/999/auto-close-review').send({}).expect(404);
+            await request(app).post('/visits/100/auto-close-review').send({}).expect(409);
+
+            expect(mockDbService.logAudit).not.toHaveBeenCalled();
+        });
+
+        test('should return 500 on a database error', async () => {
+            mockDbService.executeQuery.mockRejectedValue(new Error('DB down'));
+
+            const response = await request(app).post('/visits/100/auto-close-review').send({}).expect(500);
+
+            expect(response.body.message).toBe('Failed to review the visit.');
+        });
+    });
+});
@@ -1,46 +1,188 @@
 const express = require("express");
 const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+const { publishVisitorEvent } = require("../visitorEvents");
+
+const BAN_SEVERITIES = ["low", "medium", "high"];
+
+const ALREADY_BANNED_MESSAGE = "This visitor is already banned. Unban them first to change the ban.";
+const MERGED_PROFILE_MESSAGE = "This profile has been merged into another. Ban the kept profile instead.";
+
+// A visitor's is_banned flag as it follows from their bans: 1 while any ban is not lifted
+const ACTIVE_BAN_STATUS = `CASE WHEN EXISTS (
+  SELECT 1 FROM visitor_bans WHERE visitor_bans.visitor_id = visitors.id AND lifted_at IS NULL
+) THEN 1 ELSE 0 END`;
 
 /**
- * Creates and configures a router for handling visitor banning status updates 
+ * Creates and configures a router for handling visitor banning status updates
+ * and the ban history kept in visitor_bans.
  *
  * @param {object} dbService - The Azure SQL database service wrapper (e.g., with executeQuery).
- * @returns {express.Router} - An Express router with the ban endpoint.
+ * @returns {express.Router} - An Express router with the ban endpoints.
  */
 function createBanVisitorRouter(dbService) {
   const router = express.Router();
 
-  // Endpoint to ban a visitor by updating their is_banned status to 1
-  router.post("/ban-visitor/:id", async (req, res) => {
+  // Endpoint to ban a visitor: records the ban in visitor_bans and sets their is_banned status to 1.
+  // Body: reason (required), severity (low | medium | high, default medium), end_date (optional ISO date)
+  router.post("/ban-visitor/:id", requirePermission("ban_visitor"), async (req, res) => {
     // Visitor ID is passed as a route parameter
     const visitorId = req.params.id;
+    const { reason, severity = "medium", end_date } = req.body || {};
+
+   if (!visitorId || isNaN(parseInt(visitorId, 10))) {
+            return res.status(400).json({ message: "A valid Visitor ID is required." });
+        }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: "A reason for the ban is required." });
+    }
+    if (!BAN_SEVERITIES.includes(severity)) {
+      return res
+        .status(400)
+        .json({ message: `Severity must be one of: ${BAN_SEVERITIES.join(", ")}.` });
+    }
 
-   if (!visitorId || isNaN(parseInt(visitorId, 10))) { 
-            return res.status(400).json({ message: "A valid Visitor ID is required." });
-        }
+    let endDate = null;
+    if (end_date) {
+      const parsedEndDate = new Date(end_date);
+      if (isNaN(parsedEndDate.getTime()) || parsedEndDate.getTime() <= Date.now()) {
+        return res
+          .status(400)
+          .json({ message: "The ban end date must be a valid date in the future." });
+      }
+      endDate = parsedEndDate.toISOString();
+    }
 
     try {
-      const updateSql = `
-        UPDATE visitors 
-        SET is_banned = 1 
-        WHERE id = @visitorId
-      `;
-      
-      const updateInputs = [
+      const visitorInputs = [
         { name: "visitorId", type: sql.Int, value: visitorId },
       ];
 
-      // Execute the update query
-      const result = await dbService.executeQuery(updateSql, updateInputs);
+      // Read the current status first so the audit trail records what changed
+      const existing = await dbService.executeQuery(
+        `SELECT id, is_banned, merged_into_id FROM visitors WHERE id = @visitorId`,
+        visitorInputs
+      );
 
-      // Check if any rows were affected (i.e., if the visitor ID existed)
-      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+      if (existing.length === 0) {
         return res.status(404).json({ message: "Visitor not found." });
       }
+      // A ban on a merged-away profile would never block the visitor, who signs in as the kept one
+      if (existing[0].merged_into_id) {
+        return res.status(409).json({ message: MERGED_PROFILE_MESSAGE });
+      }
+      if (existing[0].is_banned) {
+        return res.status(409).json({ message: ALREADY_BANNED_MESSAGE });
+      }
+
+      const ban = {
+        reason: String(reason).trim(),
+        severity,
+        banned_by_name: req.staff.displayName,
+        start_date: new Date().toISOString(),
+        end_date: endDate,
+      };
+
+      // The status flag, the history row and signing the visitor out are written together.
+      // The flag is only set if it is still clear and the profile not merged since the check,
+      // so of two concurrent bans only one is recorded.
+      const exitTime = new Date().toISOString();
+      const banned = await dbService.transaction(async (tx) => {
+        const updateSql = `
+          UPDATE visitors
+          SET is_banned = 1
+          WHERE id = @visitorId AND is_banned = 0 AND merged_into_id IS NULL
+        `;
+        const flagged = await tx.executeQuery(updateSql, visitorInputs);
+        if (flagged.rowsAffected[0] === 0) {
+          const [current] = await tx.executeQuery(
+            `SELECT merged_into_id FROM visitors WHERE id = @visitorId`,
+            visitorInputs
+          );
+          return { refused: current && current.merged_into_id ? MERGED_PROFILE_MESSAGE : ALREADY_BANNED_MESSAGE };
+        }
+
+        const inserted = await tx.executeQuery(
+          `INSERT INTO visitor_bans (visitor_id, reason, severity, banned_by_id, banned_by_name, start_date, end_date)
+           OUTPUT INSERTED.id
+           VALUES (@visitorId, @reason, @severity, @bannedById, @bannedByName, @startDate, @endDate)`,
+          [
+            { name: "visitorId", type: sql.Int, value: visitorId },
+            { name: "reason", type: sql.NVarChar(1000), value: ban.reason },
+            { name: "severity", type: sql.NVarChar(20), value: ban.severity },
+            { name: "bannedById", type: sql.Int, value: req.staff.id },
+            { name: "bannedByName", type: sql.NVarChar(255), value: ban.banned_by_name },
+            { name: "startDate", type: sql.NVarChar, value: ban.start_date },
+            { name: "endDate", type: sql.NVarChar, value: ban.end_date },
+          ]
+        );
+
+        // Close any visit still open, so the visitor (and the dependents who came with them) leave the on-site list
+        const activeVisits = await tx.executeQuery(
+          `SELECT id AS visit_id, entry_time, unit
+           FROM visits
+           WHERE visitor_id = @visitorId AND exit_time IS NULL`,
+          visitorInputs
+        );
+
+        if (activeVisits.length > 0) {
+          await tx.executeQuery(
+            `UPDATE visits
+             SET exit_time = @exitTime
+             WHERE visitor_id = @visitorId AND exit_time IS NULL`,
+            [...visitorInputs, { name: "exitTime", type: sql.NVarChar, value: exitTime }]
+          );
+        }
+
+        const closed = [];
+        for (const visit of activeVisits) {
+          const dependents = await tx.executeQuery(
+            `SELECT full_name, age FROM dependents WHERE visit_id = @visitId`,
+            [{ name: "visitId", type: sql.Int, value: visit.visit_id }]
+          );
+          closed.push({ ...visit, exit_time: exitTime, dependents: [...dependents] });
+        }
+
+        return { banId: inserted[0].id, closedVisits: closed };
+      });
+
+      // Another request banned the visitor or merged the profile in between the check and the update
+      if (banned.refused) {
+        return res.status(409).json({ message: banned.refused });
+      }
+      const { banId, closedVisits } = banned;
+
+      await dbService.logAudit({
+        eventName: "Visitor Banned",
+        status: "Success",
+        action: "ban_visitor",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: existing[0].id,
+        before: { is_banned: Boolean(existing[0].is_banned) },
+        after: {
+          is_banned: true,
+          ban_id: banId,
+          reason: ban.reason,
+          severity,
+          end_date: endDate,
+          closed_visit_ids: closedVisits.map((visit) => visit.visit_id),
+        },
+      });
+      publishVisitorEvent("visitor_banned", {
+        visitorId: existing[0].id,
+        closedVisitIds: closedVisits.map((visit) => visit.visit_id),
+      });
+
+      // The ban was successful
+      res.status(200).json({
+        message: closedVisits.length > 0
+          ? `Visitor has been banned & signed out.`
+          : `Visitor has been banned.`,
+        ban: { id: banId, ...ban },
+        closedVisits,
+      });
 
-      // If one row was affected, the ban was successful
-      res.status(200).json({ message: `Visitor has been banned & signed out.` });
-      
     } catch (err) {
       // Handle any database or general server errors
       console.error("Azure SQL Error banning visitor:", err.message);
@@ -48,7 +190,81 @@ function createBanVisitorRouter(dbService) {
     }
   });
 
+  // Endpoint to list every ban placed on a visitor, newest first
+  router.get("/visitors/:id/bans", async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "A valid Visitor ID is required." });
+    }
+
+    try {
+      const bans = await dbService.executeQuery(
+        `SELECT id, reason, severity, banned_by_name, start_date, end_date, lifted_at, lifted_by_name
+         FROM visitor_bans
+         WHERE visitor_id = @visitorId
+         ORDER BY start_date DESC, id DESC`,
+        [{ name: "visitorId", type: sql.Int, value: visitorId }]
+      );
+      res.status(200).json(bans);
+    } catch (err) {
+      console.error("Azure SQL Error in GET /visitors/:id/bans:", err.message);
+      res.status(500).json({ message: "Failed to retrieve the ban history." });
+    }
+  });
+
   return router;
 }
 
-module.exports = createBanVisitorRouter
+/**
+ * Lifts every ban whose end date has passed. The visitor's is_banned flag is then
+ * worked out again from their bans, so it stays set while another ban is still active.
+ * Runs at startup and on an interval from server.js.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
+ * @returns {Promise<number[]>} IDs of the visitors whose ban was lifted.
+ */
+async function liftExpiredBans(dbService) {
+  try {
+    const expired = await dbService.transaction(async (tx) => {
+      const lifted = await tx.executeQuery(
+        `UPDATE visitor_bans
+         SET lifted_at = GETUTCDATE(), lifted_by_name = 'Automatic expiry'
+         OUTPUT INSERTED.id, INSERTED.visitor_id
+         WHERE lifted_at IS NULL AND end_date IS NOT NULL AND end_date <= GETUTCDATE()`
+      );
+
+      const stillBanned = new Map();
+      for (const ban of lifted) {
+        const [visitor] = await tx.executeQuery(
+          `UPDATE visitors SET is_banned = ${ACTIVE_BAN_STATUS}
+           OUTPUT INSERTED.is_banned
+           WHERE id = @visitorId`,
+          [{ name: "visitorId", type: sql.Int, value: ban.visitor_id }]
+        );
+        stillBanned.set(ban.visitor_id, Boolean(visitor && visitor.is_banned));
+      }
+      return lifted.map((ban) => ({ ...ban, still_banned: stillBanned.get(ban.visitor_id) }));
+    });
+
+    for (const ban of expired) {
+      await dbService.logAudit({
+        eventName: "Visitor Ban Expired",
+        status: "Success",
+        action: "ban_expired",
+        targetVisitorId: ban.visitor_id,
+        before: { is_banned: true, ban_id: ban.id },
+        after: { is_banned: ban.still_banned },
+      });
+    }
+
+    return expired.map((ban) => ban.visitor_id);
+  } catch (err) {
+    console.error("Failed to lift expired bans:", err.message);
+    return [];
+  }
+}
+
+module.exports = createBanVisitorRouter;
+module.exports.liftExpiredBans = liftExpiredBans;
+module.exports.ACTIVE_BAN_STATUS = ACTIVE_BAN_STATUS;
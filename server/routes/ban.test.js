@@ -2,11 +2,17 @@ const request = require('supertest');
 const express = require('express');
 const sql = require("mssql");
 const createBanVisitorRouter = require('./ban'); 
+const { liftExpiredBans } = createBanVisitorRouter;
 
 // Helper to create a test app instance
-function setupTestApp(dbService) {
+function setupTestApp(dbService, role = "supervisor") {
     const app = express();
     app.use(express.json()); 
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "staff", displayName: "Staff", role };
+        next();
+    });
     app.use('/', createBanVisitorRouter(dbService));
     return app;
 }
@@ -22,6 +28,7 @@ describe('POST /ban-visitor/:id', () => {
     // Define mock visitor ID for tests
     const TEST_VISITOR_ID = 101;
     const NON_EXISTENT_ID = 999;
+    const BAN_BODY = { reason: 'Aggressive behaviour at reception', severity: 'high' };
     
     // Mock the sql object's necessary type for the input definition
     const mockSql = { Int: sql.Int }; 
@@ -31,7 +38,10 @@ describe('POST /ban-visitor/:id', () => {
         // Reset the mock implementation before each test
         mockDbService = {
             executeQuery: jest.fn(),
+            logAudit: jest.fn(),
         };
+        // Run transaction work against the same mocked executeQuery
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
         app = setupTestApp(mockDbService);
     });
 
@@ -42,49 +52,225 @@ describe('POST /ban-visitor/:id', () => {
 
     // --- Test 1: Successful Ban ---
     test('should return 200 and a success message when visitor is banned', async () => {
-        // Setup the mock to simulate a successful database update 
-        mockDbService.executeQuery.mockResolvedValue({
-            rowsAffected: [1], 
-        });
+        // Setup the mock to simulate finding the visitor, the update, the ban history insert and no open visit
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false }])
+            .mockResolvedValueOnce({ rowsAffected: [1] })
+            .mockResolvedValueOnce([{ id: 7 }])
+            .mockResolvedValueOnce([]);
 
         const response = await request(app)
             .post(`/ban-visitor/${TEST_VISITOR_ID}`)
+            .send(BAN_BODY)
             .expect('Content-Type', /json/)
             .expect(200);
 
         // Verify the response body
-        expect(response.body.message).toBe('Visitor has been banned & signed out.');
+        expect(response.body.message).toBe('Visitor has been banned.');
+        expect(response.body.closedVisits).toEqual([]);
+        expect(response.body.ban).toMatchObject({
+            id: 7,
+            reason: BAN_BODY.reason,
+            severity: 'high',
+            banned_by_name: 'Staff',
+            end_date: null,
+        });
 
-        // Verify that the executeQuery function was called once with the correct parameters
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
-        expect(mockDbService.executeQuery.mock.calls[0][1]).toEqual([
+        // Verify the update and the history insert ran inside one transaction
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(4);
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('SET is_banned = 1');
+        expect(mockDbService.executeQuery.mock.calls[1][1]).toEqual([
              { name: "visitorId", type: mockSql.Int, value: `${TEST_VISITOR_ID}` }, 
         ]);
+        expect(mockDbService.executeQuery.mock.calls[2][0]).toContain('INSERT INTO visitor_bans');
+        expect(mockDbService.executeQuery.mock.calls[2][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'reason', value: BAN_BODY.reason }),
+            expect.objectContaining({ name: 'bannedById', value: 1 }),
+            expect.objectContaining({ name: 'endDate', value: null }),
+        ]));
+    });
+
+    test('should sign out a visitor who is on site and return the closed visit with its dependents', async () => {
+        const dependents = [{ full_name: 'Sam Child', age: 7 }];
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false }])
+            .mockResolvedValueOnce({ rowsAffected: [1] })
+            .mockResolvedValueOnce([{ id: 7 }])
+            .mockResolvedValueOnce([{ visit_id: 55, entry_time: '2026-10-19T09:00:00.000Z', unit: '4B' }])
+            .mockResolvedValueOnce({ rowsAffected: [1] })
+            .mockResolvedValueOnce(dependents);
+
+        const response = await request(app)
+            .post(`/ban-visitor/${TEST_VISITOR_ID}`)
+            .send(BAN_BODY)
+            .expect(200);
+
+        expect(response.body.message).toBe('Visitor has been banned & signed out.');
+        expect(response.body.closedVisits).toEqual([
+            {
+                visit_id: 55,
+                entry_time: '2026-10-19T09:00:00.000Z',
+                unit: '4B',
+                exit_time: expect.any(String),
+                dependents,
+            },
+        ]);
+
+        // The visit is closed in the same transaction as the ban
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDbService.executeQuery.mock.calls[4][0]).toContain('SET exit_time = @exitTime');
+        expect(mockDbService.executeQuery.mock.calls[4][0]).toContain('exit_time IS NULL');
+        expect(mockDbService.executeQuery.mock.calls[5][1]).toEqual([
+            { name: 'visitId', type: mockSql.Int, value: 55 },
+        ]);
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            after: expect.objectContaining({ closed_visit_ids: [55] }),
+        }));
+    });
+
+    test('should return 500 and write nothing when closing the visit fails', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false }])
+            .mockResolvedValueOnce({ rowsAffected: [1] })
+            .mockResolvedValueOnce([{ id: 7 }])
+            .mockResolvedValueOnce([{ visit_id: 55, entry_time: '2026-10-19T09:00:00.000Z', unit: '4B' }])
+            .mockRejectedValueOnce(new Error('Deadlock'));
+
+        await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send(BAN_BODY).expect(500);
+
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    // --- Test 2: Audit Trail ---
+    test('should record who banned the visitor with the before and after status', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false }])
+            .mockResolvedValueOnce({ rowsAffected: [1] })
+            .mockResolvedValueOnce([{ id: 7 }])
+            .mockResolvedValueOnce([]);
+
+        await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send(BAN_BODY).expect(200);
+
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'ban_visitor',
+            actor: expect.objectContaining({ id: 1, displayName: 'Staff' }),
+            targetVisitorId: TEST_VISITOR_ID,
+            before: { is_banned: false },
+            after: expect.objectContaining({ is_banned: true, ban_id: 7, severity: 'high' }),
+            clientIp: expect.any(String),
+        }));
+    });
+
+    test('should store a future end date as the automatic expiry', async () => {
+        const endDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false }])
+            .mockResolvedValueOnce({ rowsAffected: [1] })
+            .mockResolvedValueOnce([{ id: 8 }])
+            .mockResolvedValueOnce([]);
+
+        const response = await request(app)
+            .post(`/ban-visitor/${TEST_VISITOR_ID}`)
+            .send({ reason: 'Cooling-off period', end_date: endDate })
+            .expect(200);
+
+        expect(response.body.ban).toMatchObject({ severity: 'medium', end_date: endDate });
+    });
+
+    test('should return 400 without a reason, with an unknown severity or a past end date', async () => {
+        await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send({}).expect(400);
+        await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send({ reason: 'x', severity: 'extreme' }).expect(400);
+        await request(app)
+            .post(`/ban-visitor/${TEST_VISITOR_ID}`)
+            .send({ reason: 'x', end_date: '2000-01-01' })
+            .expect(400);
+
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 when the visitor is already banned', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: true }]);
+
+        await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send(BAN_BODY).expect(409);
+
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 without a second ban when another request banned the visitor first', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false }])
+            // The flag was set in between, so the conditional update changes nothing
+            .mockResolvedValueOnce({ rowsAffected: [0] })
+            .mockResolvedValueOnce([{ merged_into_id: null }]);
+
+        const response = await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send(BAN_BODY).expect(409);
+
+        expect(response.body.message).toBe('This visitor is already banned. Unban them first to change the ban.');
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('is_banned = 0 AND merged_into_id IS NULL');
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(3);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
     });
 
-    // --- Test 2: Visitor Not Found ---
+    test('should return 409 for a profile merged into another, before or during the ban', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false, merged_into_id: 7 }]);
+
+        const merged = await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send(BAN_BODY).expect(409);
+
+        expect(merged.body.message).toBe('This profile has been merged into another. Ban the kept profile instead.');
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('merged_into_id');
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: TEST_VISITOR_ID, is_banned: false, merged_into_id: null }])
+            // Merged in between, so the guarded update changes nothing and no ban is written
+            .mockResolvedValueOnce({ rowsAffected: [0] })
+            .mockResolvedValueOnce([{ merged_into_id: 7 }]);
+
+        const raced = await request(app).post(`/ban-visitor/${TEST_VISITOR_ID}`).send(BAN_BODY).expect(409);
+
+        expect(raced.body.message).toBe('This profile has been merged into another. Ban the kept profile instead.');
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(4);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    // --- Test 3: Visitor Not Found ---
     test('should return 404 when the visitor ID does not exist', async () => {
         // (visitor not found)
-        mockDbService.executeQuery.mockResolvedValue({
-            rowsAffected: [0], 
-        });
+        mockDbService.executeQuery.mockResolvedValue([]);
 
         const response = await request(app)
             .post(`/ban-visitor/${NON_EXISTENT_ID}`)
+            .send(BAN_BODY)
             .expect('Content-Type', /json/)
             .expect(404);
 
         expect(response.body.message).toBe('Visitor not found.');
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
     });
 
-    // --- Test 3: Missing Visitor ID (Bad Request) ---
+    // --- Test 4: Missing Visitor ID (Bad Request) ---
     test('should return 400 if no visitor ID is provided', async () => {
         const response = await request(app)
             .post('/ban-visitor/null') // Sending a value that might resolve to falsy 
             .expect(400); // Expect a 404 because Express path parameter expects *something*
     });
 
-    // --- Test 4: Database Error ---
+    // --- Test 5: Role Not Allowed ---
+    test('should return 403 when the staff role cannot ban visitors', async () => {
+        const receptionApp = setupTestApp(mockDbService, "reception");
+
+        const response = await request(receptionApp)
+            .post(`/ban-visitor/${TEST_VISITOR_ID}`)
+            .send(BAN_BODY)
+            .expect(403);
+
+        expect(response.body.permission).toBe('ban_visitor');
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    // --- Test 6: Database Error ---
     test('should return 500 on a database connection or query error', async () => {
         // Setup the mock to simulate a database failure
       const dbError = new Error("Connection timed out.");
@@ -92,10 +278,70 @@ describe('POST /ban-visitor/:id', () => {
 
         const response = await request(app)
             .post(`/ban-visitor/${TEST_VISITOR_ID}`)
+            .send(BAN_BODY)
             .expect('Content-Type', /json/)
             .expect(500);
 
         expect(response.body.error).toBe('A database error occurred while trying to ban the visitor.');
     });
 
-});
\ No newline at end of file
+});
+
+describe('GET /visitors/:id/bans', () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = { executeQuery: jest.fn() };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should list the ban history for any signed-in staff member', async () => {
+        const bans = [{ id: 2, reason: 'Second', lifted_at: null }, { id: 1, reason: 'First', lifted_at: '2026-01-02T00:00:00.000Z' }];
+        mockDbService.executeQuery.mockResolvedValue(bans);
+
+        const response = await request(setupTestApp(mockDbService, 'reception')).get('/visitors/101/bans').expect(200);
+
+        expect(response.body).toEqual(bans);
+        expect(mockDbService.executeQuery.mock.calls[0][1][0].value).toBe(101);
+    });
+
+    test('should return 400 for an invalid visitor ID', async () => {
+        await request(setupTestApp(mockDbService)).get('/visitors/abc/bans').expect(400);
+    });
+});
+
+describe('liftExpiredBans', () => {
+    test('should lift expired bans, recompute the visitors\' flags from their other bans and audit each one', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const mockDbService = { executeQuery: jest.fn(), logAudit: jest.fn() };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: 4, visitor_id: 21 }, { id: 5, visitor_id: 22 }])
+            .mockResolvedValueOnce([{ is_banned: false }])
+            // Visitor 22 has another ban that has not ended
+            .mockResolvedValueOnce([{ is_banned: true }]);
+
+        const liftedVisitorIds = await liftExpiredBans(mockDbService);
+
+        expect(liftedVisitorIds).toEqual([21, 22]);
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('end_date <= GETUTCDATE()');
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('WHEN EXISTS');
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('lifted_at IS NULL');
+        expect(mockDbService.executeQuery.mock.calls[2][1][0].value).toBe(22);
+        expect(mockDbService.logAudit).toHaveBeenCalledTimes(2);
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'ban_expired',
+            targetVisitorId: 21,
+            after: { is_banned: false },
+        }));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            targetVisitorId: 22,
+            after: { is_banned: true },
+        }));
+        jest.restoreAllMocks();
+    });
+});
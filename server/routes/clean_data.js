@@ -1,64 +1,352 @@
+const express = require("express");
 const sql = require("mssql");
+const cron = require("node-cron");
+const { requirePermission } = require("../auth/permissions");
+const { deletePhotoFiles, findOrphanedPhotoFiles, sweepOrphanedPhotoFiles } = require("../photoFiles");
+
+// Daily at 03:00 server time; override with RETENTION_SCHEDULE (cron syntax, "off" to disable)
+const DEFAULT_RETENTION_SCHEDULE = "0 3 * * *";
+
+/**
+ * How the cleanup treats visitors who are currently banned:
+ *  - keep_profile: old visits are deleted, but the profile and ban history are kept while the ban is active
+ *  - keep_all: nothing belonging to a banned visitor is deleted while the ban is active
+ *  - purge: banned visitors are deleted like everyone else (their ban history goes with the profile)
+ */
+const BANNED_VISITOR_POLICIES = ["keep_profile", "keep_all", "purge"];
+
+/**
+ * Retention settings, each overridable by its environment variable and then by an
+ * admin through PUT /api/retention/settings. A period of null keeps records forever.
+ */
+const RETENTION_SETTINGS = {
+    visits_days: { env: "RETENTION_VISITS_DAYS", defaultValue: 730, nullable: false }, // visits and their dependents
+    audit_logs_days: { env: "RETENTION_AUDIT_LOGS_DAYS", defaultValue: null, nullable: true },
+    roll_calls_days: { env: "RETENTION_ROLL_CALLS_DAYS", defaultValue: null, nullable: true }, // closed roll-calls only
+    banned_visitor_policy: { env: "RETENTION_BANNED_VISITOR_POLICY", defaultValue: "keep_profile" },
+};
+
+// The cron expression in use, reported by GET /retention/settings
+let activeSchedule = null;
+
+/**
+ * Validates one retention setting.
+ * Periods are whole days; "forever" (or null) keeps records forever where allowed.
+ *
+ * @param {string} key - A key of RETENTION_SETTINGS.
+ * @param {*} rawValue - The value from the environment, the database or a request body.
+ * @returns {{value?: (number|string|null), error?: string}}
+ */
+function parseRetentionSetting(key, rawValue) {
+    const definition = RETENTION_SETTINGS[key];
+    if (!definition) {
+        return { error: `Unknown retention setting "${key}".` };
+    }
+
+    if (key === "banned_visitor_policy") {
+        return BANNED_VISITOR_POLICIES.includes(rawValue)
+            ? { value: rawValue }
+            : { error: `banned_visitor_policy must be one of: ${BANNED_VISITOR_POLICIES.join(", ")}.` };
+    }
+
+    if (rawValue === null || rawValue === "forever") {
+        return definition.nullable
+            ? { value: null }
+            : { error: `${key} must be a whole number of days.` };
+    }
+
+    const days = Number(rawValue);
+    if (!Number.isInteger(days) || days < 1) {
+        return { error: `${key} must be a whole number of days${definition.nullable ? ' or "forever"' : ""}.` };
+    }
+    return { value: days };
+}
+
+/**
+ * Resolves the retention settings in effect: defaults, then environment variables,
+ * then the values an admin saved in retention_settings.
+ *
+ * @param {object} dbService - The database service wrapper (or a transaction's executeQuery holder).
+ * @returns {Promise<{settings: object, sources: object}>} Each setting and where it came from ('default', 'env' or 'admin').
+ */
+async function loadRetentionSettings(dbService) {
+    const settings = {};
+    const sources = {};
+
+    for (const [key, definition] of Object.entries(RETENTION_SETTINGS)) {
+        settings[key] = definition.defaultValue;
+        sources[key] = "default";
+
+        const envValue = process.env[definition.env];
+        if (envValue !== undefined && envValue !== "") {
+            const parsed = parseRetentionSetting(key, envValue);
+            if (parsed.error) {
+                console.warn(`Ignoring ${definition.env}: ${parsed.error}`);
+            } else {
+                settings[key] = parsed.value;
+                sources[key] = "env";
+            }
+        }
+    }
+
+    const saved = await dbService.executeQuery(`SELECT setting_key, setting_value FROM retention_settings`);
+    for (const row of saved) {
+        const parsed = parseRetentionSetting(row.setting_key, row.setting_value);
+        if (!parsed.error) {
+            settings[row.setting_key] = parsed.value;
+            sources[row.setting_key] = "admin";
+        }
+    }
+
+    return { settings, sources };
+}
+
+// ISO cut-off for a retention period in days
+const cutoffFor = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const affectedRows = (result) => (result.rowsAffected ? result.rowsAffected[0] : 0);
+
+const NO_DELETIONS = { dependents: 0, visits: 0, profiles: 0, audit_logs: 0, roll_calls: 0, photos: 0, orphaned_photos: 0 };
+
+// Visitors under an active legal hold (routes/legal_holds.js) are never touched by the cleanup
+const HELD_VISITORS = "SELECT visitor_id FROM legal_holds WHERE released_at IS NULL";
+
+// Merged profiles (routes/merge_visitors.js) have no visits left, but are kept while the merge can be undone
+const UNDOABLE_MERGES = "SELECT merged_id FROM visitor_merges WHERE undone_at IS NULL AND undo_until > GETUTCDATE()";
 
 /**
- * Executes the data retention compliance cleanup job for Azure SQL.
- * Deletes records older than 2 years from dependents, visits, and finally visitors.
+ * Builds the conditions shared by the cleanup and its preview, so a dry run
+ * reports exactly what a real run would delete.
  *
- * @param {object} dbService - The Azure SQL database service wrapper (with executeQuery).
+ * @param {object} settings - The settings from loadRetentionSettings.
+ * @param {string} [visitsCutoff] - ISO cut-off for visits; defaults to the visits_days period.
+ * @returns {object} SQL fragments, their parameters and the cut-off for each table (null = kept forever).
+ */
+function retentionCriteria(settings, visitsCutoff = cutoffFor(settings.visits_days)) {
+    const policy = settings.banned_visitor_policy;
+    const bannedVisitFilter = policy === "keep_all"
+        ? "AND visitor_id NOT IN (SELECT id FROM visitors WHERE is_banned = 1)"
+        : "";
+    const bannedProfileFilter = policy === "purge" ? "" : "AND is_banned = 0";
+    const expiredVisits = `SELECT id FROM visits
+        WHERE entry_time < @visitsCutoff ${bannedVisitFilter}
+        AND visitor_id NOT IN (${HELD_VISITORS})`;
+
+    return {
+        visitParams: [{ name: "visitsCutoff", type: sql.NVarChar, value: visitsCutoff }],
+        expiredVisits,
+        // Profiles left without any visit once the expired ones are gone
+        expiredProfiles: `id NOT IN (SELECT visitor_id FROM visits WHERE id NOT IN (${expiredVisits}))
+            ${bannedProfileFilter}
+            AND id NOT IN (${HELD_VISITORS})
+            AND id NOT IN (${UNDOABLE_MERGES})`,
+        cutoffs: {
+            visits: visitsCutoff,
+            audit_logs: settings.audit_logs_days === null ? null : cutoffFor(settings.audit_logs_days),
+            roll_calls: settings.roll_calls_days === null ? null : cutoffFor(settings.roll_calls_days),
+        },
+    };
+}
+
+/**
+ * Deletes everything past its retention period. Runs inside the cleanup transaction.
+ *
+ * @param {Function} executeQuery - The transaction's executeQuery.
+ * @param {object} settings - The settings from loadRetentionSettings.
+ * @param {Function} log - Progress logger.
+ * @returns {Promise<{deletedCounts: object, photoPaths: string[]}>} Deleted row counts per table, and the
+ *   current and earlier photos of the deleted profiles, to remove from disk once the transaction commits.
+ */
+async function deleteExpiredRecords(executeQuery, settings, log) {
+    const deletedCounts = { ...NO_DELETIONS };
+    const criteria = retentionCriteria(settings);
+
+    // --- 1. Deleting Dependents (where parent visit is past retention) ---
+    let result = await executeQuery(
+        `DELETE FROM dependents WHERE visit_id IN (${criteria.expiredVisits});`,
+        criteria.visitParams
+    );
+    deletedCounts.dependents = affectedRows(result);
+    log(`Cleanup: Deleted ${deletedCounts.dependents} old dependent record(s).`);
+
+    // --- 2. Deleting Visits (past retention) ---
+    result = await executeQuery(
+        `DELETE FROM visits WHERE id IN (${criteria.expiredVisits});`,
+        criteria.visitParams
+    );
+    deletedCounts.visits = affectedRows(result);
+    log(`Cleanup: Deleted ${deletedCounts.visits} old visit record(s).`);
+
+    // --- 3. Deleting Visitor Profiles (who have no remaining visits) ---
+    const photos = await executeQuery(
+        `SELECT photo_path FROM visitors WHERE ${criteria.expiredProfiles} AND photo_path IS NOT NULL
+         UNION ALL
+         SELECT photo_path FROM visitor_photos WHERE visitor_id IN (SELECT id FROM visitors WHERE ${criteria.expiredProfiles});`,
+        criteria.visitParams
+    );
+    result = await executeQuery(
+        `DELETE FROM visitors WHERE ${criteria.expiredProfiles};`,
+        criteria.visitParams
+    );
+    deletedCounts.profiles = affectedRows(result);
+    log(`Cleanup: Deleted ${deletedCounts.profiles} inactive visitor profile(s).`);
+
+    // --- 4. Deleting Audit Trail entries (only when a period is set) ---
+    if (criteria.cutoffs.audit_logs) {
+        result = await executeQuery(
+            `DELETE FROM audit_logs WHERE timestamp < @auditCutoff`,
+            [{ name: "auditCutoff", type: sql.NVarChar, value: criteria.cutoffs.audit_logs }]
+        );
+        deletedCounts.audit_logs = affectedRows(result);
+        log(`Cleanup: Deleted ${deletedCounts.audit_logs} old audit log record(s).`);
+    }
+
+    // --- 5. Deleting closed Roll-Calls (entries cascade; only when a period is set) ---
+    if (criteria.cutoffs.roll_calls) {
+        result = await executeQuery(
+            `DELETE FROM roll_calls WHERE closed_at IS NOT NULL AND started_at < @rollCallsCutoff`,
+            [{ name: "rollCallsCutoff", type: sql.NVarChar, value: criteria.cutoffs.roll_calls }]
+        );
+        deletedCounts.roll_calls = affectedRows(result);
+        log(`Cleanup: Deleted ${deletedCounts.roll_calls} old roll-call(s).`);
+    }
+
+    return { deletedCounts, photoPaths: photos.map((row) => row.photo_path) };
+}
+
+/**
+ * Removes the photo files of deleted profiles and sweeps upload files no visitor refers to.
+ * Runs after the transaction commits, so a rollback never leaves a visitor without their photo.
+ *
+ * @param {object} dbService - The database service wrapper.
+ * @param {string[]} photoPaths - photo_path values of the deleted profiles.
+ * @param {Function} log - Progress logger.
+ * @returns {Promise<{photos: number, orphaned_photos: number}>} Files deleted.
+ */
+async function deleteExpiredPhotoFiles(dbService, photoPaths, log) {
+    const photos = await deletePhotoFiles(photoPaths);
+    log(`Cleanup: Deleted ${photos.deleted} photo file(s) of deleted profiles.`);
+
+    const sweep = await sweepOrphanedPhotoFiles(dbService);
+    log(`Cleanup: Deleted ${sweep.deleted} orphaned photo file(s).`);
+
+    return { photos: photos.deleted, orphaned_photos: sweep.deleted };
+}
+
+/**
+ * Lists what the cleanup would delete, without deleting anything.
+ *
+ * @param {Function} executeQuery - The database service's executeQuery.
+ * @param {object} settings - The settings from loadRetentionSettings.
+ * @param {string} [visitsCutoff] - ISO cut-off for visits; defaults to the visits_days period.
+ * @returns {Promise<{cutoffs: object, counts: object, profiles: Array, visits: Array, dependents: Array, orphaned_photos: string[]}>}
+ */
+async function previewExpiredRecords(executeQuery, settings, visitsCutoff) {
+    const criteria = retentionCriteria(settings, visitsCutoff);
+
+    const profiles = await executeQuery(
+        `SELECT id, first_name, last_name, is_banned, photo_path, created_at
+         FROM visitors
+         WHERE ${criteria.expiredProfiles}
+         ORDER BY id`,
+        criteria.visitParams
+    );
+    const visits = await executeQuery(
+        `SELECT T2.id, T2.visitor_id, T1.first_name, T1.last_name, T2.entry_time, T2.exit_time, T2.unit
+         FROM visits AS T2
+         JOIN visitors AS T1 ON T1.id = T2.visitor_id
+         WHERE T2.id IN (${criteria.expiredVisits})
+         ORDER BY T2.entry_time, T2.id`,
+        criteria.visitParams
+    );
+    const dependents = await executeQuery(
+        `SELECT id, visit_id, full_name, age
+         FROM dependents
+         WHERE visit_id IN (${criteria.expiredVisits})
+         ORDER BY visit_id, id`,
+        criteria.visitParams
+    );
+
+    const orphanedPhotos = await findOrphanedPhotoFiles({ executeQuery });
+
+    const counts = {
+        ...NO_DELETIONS,
+        dependents: dependents.length,
+        visits: visits.length,
+        profiles: profiles.length,
+        photos: profiles.filter((profile) => profile.photo_path).length,
+        orphaned_photos: orphanedPhotos.length,
+    };
+    if (criteria.cutoffs.audit_logs) {
+        const rows = await executeQuery(
+            `SELECT COUNT(*) AS total FROM audit_logs WHERE timestamp < @auditCutoff`,
+            [{ name: "auditCutoff", type: sql.NVarChar, value: criteria.cutoffs.audit_logs }]
+        );
+        counts.audit_logs = rows[0].total;
+    }
+    if (criteria.cutoffs.roll_calls) {
+        const rows = await executeQuery(
+            `SELECT COUNT(*) AS total FROM roll_calls WHERE closed_at IS NOT NULL AND started_at < @rollCallsCutoff`,
+            [{ name: "rollCallsCutoff", type: sql.NVarChar, value: criteria.cutoffs.roll_calls }]
+        );
+        counts.roll_calls = rows[0].total;
+    }
+
+    return {
+        cutoffs: criteria.cutoffs,
+        counts,
+        profiles: [...profiles],
+        visits: [...visits],
+        dependents: [...dependents],
+        orphaned_photos: orphanedPhotos,
+    };
+}
+
+/**
+ * Executes the data retention compliance cleanup job.
+ * Deletes records past their retention period (see RETENTION_SETTINGS) in one transaction,
+ * so a failure part-way leaves nothing deleted. Visitors under a legal hold are skipped.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and transaction).
  * @param {function} callback - Callback function to signal job completion or error.
+ * @param {{dryRun?: boolean}} [options] - dryRun only reports what would be deleted (default RETENTION_DRY_RUN).
+ * @returns {Promise<{status: string, dryRun: boolean, deletedCounts: object, wouldDelete: object|null, settings: object, error: string}>} Summary of the run.
  */
-async function runDataComplianceCleanup(dbService, callback) {
+async function runDataComplianceCleanup(dbService, callback, options = {}) {
     const log = (message) => console.log(message);
-    
-    log('--- Starting Data Retention Compliance Cleanup Job (Async/Await) ---');
-
-    let deletedCounts = { dependents: 0, visits: 0, profiles: 0 };
-    
-    // Calculate the cutoff date (2 years ago)
-    const twoYearsAgo = new Date(Date.now() - 2 * 365 * 24 * 60 * 60 * 1000).toISOString();
-    
+    const dryRun = options.dryRun ?? process.env.RETENTION_DRY_RUN === "true";
+
+    log(`--- Starting Data Retention Compliance Cleanup Job${dryRun ? " (Dry Run)" : " (Async/Await)"} ---`);
+
+    let deletedCounts = NO_DELETIONS;
+    let wouldDelete = null;
+    let settings = null;
+    let photoError = null;
+
     let auditStatus = 'OK';
-    let auditEvent = 'Compliance Cleanup Succeeded';
+    let auditEvent = dryRun ? 'Compliance Cleanup Dry Run' : 'Compliance Cleanup Succeeded';
     let errorMessage = '';
 
     try {
-        // --- 1. Deleting Dependents (where parent visit is old) ---
-        const deleteDependentsSql = `
-            DELETE FROM dependents
-            WHERE visit_id IN (
-                SELECT id FROM visits WHERE entry_time < @twoYearsAgo
-            );
-        `;
-        
-        const params = [{ name: "twoYearsAgo", type: sql.NVarChar, value: twoYearsAgo }];
-        
-        // executeQuery for DELETE returns an object including rowsAffected
-        let result = await dbService.executeQuery(deleteDependentsSql, params);
-        
-        deletedCounts.dependents = result.rowsAffected ? result.rowsAffected[0] : 0;
-        log(`Cleanup: Deleted ${deletedCounts.dependents} old dependent record(s).`);
-
-        // --- 2. Deleting Visits (older than 2 years) ---
-        const deleteVisitsSql = `DELETE FROM visits WHERE entry_time < @twoYearsAgo`;
-        
-        result = await dbService.executeQuery(deleteVisitsSql, params);
-        
-        deletedCounts.visits = result.rowsAffected ? result.rowsAffected[0] : 0;
-        log(`Cleanup: Deleted ${deletedCounts.visits} old visit record(s).`);
-
-        // --- 3. Deleting Visitor Profiles (who have no remaining visits) ---
-        const deleteVisitorsSql = `
-            DELETE FROM visitors
-            WHERE id NOT IN (SELECT visitor_id FROM visits)
-            AND is_banned = 0;
-        `;
-        // No parameters needed 
-        result = await dbService.executeQuery(deleteVisitorsSql, []); 
-        
-        deletedCounts.profiles = result.rowsAffected ? result.rowsAffected[0] : 0;
-        log(`Cleanup: Deleted ${deletedCounts.profiles} inactive visitor profile(s).`);
+        ({ settings } = await loadRetentionSettings(dbService));
+        if (dryRun) {
+            ({ counts: wouldDelete } = await previewExpiredRecords(dbService.executeQuery, settings));
+            log(`Dry run: would delete ${JSON.stringify(wouldDelete)}. Nothing was deleted.`);
+        } else {
+            const deleted = await dbService.transaction((tx) => deleteExpiredRecords(tx.executeQuery, settings, log));
+            deletedCounts = deleted.deletedCounts;
 
+            // The rows are gone for good; a file error is reported but does not fail the run
+            try {
+                deletedCounts = { ...deletedCounts, ...(await deleteExpiredPhotoFiles(dbService, deleted.photoPaths, log)) };
+            } catch (error) {
+                photoError = error.message;
+                console.error(`Cleanup Error deleting photo files: ${photoError}`);
+            }
+        }
     } catch (error) {
+        // The transaction rolled back, so nothing was deleted
+        deletedCounts = NO_DELETIONS;
         auditStatus = 'ERROR';
         auditEvent = 'Compliance Cleanup Failed';
         errorMessage = error.message;
@@ -66,12 +354,15 @@ async function runDataComplianceCleanup(dbService, callback) {
     } finally {
         log('--- Data Retention Compliance Cleanup Job Complete ---');
 
-        // --- 4. Writing Audit Log ---
+        // --- 6. Writing Audit Log ---
         const auditLogSql = `
-            INSERT INTO audit_logs (event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted)
-            VALUES (@eventName, @timestamp, @status, @profilesDeleted, @visitsDeleted, @dependentsDeleted);
+            INSERT INTO audit_logs (event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted, photos_deleted, after_values)
+            VALUES (@eventName, @timestamp, @status, @profilesDeleted, @visitsDeleted, @dependentsDeleted, @photosDeleted, @afterValues);
         `;
         const timestamp = new Date().toISOString();
+        const afterValues = dryRun
+            ? { dry_run: true, would_delete: wouldDelete, settings }
+            : { deleted: deletedCounts, settings, ...(photoError && { photo_error: photoError }) };
         const auditParams = [
             { name: "eventName", type: sql.NVarChar, value: auditEvent },
             { name: "timestamp", type: sql.NVarChar, value: timestamp },
@@ -79,6 +370,8 @@ async function runDataComplianceCleanup(dbService, callback) {
             { name: "profilesDeleted", type: sql.Int, value: deletedCounts.profiles },
             { name: "visitsDeleted", type: sql.Int, value: deletedCounts.visits },
             { name: "dependentsDeleted", type: sql.Int, value: deletedCounts.dependents },
+            { name: "photosDeleted", type: sql.Int, value: deletedCounts.photos + deletedCounts.orphaned_photos },
+            { name: "afterValues", type: sql.NVarChar, value: JSON.stringify(afterValues) },
         ];
 
         try {
@@ -87,12 +380,228 @@ async function runDataComplianceCleanup(dbService, callback) {
         } catch (auditError) {
             console.error('FATAL: Could not write audit log:', auditError.message);
         }
-        
+
         // Execute the original callback function
         if (callback) {
             callback(errorMessage);
         }
     }
+
+    return { status: auditStatus, dryRun, deletedCounts, wouldDelete, settings, error: errorMessage };
+}
+
+/**
+ * Schedules the cleanup job with node-cron. Called from server.js at startup.
+ *
+ * @param {object} dbService - The database service wrapper.
+ * @param {string} expression - Cron expression, or "off" to disable the schedule.
+ * @returns {object|null} The node-cron task, or null when scheduling is off.
+ */
+function scheduleRetentionCleanup(dbService, expression = process.env.RETENTION_SCHEDULE || DEFAULT_RETENTION_SCHEDULE) {
+    if (expression.trim().toLowerCase() === "off") {
+        console.log("Scheduled data retention cleanup is off.");
+        activeSchedule = null;
+        return null;
+    }
+    if (!cron.validate(expression)) {
+        console.warn(`Invalid RETENTION_SCHEDULE "${expression}". Using "${DEFAULT_RETENTION_SCHEDULE}".`);
+        expression = DEFAULT_RETENTION_SCHEDULE;
+    }
+
+    activeSchedule = expression;
+    return cron.schedule(expression, () => runDataComplianceCleanup(dbService));
+}
+
+/**
+ * Creates and configures a router that lets authorized staff run the cleanup job on demand
+ * and change the retention settings.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
+ * @returns {express.Router} - An Express router with the retention endpoints.
+ */
+function createCleanupRouter(dbService) {
+    const router = express.Router();
+
+    // Endpoint: POST /retention/run (dry_run=true only reports what would be deleted)
+    router.post("/retention/run", requirePermission("run_retention_cleanup"), async (req, res) => {
+        const dryRun = req.query.dry_run === "true";
+        const summary = await runDataComplianceCleanup(dbService, undefined, { dryRun });
+
+        // The job writes its own audit row; this one records who started it
+        await dbService.logAudit({
+            eventName: dryRun ? "Compliance Cleanup Dry Run Requested" : "Compliance Cleanup Requested",
+            status: summary.status === 'OK' ? "Success" : "Failed",
+            action: "run_retention_cleanup",
+            actor: req.staff,
+            clientIp: req.ip,
+            after: dryRun ? { dry_run: true, would_delete: summary.wouldDelete } : summary.deletedCounts,
+        });
+
+        if (summary.status !== 'OK') {
+            return res.status(500).json({ message: `Compliance cleanup failed: ${summary.error}` });
+        }
+        if (dryRun) {
+            return res.status(200).json({
+                message: "Dry run completed. Nothing was deleted.",
+                would_delete: summary.wouldDelete,
+            });
+        }
+        res.status(200).json({
+            message: "Compliance cleanup completed.",
+            deleted: summary.deletedCounts,
+        });
+    });
+
+    // Endpoint: GET /retention/preview?cutoff=<ISO date>
+    // Lists the profiles, visits and dependents the cleanup would delete (cutoff overrides visits_days)
+    router.get("/retention/preview", requirePermission("manage_retention"), async (req, res) => {
+        let visitsCutoff;
+        if (req.query.cutoff) {
+            const cutoffDate = new Date(req.query.cutoff);
+            if (isNaN(cutoffDate.getTime()) || cutoffDate.getTime() > Date.now()) {
+                return res.status(400).json({ message: "cutoff must be a valid date in the past." });
+            }
+            visitsCutoff = cutoffDate.toISOString();
+        }
+
+        try {
+            const { settings } = await loadRetentionSettings(dbService);
+            const preview = await previewExpiredRecords(dbService.executeQuery, settings, visitsCutoff);
+            res.status(200).json({ settings, ...preview });
+        } catch (err) {
+            console.error("Database Error in GET /retention/preview:", err.message);
+            res.status(500).json({ message: "Failed to preview the retention cleanup." });
+        }
+    });
+
+    // Endpoint: GET /retention/orphaned-photos - upload files no visitor refers to
+    router.get("/retention/orphaned-photos", requirePermission("manage_retention"), async (req, res) => {
+        try {
+            const files = await findOrphanedPhotoFiles(dbService);
+            res.status(200).json({ count: files.length, files });
+        } catch (err) {
+            console.error("Error in GET /retention/orphaned-photos:", err.message);
+            res.status(500).json({ message: "Failed to look for orphaned photo files." });
+        }
+    });
+
+    // Endpoint: POST /retention/orphaned-photos/sweep - deletes them
+    router.post("/retention/orphaned-photos/sweep", requirePermission("run_retention_cleanup"), async (req, res) => {
+        try {
+            const sweep = await sweepOrphanedPhotoFiles(dbService);
+
+            await dbService.logAudit({
+                eventName: "Orphaned Photos Swept",
+                status: sweep.failed.length === 0 ? "Success" : "Failed",
+                action: "sweep_orphaned_photos",
+                actor: req.staff,
+                clientIp: req.ip,
+                after: { deleted: sweep.deleted, missing: sweep.missing, failed: sweep.failed },
+            });
+
+            res.status(200).json({
+                message: `Deleted ${sweep.deleted} orphaned photo file(s).`,
+                deleted: sweep.deleted,
+                failed: sweep.failed,
+            });
+        } catch (err) {
+            console.error("Error in POST /retention/orphaned-photos/sweep:", err.message);
+            res.status(500).json({ message: "Failed to sweep orphaned photo files." });
+        }
+    });
+
+    // Endpoint: GET /retention/settings
+    router.get("/retention/settings", requirePermission("manage_retention"), async (req, res) => {
+        try {
+            const { settings, sources } = await loadRetentionSettings(dbService);
+            res.status(200).json({
+                settings,
+                sources,
+                schedule: activeSchedule,
+                banned_visitor_policies: BANNED_VISITOR_POLICIES,
+            });
+        } catch (err) {
+            console.error("Database Error in GET /retention/settings:", err.message);
+            res.status(500).json({ message: "Failed to load the retention settings." });
+        }
+    });
+
+    // Endpoint: PUT /retention/settings
+    // Body: any of visits_days, audit_logs_days, roll_calls_days (days, or null to keep forever) and banned_visitor_policy
+    router.put("/retention/settings", requirePermission("manage_retention"), async (req, res) => {
+        const changes = req.body || {};
+        const keys = Object.keys(changes);
+
+        if (keys.length === 0) {
+            return res.status(400).json({ message: "No retention settings were provided." });
+        }
+
+        const errors = [];
+        const values = {};
+        for (const key of keys) {
+            const parsed = parseRetentionSetting(key, changes[key]);
+            if (parsed.error) {
+                errors.push(parsed.error);
+            } else {
+                values[key] = parsed.value;
+            }
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Invalid retention settings.", errors });
+        }
+
+        try {
+            const { before, after } = await dbService.transaction(async (tx) => {
+                const current = await loadRetentionSettings(tx);
+
+                for (const key of keys) {
+                    const keyInput = { name: "settingKey", type: sql.NVarChar, value: key };
+                    await tx.executeQuery(`DELETE FROM retention_settings WHERE setting_key = @settingKey`, [keyInput]);
+                    await tx.executeQuery(
+                        `INSERT INTO retention_settings (setting_key, setting_value, updated_at, updated_by_id, updated_by_name)
+                         VALUES (@settingKey, @settingValue, @updatedAt, @staffId, @staffName)`,
+                        [
+                            keyInput,
+                            { name: "settingValue", type: sql.NVarChar, value: values[key] === null ? null : String(values[key]) },
+                            { name: "updatedAt", type: sql.NVarChar, value: new Date().toISOString() },
+                            { name: "staffId", type: sql.Int, value: req.staff.id },
+                            { name: "staffName", type: sql.NVarChar, value: req.staff.displayName },
+                        ]
+                    );
+                }
+
+                return {
+                    before: Object.fromEntries(keys.map((key) => [key, current.settings[key]])),
+                    after: values,
+                };
+            });
+
+            await dbService.logAudit({
+                eventName: "Retention Settings Updated",
+                status: "Success",
+                action: "update_retention_settings",
+                actor: req.staff,
+                clientIp: req.ip,
+                before,
+                after,
+            });
+
+            const { settings, sources } = await loadRetentionSettings(dbService);
+            res.status(200).json({ message: "Retention settings saved.", settings, sources });
+        } catch (err) {
+            console.error("Database Error in PUT /retention/settings:", err.message);
+            res.status(500).json({ message: "Failed to save the retention settings." });
+        }
+    });
+
+    return router;
 }
 
 module.exports = runDataComplianceCleanup;
+module.exports.createCleanupRouter = createCleanupRouter;
+module.exports.scheduleRetentionCleanup = scheduleRetentionCleanup;
+module.exports.loadRetentionSettings = loadRetentionSettings;
+module.exports.previewExpiredRecords = previewExpiredRecords;
+module.exports.parseRetentionSetting = parseRetentionSetting;
+module.exports.RETENTION_SETTINGS = RETENTION_SETTINGS;
+module.exports.BANNED_VISITOR_POLICIES = BANNED_VISITOR_POLICIES;
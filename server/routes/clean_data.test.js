@@ -1,5 +1,8 @@
 const sql = require("mssql");
+const request = require('supertest');
+const express = require('express');
 const runDataComplianceCleanup = require('./clean_data');
+const photoFiles = require('../photoFiles');
 
 // Mock the core components
 jest.mock('mssql', () => ({
@@ -7,6 +10,20 @@ jest.mock('mssql', () => ({
     Int: 'Int',
 }));
 
+// Photo files are never touched on disk here
+jest.mock('../photoFiles', () => ({
+    deletePhotoFiles: jest.fn(),
+    findOrphanedPhotoFiles: jest.fn(),
+    sweepOrphanedPhotoFiles: jest.fn(),
+}));
+
+beforeEach(() => {
+    Object.values(photoFiles).forEach((mockFn) => mockFn.mockReset());
+    photoFiles.deletePhotoFiles.mockImplementation(async (paths) => ({ deleted: paths.length, missing: 0, failed: [] }));
+    photoFiles.findOrphanedPhotoFiles.mockResolvedValue([]);
+    photoFiles.sweepOrphanedPhotoFiles.mockResolvedValue({ orphans: [], deleted: 0, missing: 0, failed: [] });
+});
+
 describe('runDataComplianceCleanup', () => {
     let mockDbService;
     let mockCallback;
@@ -19,6 +36,7 @@ describe('runDataComplianceCleanup', () => {
     
     // Define the expected SQL strings for verification
     const expectedSql = {
+        selectSettings: expect.stringContaining('FROM retention_settings'),
         deleteDependents: expect.stringContaining('DELETE FROM dependents'),
         deleteVisits: expect.stringContaining('DELETE FROM visits'),
         deleteVisitors: expect.stringContaining('DELETE FROM visitors'),
@@ -34,10 +52,11 @@ describe('runDataComplianceCleanup', () => {
         consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
         consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
 
-        // Mock the dbService
+        // Mock the dbService; transaction work runs against the same mocked executeQuery
         mockDbService = {
             executeQuery: jest.fn(),
         };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
 
         // Mock the callback
         mockCallback = jest.fn();
@@ -49,12 +68,18 @@ describe('runDataComplianceCleanup', () => {
 
     // --- Scenario 1: Successful Cleanup ---
     test('should execute all deletion steps and log a successful audit entry', async () => {
-        // 1. Setup Mock Results for 4 sequential calls:
+        photoFiles.sweepOrphanedPhotoFiles.mockResolvedValue({ orphans: ['uploads/stray.jpg'], deleted: 1, missing: 0, failed: [] });
+
+        // 1. Setup Mock Results for 6 sequential calls:
         mockDbService.executeQuery
+            // 0. Retention settings SELECT (no admin overrides)
+            .mockResolvedValueOnce([])
             // 1. Dependents DELETE (5 rows affected)
             .mockResolvedValueOnce({ rowsAffected: [5] }) 
             // 2. Visits DELETE (10 rows affected)
             .mockResolvedValueOnce({ rowsAffected: [10] }) 
+            // 3. Photos of the profiles about to be deleted
+            .mockResolvedValueOnce([{ photo_path: 'uploads/photo-1.jpg' }, { photo_path: 'uploads/photo-2.jpg' }])
             // 3. Visitor Profiles DELETE (3 rows affected)
             .mockResolvedValueOnce({ rowsAffected: [3] }) 
             // 4. Audit Log INSERT (success)
@@ -65,17 +90,32 @@ describe('runDataComplianceCleanup', () => {
 
         // 3. Assertions
         
-        // Check that all 4 DB calls were attempted
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(4);
+        // Check that all 6 DB calls were attempted, the deletes inside one transaction
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(6);
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(1, expectedSql.selectSettings);
         
-        // Check parameters of the first call (Dependents DELETE)
-        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(1, 
+        // Check parameters of the Dependents DELETE (default period of 730 days)
+        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(2, 
             expectedSql.deleteDependents,
-            [{ name: "twoYearsAgo", type: 'NVarChar', value: MOCK_TWO_YEARS_AGO }]
+            [{ name: "visitsCutoff", type: 'NVarChar', value: MOCK_TWO_YEARS_AGO }]
         );
 
-        // Check the final Audit Log entry parameters (4th call)
-        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(4, 
+        // Banned visitors keep their profile by default; visitors under a legal hold are skipped
+        expect(mockDbService.executeQuery.mock.calls[2][0]).not.toContain('is_banned');
+        expect(mockDbService.executeQuery.mock.calls[2][0]).toContain('NOT IN (SELECT visitor_id FROM legal_holds WHERE released_at IS NULL)');
+        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(5,
+            expect.stringContaining('AND is_banned = 0'),
+            [{ name: "visitsCutoff", type: 'NVarChar', value: MOCK_TWO_YEARS_AGO }]
+        );
+        expect(mockDbService.executeQuery.mock.calls[4][0]).toContain('AND id NOT IN (SELECT visitor_id FROM legal_holds WHERE released_at IS NULL)');
+
+        // The deleted profiles' photos are removed once the transaction has committed, then orphans are swept
+        expect(photoFiles.deletePhotoFiles).toHaveBeenCalledWith(['uploads/photo-1.jpg', 'uploads/photo-2.jpg']);
+        expect(photoFiles.sweepOrphanedPhotoFiles).toHaveBeenCalledWith(mockDbService);
+
+        // Check the final Audit Log entry parameters (6th call)
+        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(6, 
             expectedSql.insertAudit,
             expect.arrayContaining([
                 expect.objectContaining({ name: "eventName", value: "Compliance Cleanup Succeeded" }),
@@ -83,6 +123,7 @@ describe('runDataComplianceCleanup', () => {
                 expect.objectContaining({ name: "profilesDeleted", value: 3 }),
                 expect.objectContaining({ name: "visitsDeleted", value: 10 }),
                 expect.objectContaining({ name: "dependentsDeleted", value: 5 }),
+                expect.objectContaining({ name: "photosDeleted", value: 3 }),
             ])
         );
 
@@ -94,11 +135,13 @@ describe('runDataComplianceCleanup', () => {
     });
 
     // --- Scenario 2: Database Failure during Deletion ---
-    test('should stop execution on error and log a failed audit entry', async () => {
+    test('should stop execution on error, roll back and log a failed audit entry', async () => {
         const DB_ERROR_MESSAGE = 'A DB connection error occurred.';
 
-        // 1. Setup Mock Results for 2 sequential calls:
+        // 1. Setup Mock Results for 4 sequential calls:
         mockDbService.executeQuery
+            // 0. Retention settings SELECT
+            .mockResolvedValueOnce([])
             // 1. Dependents DELETE (Success, 2 rows affected)
             .mockResolvedValueOnce({ rowsAffected: [2] }) 
             // 2. Visits DELETE (FAILURE)
@@ -111,19 +154,19 @@ describe('runDataComplianceCleanup', () => {
 
         // 3. Assertions
 
-        // Check that only 3 DB calls were attempted (Dependents, Visits fail, then Audit log)
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(3); 
+        // Check that only 4 DB calls were attempted (Settings, Dependents, Visits fail, then Audit log)
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(4); 
         
         // Check error logging
         expect(consoleErrorSpy).toHaveBeenCalledWith(`Cleanup Error: ${DB_ERROR_MESSAGE}`);
         
-        // Check the final Audit Log entry parameters (3rd call)
-        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(3, 
+        // Check the final Audit Log entry parameters (4th call); the transaction rolled the dependents back
+        expect(mockDbService.executeQuery).toHaveBeenNthCalledWith(4, 
             expectedSql.insertAudit,
             expect.arrayContaining([
                 expect.objectContaining({ name: "eventName", value: "Compliance Cleanup Failed" }),
                 expect.objectContaining({ name: "status", value: "ERROR" }),
-                expect.objectContaining({ name: "dependentsDeleted", value: 2 }),
+                expect.objectContaining({ name: "dependentsDeleted", value: 0 }),
                 expect.objectContaining({ name: "visitsDeleted", value: 0 }),
                 expect.objectContaining({ name: "profilesDeleted", value: 0 }),
             ])
@@ -137,12 +180,16 @@ describe('runDataComplianceCleanup', () => {
     test('should handle audit log failure and still call the main callback', async () => {
         const AUDIT_ERROR_MESSAGE = 'Audit table is down.';
 
-        // 1. Setup Mock Results for 4 sequential calls:
+        // 1. Setup Mock Results for 5 sequential calls:
         mockDbService.executeQuery
+            // 0. Retention settings SELECT
+            .mockResolvedValueOnce([])
             // 1. Dependents DELETE (Success)
             .mockResolvedValueOnce({ rowsAffected: [1] }) 
             // 2. Visits DELETE (Success)
             .mockResolvedValueOnce({ rowsAffected: [1] }) 
+            // 3. Photos of the profiles (none)
+            .mockResolvedValueOnce([])
             // 3. Visitor Profiles DELETE (Success)
             .mockResolvedValueOnce({ rowsAffected: [1] }) 
             // 4. Audit Log INSERT (FAILURE)
@@ -153,8 +200,8 @@ describe('runDataComplianceCleanup', () => {
 
         // 3. Assertions
 
-        // Check that all 4 DB calls were attempted
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(4);
+        // Check that all 6 DB calls were attempted
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(6);
         
         // Check fatal error logging
         expect(consoleErrorSpy).toHaveBeenCalledWith('FATAL: Could not write audit log:', AUDIT_ERROR_MESSAGE);
@@ -162,4 +209,385 @@ describe('runDataComplianceCleanup', () => {
         // Check the final callback call (since the main try block succeeded, it returns no error)
         expect(mockCallback).toHaveBeenCalledWith('');
     });
+
+    // --- Scenario 4: Per-table periods and the banned visitor policy ---
+    test('should apply periods from the environment, admin overrides and the banned visitor policy', async () => {
+        process.env.RETENTION_VISITS_DAYS = '365';
+        process.env.RETENTION_AUDIT_LOGS_DAYS = '3650';
+        process.env.RETENTION_BANNED_VISITOR_POLICY = 'purge';
+
+        mockDbService.executeQuery
+            // Admin overrides win over the environment
+            .mockResolvedValueOnce([
+                { setting_key: 'roll_calls_days', setting_value: '90' },
+                { setting_key: 'banned_visitor_policy', setting_value: 'keep_all' },
+            ])
+            .mockImplementation((query) =>
+                Promise.resolve(query.includes('SELECT photo_path') ? [] : { rowsAffected: [1] })
+            );
+
+        try {
+            const summary = await runDataComplianceCleanup(mockDbService);
+
+            expect(summary.settings).toEqual({
+                visits_days: 365,
+                audit_logs_days: 3650,
+                roll_calls_days: 90,
+                banned_visitor_policy: 'keep_all',
+            });
+            expect(summary.deletedCounts).toEqual({
+                dependents: 1, visits: 1, profiles: 1, audit_logs: 1, roll_calls: 1, photos: 0, orphaned_photos: 0,
+            });
+
+            const calls = mockDbService.executeQuery.mock.calls;
+            expect(calls[1][1][0].value).toBe(new Date(MOCK_CURRENT_TIME - 365 * 24 * 60 * 60 * 1000).toISOString());
+            // keep_all leaves banned visitors' visits alone
+            expect(calls[2][0]).toContain('visitor_id NOT IN (SELECT id FROM visitors WHERE is_banned = 1)');
+            expect(calls[5][0]).toContain('DELETE FROM audit_logs');
+            expect(calls[6][0]).toContain('DELETE FROM roll_calls WHERE closed_at IS NOT NULL');
+            expect(calls[6][1][0].value).toBe(new Date(MOCK_CURRENT_TIME - 90 * 24 * 60 * 60 * 1000).toISOString());
+        } finally {
+            delete process.env.RETENTION_VISITS_DAYS;
+            delete process.env.RETENTION_AUDIT_LOGS_DAYS;
+            delete process.env.RETENTION_BANNED_VISITOR_POLICY;
+        }
+    });
+
+    // --- Scenario 5: Dry run ---
+    test('should only count what would be deleted in a dry run', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([]) // settings
+            .mockResolvedValueOnce([{ id: 3, photo_path: 'uploads/photo-3.jpg' }]) // profiles
+            .mockResolvedValueOnce([{ id: 30 }, { id: 31 }]) // visits
+            .mockResolvedValueOnce([{ id: 300 }]) // dependents
+            .mockResolvedValueOnce({}); // audit log
+
+        const summary = await runDataComplianceCleanup(mockDbService, mockCallback, { dryRun: true });
+
+        expect(summary).toMatchObject({
+            status: 'OK',
+            dryRun: true,
+            deletedCounts: { dependents: 0, visits: 0, profiles: 0, audit_logs: 0, roll_calls: 0, photos: 0, orphaned_photos: 0 },
+            wouldDelete: { dependents: 1, visits: 2, profiles: 1, audit_logs: 0, roll_calls: 0, photos: 1, orphaned_photos: 0 },
+        });
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+        expect(photoFiles.deletePhotoFiles).not.toHaveBeenCalled();
+        expect(photoFiles.sweepOrphanedPhotoFiles).not.toHaveBeenCalled();
+        const queries = mockDbService.executeQuery.mock.calls.map(([query]) => query);
+        expect(queries.some((query) => query.includes('DELETE'))).toBe(false);
+        expect(mockDbService.executeQuery).toHaveBeenLastCalledWith(
+            expectedSql.insertAudit,
+            expect.arrayContaining([
+                expect.objectContaining({ name: "eventName", value: "Compliance Cleanup Dry Run" }),
+                expect.objectContaining({ name: "visitsDeleted", value: 0 }),
+            ])
+        );
+    });
+
+    test('parseRetentionSetting should validate periods and policies', () => {
+        const { parseRetentionSetting } = runDataComplianceCleanup;
+
+        expect(parseRetentionSetting('visits_days', '400')).toEqual({ value: 400 });
+        expect(parseRetentionSetting('audit_logs_days', 'forever')).toEqual({ value: null });
+        expect(parseRetentionSetting('visits_days', null).error).toBe('visits_days must be a whole number of days.');
+        expect(parseRetentionSetting('roll_calls_days', 0).error).toBeDefined();
+        expect(parseRetentionSetting('banned_visitor_policy', 'ignore').error).toContain('keep_profile, keep_all, purge');
+        expect(parseRetentionSetting('photos_days', 10).error).toBe('Unknown retention setting "photos_days".');
+    });
+});
+
+describe('POST /retention/run', () => {
+    let mockDbService;
+
+    // Helper to create a test app with a signed-in staff member of the given role
+    function setupTestApp(role) {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.staff = { id: 1, username: "staff", displayName: "Staff", role };
+            next();
+        });
+        app.use('/', runDataComplianceCleanup.createCleanupRouter(mockDbService));
+        return app;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = {
+            // Retention settings and photo SELECTs return no rows; everything else affects 2 rows
+            executeQuery: jest.fn((query) =>
+                Promise.resolve(
+                    query.includes('FROM retention_settings') || query.includes('SELECT photo_path')
+                        ? []
+                        : { rowsAffected: [2] }
+                )
+            ),
+            logAudit: jest.fn(),
+        };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should return 403 when the staff role cannot run the cleanup', async () => {
+        const response = await request(setupTestApp('supervisor')).post('/retention/run');
+
+        expect(response.status).toBe(403);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test('should run the cleanup and return the deleted counts for an admin', async () => {
+        const response = await request(setupTestApp('admin')).post('/retention/run');
+
+        expect(response.status).toBe(200);
+        expect(response.body.deleted).toEqual({
+            dependents: 2, visits: 2, profiles: 2, audit_logs: 0, roll_calls: 0, photos: 0, orphaned_photos: 0,
+        });
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(6);
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'run_retention_cleanup',
+            actor: expect.objectContaining({ id: 1 }),
+        }));
+    });
+
+    test('should return 500 when the cleanup fails', async () => {
+        mockDbService.executeQuery.mockRejectedValueOnce(new Error('DB down'));
+
+        const response = await request(setupTestApp('admin')).post('/retention/run');
+
+        expect(response.status).toBe(500);
+        expect(response.body.message).toContain('DB down');
+    });
+});
+
+describe('GET /retention/preview and dry runs', () => {
+    let mockDbService;
+
+    function setupTestApp(role = 'admin') {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.staff = { id: 1, username: "admin", displayName: "Admin", role };
+            next();
+        });
+        app.use('/', runDataComplianceCleanup.createCleanupRouter(mockDbService));
+        return app;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should list the profiles, visits and dependents that would be deleted at the given cutoff', async () => {
+        const profiles = [{ id: 3, first_name: 'Old', last_name: 'Timer', is_banned: false }];
+        const visits = [{ id: 30, visitor_id: 3, first_name: 'Old', last_name: 'Timer', entry_time: '2020-01-01T10:00:00.000Z' }];
+        const dependents = [{ id: 300, visit_id: 30, full_name: 'Kid Timer', age: 5 }];
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ setting_key: 'audit_logs_days', setting_value: '3650' }])
+            .mockResolvedValueOnce(profiles)
+            .mockResolvedValueOnce(visits)
+            .mockResolvedValueOnce(dependents)
+            .mockResolvedValueOnce([{ total: 12 }]);
+
+        const response = await request(setupTestApp())
+            .get('/retention/preview')
+            .query({ cutoff: '2021-01-01' })
+            .expect(200);
+
+        expect(response.body.cutoffs.visits).toBe('2021-01-01T00:00:00.000Z');
+        expect(response.body.counts).toEqual({
+            dependents: 1, visits: 1, profiles: 1, audit_logs: 12, roll_calls: 0, photos: 0, orphaned_photos: 0,
+        });
+        expect(response.body).toMatchObject({ profiles, visits, dependents });
+        expect(mockDbService.executeQuery.mock.calls[2][1]).toEqual([
+            expect.objectContaining({ name: 'visitsCutoff', value: '2021-01-01T00:00:00.000Z' }),
+        ]);
+        expect(mockDbService.executeQuery.mock.calls.some(([query]) => query.includes('DELETE'))).toBe(false);
+    });
+
+    test('should return 400 for an invalid or future cutoff and 403 for non-admins', async () => {
+        await request(setupTestApp()).get('/retention/preview').query({ cutoff: 'soon' }).expect(400);
+        await request(setupTestApp()).get('/retention/preview').query({ cutoff: '2999-01-01' }).expect(400);
+        await request(setupTestApp('supervisor')).get('/retention/preview').expect(403);
+
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test('POST /retention/run?dry_run=true should report without deleting', async () => {
+        mockDbService.executeQuery.mockImplementation((query) =>
+            Promise.resolve(query.includes('FROM visits AS T2') ? [{ id: 30 }] : [])
+        );
+
+        const response = await request(setupTestApp()).post('/retention/run').query({ dry_run: 'true' }).expect(200);
+
+        expect(response.body.message).toBe('Dry run completed. Nothing was deleted.');
+        expect(response.body.would_delete.visits).toBe(1);
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'run_retention_cleanup',
+            after: { dry_run: true, would_delete: expect.objectContaining({ visits: 1 }) },
+        }));
+    });
+});
+
+describe('/retention/settings', () => {
+    let mockDbService;
+
+    function setupTestApp(role = 'admin') {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.staff = { id: 1, username: "admin", displayName: "Admin", role };
+            next();
+        });
+        app.use('/', runDataComplianceCleanup.createCleanupRouter(mockDbService));
+        return app;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('GET should return the settings in effect and where each came from', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([{ setting_key: 'visits_days', setting_value: '1095' }]);
+
+        const response = await request(setupTestApp()).get('/retention/settings').expect(200);
+
+        expect(response.body.settings).toEqual({
+            visits_days: 1095,
+            audit_logs_days: null,
+            roll_calls_days: null,
+            banned_visitor_policy: 'keep_profile',
+        });
+        expect(response.body.sources).toMatchObject({ visits_days: 'admin', audit_logs_days: 'default' });
+        expect(response.body.banned_visitor_policies).toEqual(['keep_profile', 'keep_all', 'purge']);
+    });
+
+    test('PUT should save the changed settings and audit the change', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([]) // settings before the change
+            .mockResolvedValue([]);
+
+        const response = await request(setupTestApp())
+            .put('/retention/settings')
+            .send({ visits_days: 1095, audit_logs_days: null })
+            .expect(200);
+
+        expect(response.body.message).toBe('Retention settings saved.');
+        const inserts = mockDbService.executeQuery.mock.calls.filter(([query]) => query.includes('INSERT INTO retention_settings'));
+        expect(inserts).toHaveLength(2);
+        expect(inserts[0][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'settingKey', value: 'visits_days' }),
+            expect.objectContaining({ name: 'settingValue', value: '1095' }),
+            expect.objectContaining({ name: 'staffName', value: 'Admin' }),
+        ]));
+        expect(inserts[1][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'settingValue', value: null }),
+        ]));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'update_retention_settings',
+            before: { visits_days: 730, audit_logs_days: null },
+            after: { visits_days: 1095, audit_logs_days: null },
+        }));
+    });
+
+    test('PUT should return 400 for invalid or unknown settings without saving', async () => {
+        const response = await request(setupTestApp())
+            .put('/retention/settings')
+            .send({ visits_days: -5, photos_days: 10 })
+            .expect(400);
+
+        expect(response.body.errors).toHaveLength(2);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+
+        await request(setupTestApp()).put('/retention/settings').send({}).expect(400);
+    });
+
+    test('should return 403 for roles other than admin', async () => {
+        await request(setupTestApp('supervisor')).get('/retention/settings').expect(403);
+        await request(setupTestApp('supervisor')).put('/retention/settings').send({ visits_days: 10 }).expect(403);
+    });
+});
+
+describe('/retention/orphaned-photos', () => {
+    let mockDbService;
+
+    function setupTestApp(role = 'admin') {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.staff = { id: 1, username: "admin", displayName: "Admin", role };
+            next();
+        });
+        app.use('/', runDataComplianceCleanup.createCleanupRouter(mockDbService));
+        return app;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('GET should list upload files no visitor refers to', async () => {
+        photoFiles.findOrphanedPhotoFiles.mockResolvedValue(['uploads/stray-1.jpg', 'uploads/stray-2.jpg']);
+
+        const response = await request(setupTestApp()).get('/retention/orphaned-photos').expect(200);
+
+        expect(response.body).toEqual({ count: 2, files: ['uploads/stray-1.jpg', 'uploads/stray-2.jpg'] });
+        expect(photoFiles.findOrphanedPhotoFiles).toHaveBeenCalledWith(mockDbService);
+    });
+
+    test('POST sweep should delete them and audit the result', async () => {
+        photoFiles.sweepOrphanedPhotoFiles.mockResolvedValue({
+            orphans: ['uploads/stray-1.jpg', 'uploads/stray-2.jpg'], deleted: 1, missing: 0, failed: ['uploads/stray-2.jpg'],
+        });
+
+        const response = await request(setupTestApp()).post('/retention/orphaned-photos/sweep').expect(200);
+
+        expect(response.body).toEqual(expect.objectContaining({ deleted: 1, failed: ['uploads/stray-2.jpg'] }));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'sweep_orphaned_photos',
+            status: 'Failed',
+            after: { deleted: 1, missing: 0, failed: ['uploads/stray-2.jpg'] },
+        }));
+    });
+
+    test('should return 500 when the uploads folder cannot be read and 403 for other roles', async () => {
+        photoFiles.findOrphanedPhotoFiles.mockRejectedValue(new Error('EACCES'));
+
+        await request(setupTestApp()).get('/retention/orphaned-photos').expect(500);
+        await request(setupTestApp('supervisor')).get('/retention/orphaned-photos').expect(403);
+        await request(setupTestApp('reception')).post('/retention/orphaned-photos/sweep').expect(403);
+
+        expect(photoFiles.sweepOrphanedPhotoFiles).not.toHaveBeenCalled();
+    });
 });
@@ -1,9 +1,19 @@
 const express = require("express");
 const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+const {
+  HISTORY_QUERY_SCHEMA,
+  parseHistoryQuery,
+  buildHistoryFilters,
+  buildHistoryOrderBy,
+  buildHistoryPageQuery,
+  parseDependentsJson,
+} = require("./history_query");
 
 /**
  * Creates and configures a router for fetching historical visitor data
  * with optional filtering for the administrative dashboard view, using Azure SQL.
+ * Results are sorted, filtered and paginated on the server.
  *
  * @param {object} dbService - The Azure SQL database service wrapper (e.g., with executeQuery).
  * @returns {express.Router} - An Express router with the /history endpoint.
@@ -11,128 +21,66 @@ const sql = require("mssql");
 function createHistoryRouter(dbService) {
   const router = express.Router();
 
-  // Endpoint to use the password for authorization
-  router.post("/authorize-history", (req, res) => {
-    const { password } = req.body;
-
-    // IMPORTANT: In a real application, fetch this from a secure configuration,
-    // not directly from process.env on every request.
-    const masterPassword = process.env.MASTER_PASSWORD2;
-
-    if (password === masterPassword) {
-      return res
-        .status(200)
-        .json({ success: true, message: "Authorization successful." });
-    } else {
-      return res.status(403).json({ message: "Incorrect password." });
-    }
-  });
-
-  // Endpoint to get all historical visits with optional filtering
-  router.get("/history", async (req, res) => {
-    const { search, start_date, end_date } = req.query;
-
-    let whereClauses = [];
-    let inputs = [];
-
-    // 1. Build dynamic WHERE clauses and input parameters
-
-    if (search) {
-      const searchParam = `%${search.toLowerCase()}%`;
-      whereClauses.push(
-        `(LOWER(T1.first_name) LIKE @searchParam OR LOWER(T1.last_name) LIKE @searchParam)`
-      );
-      // We only need to add the parameter once, since it's used twice in the clause
-      inputs.push({
-        name: "searchParam",
-        type: sql.NVarChar,
-        value: searchParam,
+  // Endpoint to get one page of historical visits; the accepted query parameters
+  // are documented in HISTORY_QUERY_SCHEMA (routes/history_query.js)
+  router.get("/history", requirePermission("view_history"), async (req, res) => {
+    // 1. Validate the query and build the WHERE clause and input parameters
+    const { values, errors } = parseHistoryQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: "Invalid history query.",
+        errors,
+        parameters: Object.keys(HISTORY_QUERY_SCHEMA),
       });
     }
 
-    if (start_date) {
-      whereClauses.push(`T2.entry_time >= @startDate`);
-      inputs.push({ name: "startDate", type: sql.NVarChar, value: start_date });
-    }
-    if (end_date) {
-      // End date must include the entire day for accurate filtering
-      const endOfDay = `${end_date}T23:59:59.999Z`;
-      whereClauses.push(`T2.entry_time <= @endDate`);
-      inputs.push({ name: "endDate", type: sql.NVarChar, value: endOfDay });
-    }
-
-    const whereClause =
-      whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
+    const { page, limit } = values;
+    const { whereClause, inputs } = buildHistoryFilters(values);
+    const orderBy = buildHistoryOrderBy(values);
 
-    // 2. Construct the main T-SQL query
-    const query = `
-        SELECT
-            T1.id AS visitor_id,
-            T1.first_name,
-            T1.last_name,
-            T1.photo_path,
-            T1.is_banned,
-            T2.id AS visit_id,
-            T2.known_as,
-            T2.entry_time,
-            T2.exit_time,
-            T2.address,
-            T2.phone_number,
-            T2.unit,
-            T2.reason_for_visit,
-            T2.company_name,
-            T2.type,
-            T2.mandatory_acknowledgment_taken,
-            (
-                SELECT 
-                    full_name, 
-                    age 
-                FROM dependents AS T3 
-                WHERE T3.visit_id = T2.id
-                FOR JSON PATH
-            ) AS additional_dependents_json
+    // 2. Count every matching visit, then construct the main T-SQL query for one page
+    const countQuery = `
+        SELECT COUNT(*) AS total
         FROM visitors AS T1
         JOIN visits AS T2
             ON T1.id = T2.visitor_id
         ${whereClause}
-        ORDER BY T2.entry_time DESC
     `;
+    const query = buildHistoryPageQuery(whereClause, orderBy);
 
     try {
-      // 3. Execute the query
-      const rows = await dbService.executeQuery(query, inputs);
+      // 3. Execute the queries
+      const [{ total }] = await dbService.executeQuery(countQuery, inputs);
+      const rows = await dbService.executeQuery(query, [
+        ...inputs,
+        { name: "offset", type: sql.Int, value: (page - 1) * limit },
+        { name: "pageSize", type: sql.Int, value: limit },
+      ]);
 
       // 4. Process results to clean up data and parse JSON dependents
       const results = rows.map((row) => {
-        let dependents = [];
-
-        // Azure SQL's FOR JSON PATH outputs a valid JSON array string
-        if (row.additional_dependents_json) {
-          try {
-            dependents = JSON.parse(row.additional_dependents_json);
-          } catch (e) {
-            console.warn(
-              "Could not parse dependents JSON string:",
-              row.additional_dependents_json,
-              e
-            );
-          }
-        }
-
         return {
           ...row,
           // Construct the full photo URL for the client
           photo: row.photo_path
             ? `${req.protocol}://${req.get("host")}/${row.photo_path}`
             : null,
-          dependents: dependents,
+          dependents: parseDependentsJson(row.additional_dependents_json),
           // Remove internal/raw fields from final output
           photo_path: undefined,
           additional_dependents_json: undefined,
         };
       });
 
-      res.json(results);
+      res.json({
+        data: results,
+        pagination: {
+          page,
+          limit,
+          total,
+          total_pages: Math.ceil(total / limit),
+        },
+      });
     } catch (err) {
       console.error("Azure SQL Error in GET /history:", err.message);
       res
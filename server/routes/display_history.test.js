@@ -2,10 +2,7 @@ const request = require("supertest");
 const express = require("express");
 const createHistoryRouter = require("./display_history");
 
-// Mock environment variable and SQL module
-const MOCK_MASTER_PASSWORD = "test-history-password";
-process.env.MASTER_PASSWORD2 = MOCK_MASTER_PASSWORD;
-
+// Mock the SQL module
 jest.mock("mssql", () => ({
     NVarChar: "NVarChar",
     Int: "Int",
@@ -16,9 +13,14 @@ const MOCK_DATE = '2025-01-01';
 const MOCK_END_OF_DAY = `${MOCK_DATE}T23:59:59.999Z`;
 
 // Helper function to set up the Express app for testing
-function setupTestApp(dbService) {
+function setupTestApp(dbService, role = "supervisor") {
     const app = express();
     app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "staff", displayName: "Staff", role };
+        next();
+    });
     // Use a mock protocol/host for photo URL testing
     app.use((req, res, next) => {
         req.protocol = 'http';
@@ -70,47 +72,41 @@ describe("History Router Endpoints", () => {
         additional_dependents_json: '[{"full_name":"Jane Doe","age":5}]',
     };
 
-    // =================================================================
-    // POST /authorize-history Tests
-    // =================================================================
-
-    describe("POST /authorize-history", () => {
-        test("should return 200 for correct password", async () => {
-            const response = await request(app)
-                .post("/authorize-history")
-                .send({ password: MOCK_MASTER_PASSWORD })
-                .expect(200);
-
-            expect(response.body.success).toBe(true);
-            expect(response.body.message).toBe("Authorization successful.");
-        });
+    // GET /history Tests
+   
+    describe("GET /history", () => {
+        test("should return 403 when the staff role cannot view history", async () => {
+            const receptionApp = setupTestApp(mockDbService, "reception");
 
-        test("should return 403 for incorrect password", async () => {
-            const response = await request(app)
-                .post("/authorize-history")
-                .send({ password: "wrong-password" })
-                .expect(403);
+            await request(receptionApp).get("/history").expect(403);
 
-            expect(response.body.message).toBe("Incorrect password.");
+            expect(mockDbService.executeQuery).not.toHaveBeenCalled();
         });
-    });
 
-    // GET /history Tests
-   
-    describe("GET /history", () => {
         // --- Test 1: No Filters, Success and Data Mapping ---
-        test("should return 200 with all historical data and correctly map fields", async () => {
-            // Setup mock to return one row
-            mockDbService.executeQuery.mockResolvedValue([mockVisitRow]);
+        test("should return 200 with the first page of history and correctly map fields", async () => {
+            // Setup mock to return the total, then one row
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ total: 1 }])
+                .mockResolvedValueOnce([mockVisitRow]);
 
             const response = await request(app).get("/history").expect(200);
 
-            const querySql = mockDbService.executeQuery.mock.calls[0][0];
+            const [countSql, countParams] = mockDbService.executeQuery.mock.calls[0];
+            const [querySql, queryParams] = mockDbService.executeQuery.mock.calls[1];
 
-            expect(mockDbService.executeQuery).toHaveBeenCalledWith(querySql, []);
+            expect(countSql).toContain("SELECT COUNT(*) AS total");
+            expect(countParams).toEqual([]);
+            expect(querySql).toContain("ORDER BY T2.entry_time DESC, T2.id DESC");
+            expect(querySql).toContain("OFFSET @offset ROWS FETCH NEXT @pageSize ROWS ONLY");
+            expect(queryParams).toEqual([
+                { name: "offset", type: "Int", value: 0 },
+                { name: "pageSize", type: "Int", value: 50 },
+            ]);
             // Assert the response structure and data mapping
-            expect(response.body).toHaveLength(1);
-            const result = response.body[0];
+            expect(response.body.pagination).toEqual({ page: 1, limit: 50, total: 1, total_pages: 1 });
+            expect(response.body.data).toHaveLength(1);
+            const result = response.body.data[0];
 
             // 1. Photo URL 
             expect(result.photo).toBe("http://localhost:3000/photos/123.jpg");
@@ -124,7 +120,7 @@ describe("History Router Endpoints", () => {
         // --- Test 2: Search Filter ---
         test("should query with a search filter on first_name/last_name", async () => {
             // Setup mock for success
-            mockDbService.executeQuery.mockResolvedValue([]);
+            mockDbService.executeQuery.mockResolvedValueOnce([{ total: 0 }]).mockResolvedValueOnce([]);
 
             const searchText = "john";
             await request(app).get(`/history?search=${searchText}`).expect(200);
@@ -144,7 +140,7 @@ describe("History Router Endpoints", () => {
         // --- Test 3: Date Range Filter ---
         test("should query with start_date and end_date filters", async () => {
             // Setup mock for success
-            mockDbService.executeQuery.mockResolvedValue([]);
+            mockDbService.executeQuery.mockResolvedValueOnce([{ total: 0 }]).mockResolvedValueOnce([]);
 
             await request(app)
                 .get(`/history?start_date=${MOCK_DATE}&end_date=${MOCK_DATE}`)
@@ -188,14 +184,97 @@ describe("History Router Endpoints", () => {
                 ...mockVisitRow,
                 additional_dependents_json: '{ "key": "value", }', // Invalid trailing comma
             };
-            mockDbService.executeQuery.mockResolvedValue([malformedRow]);
+            mockDbService.executeQuery.mockResolvedValueOnce([{ total: 1 }]).mockResolvedValueOnce([malformedRow]);
 
             const response = await request(app).get("/history").expect(200);
 
             // The dependents array should be empty on failure, not the raw JSON string
-            expect(response.body[0].dependents).toEqual([]); 
+            expect(response.body.data[0].dependents).toEqual([]); 
             // Warning should be logged
             expect(consoleWarnSpy).toHaveBeenCalled();
         });
+
+        // --- Test 6: Pagination, Sorting and the Other Filters ---
+        test("should page, sort and filter on the server", async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([{ total: 45 }]).mockResolvedValueOnce([]);
+
+            const response = await request(app)
+                .get("/history")
+                .query({
+                    page: 3,
+                    limit: 20,
+                    sort_by: "first_name",
+                    sort_dir: "asc",
+                    type: "contractor",
+                    unit: "12",
+                    is_banned: "false",
+                    mandatory_acknowledgment_taken: "true",
+                    status: "closed",
+                })
+                .expect(200);
+
+            const [querySql, queryParams] = mockDbService.executeQuery.mock.calls[1];
+            expect(querySql).toContain("T2.type = @type AND T2.unit = @unit AND T1.is_banned = 0");
+            expect(querySql).toContain("T2.mandatory_acknowledgment_taken = 1 AND T2.exit_time IS NOT NULL");
+            expect(querySql).toContain("ORDER BY T1.first_name ASC, T1.last_name ASC, T2.id ASC");
+            expect(queryParams).toEqual([
+                { name: "type", type: "NVarChar", value: "contractor" },
+                { name: "unit", type: "NVarChar", value: "12" },
+                { name: "offset", type: "Int", value: 40 },
+                { name: "pageSize", type: "Int", value: 20 },
+            ]);
+            // The count uses the same filters without the paging parameters
+            expect(mockDbService.executeQuery.mock.calls[0][1]).toHaveLength(2);
+            expect(response.body.pagination).toEqual({ page: 3, limit: 20, total: 45, total_pages: 3 });
+        });
+
+        test("should return 400 for invalid paging, sorting or filter values", async () => {
+            for (const query of [
+                { page: 0 },
+                { limit: 1000 },
+                { sort_by: "password_hash" },
+                { sort_dir: "sideways" },
+                { is_banned: "maybe" },
+                { status: "pending" },
+            ]) {
+                await request(app).get("/history").query(query).expect(400);
+            }
+
+            expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+        });
+
+        // --- Test 7: The Query Schema ---
+        test("should reject unknown, repeated and malformed parameters with every error listed", async () => {
+            const response = await request(app)
+                .get("/history?query=john&endDate=2025-01-01&endDate=2025-02-01&start_date=2025-02-30")
+                .expect(400);
+
+            expect(response.body.message).toBe("Invalid history query.");
+            expect(response.body.errors).toEqual([
+                'Unknown parameter "query".',
+                'Unknown parameter "endDate".',
+                "start_date must be a date (YYYY-MM-DD).",
+            ]);
+            expect(response.body.parameters).toEqual(expect.arrayContaining(["search", "start_date", "end_date"]));
+
+            const repeated = await request(app).get("/history?search=a&search=b").expect(400);
+            expect(repeated.body.errors).toEqual(["search must be given once."]);
+
+            const reversed = await request(app)
+                .get("/history")
+                .query({ start_date: "2025-03-01", end_date: "2025-01-01" })
+                .expect(400);
+            expect(reversed.body.errors).toEqual(["start_date must not be after end_date."]);
+
+            expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+        });
+
+        test("should treat empty parameters as absent", async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([{ total: 0 }]).mockResolvedValueOnce([]);
+
+            await request(app).get("/history?search=&start_date=&page=").expect(200);
+
+            expect(mockDbService.executeQuery.mock.calls[0][1]).toEqual([]);
+        });
     });
 });
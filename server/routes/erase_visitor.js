@@ -0,0 +1,280 @@
+const express = require("express");
+const sql = require("mssql");
+const { requirePermission, hasPermission } = require("../auth/permissions");
+const { deletePhotoFiles } = require("../photoFiles");
+const { publishVisitorEvent } = require("../visitorEvents");
+
+const ERASURE_MODES = ["delete", "anonymise"];
+
+// Placeholder written over names that must stay NOT NULL
+const ERASED_NAME = "Erased";
+
+const VISITOR_VISITS = "SELECT id FROM visits WHERE visitor_id = @visitorId";
+const MERGED_PROFILES = "SELECT id FROM visitors WHERE merged_into_id = @visitorId";
+
+/**
+ * Erases one visitor, their visits and dependents in a single transaction.
+ * "delete" removes the rows (bans and released legal holds cascade);
+ * "anonymise" keeps the visits for statistics but overwrites every personal field.
+ * Either way roll-call snapshots are pseudonymised, the before/after values of
+ * audit entries about the visitor are cleared, and a tombstone audit entry without
+ * personal data is written in the same transaction. Profiles merged into the
+ * visitor (routes/merge_visitors.js) are the same person and go with them, and
+ * so do the history of earlier photos (routes/visitor_profile.js) and the
+ * household members (routes/household.js).
+ *
+ * @param {object} tx - Transaction-bound { executeQuery }.
+ * @param {object} options
+ * @param {number} options.visitorId - visitors.id.
+ * @param {string} options.mode - "delete" or "anonymise".
+ * @param {string[]} options.overridden - Blocks an admin chose to override ("banned", "on_site").
+ * @param {object} options.actor - req.staff.
+ * @param {string} options.clientIp - req.ip.
+ * @returns {Promise<{erased: {visits: number, dependents: number}, signedOut: boolean, otherPhotoPaths: string[]}>} Rows
+ *   erased, whether anonymising closed an open visit, and the earlier photos and those of merged profiles,
+ *   to remove from disk once the transaction commits.
+ */
+async function eraseVisitorRecords(tx, { visitorId, mode, overridden, actor, clientIp }) {
+  const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+  const dependentsOfVisitor = `visit_id IN (${VISITOR_VISITS})`;
+
+  // Read before any profile is deleted, since the photo history cascades with it
+  const otherPhotos = await tx.executeQuery(
+    `SELECT photo_path FROM visitors WHERE merged_into_id = @visitorId AND photo_path IS NOT NULL
+     UNION ALL
+     SELECT photo_path FROM visitor_photos WHERE visitor_id = @visitorId OR visitor_id IN (${MERGED_PROFILES})`,
+    inputs
+  );
+  await tx.executeQuery(
+    `DELETE FROM visitor_photos WHERE visitor_id = @visitorId OR visitor_id IN (${MERGED_PROFILES})`,
+    inputs
+  );
+  // Anonymised visits keep their dependents' rows, which lose the link to the member
+  await tx.executeQuery(
+    `DELETE FROM household_members WHERE visitor_id = @visitorId OR visitor_id IN (${MERGED_PROFILES})`,
+    inputs
+  );
+
+  await tx.executeQuery(
+    `UPDATE roll_call_entries
+     SET full_name = CASE WHEN person_type = 'visitor' THEN 'Erased visitor' ELSE 'Erased dependent' END, age = NULL
+     WHERE visitor_id = @visitorId OR ${dependentsOfVisitor}`,
+    inputs
+  );
+  await tx.executeQuery(
+    `UPDATE audit_logs SET before_values = NULL, after_values = NULL
+     WHERE target_visitor_id = @visitorId OR target_visit_id IN (${VISITOR_VISITS})`,
+    inputs
+  );
+
+  let dependents;
+  let visits;
+  let signedOut = false;
+  if (mode === "delete") {
+    dependents = await tx.executeQuery(`DELETE FROM dependents WHERE ${dependentsOfVisitor}`, inputs);
+    visits = await tx.executeQuery(`DELETE FROM visits WHERE visitor_id = @visitorId`, inputs);
+    await tx.executeQuery(`DELETE FROM visitors WHERE id = @visitorId`, inputs);
+  } else {
+    // An anonymised visitor who is still on site is signed out, so no anonymous open
+    // visit stays on the on-site list and roll-calls
+    const closed = await tx.executeQuery(
+      `UPDATE visits SET exit_time = GETUTCDATE() WHERE visitor_id = @visitorId AND exit_time IS NULL`,
+      inputs
+    );
+    signedOut = (closed.rowsAffected[0] || 0) > 0;
+
+    const erasedName = [{ name: "erasedName", type: sql.NVarChar, value: ERASED_NAME }];
+    dependents = await tx.executeQuery(
+      `UPDATE dependents SET full_name = @erasedName, age = NULL WHERE ${dependentsOfVisitor}`,
+      [...inputs, ...erasedName]
+    );
+    visits = await tx.executeQuery(
+      `UPDATE visits
+       SET known_as = NULL, address = NULL, phone_number = NULL, reason_for_visit = NULL, company_name = NULL
+       WHERE visitor_id = @visitorId`,
+      inputs
+    );
+    await tx.executeQuery(`UPDATE visitor_bans SET reason = @erasedName WHERE visitor_id = @visitorId`, [
+      ...inputs,
+      ...erasedName,
+    ]);
+    await tx.executeQuery(
+      `UPDATE visitors SET first_name = @erasedName, last_name = @erasedName, date_of_birth = NULL, photo_path = NULL WHERE id = @visitorId`,
+      [...inputs, ...erasedName]
+    );
+  }
+
+  const erased = { visits: visits.rowsAffected[0] || 0, dependents: dependents.rowsAffected[0] || 0 };
+
+  // The tombstone is written here rather than through logAudit, which swallows errors:
+  // a visitor is never erased without it
+  await tx.executeQuery(
+    `INSERT INTO audit_logs (
+       event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted,
+       action, actor_id, actor_name, target_visitor_id, after_values, client_ip
+     )
+     VALUES (
+       @eventName, GETUTCDATE(), 'Success', @profilesDeleted, @visitsDeleted, @dependentsDeleted,
+       'erase_visitor', @actorId, @actorName, @visitorId, @afterValues, @clientIp
+     )`,
+    [
+      ...inputs,
+      { name: "eventName", type: sql.NVarChar, value: mode === "delete" ? "Visitor Erased" : "Visitor Anonymised" },
+      { name: "profilesDeleted", type: sql.Int, value: mode === "delete" ? 1 : 0 },
+      { name: "visitsDeleted", type: sql.Int, value: mode === "delete" ? erased.visits : 0 },
+      { name: "dependentsDeleted", type: sql.Int, value: mode === "delete" ? erased.dependents : 0 },
+      { name: "actorId", type: sql.Int, value: actor.id },
+      { name: "actorName", type: sql.NVarChar, value: actor.displayName || actor.username },
+      { name: "afterValues", type: sql.NVarChar, value: JSON.stringify({ mode, ...erased, overridden }) },
+      { name: "clientIp", type: sql.NVarChar, value: clientIp || null },
+    ]
+  );
+
+  // Merged profiles hold only a name and photo; their visits already belong to this visitor
+  if (mode === "delete") {
+    await tx.executeQuery(`DELETE FROM visitors WHERE merged_into_id = @visitorId`, inputs);
+  } else {
+    await tx.executeQuery(
+      `UPDATE visitors SET first_name = @erasedName, last_name = @erasedName, date_of_birth = NULL, photo_path = NULL
+       WHERE merged_into_id = @visitorId`,
+      [...inputs, { name: "erasedName", type: sql.NVarChar, value: ERASED_NAME }]
+    );
+  }
+  // The names kept to undo a merge go too, which also means it can no longer be undone
+  await tx.executeQuery(
+    `UPDATE visitor_merges SET survivor_before = NULL, survivor_after = NULL WHERE survivor_id = @visitorId OR merged_id = @visitorId`,
+    inputs
+  );
+
+  return { erased, signedOut, otherPhotoPaths: otherPhotos.map((row) => row.photo_path) };
+}
+
+/**
+ * Creates and configures a router for the right to erasure: removing or anonymising
+ * one visitor on request instead of waiting for the retention cleanup.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and transaction).
+ * @returns {express.Router} - An Express router with the erasure endpoint.
+ */
+function createEraseVisitorRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint: DELETE /visitors/:id?mode=delete|anonymise&force=true
+  // Refused while the visitor is banned or on site unless an admin forces it, and always under a legal hold
+  router.delete("/visitors/:id", requirePermission("erase_visitor"), async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    const mode = req.query.mode || "delete";
+    const force = req.query.force === "true";
+
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+    if (!ERASURE_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Mode must be one of: ${ERASURE_MODES.join(", ")}.` });
+    }
+    const canForce = hasPermission(req.staff.role, "force_erase_visitor");
+    if (force && !canForce) {
+      return res.status(403).json({
+        message: "Your role does not allow this action.",
+        permission: "force_erase_visitor",
+      });
+    }
+
+    try {
+      const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+
+      const outcome = await dbService.transaction(async (tx) => {
+        // Read inside the transaction with locks held to the end, so a legal hold placed or a
+        // sign-in made meanwhile waits for the erasure instead of being missed by it
+        const [visitor] = await tx.executeQuery(
+          `SELECT
+             V.id, V.is_banned, V.photo_path,
+             (SELECT COUNT(*) FROM visits WITH (UPDLOCK, HOLDLOCK)
+              WHERE visitor_id = V.id AND exit_time IS NULL) AS open_visits,
+             (SELECT COUNT(*) FROM legal_holds WITH (UPDLOCK, HOLDLOCK)
+              WHERE visitor_id = V.id AND released_at IS NULL) AS active_holds
+           FROM visitors AS V WITH (UPDLOCK, HOLDLOCK)
+           WHERE V.id = @visitorId`,
+          inputs
+        );
+        if (!visitor) {
+          return { status: 404, body: { message: "Visitor not found." } };
+        }
+
+        if (visitor.active_holds > 0) {
+          return {
+            status: 409,
+            body: {
+              message: "This visitor is under a legal hold and cannot be erased until it is released.",
+              blockers: ["legal_hold"],
+              canOverride: false,
+            },
+          };
+        }
+
+        const blockers = [];
+        if (visitor.is_banned) blockers.push("banned");
+        if (visitor.open_visits > 0) blockers.push("on_site");
+        if (blockers.length > 0 && !force) {
+          return {
+            status: 409,
+            body: {
+              message: `This visitor cannot be erased while ${blockers
+                .map((blocker) => (blocker === "banned" ? "banned" : "on site"))
+                .join(" and ")}.`,
+              blockers,
+              canOverride: canForce,
+            },
+          };
+        }
+
+        const result = await eraseVisitorRecords(tx, {
+          visitorId,
+          mode,
+          overridden: blockers,
+          actor: req.staff,
+          clientIp: req.ip,
+        });
+        return { visitor, ...result };
+      });
+      if (outcome.status) {
+        return res.status(outcome.status).json(outcome.body);
+      }
+      const { visitor, erased, signedOut, otherPhotoPaths } = outcome;
+
+      // Files cannot be rolled back, so the photo goes only once the erasure has committed
+      let photoDeleted = false;
+      if (visitor.photo_path) {
+        const photos = await deletePhotoFiles([visitor.photo_path]);
+        photoDeleted = photos.deleted > 0;
+        if (photos.failed.length > 0) {
+          console.error(`Erasure of visitor ${visitorId}: could not delete ${visitor.photo_path}.`);
+        }
+      }
+      if (otherPhotoPaths.length > 0) {
+        const photos = await deletePhotoFiles(otherPhotoPaths);
+        if (photos.failed.length > 0) {
+          console.error(`Erasure of visitor ${visitorId}: could not delete ${photos.failed.join(", ")}.`);
+        }
+      }
+
+      if (visitor.open_visits > 0 || signedOut) {
+        publishVisitorEvent("visitor_signed_out", { visitorId });
+      }
+
+      res.status(200).json({
+        message: mode === "delete" ? "Visitor erased." : "Visitor anonymised.",
+        mode,
+        erased: { ...erased, photo: photoDeleted },
+      });
+    } catch (err) {
+      console.error("Database Error in DELETE /visitors/:id:", err.message);
+      res.status(500).json({ message: "Failed to erase the visitor. Nothing was changed." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEraseVisitorRouter;
+module.exports.ERASURE_MODES = ERASURE_MODES;
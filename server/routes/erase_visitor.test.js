@@ -0,0 +1,205 @@
+const request = require('supertest');
+const express = require('express');
+const createEraseVisitorRouter = require('./erase_visitor');
+const photoFiles = require('../photoFiles');
+const { subscribeToVisitorEvents } = require('../visitorEvents');
+
+// Photo files are never touched on disk here
+jest.mock('../photoFiles', () => ({
+    deletePhotoFiles: jest.fn(),
+}));
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "supervisor") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 2, username: "sam", displayName: "Sam Supervisor", role };
+        next();
+    });
+    app.use('/', createEraseVisitorRouter(dbService));
+    return app;
+}
+
+const visitorRow = (overrides = {}) => ({
+    id: 10, is_banned: false, photo_path: 'uploads/jane.jpg', open_visits: 0, active_holds: 0, ...overrides,
+});
+
+describe('DELETE /visitors/:id', () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        photoFiles.deletePhotoFiles.mockReset();
+        photoFiles.deletePhotoFiles.mockResolvedValue({ deleted: 1, missing: 0, failed: [] });
+        mockDbService = {
+            // Every statement inside the transaction affects 2 rows and returns none
+            executeQuery: jest.fn().mockResolvedValue(Object.assign([], { rowsAffected: [2] })),
+            logAudit: jest.fn(),
+        };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should delete the visitor, visits and dependents in one transaction with a tombstone', async () => {
+        const events = [];
+        const unsubscribe = subscribeToVisitorEvents((event) => events.push(event));
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([visitorRow()])
+            .mockResolvedValueOnce([{ photo_path: 'uploads/jane-2023.jpg' }]);
+
+        const response = await request(setupTestApp(mockDbService)).delete('/visitors/10').expect(200);
+        unsubscribe();
+
+        expect(response.body).toEqual({
+            message: 'Visitor erased.',
+            mode: 'delete',
+            erased: { visits: 2, dependents: 2, photo: true },
+        });
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        const queries = mockDbService.executeQuery.mock.calls.map(([query]) => query);
+        expect(queries[1]).toContain('SELECT photo_path FROM visitor_photos');
+        expect(queries[2]).toContain('DELETE FROM visitor_photos');
+        expect(queries[3]).toContain('DELETE FROM household_members');
+        expect(queries[4]).toContain('UPDATE roll_call_entries');
+        expect(queries[5]).toContain('UPDATE audit_logs SET before_values = NULL, after_values = NULL');
+        expect(queries[6]).toContain('DELETE FROM dependents');
+        expect(queries[7]).toContain('DELETE FROM visits');
+        expect(queries[8]).toContain('DELETE FROM visitors');
+        expect(queries[9]).toContain('INSERT INTO audit_logs');
+
+        // The tombstone holds counts only, no personal data
+        const tombstone = mockDbService.executeQuery.mock.calls[9][1];
+        expect(tombstone).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'eventName', value: 'Visitor Erased' }),
+            expect.objectContaining({ name: 'visitorId', value: 10 }),
+            expect.objectContaining({ name: 'actorName', value: 'Sam Supervisor' }),
+            expect.objectContaining({ name: 'afterValues', value: JSON.stringify({ mode: 'delete', visits: 2, dependents: 2, overridden: [] }) }),
+        ]));
+        expect(photoFiles.deletePhotoFiles).toHaveBeenCalledWith(['uploads/jane.jpg']);
+        // Her earlier photo goes too
+        expect(photoFiles.deletePhotoFiles).toHaveBeenCalledWith(['uploads/jane-2023.jpg']);
+        expect(events).toHaveLength(0);
+    });
+
+    test('should anonymise instead of deleting when asked', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow({ photo_path: null })]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .delete('/visitors/10')
+            .query({ mode: 'anonymise' })
+            .expect(200);
+
+        expect(response.body.message).toBe('Visitor anonymised.');
+        expect(response.body.erased.photo).toBe(false);
+        const queries = mockDbService.executeQuery.mock.calls.map(([query]) => query);
+        // Only the earlier photos and the household are deleted
+        expect(queries.filter((query) => query.includes('DELETE'))).toEqual([
+            expect.stringContaining('DELETE FROM visitor_photos'),
+            expect.stringContaining('DELETE FROM household_members'),
+        ]);
+        expect(queries[6]).toContain('SET exit_time = GETUTCDATE() WHERE visitor_id = @visitorId AND exit_time IS NULL');
+        expect(queries[8]).toContain('phone_number = NULL');
+        expect(queries[10]).toContain('UPDATE visitors SET first_name = @erasedName');
+        expect(mockDbService.executeQuery.mock.calls[11][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'eventName', value: 'Visitor Anonymised' }),
+            expect.objectContaining({ name: 'profilesDeleted', value: 0 }),
+        ]));
+        expect(photoFiles.deletePhotoFiles).not.toHaveBeenCalled();
+    });
+
+    test('should refuse while the visitor is banned or on site and say whether the role can override', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([visitorRow({ is_banned: true, open_visits: 1 })])
+            .mockResolvedValueOnce([visitorRow({ is_banned: true })]);
+
+        const supervisor = await request(setupTestApp(mockDbService)).delete('/visitors/10').expect(409);
+        const admin = await request(setupTestApp(mockDbService, 'admin')).delete('/visitors/10').expect(409);
+
+        expect(supervisor.body).toEqual({
+            message: 'This visitor cannot be erased while banned and on site.',
+            blockers: ['banned', 'on_site'],
+            canOverride: false,
+        });
+        expect(admin.body.canOverride).toBe(true);
+        // Only the locked read ran inside each transaction, so nothing was written
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(2);
+    });
+
+    test('should let an admin force the erasure of a visitor who is on site', async () => {
+        const events = [];
+        const unsubscribe = subscribeToVisitorEvents((event) => events.push(event));
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow({ open_visits: 1 })]);
+
+        await request(setupTestApp(mockDbService, 'admin')).delete('/visitors/10').query({ force: 'true' }).expect(200);
+        unsubscribe();
+
+        expect(mockDbService.executeQuery.mock.calls[9][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'afterValues', value: expect.stringContaining('"overridden":["on_site"]') }),
+        ]));
+        // The dashboard drops them from the on-site list
+        expect(events).toEqual([expect.objectContaining({ type: 'visitor_signed_out', visitorId: 10 })]);
+    });
+
+    test('should sign an on-site visitor out before anonymising them when an admin forces it', async () => {
+        const events = [];
+        const unsubscribe = subscribeToVisitorEvents((event) => events.push(event));
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow({ open_visits: 1, photo_path: null })]);
+
+        await request(setupTestApp(mockDbService, 'admin'))
+            .delete('/visitors/10')
+            .query({ mode: 'anonymise', force: 'true' })
+            .expect(200);
+        unsubscribe();
+
+        const queries = mockDbService.executeQuery.mock.calls.map(([query]) => query);
+        const closeVisits = queries.findIndex((query) => query.includes('SET exit_time = GETUTCDATE()'));
+        expect(closeVisits).toBeGreaterThan(0);
+        // The open visit is closed in the transaction, before any field is anonymised
+        expect(closeVisits).toBeLessThan(queries.findIndex((query) => query.includes('phone_number = NULL')));
+        expect(events).toEqual([expect.objectContaining({ type: 'visitor_signed_out', visitorId: 10 })]);
+    });
+
+    test('should return 403 when a supervisor tries to force it or reception tries at all', async () => {
+        await request(setupTestApp(mockDbService)).delete('/visitors/10').query({ force: 'true' }).expect(403);
+        await request(setupTestApp(mockDbService, 'reception')).delete('/visitors/10').expect(403);
+
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test('should always refuse under a legal hold', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow({ active_holds: 1 })]);
+
+        const response = await request(setupTestApp(mockDbService, 'admin'))
+            .delete('/visitors/10')
+            .query({ force: 'true' })
+            .expect(409);
+
+        expect(response.body.blockers).toEqual(['legal_hold']);
+        // The hold is read inside the erasure's transaction and locked until it ends
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('FROM legal_holds WITH (UPDLOCK, HOLDLOCK)');
+        expect(photoFiles.deletePhotoFiles).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for a bad ID or mode, 404 for an unknown visitor and 500 when the transaction fails', async () => {
+        const app = setupTestApp(mockDbService);
+        await request(app).delete('/visitors/abc').expect(400);
+        await request(app).delete('/visitors/10').query({ mode: 'shred' }).expect(400);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        await request(app).delete('/visitors/99').expect(404);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow()]);
+        mockDbService.transaction.mockRejectedValueOnce(new Error('deadlock'));
+        const response = await request(app).delete('/visitors/10').expect(500);
+
+        expect(response.body.message).toBe('Failed to erase the visitor. Nothing was changed.');
+        expect(photoFiles.deletePhotoFiles).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,208 @@
+const express = require("express");
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { requirePermission } = require("../auth/permissions");
+const {
+  HISTORY_FILTER_SCHEMA,
+  parseHistoryQuery,
+  fetchHistoryBatches,
+  parseDependentsJson,
+} = require("./history_query");
+
+// Visits fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+/**
+ * The query parameters GET /history/export accepts: the history filters and sort
+ * without paging (every matching visit is exported), plus the file format.
+ */
+const HISTORY_EXPORT_SCHEMA = {
+  ...HISTORY_FILTER_SCHEMA,
+  format: { type: "enum", values: EXPORT_FORMATS, default: "csv", description: "File format." },
+};
+
+// One column per exported field, in file order; width is in Excel characters
+const EXPORT_COLUMNS = [
+  { header: "Visit ID", key: "visit_id", width: 10 },
+  { header: "Visitor ID", key: "visitor_id", width: 10 },
+  { header: "First Name", key: "first_name", width: 18 },
+  { header: "Last Name", key: "last_name", width: 18 },
+  { header: "Known As", key: "known_as", width: 15 },
+  { header: "Entry Time", key: "entry_time", width: 22 },
+  { header: "Exit Time", key: "exit_time", width: 22 },
+  { header: "Duration (minutes)", key: "duration_minutes", width: 12 },
+  { header: "Type", key: "type", width: 14 },
+  { header: "Unit", key: "unit", width: 10 },
+  { header: "Company", key: "company_name", width: 20 },
+  { header: "Reason for Visit", key: "reason_for_visit", width: 30 },
+  { header: "Phone Number", key: "phone_number", width: 16 },
+  { header: "Address", key: "address", width: 30 },
+  { header: "H&S Confirmed", key: "hs_confirmed", width: 10 },
+  { header: "Banned", key: "banned", width: 8 },
+  { header: "Auto Signed Out", key: "auto_closed", width: 10 },
+  { header: "Dependents Count", key: "dependents_count", width: 10 },
+  { header: "Dependents", key: "dependents", width: 40 },
+];
+
+const toDate = (value) => (value ? new Date(value) : null);
+const yesNo = (value) => (value ? "Yes" : "No");
+
+/**
+ * Flattens one history row into an export record keyed like EXPORT_COLUMNS.
+ * Times are Date objects; dependents become "Kit Doe (6); Sam Doe".
+ *
+ * @param {object} row - A row from buildHistoryPageQuery().
+ * @returns {object}
+ */
+function toExportRecord(row) {
+  const entry = toDate(row.entry_time);
+  const exit = toDate(row.exit_time);
+  const dependents = parseDependentsJson(row.additional_dependents_json);
+
+  return {
+    visit_id: row.visit_id,
+    visitor_id: row.visitor_id,
+    first_name: row.first_name,
+    last_name: row.last_name,
+    known_as: row.known_as,
+    entry_time: entry,
+    exit_time: exit,
+    duration_minutes: entry && exit ? Math.round((exit - entry) / 60000) : null,
+    type: row.type,
+    unit: row.unit,
+    company_name: row.company_name,
+    reason_for_visit: row.reason_for_visit,
+    phone_number: row.phone_number,
+    address: row.address,
+    hs_confirmed: yesNo(row.mandatory_acknowledgment_taken),
+    banned: yesNo(row.is_banned),
+    auto_closed: yesNo(row.auto_closed),
+    dependents_count: dependents.length,
+    dependents: dependents
+      .map(({ full_name, age }) => (age === null || age === undefined ? full_name : `${full_name} (${age})`))
+      .join("; "),
+  };
+}
+
+/**
+ * Formats one value as a CSV cell. Text starting with =, +, - or @ is prefixed
+ * with an apostrophe so spreadsheets do not run it as a formula.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvLine = (cells) => `${cells.map(toCsvCell).join(",")}\r\n`;
+
+// Writes to the response, waiting whenever the client is slower than the database
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, "drain");
+  }
+}
+
+/**
+ * Creates and configures a router for downloading the filtered visit history
+ * as a CSV or Excel file.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and logAudit).
+ * @param {object} [options]
+ * @param {number} [options.batchSize] - Visits fetched per query; defaults to EXPORT_BATCH_SIZE.
+ * @returns {express.Router} - An Express router with the /history/export endpoint.
+ */
+function createExportHistoryRouter(dbService, { batchSize = EXPORT_BATCH_SIZE } = {}) {
+  const router = express.Router();
+
+  // Endpoint: GET /history/export?format=csv|xlsx plus the GET /history filters and sort.
+  // Rows are streamed to the client batch by batch rather than loaded all at once
+  router.get("/history/export", requirePermission("view_history"), async (req, res) => {
+    const { values, errors } = parseHistoryQuery(req.query, HISTORY_EXPORT_SCHEMA);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: "Invalid history export query.",
+        errors,
+        parameters: Object.keys(HISTORY_EXPORT_SCHEMA),
+      });
+    }
+
+    const { format, ...filters } = values;
+    const batches = fetchHistoryBatches(dbService, filters, batchSize);
+
+    // The first batch is read before any headers go out, so a failing query still gets a clean 500
+    let batch;
+    try {
+      batch = await batches.next();
+    } catch (err) {
+      console.error("Database Error in GET /history/export:", err.message);
+      return res.status(500).json({ message: "Failed to export the visit history." });
+    }
+
+    const fileName = `visit-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(fileName);
+
+    let exported = 0;
+    try {
+      if (format === "csv") {
+        res.type("text/csv; charset=utf-8");
+        // The byte order mark makes Excel read the file as UTF-8
+        await writeChunk(res, `\uFEFF${toCsvLine(EXPORT_COLUMNS.map(({ header }) => header))}`);
+        for (; !batch.done; batch = await batches.next()) {
+          const lines = batch.value.map((row) => {
+            const record = toExportRecord(row);
+            return toCsvLine(EXPORT_COLUMNS.map(({ key }) => record[key]));
+          });
+          await writeChunk(res, lines.join(""));
+          exported += batch.value.length;
+        }
+        res.end();
+      } else {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet("Visit History");
+        sheet.columns = EXPORT_COLUMNS;
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+        for (; !batch.done; batch = await batches.next()) {
+          for (const row of batch.value) {
+            const record = sheet.addRow(toExportRecord(row));
+            record.getCell("entry_time").numFmt = "yyyy-mm-dd hh:mm";
+            record.getCell("exit_time").numFmt = "yyyy-mm-dd hh:mm";
+            record.commit();
+          }
+          exported += batch.value.length;
+        }
+        sheet.commit();
+        // Ends the response once the workbook is written
+        await workbook.commit();
+      }
+    } catch (err) {
+      // Headers are already sent, so the download is cut off rather than completed with missing rows
+      console.error("Error streaming GET /history/export:", err.message);
+      return res.destroy(err);
+    }
+
+    await dbService.logAudit({
+      eventName: "History Export",
+      status: "Success",
+      action: "export_history",
+      actor: req.staff,
+      clientIp: req.ip,
+      after: { format, rows: exported, filters },
+    });
+  });
+
+  return router;
+}
+
+module.exports = createExportHistoryRouter;
+module.exports.HISTORY_EXPORT_SCHEMA = HISTORY_EXPORT_SCHEMA;
+module.exports.EXPORT_COLUMNS = EXPORT_COLUMNS;
+module.exports.toExportRecord = toExportRecord;
+module.exports.toCsvCell = toCsvCell;
@@ -0,0 +1,210 @@
+const request = require("supertest");
+const express = require("express");
+const ExcelJS = require("exceljs");
+const createExportHistoryRouter = require("./export_history");
+const { toCsvCell } = require("./export_history");
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "supervisor") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 2, username: "sam", displayName: "Sam Supervisor", role };
+        next();
+    });
+    app.use("/", createExportHistoryRouter(dbService, { batchSize: 2 }));
+    return app;
+}
+
+const historyRow = (overrides = {}) => ({
+    visitor_id: 10,
+    first_name: "Jane",
+    last_name: "Doe",
+    photo_path: "uploads/jane.jpg",
+    is_banned: false,
+    visit_id: 100,
+    known_as: "JD",
+    entry_time: "2025-01-01T10:00:00.000Z",
+    exit_time: "2025-01-01T11:30:00.000Z",
+    auto_closed: false,
+    address: "1 High Street, Leeds",
+    phone_number: "0123",
+    unit: "Unit 4",
+    reason_for_visit: "Family",
+    company_name: null,
+    type: "Visitor",
+    mandatory_acknowledgment_taken: true,
+    additional_dependents_json: JSON.stringify([{ full_name: "Kit Doe", age: 6 }, { full_name: "Max Doe" }]),
+    ...overrides,
+});
+
+// Collects a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+describe("GET /history/export", () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("should stream every matching visit as CSV, one batch per query", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([historyRow(), historyRow({ visit_id: 101, exit_time: null })])
+            .mockResolvedValueOnce([historyRow({ visit_id: 102, additional_dependents_json: null })]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .get("/history/export")
+            .query({ format: "csv", unit: "Unit 4", sort_by: "last_name", sort_dir: "asc" })
+            .expect(200);
+
+        expect(response.headers["content-type"]).toBe("text/csv; charset=utf-8");
+        expect(response.headers["content-disposition"]).toMatch(/^attachment; filename="visit-history-\d{4}-\d{2}-\d{2}\.csv"$/);
+        const lines = response.text.replace(/^\uFEFF/, "").trim().split("\r\n");
+        expect(lines[0]).toBe(
+            "Visit ID,Visitor ID,First Name,Last Name,Known As,Entry Time,Exit Time,Duration (minutes),Type,Unit,Company," +
+                "Reason for Visit,Phone Number,Address,H&S Confirmed,Banned,Auto Signed Out,Dependents Count,Dependents"
+        );
+        expect(lines[1]).toBe(
+            '100,10,Jane,Doe,JD,2025-01-01T10:00:00.000Z,2025-01-01T11:30:00.000Z,90,Visitor,Unit 4,,' +
+                'Family,0123,"1 High Street, Leeds",Yes,No,No,2,Kit Doe (6); Max Doe'
+        );
+        expect(lines[2]).toContain(",2025-01-01T10:00:00.000Z,,,Visitor,");
+        expect(lines[3]).toMatch(/,0,$/);
+        expect(lines).toHaveLength(4);
+
+        // The second batch was short, so no third query was needed
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(2);
+        expect(mockDbService.executeQuery.mock.calls[0][0]).not.toContain("@after");
+        const [query, params] = mockDbService.executeQuery.mock.calls[1];
+        expect(query).toContain("T2.unit = @unit AND ((T1.last_name > @after0) OR " +
+            "(T1.last_name = @after0 AND T1.first_name > @after1) OR " +
+            "(T1.last_name = @after0 AND T1.first_name = @after1 AND T2.id > @afterVisitId))");
+        expect(query).toContain("ORDER BY T1.last_name ASC, T1.first_name ASC, T2.id ASC");
+        // The next batch starts after the last row of the previous one, not at an offset
+        expect(params).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "after0", value: "Doe" }),
+            expect.objectContaining({ name: "after1", value: "Jane" }),
+            expect.objectContaining({ name: "afterVisitId", value: 101 }),
+            expect.objectContaining({ name: "offset", value: 0 }),
+            expect.objectContaining({ name: "pageSize", value: 2 }),
+        ]));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "export_history",
+            actor: expect.objectContaining({ id: 2 }),
+            after: { format: "csv", rows: 3, filters: expect.objectContaining({ unit: "Unit 4" }) },
+        }));
+    });
+
+    test("should continue newest-first batches after the last entry time, keeping NULL sort values last", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([historyRow(), historyRow({ visit_id: 99 })])
+            .mockResolvedValueOnce([historyRow({ visit_id: 98, exit_time: null }), historyRow({ visit_id: 97, exit_time: null })])
+            .mockResolvedValueOnce([]);
+
+        await request(setupTestApp(mockDbService)).get("/history/export").query({ format: "csv" }).expect(200);
+
+        const [entryQuery, entryParams] = mockDbService.executeQuery.mock.calls[1];
+        expect(entryQuery).toContain("((T2.entry_time < @after0 OR T2.entry_time IS NULL)) OR " +
+            "(T2.entry_time = @after0 AND T2.id < @afterVisitId)");
+        expect(entryParams).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "after0", value: "2025-01-01T10:00:00.000Z" }),
+            expect.objectContaining({ name: "afterVisitId", value: 99 }),
+        ]));
+
+        mockDbService.executeQuery.mockReset();
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([historyRow(), historyRow({ visit_id: 99, exit_time: null })])
+            .mockResolvedValueOnce([]);
+        await request(setupTestApp(mockDbService)).get("/history/export").query({ format: "csv", sort_by: "exit_time" }).expect(200);
+
+        // Past the first NULL exit time only other NULLs with a lower id remain
+        const [exitQuery, exitParams] = mockDbService.executeQuery.mock.calls[1];
+        expect(exitQuery).toContain("((T2.exit_time IS NULL AND T2.id < @afterVisitId))");
+        expect(exitParams.map((param) => param.name)).not.toContain("after0");
+    });
+
+    test("should stream an Excel workbook with real dates and flattened dependents", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([historyRow()]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .get("/history/export")
+            .query({ format: "xlsx" })
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+
+        expect(response.headers["content-type"]).toContain("spreadsheetml");
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(response.body);
+        const sheet = workbook.getWorksheet("Visit History");
+        expect(sheet.getRow(1).getCell(1).value).toBe("Visit ID");
+        const row = sheet.getRow(2);
+        expect(row.getCell(3).value).toBe("Jane");
+        expect(row.getCell(6).value).toEqual(new Date("2025-01-01T10:00:00.000Z"));
+        expect(row.getCell(8).value).toBe(90);
+        expect(row.getCell(19).value).toBe("Kit Doe (6); Max Doe");
+        expect(sheet.rowCount).toBe(2);
+    });
+
+    test("should write a header-only file when nothing matches", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+
+        const response = await request(setupTestApp(mockDbService)).get("/history/export").expect(200);
+
+        expect(response.text.trim().split("\r\n")).toHaveLength(1);
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            after: expect.objectContaining({ format: "csv", rows: 0 }),
+        }));
+    });
+
+    test("should reject paging, unknown formats and reception staff", async () => {
+        const app = setupTestApp(mockDbService);
+
+        const invalid = await request(app).get("/history/export").query({ format: "pdf", page: "2" }).expect(400);
+        expect(invalid.body.errors).toEqual([
+            'Unknown parameter "page".',
+            "format must be one of: csv, xlsx.",
+        ]);
+        expect(invalid.body.parameters).toContain("format");
+        expect(invalid.body.parameters).not.toContain("limit");
+
+        await request(setupTestApp(mockDbService, "reception")).get("/history/export").expect(403);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("should return 500 when the first query fails and cut the download off when a later one does", async () => {
+        mockDbService.executeQuery.mockRejectedValueOnce(new Error("timeout"));
+        const failed = await request(setupTestApp(mockDbService)).get("/history/export").expect(500);
+        expect(failed.body.message).toBe("Failed to export the visit history.");
+
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([historyRow(), historyRow({ visit_id: 101 })])
+            .mockRejectedValueOnce(new Error("timeout"));
+        await expect(request(setupTestApp(mockDbService)).get("/history/export")).rejects.toThrow();
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+});
+
+describe("toCsvCell", () => {
+    test("should quote separators and stop text from running as a formula", () => {
+        expect(toCsvCell('Said "hi", left')).toBe('"Said ""hi"", left"');
+        expect(toCsvCell("=HYPERLINK(\"x\")")).toBe("\"'=HYPERLINK(\"\"x\"\")\"");
+        expect(toCsvCell("-5 Unit")).toBe("'-5 Unit");
+        expect(toCsvCell(-5)).toBe("-5");
+        expect(toCsvCell(null)).toBe("");
+    });
+});
@@ -0,0 +1,336 @@
+const sql = require("mssql");
+
+// Columns the history can be sorted by; visit id breaks ties so pages never overlap
+const SORT_COLUMNS = {
+  first_name: ["T1.first_name", "T1.last_name"],
+  last_name: ["T1.last_name", "T1.first_name"],
+  known_as: ["T2.known_as"],
+  entry_time: ["T2.entry_time"],
+  exit_time: ["T2.exit_time"],
+  address: ["T2.address"],
+  phone_number: ["T2.phone_number"],
+  unit: ["T2.unit"],
+  type: ["T2.type"],
+  reason_for_visit: ["T2.reason_for_visit"],
+  company_name: ["T2.company_name"],
+  is_banned: ["T1.is_banned"],
+  mandatory_acknowledgment_taken: ["T2.mandatory_acknowledgment_taken"],
+};
+
+/**
+ * The filter and sort parameters shared by the history list, export and report.
+ * Anything else is rejected, so a misspelt filter fails loudly instead of
+ * silently returning everything.
+ */
+const HISTORY_FILTER_SCHEMA = {
+  search: { type: "string", maxLength: 255, description: "Part of the visitor's first or last name." },
+  start_date: { type: "date", description: "Visits that started on or after this day (YYYY-MM-DD)." },
+  end_date: { type: "date", description: "Visits that started on or before this day (YYYY-MM-DD)." },
+  type: { type: "string", maxLength: 50, description: "Visitor type, e.g. visitor, contractor or professional." },
+  unit: { type: "string", maxLength: 50, description: "Unit/flat visited." },
+  is_banned: { type: "boolean", description: "Only visitors who are (true) or are not (false) banned." },
+  mandatory_acknowledgment_taken: { type: "boolean", description: "Only visits with (true) or without (false) the H&S confirmation." },
+  status: { type: "enum", values: ["open", "closed"], description: "Visits still signed in (open) or signed out (closed)." },
+  sort_by: { type: "enum", values: Object.keys(SORT_COLUMNS), default: "entry_time", description: "Column to sort by." },
+  sort_dir: { type: "enum", values: ["asc", "desc"], default: "desc", description: "Sort direction." },
+};
+
+/** The query parameters GET /history accepts: the filters plus paging. */
+const HISTORY_QUERY_SCHEMA = {
+  ...HISTORY_FILTER_SCHEMA,
+  page: { type: "integer", min: 1, default: 1, description: "Page number, from 1." },
+  limit: { type: "integer", min: 1, max: 500, default: 50, description: "Visits per page." },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validates one raw value against its schema entry; returns { value } or { error }
+function parseParam(name, raw, rule) {
+  if (Array.isArray(raw) || typeof raw !== "string") {
+    return { error: `${name} must be given once.` };
+  }
+
+  switch (rule.type) {
+    case "string":
+      return raw.length > rule.maxLength
+        ? { error: `${name} must be at most ${rule.maxLength} characters.` }
+        : { value: raw };
+    case "date": {
+      const date = new Date(`${raw}T00:00:00.000Z`);
+      return DATE_PATTERN.test(raw) && !isNaN(date) && date.toISOString().startsWith(raw)
+        ? { value: raw }
+        : { error: `${name} must be a date (YYYY-MM-DD).` };
+    }
+    case "boolean":
+      if (raw === "true" || raw === "1") return { value: true };
+      if (raw === "false" || raw === "0") return { value: false };
+      return { error: `${name} must be true or false.` };
+    case "enum":
+      return rule.values.includes(raw)
+        ? { value: raw }
+        : { error: `${name} must be one of: ${rule.values.join(", ")}.` };
+    case "integer": {
+      const value = Number(raw);
+      const inRange = Number.isInteger(value) && value >= rule.min && (rule.max === undefined || value <= rule.max);
+      if (inRange) return { value };
+      return {
+        error: rule.max === undefined
+          ? `${name} must be a whole number of at least ${rule.min}.`
+          : `${name} must be a whole number between ${rule.min} and ${rule.max}.`,
+      };
+    }
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${name}.`);
+  }
+}
+
+/**
+ * Validates a history request's query string against HISTORY_QUERY_SCHEMA.
+ * Empty values count as absent; defaults fill in what was not given.
+ *
+ * @param {object} query - req.query.
+ * @param {object} [schema] - Defaults to HISTORY_QUERY_SCHEMA.
+ * @returns {{values: object, errors: string[]}} Parsed values, and one message per problem.
+ */
+function parseHistoryQuery(query, schema = HISTORY_QUERY_SCHEMA) {
+  const values = {};
+  const errors = [];
+
+  for (const name of Object.keys(query)) {
+    if (!schema[name]) {
+      errors.push(`Unknown parameter "${name}".`);
+    }
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = query[name];
+    if (raw === undefined || raw === "") {
+      if (rule.default !== undefined) values[name] = rule.default;
+      continue;
+    }
+    const parsed = parseParam(name, raw, rule);
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      values[name] = parsed.value;
+    }
+  }
+
+  if (values.start_date && values.end_date && values.start_date > values.end_date) {
+    errors.push("start_date must not be after end_date.");
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Builds the WHERE clause and parameters for the history filters.
+ * Tables are aliased T1 (visitors) and T2 (visits).
+ *
+ * @param {object} values - Parsed values from parseHistoryQuery().
+ * @returns {{whereClause: string, inputs: Array<object>}}
+ */
+function buildHistoryFilters(values) {
+  const whereClauses = [];
+  const inputs = [];
+
+  if (values.search) {
+    whereClauses.push(
+      `(LOWER(T1.first_name) LIKE @searchParam OR LOWER(T1.last_name) LIKE @searchParam)`
+    );
+    // We only need to add the parameter once, since it's used twice in the clause
+    inputs.push({ name: "searchParam", type: sql.NVarChar, value: `%${values.search.toLowerCase()}%` });
+  }
+  // Not a query parameter: set by routes scoped to one visitor
+  if (values.visitor_id !== undefined) {
+    whereClauses.push(`T1.id = @visitorId`);
+    inputs.push({ name: "visitorId", type: sql.Int, value: values.visitor_id });
+  }
+  if (values.start_date) {
+    whereClauses.push(`T2.entry_time >= @startDate`);
+    inputs.push({ name: "startDate", type: sql.NVarChar, value: values.start_date });
+  }
+  if (values.end_date) {
+    // End date must include the entire day for accurate filtering
+    whereClauses.push(`T2.entry_time <= @endDate`);
+    inputs.push({ name: "endDate", type: sql.NVarChar, value: `${values.end_date}T23:59:59.999Z` });
+  }
+  if (values.type) {
+    whereClauses.push(`T2.type = @type`);
+    inputs.push({ name: "type", type: sql.NVarChar, value: values.type });
+  }
+  if (values.unit) {
+    whereClauses.push(`T2.unit = @unit`);
+    inputs.push({ name: "unit", type: sql.NVarChar, value: values.unit });
+  }
+  if (values.is_banned !== undefined) {
+    whereClauses.push(`T1.is_banned = ${values.is_banned ? 1 : 0}`);
+  }
+  if (values.mandatory_acknowledgment_taken !== undefined) {
+    whereClauses.push(`T2.mandatory_acknowledgment_taken = ${values.mandatory_acknowledgment_taken ? 1 : 0}`);
+  }
+  if (values.status) {
+    whereClauses.push(values.status === "open" ? `T2.exit_time IS NULL` : `T2.exit_time IS NOT NULL`);
+  }
+
+  return {
+    whereClause: whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "",
+    inputs,
+  };
+}
+
+/**
+ * Builds the ORDER BY list for sort_by/sort_dir.
+ * @param {object} values - Parsed values from parseHistoryQuery().
+ * @returns {string} e.g. "T2.entry_time DESC, T2.id DESC".
+ */
+function buildHistoryOrderBy(values) {
+  const direction = values.sort_dir === "asc" ? "ASC" : "DESC";
+  return [...SORT_COLUMNS[values.sort_by], "T2.id"]
+    .map((column) => `${column} ${direction}`)
+    .join(", ");
+}
+
+/**
+ * Builds the query for one page of visits (@offset, @pageSize) with each visit's
+ * dependents as a FOR JSON array in additional_dependents_json.
+ *
+ * @param {string} whereClause - From buildHistoryFilters().
+ * @param {string} orderBy - From buildHistoryOrderBy().
+ * @returns {string}
+ */
+function buildHistoryPageQuery(whereClause, orderBy) {
+  return `
+        SELECT
+            T1.id AS visitor_id,
+            T1.first_name,
+            T1.last_name,
+            T1.photo_path,
+            T1.is_banned,
+            T2.id AS visit_id,
+            T2.known_as,
+            T2.entry_time,
+            T2.exit_time,
+            T2.auto_closed,
+            T2.address,
+            T2.phone_number,
+            T2.unit,
+            T2.reason_for_visit,
+            T2.company_name,
+            T2.type,
+            T2.mandatory_acknowledgment_taken,
+            (
+                SELECT 
+                    full_name, 
+                    age 
+                FROM dependents AS T3 
+                WHERE T3.visit_id = T2.id
+                FOR JSON PATH
+            ) AS additional_dependents_json
+        FROM visitors AS T1
+        JOIN visits AS T2
+            ON T1.id = T2.visitor_id
+        ${whereClause}
+        ORDER BY ${orderBy}
+        OFFSET @offset ROWS FETCH NEXT @pageSize ROWS ONLY
+    `;
+}
+
+/**
+ * Parses a row's additional_dependents_json; a malformed value is logged and treated as none.
+ * @param {string|null} json - Azure SQL's FOR JSON PATH output.
+ * @returns {Array<{full_name: string, age: number|null}>}
+ */
+function parseDependentsJson(json) {
+  if (!json) return [];
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    console.warn("Could not parse dependents JSON string:", json, e);
+    return [];
+  }
+}
+
+// Sort columns holding BIT values; the others are compared as text or ISO timestamps
+const BIT_SORT_COLUMNS = ["T1.is_banned", "T2.mandatory_acknowledgment_taken"];
+
+/**
+ * Builds the condition for the rows that sort after `lastRow` in the order of
+ * buildHistoryOrderBy(), so the next batch starts where the last one ended
+ * (keyset paging) instead of counting past an OFFSET. NULLs sort first in
+ * ascending order and last in descending order, as in both Azure SQL and SQLite.
+ *
+ * @param {object} values - Parsed values from parseHistoryQuery().
+ * @param {object} lastRow - The last row of the previous batch.
+ * @returns {{clause: string, inputs: Array<object>}}
+ */
+function buildHistoryKeyset(values, lastRow) {
+  const ascending = values.sort_dir === "asc";
+  const inputs = [];
+  const keys = SORT_COLUMNS[values.sort_by].map((column, index) => {
+    const raw = lastRow[column.split(".")[1]];
+    const value = raw instanceof Date ? raw.toISOString() : raw;
+    const name = `after${index}`;
+    if (value !== null && value !== undefined) {
+      inputs.push({ name, type: BIT_SORT_COLUMNS.includes(column) ? sql.Bit : sql.NVarChar, value });
+    }
+    const isNull = value === null || value === undefined;
+    return {
+      equal: isNull ? `${column} IS NULL` : `${column} = @${name}`,
+      after: ascending
+        ? isNull ? `${column} IS NOT NULL` : `${column} > @${name}`
+        : isNull ? null : `(${column} < @${name} OR ${column} IS NULL)`,
+    };
+  });
+  keys.push({ equal: null, after: `T2.id ${ascending ? ">" : "<"} @afterVisitId` });
+  inputs.push({ name: "afterVisitId", type: sql.Int, value: lastRow.visit_id });
+
+  // After on the first column, or equal on it and after on the next, and so on
+  const branches = keys
+    .map((key, index) => key.after && [...keys.slice(0, index).map((earlier) => earlier.equal), key.after].join(" AND "))
+    .filter(Boolean);
+  return { clause: `(${branches.map((branch) => `(${branch})`).join(" OR ")})`, inputs };
+}
+
+/**
+ * Yields the matching history rows one batch at a time, so an export never
+ * holds more than batchSize visits in memory. Each batch continues after the
+ * last row of the one before (buildHistoryKeyset), so visits signed in during
+ * a long export neither shift nor repeat rows, and no batch rescans earlier ones.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery).
+ * @param {object} values - Parsed values from parseHistoryQuery().
+ * @param {number} batchSize - Visits per query.
+ * @returns {AsyncGenerator<Array<object>>}
+ */
+async function* fetchHistoryBatches(dbService, values, batchSize) {
+  const { whereClause, inputs } = buildHistoryFilters(values);
+  const orderBy = buildHistoryOrderBy(values);
+
+  for (let lastRow = null; ; ) {
+    const keyset = lastRow ? buildHistoryKeyset(values, lastRow) : { clause: null, inputs: [] };
+    const where = keyset.clause ? `${whereClause ? `${whereClause} AND` : "WHERE"} ${keyset.clause}` : whereClause;
+    const rows = await dbService.executeQuery(buildHistoryPageQuery(where, orderBy), [
+      ...inputs,
+      ...keyset.inputs,
+      { name: "offset", type: sql.Int, value: 0 },
+      { name: "pageSize", type: sql.Int, value: batchSize },
+    ]);
+    if (rows.length > 0) yield rows;
+    if (rows.length < batchSize) return;
+    lastRow = rows[rows.length - 1];
+  }
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  HISTORY_FILTER_SCHEMA,
+  HISTORY_QUERY_SCHEMA,
+  parseHistoryQuery,
+  buildHistoryFilters,
+  buildHistoryOrderBy,
+  buildHistoryPageQuery,
+  buildHistoryKeyset,
+  fetchHistoryBatches,
+  parseDependentsJson,
+};
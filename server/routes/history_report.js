@@ -0,0 +1,340 @@
+const express = require("express");
+const path = require("path");
+const sql = require("mssql");
+const PDFDocument = require("pdfkit");
+const { requirePermission } = require("../auth/permissions");
+const {
+  HISTORY_FILTER_SCHEMA,
+  parseHistoryQuery,
+  buildHistoryFilters,
+  buildHistoryOrderBy,
+  buildHistoryPageQuery,
+} = require("./history_query");
+const { toExportRecord } = require("./export_history");
+
+const LOGO_PATH = path.join(__dirname, "..", "assets", "salvation-army-logo.png");
+
+// The built-in PDF fonts only cover Western European text, so names in Cyrillic,
+// Greek, Arabic, Hebrew and other scripts are drawn with embedded DejaVu Sans
+const FONT = "DejaVuSans";
+const BOLD_FONT = "DejaVuSans-Bold";
+const FONT_FILES = {
+  [FONT]: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf"),
+  [BOLD_FONT]: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf"),
+};
+
+// Every page is kept until the total page count is known, so reports are capped;
+// larger ranges go through the CSV/Excel export instead
+const MAX_REPORT_VISITS = 2000;
+
+// Visit times are stored in UTC but read by staff in the hostel's local time
+const REPORT_TIME_ZONE = process.env.REPORT_TIME_ZONE || "Europe/London";
+
+const MARGIN = 36;
+const ROW_HEIGHT = 16;
+
+// Column widths add up to the width of a landscape A4 page inside the margins
+const REPORT_COLUMNS = [
+  { header: "Name", width: 120, value: (record) => `${record.first_name} ${record.last_name}` },
+  { header: "Check In", width: 90, value: (record) => formatDateTime(record.entry_time) },
+  { header: "Check Out", width: 90, value: (record) => formatDateTime(record.exit_time) || "On site" },
+  { header: "Duration", width: 55, value: (record) => formatDuration(record.duration_minutes) },
+  { header: "Type", width: 70, value: (record) => record.type },
+  { header: "Unit", width: 55, value: (record) => record.unit },
+  { header: "Reason", width: 129, value: (record) => record.reason_for_visit },
+  { header: "Dependents", width: 120, value: (record) => record.dependents },
+  { header: "H&S", width: 40, value: (record) => record.hs_confirmed },
+];
+
+const dateTimeFormat = new Intl.DateTimeFormat("en-GB", {
+  dateStyle: "medium",
+  timeStyle: "short",
+  timeZone: REPORT_TIME_ZONE,
+});
+const dateFormat = new Intl.DateTimeFormat("en-GB", { dateStyle: "medium", timeZone: "UTC" });
+
+const formatDateTime = (date) => (date ? dateTimeFormat.format(date) : "");
+const formatDay = (day) => dateFormat.format(new Date(`${day}T00:00:00.000Z`));
+
+function formatDuration(minutes) {
+  if (minutes === null || minutes === undefined) return "";
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+/**
+ * Describes the start_date/end_date filter for the report header.
+ * @param {object} values - Parsed values from parseHistoryQuery().
+ * @returns {string} e.g. "1 Jan 2025 to 31 Jan 2025" or "All dates".
+ */
+function describeDateRange({ start_date, end_date }) {
+  if (start_date && end_date) return `${formatDay(start_date)} to ${formatDay(end_date)}`;
+  if (start_date) return `From ${formatDay(start_date)}`;
+  if (end_date) return `Up to ${formatDay(end_date)}`;
+  return "All dates";
+}
+
+/**
+ * Counts the matching visits and their dependents per visitor type.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery).
+ * @param {object} values - Parsed values from parseHistoryQuery().
+ * @returns {Promise<Array<{type: string|null, visits: number, dependents: number}>>}
+ */
+function fetchTotalsByType(dbService, values) {
+  const { whereClause, inputs } = buildHistoryFilters(values);
+  return dbService.executeQuery(
+    `SELECT T2.type, COUNT(*) AS visits, COALESCE(SUM(D.dependents), 0) AS dependents
+     FROM visitors AS T1
+     JOIN visits AS T2
+         ON T1.id = T2.visitor_id
+     LEFT JOIN (
+         SELECT visit_id, COUNT(*) AS dependents FROM dependents GROUP BY visit_id
+     ) AS D
+         ON D.visit_id = T2.id
+     ${whereClause}
+     GROUP BY T2.type
+     ORDER BY T2.type`,
+    inputs
+  );
+}
+
+// Draws the logo, title and date range at the top of the current page
+function drawPageHeader(doc, { title, dateRange, generatedAt, generatedBy }) {
+  const width = doc.page.width - MARGIN * 2;
+  doc.image(LOGO_PATH, MARGIN, MARGIN - 12, { fit: [40, 44] });
+  doc.font(BOLD_FONT).fontSize(16).fillColor("#111827").text(title, MARGIN + 52, MARGIN - 8, {
+    width: width - 52,
+    lineBreak: false,
+  });
+  doc.font(FONT).fontSize(10).fillColor("#374151").text(dateRange, MARGIN + 52, MARGIN + 12, {
+    width: width - 52,
+    lineBreak: false,
+  });
+  doc.fontSize(8).fillColor("#6b7280").text(
+    `Generated ${formatDateTime(generatedAt)} by ${generatedBy}`,
+    MARGIN,
+    MARGIN + 14,
+    { width, align: "right", lineBreak: false }
+  );
+  doc.moveTo(MARGIN, MARGIN + 38).lineTo(MARGIN + width, MARGIN + 38).strokeColor("#d1d5db").stroke();
+  doc.x = MARGIN;
+  doc.y = MARGIN + 48;
+}
+
+// Draws one table row of cells, cutting overlong text off with an ellipsis
+function drawRow(doc, cells, widths, { bold = false, shaded = false } = {}) {
+  const y = doc.y;
+  if (shaded) {
+    doc.rect(MARGIN, y - 3, widths.reduce((sum, width) => sum + width, 0), ROW_HEIGHT).fill("#f3f4f6");
+  }
+  doc.font(bold ? BOLD_FONT : FONT).fontSize(8).fillColor("#111827");
+  let x = MARGIN;
+  cells.forEach((cell, index) => {
+    doc.text(cell === null || cell === undefined ? "" : String(cell), x + 2, y, {
+      width: widths[index] - 4,
+      height: ROW_HEIGHT - 6,
+      ellipsis: true,
+    });
+    x += widths[index];
+  });
+  doc.x = MARGIN;
+  doc.y = y + ROW_HEIGHT;
+}
+
+/**
+ * Renders a visit history report: a header with the logo and date range on
+ * every page, the totals per visitor type, the visits table (its header repeated
+ * on each page) and "Page n of m" footers, in an embedded Unicode font. Calls doc.end().
+ *
+ * @param {PDFDocument} doc - Created with bufferPages: true so footers can be added last.
+ * @param {object} report
+ * @param {string} report.title
+ * @param {string} report.dateRange - From describeDateRange().
+ * @param {Date} report.generatedAt
+ * @param {string} report.generatedBy - Staff display name.
+ * @param {Array<object>} report.totals - From fetchTotalsByType().
+ * @param {Array<object>} report.rows - History rows from buildHistoryPageQuery().
+ */
+function renderHistoryReport(doc, report) {
+  const header = () => drawPageHeader(doc, report);
+  const pageBottom = () => doc.page.height - MARGIN - ROW_HEIGHT;
+  const widths = REPORT_COLUMNS.map(({ width }) => width);
+  const tableHeader = () => drawRow(doc, REPORT_COLUMNS.map((column) => column.header), widths, { bold: true, shaded: true });
+
+  Object.entries(FONT_FILES).forEach(([name, file]) => doc.registerFont(name, file));
+  doc.on("pageAdded", header);
+  header();
+
+  // Totals per visitor type
+  const totalWidths = [120, 60, 70];
+  doc.font(BOLD_FONT).fontSize(11).fillColor("#111827").text("Totals by visitor type", MARGIN, doc.y);
+  doc.moveDown(0.4);
+  drawRow(doc, ["Type", "Visits", "Dependents"], totalWidths, { bold: true, shaded: true });
+  report.totals.forEach(({ type, visits, dependents }) => {
+    drawRow(doc, [type || "Not recorded", visits, dependents], totalWidths);
+  });
+  drawRow(
+    doc,
+    [
+      "All types",
+      report.totals.reduce((sum, { visits }) => sum + visits, 0),
+      report.totals.reduce((sum, { dependents }) => sum + dependents, 0),
+    ],
+    totalWidths,
+    { bold: true }
+  );
+
+  // Visits
+  doc.moveDown(1);
+  doc.font(BOLD_FONT).fontSize(11).fillColor("#111827").text("Visits", MARGIN, doc.y);
+  doc.moveDown(0.4);
+  tableHeader();
+  if (report.rows.length === 0) {
+    doc.font(FONT).fontSize(9).text("No visits match this report.", MARGIN, doc.y);
+  }
+  report.rows.forEach((row, index) => {
+    if (doc.y > pageBottom()) {
+      doc.addPage();
+      tableHeader();
+    }
+    const record = toExportRecord(row);
+    drawRow(doc, REPORT_COLUMNS.map((column) => column.value(record)), widths, { shaded: index % 2 === 1 });
+  });
+  doc.removeListener("pageAdded", header);
+
+  // Page numbers, now that the page count is known
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font(FONT).fontSize(8).fillColor("#6b7280").text(
+      `Page ${index - start + 1} of ${count}`,
+      MARGIN,
+      doc.page.height - MARGIN + 8,
+      { width: doc.page.width - MARGIN * 2, align: "center", lineBreak: false }
+    );
+  }
+  doc.end();
+}
+
+/**
+ * Creates and configures a router for server-generated PDF reports of the visit
+ * history, for a filtered range or for one visitor.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and logAudit).
+ * @returns {express.Router} - An Express router with the history report endpoints.
+ */
+function createHistoryReportRouter(dbService) {
+  const router = express.Router();
+
+  // Loads the report's rows and sends it as a PDF attachment
+  async function sendReport(req, res, { values, title, fileName, targetVisitorId }) {
+    try {
+      const totals = await fetchTotalsByType(dbService, values);
+      const total = totals.reduce((sum, { visits }) => sum + visits, 0);
+      if (total > MAX_REPORT_VISITS) {
+        return res.status(400).json({
+          message: `This report would list ${total} visits; the limit is ${MAX_REPORT_VISITS}. Narrow the dates or filters, or export CSV instead.`,
+        });
+      }
+
+      const { whereClause, inputs } = buildHistoryFilters(values);
+      const rows = await dbService.executeQuery(buildHistoryPageQuery(whereClause, buildHistoryOrderBy(values)), [
+        ...inputs,
+        { name: "offset", type: sql.Int, value: 0 },
+        { name: "pageSize", type: sql.Int, value: MAX_REPORT_VISITS },
+      ]);
+
+      await dbService.logAudit({
+        eventName: "History Report",
+        status: "Success",
+        action: "export_history",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId,
+        after: { format: "pdf", rows: rows.length, filters: values },
+      });
+
+      res.attachment(fileName);
+      const doc = new PDFDocument({
+        size: "A4",
+        layout: "landscape",
+        margin: MARGIN,
+        bufferPages: true,
+        info: { Title: title },
+      });
+      doc.pipe(res);
+      renderHistoryReport(doc, {
+        title,
+        dateRange: describeDateRange(values),
+        generatedAt: new Date(),
+        generatedBy: req.staff.displayName || req.staff.username,
+        totals,
+        rows,
+      });
+    } catch (err) {
+      console.error(`Error in GET ${req.path}:`, err.message);
+      if (res.headersSent) return res.destroy(err);
+      res.status(500).json({ message: "Failed to generate the history report." });
+    }
+  }
+
+  const invalidQuery = (res, errors) =>
+    res.status(400).json({
+      message: "Invalid history report query.",
+      errors,
+      parameters: Object.keys(HISTORY_FILTER_SCHEMA),
+    });
+
+  // Endpoint: GET /history/report with the GET /history filters and sort (no paging)
+  router.get("/history/report", requirePermission("view_history"), async (req, res) => {
+    const { values, errors } = parseHistoryQuery(req.query, HISTORY_FILTER_SCHEMA);
+    if (errors.length > 0) return invalidQuery(res, errors);
+
+    await sendReport(req, res, {
+      values,
+      title: "Visit History Report",
+      fileName: `visit-history-report-${new Date().toISOString().slice(0, 10)}.pdf`,
+    });
+  });
+
+  // Endpoint: GET /visitors/:id/history-report, optionally narrowed by the same filters
+  router.get("/visitors/:id/history-report", requirePermission("view_history"), async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+    const { values, errors } = parseHistoryQuery(req.query, HISTORY_FILTER_SCHEMA);
+    if (errors.length > 0) return invalidQuery(res, errors);
+
+    try {
+      const visitors = await dbService.executeQuery(
+        `SELECT first_name, last_name FROM visitors WHERE id = @visitorId`,
+        [{ name: "visitorId", type: sql.Int, value: visitorId }]
+      );
+      if (visitors.length === 0) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+      const [{ first_name, last_name }] = visitors;
+
+      await sendReport(req, res, {
+        values: { ...values, visitor_id: visitorId },
+        title: `Visit History: ${first_name} ${last_name}`,
+        fileName: `visit-history-${visitorId}-${new Date().toISOString().slice(0, 10)}.pdf`,
+        targetVisitorId: visitorId,
+      });
+    } catch (err) {
+      console.error("Database Error in GET /visitors/:id/history-report:", err.message);
+      res.status(500).json({ message: "Failed to generate the history report." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createHistoryReportRouter;
+module.exports.MAX_REPORT_VISITS = MAX_REPORT_VISITS;
+module.exports.REPORT_TIME_ZONE = REPORT_TIME_ZONE;
+module.exports.describeDateRange = describeDateRange;
+module.exports.renderHistoryReport = renderHistoryReport;
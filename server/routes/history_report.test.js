@@ -0,0 +1,180 @@
+const request = require("supertest");
+const express = require("express");
+const PDFDocument = require("pdfkit");
+const createHistoryReportRouter = require("./history_report");
+const { MAX_REPORT_VISITS, describeDateRange, renderHistoryReport } = require("./history_report");
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "supervisor") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 2, username: "sam", displayName: "Sam Supervisor", role };
+        next();
+    });
+    app.use("/", createHistoryReportRouter(dbService));
+    return app;
+}
+
+const historyRow = (overrides = {}) => ({
+    visitor_id: 10,
+    first_name: "Jane",
+    last_name: "Doe",
+    visit_id: 100,
+    entry_time: "2025-01-01T10:00:00.000Z",
+    exit_time: "2025-01-01T11:30:00.000Z",
+    unit: "Unit 4",
+    reason_for_visit: "Family",
+    type: "Visitor",
+    mandatory_acknowledgment_taken: true,
+    additional_dependents_json: JSON.stringify([{ full_name: "Kit Doe", age: 6 }]),
+    ...overrides,
+});
+
+// Collects a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+describe("History report endpoints", () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("GET /history/report should send a PDF of the filtered range with totals per type", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([
+                { type: "Contractor", visits: 1, dependents: 0 },
+                { type: "Visitor", visits: 2, dependents: 1 },
+            ])
+            .mockResolvedValueOnce([historyRow(), historyRow({ visit_id: 101 }), historyRow({ visit_id: 102, type: "Contractor" })]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .get("/history/report")
+            .query({ start_date: "2025-01-01", end_date: "2025-01-31", unit: "Unit 4" })
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+
+        expect(response.headers["content-type"]).toBe("application/pdf");
+        expect(response.headers["content-disposition"]).toMatch(/^attachment; filename="visit-history-report-\d{4}-\d{2}-\d{2}\.pdf"$/);
+        expect(response.body.subarray(0, 5).toString()).toBe("%PDF-");
+
+        const [totalsQuery, totalsParams] = mockDbService.executeQuery.mock.calls[0];
+        expect(totalsQuery).toContain("GROUP BY T2.type");
+        expect(totalsQuery).toContain("T2.unit = @unit");
+        expect(totalsParams).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "startDate", value: "2025-01-01" }),
+        ]));
+        expect(mockDbService.executeQuery.mock.calls[1][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "pageSize", value: MAX_REPORT_VISITS }),
+        ]));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            eventName: "History Report",
+            action: "export_history",
+            after: expect.objectContaining({ format: "pdf", rows: 3 }),
+        }));
+    });
+
+    test("GET /history/report should refuse ranges over the limit and suggest the CSV export", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([{ type: "Visitor", visits: MAX_REPORT_VISITS + 1, dependents: 0 }]);
+
+        const response = await request(setupTestApp(mockDbService)).get("/history/report").expect(400);
+
+        expect(response.body.message).toContain("export CSV instead");
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test("GET /history/report should reject paging parameters and reception staff", async () => {
+        const invalid = await request(setupTestApp(mockDbService)).get("/history/report").query({ page: "2" }).expect(400);
+        expect(invalid.body.errors).toEqual(['Unknown parameter "page".']);
+
+        await request(setupTestApp(mockDbService, "reception")).get("/history/report").expect(403);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("GET /visitors/:id/history-report should report one visitor's visits", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ first_name: "Jane", last_name: "Doe" }])
+            .mockResolvedValueOnce([{ type: "Visitor", visits: 1, dependents: 1 }])
+            .mockResolvedValueOnce([historyRow()]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .get("/visitors/10/history-report")
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+
+        expect(response.headers["content-disposition"]).toMatch(/filename="visit-history-10-\d{4}-\d{2}-\d{2}\.pdf"/);
+        const [rowsQuery, rowsParams] = mockDbService.executeQuery.mock.calls[2];
+        expect(rowsQuery).toContain("T1.id = @visitorId");
+        expect(rowsParams).toEqual(expect.arrayContaining([expect.objectContaining({ name: "visitorId", value: 10 })]));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({ targetVisitorId: 10 }));
+    });
+
+    test("GET /visitors/:id/history-report should return 400, 404 and 500 as appropriate", async () => {
+        const app = setupTestApp(mockDbService);
+        await request(app).get("/visitors/abc/history-report").expect(400);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        await request(app).get("/visitors/99/history-report").expect(404);
+
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ first_name: "Jane", last_name: "Doe" }])
+            .mockRejectedValueOnce(new Error("timeout"));
+        const response = await request(app).get("/visitors/10/history-report").expect(500);
+        expect(response.body.message).toBe("Failed to generate the history report.");
+    });
+});
+
+describe("describeDateRange", () => {
+    test("should describe open and closed ranges", () => {
+        expect(describeDateRange({ start_date: "2025-01-01", end_date: "2025-01-31" })).toBe("1 Jan 2025 to 31 Jan 2025");
+        expect(describeDateRange({ start_date: "2025-01-01" })).toBe("From 1 Jan 2025");
+        expect(describeDateRange({ end_date: "2025-01-31" })).toBe("Up to 31 Jan 2025");
+        expect(describeDateRange({})).toBe("All dates");
+    });
+});
+
+describe("renderHistoryReport", () => {
+    test("should embed a Unicode font so non-Latin names print", async () => {
+        // Uncompressed, so the font names and the character map can be read back
+        const doc = new PDFDocument({ size: "A4", layout: "landscape", bufferPages: true, compress: false });
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        const finished = new Promise((resolve) => doc.on("end", resolve));
+
+        renderHistoryReport(doc, {
+            title: "Visit History Report",
+            dateRange: "All dates",
+            generatedAt: new Date("2025-01-02T09:00:00.000Z"),
+            generatedBy: "Sam Supervisor",
+            totals: [{ type: "Visitor", visits: 1, dependents: 0 }],
+            rows: [historyRow({ first_name: "Иван", last_name: "Петров", additional_dependents_json: null })],
+        });
+        await finished;
+
+        const pdf = Buffer.concat(chunks).toString("latin1");
+        expect(pdf).toMatch(/\/BaseFont \/[A-Z]{6}\+DejaVuSans\b/);
+        expect(pdf).toContain("/FontFile2");
+        expect(pdf).not.toContain("Helvetica");
+        // The embedded subset maps its glyphs back to the Cyrillic letters of the name
+        for (const letter of "ИванПетров") {
+            expect(pdf).toContain(`<${letter.charCodeAt(0).toString(16).padStart(4, "0")}>`);
+        }
+    });
+});
@@ -0,0 +1,467 @@
+const express = require("express");
+const sql = require("mssql");
+const { formatDateOfBirth, parseDateOfBirth } = require("./visitors");
+
+// The longest dependent name the household_members and dependents tables hold
+const MAX_NAME_LENGTH = 255;
+
+// Ages accepted for dependents registered without a date of birth
+const MAX_AGE = 130;
+
+// A member's columns, with the age recorded on the last visit they came on (kept for members without a date of birth)
+const MEMBER_COLUMNS = `id, full_name, date_of_birth, created_at,
+  (SELECT TOP 1 D.age FROM dependents AS D
+   WHERE D.household_member_id = household_members.id
+   ORDER BY D.id DESC) AS last_recorded_age`;
+
+/**
+ * A person's age in whole years on a given day, from their date of birth.
+ *
+ * @param {Date|string|null} dateOfBirth - The date_of_birth column value.
+ * @param {Date} [day] - The day to work the age out for (default: today, in UTC).
+ * @returns {number|null} The age, or null without a date of birth.
+ */
+function ageOn(dateOfBirth, day = new Date()) {
+  const born = formatDateOfBirth(dateOfBirth);
+  if (!born) return null;
+  const [birthYear, birthMonth, birthDay] = born.split("-").map(Number);
+  const [year, month, date] = day.toISOString().slice(0, 10).split("-").map(Number);
+  const hadBirthday = month > birthMonth || (month === birthMonth && date >= birthDay);
+  return Math.max(0, year - birthYear - (hadBirthday ? 0 : 1));
+}
+
+// A household member as returned to the client, with their age today (null without a date of birth)
+const toMember = ({ last_recorded_age = null, ...row }) => ({
+  ...row,
+  date_of_birth: formatDateOfBirth(row.date_of_birth),
+  age: ageOn(row.date_of_birth),
+  last_recorded_age,
+});
+
+/**
+ * Reads and checks a household member's name and date of birth.
+ * Fields left out keep their current value; an empty date_of_birth clears it.
+ *
+ * @param {object} body - req.body, or one entry of additional_dependents.
+ * @param {object} [current] - The member as stored, when correcting one.
+ * @returns {{values?: {full_name: string, date_of_birth: string|null}, error?: string}}
+ */
+function parseMember(body = {}, current = { full_name: undefined, date_of_birth: null }) {
+  const values = { full_name: current.full_name, date_of_birth: formatDateOfBirth(current.date_of_birth) };
+
+  if (body.full_name !== undefined || !current.full_name) {
+    const name = typeof body.full_name === "string" ? body.full_name.trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: `A dependent's full_name must be between 1 and ${MAX_NAME_LENGTH} characters.` };
+    }
+    values.full_name = name;
+  }
+  if (body.date_of_birth !== undefined) {
+    const dateOfBirth = parseDateOfBirth(body.date_of_birth);
+    if (dateOfBirth.error) return { error: dateOfBirth.error };
+    values.date_of_birth = dateOfBirth.value;
+  }
+  return { values };
+}
+
+/**
+ * Reads the dependents added at registration or check-in (additional_dependents).
+ * Each becomes a household member. An age is still accepted when no date of
+ * birth is given, for the one visit, as older clients send.
+ *
+ * @param {string|Array|undefined} value - A JSON array, or the parsed array, of {full_name, date_of_birth, age}.
+ * @returns {{dependents?: Array<{full_name: string, date_of_birth: string|null, age: number|null}>, error?: string}}
+ */
+function parseNewDependents(value) {
+  if (value === undefined || value === null || value === "") return { dependents: [] };
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch (parseError) {
+      return { error: "Invalid dependents JSON format." };
+    }
+  }
+  if (!Array.isArray(list)) return { error: "Invalid dependents JSON format." };
+
+  const dependents = [];
+  for (const entry of list.map((item) => item || {})) {
+    const { values, error } = parseMember(entry);
+    if (error) return { error };
+    const age = entry.age === undefined || entry.age === null || entry.age === "" ? null : Number(entry.age);
+    if (age !== null && !(Number.isInteger(age) && age >= 0 && age <= MAX_AGE)) {
+      return { error: `A dependent's age must be a whole number from 0 to ${MAX_AGE}.` };
+    }
+    dependents.push({ ...values, age: values.date_of_birth ? ageOn(values.date_of_birth) : age });
+  }
+  return { dependents };
+}
+
+/**
+ * Reads the household members present at a check-in (dependent_ids).
+ *
+ * @param {string|Array|undefined} value - A JSON array, or the parsed array, of household member IDs.
+ * @returns {{ids?: number[], error?: string}} The IDs without repeats.
+ */
+function parseDependentIds(value) {
+  if (value === undefined || value === null || value === "") return { ids: [] };
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch (parseError) {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list) || !list.every((id) => Number.isInteger(Number(id)) && Number(id) > 0)) {
+    return { error: "dependent_ids must be a list of household member IDs." };
+  }
+  return { ids: [...new Set(list.map(Number))] };
+}
+
+/**
+ * Loads the given members of a visitor's household, leaving out removed members
+ * and anyone from another household. The rows read stay locked until the
+ * transaction commits, so a member cannot be removed while their visit is recorded.
+ *
+ * @param {Function} executeQuery - tx.executeQuery of the transaction that records the visit.
+ * @param {number|string} visitorId - The visitor signing in.
+ * @param {number[]} ids - From parseDependentIds.
+ * @returns {Promise<Array<{id: number, full_name: string, date_of_birth: Date|string|null, last_recorded_age: number|null}>>}
+ */
+async function findHouseholdMembers(executeQuery, visitorId, ids) {
+  if (ids.length === 0) return [];
+  return executeQuery(
+    `SELECT ${MEMBER_COLUMNS}
+     FROM household_members WITH (UPDLOCK, HOLDLOCK)
+     WHERE visitor_id = @visitorId AND removed_at IS NULL
+       AND id IN (${ids.map((_, index) => `@memberId${index}`).join(", ")})`,
+    [
+      { name: "visitorId", type: sql.Int, value: visitorId },
+      ...ids.map((id, index) => ({ name: `memberId${index}`, type: sql.Int, value: id })),
+    ]
+  );
+}
+
+/**
+ * Records who came with a visitor on a visit: the household members present and
+ * any new dependents, who join the household first. Ages are worked out for the
+ * day of the visit and stored with it, so past visits keep the age at the time.
+ * Members without a date of birth keep the age recorded on their last visit.
+ *
+ * @param {Function} executeQuery - A transaction-bound executeQuery returning the rows.
+ * @param {number|string} visitorId - The visitor signing in.
+ * @param {number} visitId - The visit just inserted.
+ * @param {object} dependents
+ * @param {Array<object>} [dependents.members] - From findHouseholdMembers.
+ * @param {Array<object>} [dependents.newDependents] - From parseNewDependents.
+ * @returns {Promise<Array<{household_member_id: number, full_name: string, age: number|null}>>} Who was recorded.
+ */
+async function recordVisitDependents(executeQuery, visitorId, visitId, { members = [], newDependents = [] }) {
+  const recorded = members.map((member) => ({
+    household_member_id: member.id,
+    full_name: member.full_name,
+    age: ageOn(member.date_of_birth) ?? member.last_recorded_age ?? null,
+  }));
+
+  for (const dependent of newDependents) {
+    const [member] = await executeQuery(
+      `INSERT INTO household_members (visitor_id, full_name, date_of_birth)
+       OUTPUT INSERTED.id
+       VALUES (@visitorId, @fullName, @dateOfBirth)`,
+      [
+        { name: "visitorId", type: sql.Int, value: visitorId },
+        { name: "fullName", type: sql.NVarChar(255), value: dependent.full_name },
+        { name: "dateOfBirth", type: sql.Date, value: dependent.date_of_birth },
+      ]
+    );
+    recorded.push({ household_member_id: member.id, full_name: dependent.full_name, age: dependent.age });
+  }
+
+  for (const dependent of recorded) {
+    await executeQuery(
+      `INSERT INTO dependents (full_name, age, visit_id, household_member_id)
+       VALUES (@fullName, @age, @visitId, @householdMemberId)`,
+      [
+        { name: "fullName", type: sql.NVarChar(255), value: dependent.full_name },
+        { name: "age", type: sql.Int, value: dependent.age },
+        { name: "visitId", type: sql.Int, value: visitId },
+        { name: "householdMemberId", type: sql.Int, value: dependent.household_member_id },
+      ]
+    );
+  }
+  return recorded;
+}
+
+/**
+ * Creates and configures a router for a visitor's household: the dependents
+ * who come with them, kept from visit to visit so staff only tick who is
+ * present at check-in.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and logAudit).
+ * @returns {express.Router} - An Express router with the household endpoints.
+ */
+function createHouseholdRouter(dbService) {
+  const router = express.Router();
+
+  // Loads one member of the visitor's household (removed members included)
+  const loadMember = async (visitorId, memberId) => {
+    const [member] = await dbService.executeQuery(
+      `SELECT ${MEMBER_COLUMNS}, removed_at FROM household_members WHERE id = @memberId AND visitor_id = @visitorId`,
+      [
+        { name: "visitorId", type: sql.Int, value: visitorId },
+        { name: "memberId", type: sql.Int, value: memberId },
+      ]
+    );
+    return member;
+  };
+
+  // Endpoint: GET /visitors/:id/household - the current members, oldest first
+  router.get("/visitors/:id/household", async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+
+    try {
+      const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+      const [visitor] = await dbService.executeQuery(
+        `SELECT id FROM visitors WHERE id = @visitorId AND merged_into_id IS NULL`,
+        inputs
+      );
+      if (!visitor) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+
+      const members = await dbService.executeQuery(
+        `SELECT ${MEMBER_COLUMNS}
+         FROM household_members
+         WHERE visitor_id = @visitorId AND removed_at IS NULL
+         ORDER BY created_at, id`,
+        inputs
+      );
+      res.status(200).json(members.map(toMember));
+    } catch (err) {
+      console.error("Database Error in GET /visitors/:id/household:", err.message);
+      res.status(500).json({ message: "Failed to retrieve the household." });
+    }
+  });
+
+  // Endpoint: POST /visitors/:id/household - Body: full_name, date_of_birth (optional)
+  router.post("/visitors/:id/household", async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+    const { values, error } = parseMember(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+      const [visitor] = await dbService.executeQuery(
+        `SELECT id FROM visitors WHERE id = @visitorId AND merged_into_id IS NULL`,
+        inputs
+      );
+      if (!visitor) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+
+      const [member] = await dbService.executeQuery(
+        `INSERT INTO household_members (visitor_id, full_name, date_of_birth)
+         OUTPUT INSERTED.id, INSERTED.created_at
+         VALUES (@visitorId, @fullName, @dateOfBirth)`,
+        [
+          ...inputs,
+          { name: "fullName", type: sql.NVarChar(255), value: values.full_name },
+          { name: "dateOfBirth", type: sql.Date, value: values.date_of_birth },
+        ]
+      );
+
+      await dbService.logAudit({
+        eventName: "Household Member Added",
+        status: "Success",
+        action: "add_household_member",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visitorId,
+        before: null,
+        after: { id: member.id, ...values },
+      });
+
+      res.status(201).json(toMember({ id: member.id, ...values, created_at: member.created_at }));
+    } catch (err) {
+      console.error("Database Error in POST /visitors/:id/household:", err.message);
+      res.status(500).json({ message: "Failed to add the household member." });
+    }
+  });
+
+  // Endpoint: PATCH /visitors/:id/household/:memberId - Body: full_name and/or date_of_birth
+  router.patch("/visitors/:id/household/:memberId", async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    const memberId = parseInt(req.params.memberId, 10);
+    if (isNaN(visitorId) || isNaN(memberId)) {
+      return res.status(400).json({ message: "Invalid Visitor or household member ID." });
+    }
+
+    try {
+      const member = await loadMember(visitorId, memberId);
+      if (!member || member.removed_at) {
+        return res.status(404).json({ message: "Household member not found." });
+      }
+      const { values, error } = parseMember(req.body, member);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      await dbService.executeQuery(
+        `UPDATE household_members SET full_name = @fullName, date_of_birth = @dateOfBirth WHERE id = @memberId`,
+        [
+          { name: "memberId", type: sql.Int, value: memberId },
+          { name: "fullName", type: sql.NVarChar(255), value: values.full_name },
+          { name: "dateOfBirth", type: sql.Date, value: values.date_of_birth },
+        ]
+      );
+
+      await dbService.logAudit({
+        eventName: "Household Member Updated",
+        status: "Success",
+        action: "update_household_member",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visitorId,
+        before: { id: memberId, full_name: member.full_name, date_of_birth: formatDateOfBirth(member.date_of_birth) },
+        after: { id: memberId, ...values },
+      });
+
+      res.status(200).json(
+        toMember({ id: memberId, ...values, created_at: member.created_at, last_recorded_age: member.last_recorded_age })
+      );
+    } catch (err) {
+      console.error("Database Error in PATCH /visitors/:id/household/:memberId:", err.message);
+      res.status(500).json({ message: "Failed to update the household member." });
+    }
+  });
+
+  // Endpoint: DELETE /visitors/:id/household/:memberId
+  // The member is no longer offered at check-in; visits they came on still show them
+  router.delete("/visitors/:id/household/:memberId", async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    const memberId = parseInt(req.params.memberId, 10);
+    if (isNaN(visitorId) || isNaN(memberId)) {
+      return res.status(400).json({ message: "Invalid Visitor or household member ID." });
+    }
+
+    try {
+      const member = await loadMember(visitorId, memberId);
+      if (!member || member.removed_at) {
+        return res.status(404).json({ message: "Household member not found." });
+      }
+
+      await dbService.executeQuery(`UPDATE household_members SET removed_at = @removedAt WHERE id = @memberId`, [
+        { name: "memberId", type: sql.Int, value: memberId },
+        { name: "removedAt", type: sql.NVarChar, value: new Date().toISOString() },
+      ]);
+
+      await dbService.logAudit({
+        eventName: "Household Member Removed",
+        status: "Success",
+        action: "remove_household_member",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visitorId,
+        before: { id: memberId, full_name: member.full_name, date_of_birth: formatDateOfBirth(member.date_of_birth) },
+        after: null,
+      });
+
+      res.status(200).json({ message: `${member.full_name} was removed from the household.` });
+    } catch (err) {
+      console.error("Database Error in DELETE /visitors/:id/household/:memberId:", err.message);
+      res.status(500).json({ message: "Failed to remove the household member." });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Starts the household of visitors from before households existed with the
+ * dependents of their last visit. Those dependents rows are linked to the new
+ * members, so the age recorded then stays the member's age until staff add a
+ * date of birth. Each visitor is done in its own transaction, which checks again
+ * that they still have no household, and audited. Runs at startup from
+ * server.js; once a visitor has a household they are never picked again.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
+ * @returns {Promise<number[]>} IDs of the visitors whose household was started.
+ */
+async function adoptLastVisitDependents(dbService) {
+  const adoptedVisitors = [];
+  try {
+    const candidates = await dbService.executeQuery(
+      `SELECT V.id AS visitor_id, LV.id AS visit_id
+       FROM visitors AS V
+       CROSS APPLY (
+         SELECT TOP 1 id FROM visits WHERE visitor_id = V.id ORDER BY entry_time DESC
+       ) AS LV
+       WHERE V.merged_into_id IS NULL
+         AND NOT EXISTS (SELECT 1 FROM household_members WHERE visitor_id = V.id)
+         AND EXISTS (SELECT 1 FROM dependents WHERE visit_id = LV.id AND household_member_id IS NULL)`
+    );
+
+    for (const { visitor_id: visitorId, visit_id: visitId } of candidates) {
+      const members = await dbService.transaction(async (tx) => {
+        const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+        const [existing] = await tx.executeQuery(
+          `SELECT TOP 1 id FROM household_members WHERE visitor_id = @visitorId`,
+          inputs
+        );
+        if (existing) return [];
+
+        const dependents = await tx.executeQuery(
+          `SELECT id, full_name, age FROM dependents WHERE visit_id = @visitId AND household_member_id IS NULL ORDER BY id`,
+          [{ name: "visitId", type: sql.Int, value: visitId }]
+        );
+        const added = [];
+        for (const dependent of dependents) {
+          const [member] = await tx.executeQuery(
+            `INSERT INTO household_members (visitor_id, full_name)
+             OUTPUT INSERTED.id
+             VALUES (@visitorId, @fullName)`,
+            [...inputs, { name: "fullName", type: sql.NVarChar(255), value: dependent.full_name }]
+          );
+          await tx.executeQuery(`UPDATE dependents SET household_member_id = @memberId WHERE id = @dependentId`, [
+            { name: "memberId", type: sql.Int, value: member.id },
+            { name: "dependentId", type: sql.Int, value: dependent.id },
+          ]);
+          added.push({ id: member.id, full_name: dependent.full_name, last_recorded_age: dependent.age });
+        }
+        return added;
+      });
+      if (members.length === 0) continue;
+
+      await dbService.logAudit({
+        eventName: "Household Started From Last Visit",
+        status: "Success",
+        action: "adopt_household",
+        targetVisitorId: visitorId,
+        targetVisitId: visitId,
+        before: null,
+        after: { members },
+      });
+      adoptedVisitors.push(visitorId);
+    }
+  } catch (err) {
+    console.error("Failed to start households from last visits:", err.message);
+  }
+  return adoptedVisitors;
+}
+
+module.exports = createHouseholdRouter;
+module.exports.ageOn = ageOn;
+module.exports.parseNewDependents = parseNewDependents;
+module.exports.parseDependentIds = parseDependentIds;
+module.exports.findHouseholdMembers = findHouseholdMembers;
+module.exports.recordVisitDependents = recordVisitDependents;
+module.exports.adoptLastVisitDependents = adoptLastVisitDependents;
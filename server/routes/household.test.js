@@ -0,0 +1,217 @@
+const request = require("supertest");
+const express = require("express");
+const createHouseholdRouter = require("./household");
+const { ageOn, parseNewDependents, parseDependentIds, recordVisitDependents, adoptLastVisitDependents } = require("./household");
+
+// Helper to create a test app instance
+function setupTestApp(dbService) {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 3, username: "rita", displayName: "Rita Reception", role: "reception" };
+        next();
+    });
+    app.use("/", createHouseholdRouter(dbService));
+    return app;
+}
+
+const thisYear = new Date().getUTCFullYear();
+
+const memberRow = (overrides = {}) => ({
+    id: 4,
+    full_name: "Kit Doe",
+    date_of_birth: new Date(`${thisYear - 6}-01-01T00:00:00.000Z`),
+    created_at: "2025-01-01T09:00:00.000Z",
+    removed_at: null,
+    ...overrides,
+});
+
+describe("Household endpoints", () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn().mockResolvedValue(Object.assign([], { rowsAffected: [1] })),
+            logAudit: jest.fn(),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("ageOn should count whole years up to the day before the birthday", () => {
+        expect(ageOn("2018-06-15", new Date("2025-06-14T12:00:00.000Z"))).toBe(6);
+        expect(ageOn("2018-06-15", new Date("2025-06-15T00:00:00.000Z"))).toBe(7);
+        expect(ageOn(new Date("2024-02-29T00:00:00.000Z"), new Date("2025-03-01T00:00:00.000Z"))).toBe(1);
+        expect(ageOn(null)).toBeNull();
+    });
+
+    test("should read new dependents and the IDs of those present", () => {
+        expect(parseNewDependents('[{"full_name":" Kit Doe ","date_of_birth":"2019-05-06"},{"full_name":"Max Doe","age":4}]')).toEqual({
+            dependents: [
+                { full_name: "Kit Doe", date_of_birth: "2019-05-06", age: ageOn("2019-05-06") },
+                { full_name: "Max Doe", date_of_birth: null, age: 4 },
+            ],
+        });
+        expect(parseNewDependents('[{"full_name":""}]').error).toMatch(/full_name must be between 1 and 255/);
+        expect(parseNewDependents('[{"full_name":"Max","age":-1}]').error).toMatch(/age must be a whole number/);
+        expect(parseNewDependents("not json").error).toBe("Invalid dependents JSON format.");
+        expect(parseDependentIds("[4, 4, 5]")).toEqual({ ids: [4, 5] });
+        expect(parseDependentIds([0]).error).toBe("dependent_ids must be a list of household member IDs.");
+    });
+
+    test("GET /visitors/:id/household should only read the current members and list ages", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: 10 }])
+            .mockResolvedValueOnce([memberRow(), memberRow({ id: 5, full_name: "Max Doe", date_of_birth: null, last_recorded_age: 3 })]);
+
+        const response = await request(setupTestApp(mockDbService)).get("/visitors/10/household").expect(200);
+
+        expect(response.body).toEqual([
+            { id: 4, full_name: "Kit Doe", date_of_birth: `${thisYear - 6}-01-01`, age: 6, last_recorded_age: null, created_at: "2025-01-01T09:00:00.000Z", removed_at: null },
+            { id: 5, full_name: "Max Doe", date_of_birth: null, age: null, last_recorded_age: 3, created_at: "2025-01-01T09:00:00.000Z", removed_at: null },
+        ]);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(2);
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain("removed_at IS NULL");
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain("AS last_recorded_age");
+        expect(mockDbService.executeQuery.mock.calls.some(([query]) => query.includes("INSERT"))).toBe(false);
+    });
+
+    test("recordVisitDependents should keep the last recorded age of a member without a date of birth", async () => {
+        const executeQuery = jest.fn().mockResolvedValue([]);
+
+        const recorded = await recordVisitDependents(executeQuery, 10, 20, {
+            members: [memberRow(), memberRow({ id: 5, full_name: "Max Doe", date_of_birth: null, last_recorded_age: 3 })],
+        });
+
+        expect(recorded).toEqual([
+            { household_member_id: 4, full_name: "Kit Doe", age: 6 },
+            { household_member_id: 5, full_name: "Max Doe", age: 3 },
+        ]);
+    });
+
+    test("adoptLastVisitDependents should start each household once, in a transaction, and audit it", async () => {
+        const txQuery = jest.fn()
+            // Visitor 10 still has no household: two dependents came on visit 20
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([{ id: 30, full_name: "Kit Doe", age: 6 }, { id: 31, full_name: "Max Doe", age: null }])
+            .mockResolvedValueOnce([{ id: 4 }])
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([{ id: 5 }])
+            .mockResolvedValueOnce([])
+            // Visitor 11 had a household started in between
+            .mockResolvedValueOnce([{ id: 6 }]);
+        mockDbService.executeQuery.mockResolvedValueOnce([{ visitor_id: 10, visit_id: 20 }, { visitor_id: 11, visit_id: 21 }]);
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: txQuery }));
+
+        const adopted = await adoptLastVisitDependents(mockDbService);
+
+        expect(adopted).toEqual([10]);
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(2);
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain("NOT EXISTS (SELECT 1 FROM household_members WHERE visitor_id = V.id)");
+        expect(txQuery.mock.calls[0][0]).toContain("SELECT TOP 1 id FROM household_members WHERE visitor_id = @visitorId");
+        // The visit's dependents rows are linked to the new members, so their ages are kept
+        expect(txQuery.mock.calls[3][0]).toContain("UPDATE dependents SET household_member_id = @memberId");
+        expect(txQuery.mock.calls[3][1]).toEqual([
+            expect.objectContaining({ name: "memberId", value: 4 }),
+            expect.objectContaining({ name: "dependentId", value: 30 }),
+        ]);
+        expect(txQuery).toHaveBeenCalledTimes(7);
+        expect(mockDbService.logAudit).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "adopt_household",
+            targetVisitorId: 10,
+            targetVisitId: 20,
+            after: {
+                members: [
+                    { id: 4, full_name: "Kit Doe", last_recorded_age: 6 },
+                    { id: 5, full_name: "Max Doe", last_recorded_age: null },
+                ],
+            },
+        }));
+    });
+
+    test("adoptLastVisitDependents should log a failure instead of stopping the server", async () => {
+        mockDbService.executeQuery.mockRejectedValueOnce(new Error("Database offline"));
+
+        await expect(adoptLastVisitDependents(mockDbService)).resolves.toEqual([]);
+        expect(console.error).toHaveBeenCalledWith("Failed to start households from last visits:", "Database offline");
+    });
+
+    test("GET /visitors/:id/household should return 400 for a bad ID and 404 for an unknown visitor", async () => {
+        const app = setupTestApp(mockDbService);
+
+        await request(app).get("/visitors/abc/household").expect(400);
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        await request(app).get("/visitors/99/household").expect(404);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test("POST /visitors/:id/household should add a member and audit it", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: 10 }])
+            .mockResolvedValueOnce([{ id: 5, created_at: "2026-10-19T09:00:00.000Z" }]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .post("/visitors/10/household")
+            .send({ full_name: "Max Doe", date_of_birth: `${thisYear - 2}-01-01` })
+            .expect(201);
+
+        expect(response.body).toMatchObject({ id: 5, full_name: "Max Doe", age: 2 });
+        expect(mockDbService.executeQuery.mock.calls[1][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "fullName", value: "Max Doe" }),
+            expect.objectContaining({ name: "dateOfBirth", value: `${thisYear - 2}-01-01` }),
+        ]));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "add_household_member",
+            targetVisitorId: 10,
+            after: { id: 5, full_name: "Max Doe", date_of_birth: `${thisYear - 2}-01-01` },
+        }));
+    });
+
+    test("POST /visitors/:id/household should refuse a missing name or a future date of birth", async () => {
+        const app = setupTestApp(mockDbService);
+
+        await request(app).post("/visitors/10/household").send({ date_of_birth: "2020-01-01" }).expect(400);
+        const future = await request(app).post("/visitors/10/household").send({ full_name: "Max", date_of_birth: "2999-01-01" }).expect(400);
+        expect(future.body.message).toBe("date_of_birth cannot be in the future.");
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("PATCH /visitors/:id/household/:memberId should correct the date of birth and keep the name", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([memberRow({ date_of_birth: null })]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .patch("/visitors/10/household/4")
+            .send({ date_of_birth: "2019-05-06" })
+            .expect(200);
+
+        expect(response.body).toMatchObject({ id: 4, full_name: "Kit Doe", date_of_birth: "2019-05-06" });
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain("UPDATE household_members SET full_name = @fullName");
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "update_household_member",
+            before: { id: 4, full_name: "Kit Doe", date_of_birth: null },
+            after: { id: 4, full_name: "Kit Doe", date_of_birth: "2019-05-06" },
+        }));
+    });
+
+    test("DELETE /visitors/:id/household/:memberId should remove the member but keep the row for past visits", async () => {
+        const app = setupTestApp(mockDbService);
+        mockDbService.executeQuery.mockResolvedValueOnce([memberRow()]);
+
+        const response = await request(app).delete("/visitors/10/household/4").expect(200);
+
+        expect(response.body.message).toBe("Kit Doe was removed from the household.");
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain("UPDATE household_members SET removed_at = @removedAt");
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: "remove_household_member", after: null }));
+
+        // Removed members, and members of another visitor's household, are not found
+        mockDbService.executeQuery.mockResolvedValueOnce([memberRow({ removed_at: "2026-01-01T00:00:00.000Z" })]);
+        await request(app).delete("/visitors/10/household/4").expect(404);
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        await request(app).patch("/visitors/11/household/4").send({ full_name: "Kit" }).expect(404);
+    });
+});
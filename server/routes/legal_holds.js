@@ -0,0 +1,170 @@
+const express = require("express");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+
+/**
+ * Creates and configures a router for legal holds. A visitor under an active hold
+ * is skipped by the data retention cleanup (routes/clean_data.js) until the hold is released.
+ * Released holds are kept as history.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and logAudit).
+ * @returns {express.Router} - An Express router with the legal hold endpoints.
+ */
+function createLegalHoldsRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint: GET /legal-holds - active holds (include_released=true lists all)
+  router.get("/legal-holds", requirePermission("manage_retention"), async (req, res) => {
+    const includeReleased = req.query.include_released === "true";
+
+    try {
+      const holds = await dbService.executeQuery(
+        `SELECT
+           H.id, H.visitor_id, T1.first_name, T1.last_name, H.reason,
+           H.placed_at, H.placed_by_name, H.released_at, H.released_by_name
+         FROM legal_holds AS H
+         JOIN visitors AS T1 ON T1.id = H.visitor_id
+         ${includeReleased ? "" : "WHERE H.released_at IS NULL"}
+         ORDER BY H.placed_at DESC, H.id DESC`
+      );
+      res.status(200).json(holds);
+    } catch (err) {
+      console.error("Database Error in GET /legal-holds:", err.message);
+      res.status(500).json({ message: "Failed to retrieve legal holds." });
+    }
+  });
+
+  // Endpoint: POST /visitors/:id/legal-holds
+  // Body: reason (required)
+  router.post("/visitors/:id/legal-holds", requirePermission("manage_retention"), async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: "A reason for the legal hold is required." });
+    }
+
+    try {
+      const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+
+      // The check and the insert share a transaction, and the locks taken by the check are held
+      // until it commits, so a concurrent request for the same visitor waits and then sees this hold
+      const outcome = await dbService.transaction(async (tx) => {
+        const visitor = await tx.executeQuery(
+          `SELECT id FROM visitors WITH (UPDLOCK, HOLDLOCK) WHERE id = @visitorId`,
+          inputs
+        );
+        if (visitor.length === 0) {
+          return { status: 404, body: { message: "Visitor not found." } };
+        }
+
+        const active = await tx.executeQuery(
+          `SELECT TOP 1 id FROM legal_holds WITH (UPDLOCK, HOLDLOCK)
+           WHERE visitor_id = @visitorId AND released_at IS NULL`,
+          inputs
+        );
+        if (active.length > 0) {
+          return {
+            status: 409,
+            body: { message: "This visitor is already under a legal hold.", holdId: active[0].id },
+          };
+        }
+
+        const inserted = await tx.executeQuery(
+          `INSERT INTO legal_holds (visitor_id, reason, placed_at, placed_by_id, placed_by_name)
+           OUTPUT INSERTED.id, INSERTED.visitor_id, INSERTED.reason, INSERTED.placed_at, INSERTED.placed_by_name
+           VALUES (@visitorId, @reason, @placedAt, @staffId, @staffName)`,
+          [
+            ...inputs,
+            { name: "reason", type: sql.NVarChar(1000), value: reason },
+            { name: "placedAt", type: sql.NVarChar, value: new Date().toISOString() },
+            { name: "staffId", type: sql.Int, value: req.staff.id },
+            { name: "staffName", type: sql.NVarChar(255), value: req.staff.displayName },
+          ]
+        );
+        return { hold: inserted[0] };
+      });
+      if (outcome.status) return res.status(outcome.status).json(outcome.body);
+      const { hold } = outcome;
+
+      await dbService.logAudit({
+        eventName: "Legal Hold Placed",
+        status: "Success",
+        action: "place_legal_hold",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visitorId,
+        after: { legal_hold_id: hold.id, reason },
+      });
+
+      res.status(201).json(hold);
+    } catch (err) {
+      console.error("Database Error in POST /visitors/:id/legal-holds:", err.message);
+      res.status(500).json({ message: "Failed to place the legal hold." });
+    }
+  });
+
+  // Endpoint: POST /legal-holds/:holdId/release
+  router.post("/legal-holds/:holdId/release", requirePermission("manage_retention"), async (req, res) => {
+    const holdId = parseInt(req.params.holdId, 10);
+
+    if (isNaN(holdId)) {
+      return res.status(400).json({ message: "Invalid legal hold ID." });
+    }
+
+    try {
+      const inputs = [{ name: "holdId", type: sql.Int, value: holdId }];
+
+      const existing = await dbService.executeQuery(
+        `SELECT id, visitor_id, released_at FROM legal_holds WHERE id = @holdId`,
+        inputs
+      );
+      if (existing.length === 0) {
+        return res.status(404).json({ message: "Legal hold not found." });
+      }
+      if (existing[0].released_at) {
+        return res.status(409).json({ message: "This legal hold has already been released." });
+      }
+
+      // Only a hold still active is released, so of two concurrent releases only one is recorded
+      const releasedAt = new Date().toISOString();
+      const released = await dbService.executeQuery(
+        `UPDATE legal_holds
+         SET released_at = @releasedAt, released_by_id = @staffId, released_by_name = @staffName
+         WHERE id = @holdId AND released_at IS NULL`,
+        [
+          ...inputs,
+          { name: "releasedAt", type: sql.NVarChar, value: releasedAt },
+          { name: "staffId", type: sql.Int, value: req.staff.id },
+          { name: "staffName", type: sql.NVarChar(255), value: req.staff.displayName },
+        ]
+      );
+      if (released.rowsAffected[0] === 0) {
+        return res.status(409).json({ message: "This legal hold has already been released." });
+      }
+
+      await dbService.logAudit({
+        eventName: "Legal Hold Released",
+        status: "Success",
+        action: "release_legal_hold",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: existing[0].visitor_id,
+        before: { legal_hold_id: holdId, released_at: null },
+        after: { legal_hold_id: holdId, released_at: releasedAt },
+      });
+
+      res.status(200).json({ message: "Legal hold released. The visitor is subject to retention again." });
+    } catch (err) {
+      console.error("Database Error in POST /legal-holds/:holdId/release:", err.message);
+      res.status(500).json({ message: "Failed to release the legal hold." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLegalHoldsRouter;
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const express = require('express');
+const createLegalHoldsRouter = require('./legal_holds');
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "admin") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "dpo", displayName: "Data Officer", role };
+        next();
+    });
+    app.use('/', createLegalHoldsRouter(dbService));
+    return app;
+}
+
+describe('Legal hold routes', () => {
+    let mockDbService;
+    let app;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+        // Run transaction work against the same mocked executeQuery
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+        app = setupTestApp(mockDbService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /legal-holds', () => {
+        test('should list active holds', async () => {
+            const holds = [{ id: 4, visitor_id: 10, first_name: 'Jane', last_name: 'Doe', reason: 'Police inquiry' }];
+            mockDbService.executeQuery.mockResolvedValueOnce(holds);
+
+            const response = await request(app).get('/legal-holds').expect(200);
+
+            expect(response.body).toEqual(holds);
+            expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('WHERE H.released_at IS NULL');
+        });
+
+        test('should include released holds when asked and return 403 for non-admins', async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([]);
+
+            await request(app).get('/legal-holds').query({ include_released: 'true' }).expect(200);
+            await request(setupTestApp(mockDbService, 'supervisor')).get('/legal-holds').expect(403);
+
+            expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+            expect(mockDbService.executeQuery.mock.calls[0][0]).not.toContain('WHERE H.released_at IS NULL');
+        });
+    });
+
+    describe('POST /visitors/:id/legal-holds', () => {
+        test('should place a hold with the reason and who placed it', async () => {
+            const hold = { id: 4, visitor_id: 10, reason: 'Police inquiry', placed_by_name: 'Data Officer' };
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ id: 10 }])
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([hold]);
+
+            const response = await request(app)
+                .post('/visitors/10/legal-holds')
+                .send({ reason: '  Police inquiry ' })
+                .expect(201);
+
+            expect(response.body).toEqual(hold);
+            // The check and the insert run in one transaction, holding the locks the check takes
+            expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+            expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('FROM legal_holds WITH (UPDLOCK, HOLDLOCK)');
+            expect(mockDbService.executeQuery.mock.calls[2][1]).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'reason', value: 'Police inquiry' }),
+                expect.objectContaining({ name: 'staffName', value: 'Data Officer' }),
+            ]));
+            expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'place_legal_hold',
+                targetVisitorId: 10,
+                after: { legal_hold_id: 4, reason: 'Police inquiry' },
+            }));
+        });
+
+        test('should return 400 without a reason', async () => {
+            await request(app).post('/visitors/10/legal-holds').send({ reason: ' ' }).expect(400);
+
+            expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+        });
+
+        test('should return 404 for an unknown visitor and 409 when a hold is already active', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([{ id: 10 }])
+                .mockResolvedValueOnce([{ id: 4 }]);
+
+            await request(app).post('/visitors/99/legal-holds').send({ reason: 'Claim' }).expect(404);
+            const response = await request(app).post('/visitors/10/legal-holds').send({ reason: 'Claim' }).expect(409);
+
+            expect(response.body.holdId).toBe(4);
+            expect(mockDbService.executeQuery).toHaveBeenCalledTimes(3);
+            expect(mockDbService.logAudit).not.toHaveBeenCalled();
+        });
+
+        test('should return 500 on a database error', async () => {
+            mockDbService.executeQuery.mockRejectedValue(new Error('DB down'));
+
+            const response = await request(app).post('/visitors/10/legal-holds').send({ reason: 'Claim' }).expect(500);
+
+            expect(response.body.message).toBe('Failed to place the legal hold.');
+        });
+    });
+
+    describe('POST /legal-holds/:holdId/release', () => {
+        test('should release an active hold and audit it', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ id: 4, visitor_id: 10, released_at: null }])
+                .mockResolvedValueOnce({ rowsAffected: [1] });
+
+            await request(app).post('/legal-holds/4/release').expect(200);
+
+            expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('UPDATE legal_holds');
+            expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('WHERE id = @holdId AND released_at IS NULL');
+            expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'release_legal_hold',
+                targetVisitorId: 10,
+                after: { legal_hold_id: 4, released_at: expect.any(String) },
+            }));
+        });
+
+        test('should return 404 for an unknown hold and 409 once released', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([{ id: 4, visitor_id: 10, released_at: '2026-10-01T10:00:00.000Z' }]);
+
+            await request(app).post('/legal-holds/99/release').expect(404);
+            await request(app).post('/legal-holds/4/release').expect(409);
+            await request(app).post('/legal-holds/abc/release').expect(400);
+
+            expect(mockDbService.logAudit).not.toHaveBeenCalled();
+        });
+
+        test('should return 409 without a second audit entry when another request released the hold first', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ id: 4, visitor_id: 10, released_at: null }])
+                .mockResolvedValueOnce({ rowsAffected: [0] });
+
+            const response = await request(app).post('/legal-holds/4/release').expect(409);
+
+            expect(response.body.message).toBe('This legal hold has already been released.');
+            expect(mockDbService.logAudit).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -1,13 +1,26 @@
+const {
+  findOpenVisit,
+  isOpenVisitConflict,
+  alreadySignedInBody,
+} = require("./open_visit_guard");
+const { publishOnSiteVisitor } = require("./visitors");
+const {
+  parseDependentIds,
+  findHouseholdMembers,
+  recordVisitDependents,
+} = require("./household");
+
 /**
  * Creates and configures a router for handling visitor login.
  *
- * @param {object} dbService - The Azure SQL database service wrapper.
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
  * @returns {express.Router} - An Express router with the login endpoint.
  */
 function createLoginRouter(dbService) {
   const router = require("express").Router();
 
   // Endpoint for an existing visitor to log in 
+  // Body: id and dependent_ids, the household members who came with them today
   router.post("/login", async (req, res) => {
     const { id } = req.body;
     const entry_time = new Date().toISOString();
@@ -15,15 +28,14 @@ function createLoginRouter(dbService) {
     if (!id) {
       return res.status(400).json({ message: "Visitor ID is required." });
     }
+    const dependentIds = parseDependentIds(req.body.dependent_ids);
+    if (dependentIds.error) {
+      return res.status(400).json({ message: dependentIds.error });
+    }
 
-    let pool;
-    let transaction;
     let lastVisitDetails = {};
-    let dependentsData = [];
 
     try {
-      pool = await dbService.connectDb();
-
       // 1. Find the visitor's ban status and the details of their last visit.
       const findVisitorSql = `
                 SELECT
@@ -38,15 +50,14 @@ function createLoginRouter(dbService) {
                             T2.reason_for_visit, 
                             T2.type, 
                             T2.company_name, 
-                            T2.mandatory_acknowledgment_taken,
-                            T2.id AS last_visit_id 
+                            T2.mandatory_acknowledgment_taken
                         FROM visits AS T2
                         WHERE T2.visitor_id = v.id
                         ORDER BY T2.entry_time DESC
                         FOR JSON PATH, WITHOUT_ARRAY_WRAPPER
                     ) AS last_visit_data
                 FROM visitors AS v
-                WHERE v.id = @id;
+                WHERE v.id = @id AND v.merged_into_id IS NULL;
             `;
 
       const visitorResult = await dbService.executeQuery(findVisitorSql, [
@@ -82,108 +93,75 @@ function createLoginRouter(dbService) {
         });
       }
 
-      // 2. Fetch dependents associated with the last successful visit
-      const lastVisitId = lastVisitDetails.last_visit_id;
-      if (lastVisitId) {
-        const findDependentsSql = `
-                    SELECT full_name, age 
-                    FROM dependents 
-                    WHERE visit_id = @lastVisitId;
-                `;
-        dependentsData = await dbService.executeQuery(findDependentsSql, [
-          {
-            name: "lastVisitId",
-            type: dbService.sqlTypes.Int,
-            value: lastVisitId,
-          },
-        ]);
+      // A visitor who is already on site must be signed out first, so a double click
+      // or a second receptionist does not create a duplicate open visit
+      const openVisit = await findOpenVisit(dbService.executeQuery, id);
+      if (openVisit) {
+        return res.status(409).json(alreadySignedInBody(openVisit));
       }
 
-      // --- Step 3: Start Transaction to insert new visit and dependents ---
-      transaction = new pool.Transaction();
-      await transaction.begin();
-
-      const request = new pool.Request(transaction);
+      // 2. Insert the new visit and its dependents in one transaction
+      const outcome = await dbService.transaction(async (tx) => {
+        // The household members who came today, read where they are recorded so a
+        // member removed in the meantime is refused rather than added to the visit
+        const householdMembers = await findHouseholdMembers(tx.executeQuery, id, dependentIds.ids);
+        if (householdMembers.length !== dependentIds.ids.length) {
+          return {
+            status: 400,
+            body: { message: "Some of the dependents are not in this visitor's household." },
+          };
+        }
 
-      // 4. Insert New Visit (Uses OUTPUT INSERTED.id to get the new visit ID)
-      const insertVisitSql = `
+        // Uses OUTPUT INSERTED.id to get the new visit ID
+        const [visit] = await tx.executeQuery(
+          `
                 INSERT INTO visits (visitor_id, entry_time, known_as, address, phone_number, unit, reason_for_visit, type, company_name, mandatory_acknowledgment_taken)
                 OUTPUT INSERTED.id
                 VALUES (@visitor_id, @entry_time, @known_as, @address, @phone_number, @unit, @reason_for_visit, @type, @company_name, @mandatory_acknowledgment_taken);
-            `;
-
-      request.input("visitor_id", dbService.sqlTypes.Int, id);
-      request.input("entry_time", dbService.sqlTypes.DateTime, entry_time);
-      request.input(
-        "known_as",
-        dbService.sqlTypes.NVarChar(255),
-        lastVisitDetails.known_as || null
-      );
-      request.input(
-        "address",
-        dbService.sqlTypes.NVarChar(255),
-        lastVisitDetails.address || null
-      );
-      request.input(
-        "phone_number",
-        dbService.sqlTypes.NVarChar(50),
-        lastVisitDetails.phone_number || null
-      );
-      request.input(
-        "unit",
-        dbService.sqlTypes.NVarChar(50),
-        lastVisitDetails.unit || null
-      );
-      request.input(
-        "reason_for_visit",
-        dbService.sqlTypes.NVarChar(255),
-        lastVisitDetails.reason_for_visit || null
-      );
-      request.input(
-        "type",
-        dbService.sqlTypes.NVarChar(50),
-        lastVisitDetails.type || null
-      );
-      request.input(
-        "company_name",
-        dbService.sqlTypes.NVarChar(255),
-        lastVisitDetails.company_name || null
-      );
-      request.input(
-        "mandatory_acknowledgment_taken",
-        dbService.sqlTypes.Bit,
-        lastVisitDetails.mandatory_acknowledgment_taken || false
-      );
-
-      const visitInsertResult = await request.query(insertVisitSql);
-      const newVisitId = visitInsertResult.recordset[0].id;
-
-      // 5. Insert Dependents (if any were found from the last visit)
-      if (dependentsData.length > 0) {
-        const dependentInsertSql = `
-                    INSERT INTO dependents (visit_id, full_name, age)
-                    VALUES (@visit_id, @full_name, @age);
-                `;
-
-        for (const dep of dependentsData) {
-          const dependentRequest = new pool.Request(transaction);
-          dependentRequest.input(
-            "visit_id",
-            dbService.sqlTypes.Int,
-            newVisitId
-          );
-          dependentRequest.input(
-            "full_name",
-            dbService.sqlTypes.NVarChar(255),
-            dep.full_name
-          );
-          dependentRequest.input("age", dbService.sqlTypes.Int, dep.age);
-          await dependentRequest.query(dependentInsertSql);
-        }
-      }
-
-      // 6. Commit Transaction
-      await transaction.commit();
+            `,
+          [
+            { name: "visitor_id", type: dbService.sqlTypes.Int, value: id },
+            { name: "entry_time", type: dbService.sqlTypes.DateTime, value: entry_time },
+            { name: "known_as", type: dbService.sqlTypes.NVarChar(255), value: lastVisitDetails.known_as || null },
+            { name: "address", type: dbService.sqlTypes.NVarChar(255), value: lastVisitDetails.address || null },
+            { name: "phone_number", type: dbService.sqlTypes.NVarChar(50), value: lastVisitDetails.phone_number || null },
+            { name: "unit", type: dbService.sqlTypes.NVarChar(50), value: lastVisitDetails.unit || null },
+            { name: "reason_for_visit", type: dbService.sqlTypes.NVarChar(255), value: lastVisitDetails.reason_for_visit || null },
+            { name: "type", type: dbService.sqlTypes.NVarChar(50), value: lastVisitDetails.type || null },
+            { name: "company_name", type: dbService.sqlTypes.NVarChar(255), value: lastVisitDetails.company_name || null },
+            {
+              name: "mandatory_acknowledgment_taken",
+              type: dbService.sqlTypes.Bit,
+              value: lastVisitDetails.mandatory_acknowledgment_taken || false,
+            },
+          ]
+        );
+
+        // 3. Insert Dependents (the household members present, with their age today)
+        const recorded = await recordVisitDependents(tx.executeQuery, id, visit.id, {
+          members: householdMembers,
+        });
+        return { newVisitId: visit.id, dependentsData: recorded };
+      });
+      if (outcome.status) return res.status(outcome.status).json(outcome.body);
+      const { newVisitId, dependentsData } = outcome;
+
+      await dbService.logAudit({
+        eventName: "Visitor Signed In",
+        status: "Success",
+        action: "sign_in_visitor",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: parseInt(id, 10),
+        targetVisitId: newVisitId,
+        before: null,
+        after: {
+          entry_time,
+          unit: lastVisitDetails.unit || null,
+          dependents: dependentsData.map((dependent) => dependent.full_name),
+        },
+      });
+      await publishOnSiteVisitor(dbService, req, "visitor_signed_in", id);
 
       // Prepare response data
       const visitorData = {
@@ -192,7 +170,6 @@ function createLoginRouter(dbService) {
         dependents: dependentsData,
         ...lastVisitDetails,
       };
-      delete visitorData.last_visit_id; // Clean up the temporay ID
 
       return res.status(200).json({
         message: "Visitor signed in successfully!",
@@ -200,21 +177,13 @@ function createLoginRouter(dbService) {
       });
     } catch (err) {
       console.error("Error during visitor login (check-in):", err);
-      if (transaction) {
-        try {
-          await transaction.rollback();
-        } catch (rollbackErr) {
-          console.error("Transaction rollback failed:", rollbackErr);
-        }
+      // Another request signed the visitor in between the check and the insert
+      if (isOpenVisitConflict(err)) {
+        return res.status(409).json(alreadySignedInBody(null));
       }
       return res.status(500).json({
         error: "An unexpected database error occurred during sign-in.",
       });
-    } finally {
-      if (pool) {
-        // Close the pool connection explicitly
-        pool.close();
-      }
     }
   });
 
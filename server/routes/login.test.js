@@ -10,29 +10,12 @@ const mockSqlTypes = {
     Bit: 'Bit',
 };
 
-// 2. Mock Transaction and Request objects for the transaction block
-const mockRequest = {
-    input: jest.fn().mockReturnThis(), // Allows chaining: request.input().input()
-    query: jest.fn(),
-};
-
-const mockTransaction = {
-    begin: jest.fn(),
-    commit: jest.fn(),
-    rollback: jest.fn(),
-};
-
-// 3. Mock Pool/DB Connection object
-const mockPool = {
-    close: jest.fn().mockResolvedValue(undefined),
-    Transaction: jest.fn(() => mockTransaction),
-    Request: jest.fn(() => mockRequest),
-};
+// 2. Mock the transaction-bound executeQuery that dbService.transaction hands to the route
+const mockTxQuery = jest.fn();
 
 // --- Mock Data ---
 
 const TEST_ID = 101;
-const LAST_VISIT_ID = 456;
 const NEW_VISIT_ID = 457;
 
 const mockLastVisitDetails = {
@@ -44,7 +27,6 @@ const mockLastVisitDetails = {
     type: "Client",
     company_name: null,
     mandatory_acknowledgment_taken: true,
-    last_visit_id: LAST_VISIT_ID, // Temp ID used for fetching dependents
 };
 
 const mockVisitorRow = {
@@ -53,9 +35,11 @@ const mockVisitorRow = {
     last_visit_data: JSON.stringify(mockLastVisitDetails),
 };
 
-const mockDependentsData = [
-    { full_name: "Kid A", age: 5 },
-    { full_name: "Kid B", age: 7 },
+// Household members born on 1 January, so their ages are known whatever today's date
+const thisYear = new Date().getUTCFullYear();
+const mockHouseholdMembers = [
+    { id: 1, full_name: "Kid A", date_of_birth: `${thisYear - 5}-01-01` },
+    { id: 2, full_name: "Kid B", date_of_birth: `${thisYear - 7}-01-01` },
 ];
 
 
@@ -76,19 +60,15 @@ describe('POST /login', () => {
         // Set up spy for console.error to suppress output and allow checking if it was called
         consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
 
-        // Reset all mock pool/request/transaction function implementations
-        mockTransaction.begin.mockClear();
-        mockTransaction.commit.mockClear();
-        mockTransaction.rollback.mockClear();
-        mockRequest.query.mockClear();
-        
-        // Ensure call count is cleared between tests
-        mockPool.close.mockClear(); 
-        
+        // Reset the transaction's queries between tests
+        mockTxQuery.mockReset();
+
         mockDbService = {
             sqlTypes: mockSqlTypes,
             executeQuery: jest.fn(),
-            connectDb: jest.fn().mockResolvedValue(mockPool),
+            // Runs the work like the real service; a rejection means it was rolled back
+            transaction: jest.fn((work) => work({ executeQuery: mockTxQuery })),
+            logAudit: jest.fn(),
         };
         app = setupTestApp(mockDbService);
     });
@@ -98,43 +78,80 @@ describe('POST /login', () => {
     });
 
     // --- Test 1: Successful Login ---
-    test('should successfully log in an existing visitor, fetch dependents, and insert new visit via transaction', async () => {
+    test('should successfully log in an existing visitor with the household members present and insert new visit via transaction', async () => {
         // Mock DB Calls 
         // 1. Visitor check (executeQuery 1) returns visitor info and last visit details
         mockDbService.executeQuery.mockResolvedValueOnce([mockVisitorRow]); 
-        
-        // 2. Dependents check (executeQuery 2) returns dependents
-        mockDbService.executeQuery.mockResolvedValueOnce(mockDependentsData); 
+
+        // No open visit for this visitor
+        mockDbService.executeQuery.mockResolvedValueOnce([]); 
 
         // Mock Transaction Queries 
-        // 3. New Visit Insert (request.query 1) returns the new visit ID
-        mockRequest.query.mockResolvedValueOnce({ recordset: [{ id: NEW_VISIT_ID }] }); 
+        // 2. Household check (tx query 1) returns the members who came
+        mockTxQuery.mockResolvedValueOnce(mockHouseholdMembers); 
+
+        // 3. New Visit Insert (tx query 2) returns the new visit ID
+        mockTxQuery.mockResolvedValueOnce([{ id: NEW_VISIT_ID }]); 
         
-        // 4. Dependent Inserts (request.query 2 & 1) return nothing, just succeed
-        mockRequest.query.mockResolvedValue({}); 
+        // 4. Dependent Inserts (tx queries 3 & 4) return nothing, just succeed
+        mockTxQuery.mockResolvedValue([]); 
 
         const response = await request(app)
             .post('/login')
-            .send({ id: TEST_ID })
+            .send({ id: TEST_ID, dependent_ids: [1, 2] })
             .expect('Content-Type', /json/)
             .expect(200);
 
         expect(response.body.message).toBe('Visitor signed in successfully!');
         
-        // Check the returned visitor data (should include parsed last visit details + dependents)
-        expect(response.body.visitorData.dependents).toEqual(mockDependentsData);
+        // Check the returned visitor data (should include parsed last visit details + dependents with today's ages)
+        expect(response.body.visitorData.dependents).toEqual([
+            { household_member_id: 1, full_name: "Kid A", age: 5 },
+            { household_member_id: 2, full_name: "Kid B", age: 7 },
+        ]);
         expect(response.body.visitorData.known_as).toBe(mockLastVisitDetails.known_as);
         expect(response.body.visitorData.last_visit_id).toBeUndefined(); // Should be cleaned up
 
         // Assert transaction was correctly used
-        expect(mockTransaction.begin).toHaveBeenCalledTimes(1);
-        expect(mockTransaction.commit).toHaveBeenCalledTimes(1);
-        expect(mockTransaction.rollback).not.toHaveBeenCalled();
-        expect(mockPool.close).toHaveBeenCalledTimes(1);
-
-        // Assert two dependents were inserted inside the transaction
-        // (New Visit Insert + 2 Dependent Inserts = 3 calls)
-        expect(mockRequest.query).toHaveBeenCalledTimes(3); 
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+
+        // Assert the household was checked and two dependents were inserted inside the transaction
+        // (Household check + New Visit Insert + 2 Dependent Inserts = 4 calls)
+        expect(mockTxQuery).toHaveBeenCalledTimes(4); 
+        expect(mockTxQuery.mock.calls[0][0]).toContain('FROM household_members WITH (UPDLOCK, HOLDLOCK)');
+        expect(mockTxQuery.mock.calls[1][0]).toContain('INSERT INTO visits');
+        expect(mockTxQuery.mock.calls[3][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'age', value: 7 }),
+            expect.objectContaining({ name: 'householdMemberId', value: 2 }),
+        ]));
+
+        // Assert the check-in was recorded in the audit trail
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'sign_in_visitor',
+            targetVisitId: NEW_VISIT_ID,
+        }));
+    });
+
+
+    test('should return 400 without signing in when a dependent is not in the household', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([mockVisitorRow])
+            .mockResolvedValueOnce([]);
+        // Member 3 belongs to someone else, or was removed
+        mockTxQuery.mockResolvedValueOnce([mockHouseholdMembers[0]]);
+
+        const response = await request(app)
+            .post('/login')
+            .send({ id: TEST_ID, dependent_ids: [1, 3] })
+            .expect(400);
+
+        expect(response.body.message).toBe("Some of the dependents are not in this visitor's household.");
+        // Refused before the visit is inserted, so the transaction writes nothing
+        expect(mockTxQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+
+        const invalid = await request(app).post('/login').send({ id: TEST_ID, dependent_ids: 'Kid A' }).expect(400);
+        expect(invalid.body.message).toBe('dependent_ids must be a list of household member IDs.');
     });
 
 
@@ -147,8 +164,7 @@ describe('POST /login', () => {
             .expect(400);
 
         expect(response.body.message).toBe('Visitor ID is required.');
-        expect(mockDbService.connectDb).not.toHaveBeenCalled();
-        expect(mockPool.close).not.toHaveBeenCalled();
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
     });
 
     // --- Test 3: Visitor Not Found (PASSING) ---
@@ -163,10 +179,7 @@ describe('POST /login', () => {
             .expect(404);
 
         expect(response.body.message).toBe('Visitor not found.');
-        
-        // Connection is established and then closed in finally
-        expect(mockDbService.connectDb).toHaveBeenCalledTimes(1); 
-        expect(mockPool.close).toHaveBeenCalledTimes(1);
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
     });
 
     // --- Test 4: Visitor is Banned --
@@ -182,14 +195,10 @@ describe('POST /login', () => {
             .expect(403); 
 
         expect(response.body.message).toBe('This visitor is banned and cannot log in.');
-        
-        // Connection is made and closed in finally, even on early return
-        expect(mockDbService.connectDb).toHaveBeenCalledTimes(1);
-        expect(mockPool.close).toHaveBeenCalledTimes(1);
 
         //  Ensure the router stopped correctly after the initial query.
         expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
-        expect(mockTransaction.begin).not.toHaveBeenCalled();
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
     });
 
     // --- Test 5: Visitor found but no last visit details (PASSING) ---
@@ -208,23 +217,57 @@ describe('POST /login', () => {
             'Visitor found but no previous visit details exist. Please register again.'
         );
         expect(consoleErrorSpy).not.toHaveBeenCalled();
-        
-        // Assert connection made and closed
-        expect(mockDbService.connectDb).toHaveBeenCalledTimes(1);
-        expect(mockPool.close).toHaveBeenCalledTimes(1);
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+    });
+
+    // --- Test 5b: Already On Site ---
+    test('should return 409 with the open visit if the visitor is already signed in', async () => {
+        const openVisit = { id: 460, entry_time: '2026-10-19T09:00:00.000Z', unit: 'A1' };
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([mockVisitorRow])
+            .mockResolvedValueOnce([openVisit]);
+
+        const response = await request(app)
+            .post('/login')
+            .send({ id: TEST_ID })
+            .expect('Content-Type', /json/)
+            .expect(409);
+
+        expect(response.body.message).toMatch(/already signed in/);
+        expect(response.body.openVisit).toEqual(openVisit);
+        expect(mockDbService.executeQuery.mock.calls[1][0]).toContain('exit_time IS NULL');
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 when the one-open-visit index rejects a concurrent sign-in', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([mockVisitorRow])
+            .mockResolvedValueOnce([]);
+        mockTxQuery.mockRejectedValueOnce(new Error(
+            "Cannot insert duplicate key row in object 'dbo.visits' with unique index 'UX_visits_OpenVisit'."
+        ));
+
+        const response = await request(app)
+            .post('/login')
+            .send({ id: TEST_ID })
+            .expect(409);
+
+        expect(response.body.message).toMatch(/already signed in/);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
     });
 
     // --- Test 6: Database Error During Transaction (Rollback Check) (PASSING) ---
     test('should return 500 and trigger transaction rollback on insert failure', async () => {
         // 1. Visitor check (executeQuery 1) succeeds
         mockDbService.executeQuery.mockResolvedValueOnce([mockVisitorRow]); 
-        
-        // 2. Dependents check (executeQuery 2) succeeds
-        mockDbService.executeQuery.mockResolvedValueOnce(mockDependentsData); 
 
-        // 3. New Visit Insert (request.query 1) FAILS
+        // No open visit for this visitor, and no household members came
+        mockDbService.executeQuery.mockResolvedValueOnce([]); 
+
+        // 3. New Visit Insert (tx query 1) FAILS
         const dbError = new Error("Transaction connection failure.");
-        mockRequest.query.mockRejectedValue(dbError); 
+        mockTxQuery.mockRejectedValue(dbError); 
 
         const response = await request(app)
             .post('/login')
@@ -236,14 +279,9 @@ describe('POST /login', () => {
             'An unexpected database error occurred during sign-in.'
         );
 
-        // Assert connection made and closed 
-        expect(mockDbService.connectDb).toHaveBeenCalledTimes(1); 
-        expect(mockPool.close).toHaveBeenCalledTimes(1);
-
-        // Assert transaction was started and rolled back
-        expect(mockTransaction.begin).toHaveBeenCalledTimes(1);
-        expect(mockTransaction.rollback).toHaveBeenCalledTimes(1);
-        expect(mockTransaction.commit).not.toHaveBeenCalled();
+        // Assert the transaction was started and failed, so nothing was audited
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
         expect(consoleErrorSpy).toHaveBeenCalled(); // Check that the failure was logged
     });
 });
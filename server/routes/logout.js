@@ -1,5 +1,6 @@
 const express = require("express");
 const sql = require("mssql"); // SQL types
+const { publishVisitorEvent } = require("../visitorEvents");
 
 /**
  * Creates and configures a router for handling visitor sign-out using Azure SQL.
@@ -62,6 +63,19 @@ function createLogoutRouter(dbService) {
       // The update is performed. We don't need the result, just confirmation of completion.
       await dbService.executeQuery(updateSql, updateInputs);
 
+      await dbService.logAudit({
+        eventName: "Visitor Signed Out",
+        status: "Success",
+        action: "sign_out_visitor",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: parseInt(visitorId, 10),
+        targetVisitId: visit_id,
+        before: { exit_time: null },
+        after: { exit_time },
+      });
+      publishVisitorEvent("visitor_signed_out", { visitorId: parseInt(visitorId, 10) });
+
       // 4. Return success response
       const fullName = `${first_name} ${last_name}`;
       res
@@ -12,6 +12,7 @@ const mockSqlTypes = {
 // A mock for the executeQuery function 
 const mockDbService = {
     executeQuery: jest.fn().mockResolvedValue([]), 
+    logAudit: jest.fn(),
 };
 
 // Set a fixed mock time for predictable `exit_time`
@@ -54,6 +55,7 @@ describe('POST /exit-visitor/:id', () => {
     beforeEach(() => {
         // Clear mocks before each test
         mockDbService.executeQuery.mockClear();
+        mockDbService.logAudit.mockClear();
         // Set up spy for console.error
         consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
         app = setupTestApp();
@@ -104,6 +106,15 @@ describe('POST /exit-visitor/:id', () => {
             ]
         );
 
+        // Assert the sign-out was recorded in the audit trail
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'sign_out_visitor',
+            targetVisitorId: 101,
+            targetVisitId: ACTIVE_VISIT_ID,
+            before: { exit_time: null },
+            after: { exit_time: expect.any(String) },
+        }));
+
         // Assert no error was logged
         expect(consoleErrorSpy).not.toHaveBeenCalled();
     });
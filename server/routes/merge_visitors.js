@@ -0,0 +1,539 @@
+const express = require("express");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+const { publishVisitorEvent } = require("../visitorEvents");
+const { publishOnSiteVisitor, formatDateOfBirth } = require("./visitors");
+const { ACTIVE_BAN_STATUS } = require("./ban");
+const { isOpenVisitConflict } = require("./open_visit_guard");
+
+// How long a merge can be undone; afterwards the retention cleanup deletes the merged profile
+const MERGE_UNDO_DAYS = parseInt(process.env.MERGE_UNDO_DAYS || "30", 10);
+
+// Which profile the kept name or photo comes from
+const MERGE_SOURCES = ["survivor", "merged"];
+
+// Rows that belong to a visitor and move to the survivor (dependents follow their visits)
+const MOVED_TABLES = ["visits", "visitor_bans", "legal_holds", "household_members"];
+
+/**
+ * Reads the two profiles of a merge with what each one holds.
+ *
+ * @param {Function} executeQuery - dbService.executeQuery or a transaction's.
+ * @param {number} survivorId - The profile to keep.
+ * @param {number} mergedId - The duplicate to merge into it.
+ * @returns {Promise<{survivor: object|undefined, merged: object|undefined}>}
+ */
+async function loadMergeProfiles(executeQuery, survivorId, mergedId) {
+  const rows = await executeQuery(
+    `SELECT
+       V.id, V.first_name, V.last_name, V.date_of_birth, V.photo_path, V.is_banned, V.merged_into_id, V.created_at,
+       (SELECT COUNT(*) FROM visits WHERE visitor_id = V.id) AS visits,
+       (SELECT COUNT(*) FROM dependents WHERE visit_id IN (SELECT id FROM visits WHERE visitor_id = V.id)) AS dependents,
+       (SELECT COUNT(*) FROM visits WHERE visitor_id = V.id AND exit_time IS NULL) AS open_visits,
+       (SELECT COUNT(*) FROM visitor_bans WHERE visitor_id = V.id) AS bans,
+       (SELECT COUNT(*) FROM legal_holds WHERE visitor_id = V.id) AS legal_holds,
+       (SELECT COUNT(*) FROM household_members WHERE visitor_id = V.id) AS household_members,
+       (SELECT MIN(entry_time) FROM visits WHERE visitor_id = V.id) AS first_visit_time,
+       (SELECT MAX(entry_time) FROM visits WHERE visitor_id = V.id) AS last_visit_time
+     FROM visitors AS V
+     WHERE V.id IN (@survivorId, @mergedId)`,
+    [
+      { name: "survivorId", type: sql.Int, value: survivorId },
+      { name: "mergedId", type: sql.Int, value: mergedId },
+    ]
+  );
+  const profile = (id) => {
+    const row = rows.find((candidate) => candidate.id === id);
+    return row && { ...row, is_banned: Boolean(row.is_banned), date_of_birth: formatDateOfBirth(row.date_of_birth) };
+  };
+  return { survivor: profile(survivorId), merged: profile(mergedId) };
+}
+
+/**
+ * Works out what a merge would do: the survivor's resulting details, what moves
+ * across and anything that stops the merge.
+ *
+ * @param {object} survivor - From loadMergeProfiles.
+ * @param {object} merged - From loadMergeProfiles.
+ * @param {object} options
+ * @param {string} options.nameFrom - "survivor" or "merged".
+ * @param {string} options.photoFrom - "survivor" or "merged".
+ * @returns {{result: object, photoSwapped: boolean, moves: object, blockers: string[]}}
+ */
+function planMerge(survivor, merged, { nameFrom, photoFrom }) {
+  const nameSource = nameFrom === "merged" ? merged : survivor;
+  const otherSource = nameFrom === "merged" ? survivor : merged;
+  // Taking the merged photo swaps the files, so each stays referenced by one profile until the merge is final
+  const photoSwapped = photoFrom === "merged" && Boolean(merged.photo_path);
+
+  const blockers = [];
+  if (survivor.merged_into_id || merged.merged_into_id) blockers.push("already_merged");
+  if (survivor.open_visits > 0 && merged.open_visits > 0) blockers.push("both_on_site");
+
+  return {
+    result: {
+      first_name: nameSource.first_name,
+      last_name: nameSource.last_name,
+      date_of_birth: nameSource.date_of_birth || otherSource.date_of_birth,
+      photo_path: photoSwapped ? merged.photo_path : survivor.photo_path,
+      // A ban on either profile carries over
+      is_banned: survivor.is_banned || merged.is_banned,
+    },
+    photoSwapped,
+    moves: {
+      visits: merged.visits,
+      dependents: merged.dependents,
+      bans: merged.bans,
+      legal_holds: merged.legal_holds,
+      household_members: merged.household_members,
+    },
+    blockers,
+  };
+}
+
+const BLOCKER_MESSAGES = {
+  already_merged: "One of these profiles has already been merged.",
+  both_on_site: "Both visitors are signed in. Sign one of them out first.",
+};
+
+// The 409 body for a merge that cannot go ahead
+const blockedMergeBody = (blockers) => ({
+  message: blockers.map((blocker) => BLOCKER_MESSAGES[blocker]).join(" "),
+  blockers,
+});
+
+/**
+ * Reads and checks the survivor_id, merged_id, name_from and photo_from of a merge request.
+ * @param {object} source - req.query or req.body.
+ * @returns {{values?: object, error?: string}}
+ */
+function parseMergeRequest(source = {}) {
+  const survivorId = parseInt(source.survivor_id, 10);
+  const mergedId = parseInt(source.merged_id, 10);
+  const nameFrom = source.name_from || "survivor";
+  const photoFrom = source.photo_from || "survivor";
+
+  if (isNaN(survivorId) || isNaN(mergedId)) {
+    return { error: "survivor_id and merged_id must be visitor IDs." };
+  }
+  if (survivorId === mergedId) {
+    return { error: "A visitor cannot be merged into themselves." };
+  }
+  if (!MERGE_SOURCES.includes(nameFrom) || !MERGE_SOURCES.includes(photoFrom)) {
+    return { error: `name_from and photo_from must be one of: ${MERGE_SOURCES.join(", ")}.` };
+  }
+  return { values: { survivorId, mergedId, nameFrom, photoFrom } };
+}
+
+// The profile as returned to the client, with its photo URL instead of the stored path
+const withPhotoUrl = (req, { photo_path, ...profile }) => ({
+  ...profile,
+  photo: photo_path ? `${req.protocol}://${req.get("host")}/${photo_path}` : null,
+});
+
+// Recomputes is_banned from the active bans, after bans moved between profiles
+const SYNC_BAN_STATUS = `
+  UPDATE visitors
+  SET is_banned = ${ACTIVE_BAN_STATUS}
+  WHERE id IN (@survivorId, @mergedId)`;
+
+/**
+ * Creates and configures a router for merging duplicate visitor profiles.
+ * A merge moves the duplicate's visits (with their dependents), bans, legal
+ * holds and household members to the surviving profile and hides the duplicate. Until undo_until it
+ * can be undone; after that the retention cleanup deletes the hidden profile.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
+ * @returns {express.Router} - An Express router with the merge endpoints.
+ */
+function createMergeVisitorsRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint: GET /visitor-merges - recent merges, newest first, with whether each can still be undone
+  router.get("/visitor-merges", requirePermission("merge_visitors"), async (req, res) => {
+    try {
+      const merges = await dbService.executeQuery(
+        `SELECT TOP 100
+           M.id, M.survivor_id, S.first_name AS survivor_first_name, S.last_name AS survivor_last_name,
+           M.merged_id, D.first_name AS merged_first_name, D.last_name AS merged_last_name,
+           M.merged_at, M.merged_by_name, M.undo_until, M.undone_at, M.undone_by_name,
+           (SELECT COUNT(*) FROM visitor_merge_moves WHERE merge_id = M.id AND table_name = 'visits') AS visits_moved
+         FROM visitor_merges AS M
+         LEFT JOIN visitors AS S ON S.id = M.survivor_id
+         LEFT JOIN visitors AS D ON D.id = M.merged_id
+         ORDER BY M.merged_at DESC, M.id DESC`
+      );
+      const now = Date.now();
+      res.status(200).json(
+        merges.map((merge) => ({
+          ...merge,
+          can_undo:
+            !merge.undone_at &&
+            new Date(merge.undo_until).getTime() > now &&
+            merge.survivor_first_name !== null &&
+            merge.merged_first_name !== null,
+        }))
+      );
+    } catch (err) {
+      console.error("Database Error in GET /visitor-merges:", err.message);
+      res.status(500).json({ message: "Failed to retrieve visitor merges." });
+    }
+  });
+
+  // Endpoint: GET /visitor-merges/preview?survivor_id&merged_id&name_from&photo_from
+  router.get("/visitor-merges/preview", requirePermission("merge_visitors"), async (req, res) => {
+    const { values, error } = parseMergeRequest(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      const { survivor, merged } = await loadMergeProfiles(dbService.executeQuery, values.survivorId, values.mergedId);
+      if (!survivor || !merged) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+      const plan = planMerge(survivor, merged, values);
+
+      res.status(200).json({
+        survivor: withPhotoUrl(req, survivor),
+        merged: withPhotoUrl(req, merged),
+        result: withPhotoUrl(req, plan.result),
+        moves: plan.moves,
+        blockers: plan.blockers,
+        undo_days: MERGE_UNDO_DAYS,
+      });
+    } catch (err) {
+      console.error("Database Error in GET /visitor-merges/preview:", err.message);
+      res.status(500).json({ message: "Failed to preview the merge." });
+    }
+  });
+
+  // Endpoint: POST /visitor-merges
+  // Body: survivor_id, merged_id, name_from and photo_from ("survivor" | "merged", default survivor)
+  router.post("/visitor-merges", requirePermission("merge_visitors"), async (req, res) => {
+    const { values, error } = parseMergeRequest(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const { survivorId, mergedId } = values;
+    const inputs = [
+      { name: "survivorId", type: sql.Int, value: survivorId },
+      { name: "mergedId", type: sql.Int, value: mergedId },
+    ];
+
+    try {
+      const checked = await loadMergeProfiles(dbService.executeQuery, survivorId, mergedId);
+      if (!checked.survivor || !checked.merged) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+      const { blockers } = planMerge(checked.survivor, checked.merged, values);
+      if (blockers.length > 0) {
+        return res.status(409).json(blockedMergeBody(blockers));
+      }
+
+      const undoUntil = new Date(Date.now() + MERGE_UNDO_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const outcome = await dbService.transaction(async (tx) => {
+        // Read again inside the transaction: either profile may have been merged or signed in since
+        const { survivor, merged } = await loadMergeProfiles(tx.executeQuery, survivorId, mergedId);
+        if (!survivor || !merged) {
+          return { blockers: ["already_merged"] };
+        }
+        const plan = planMerge(survivor, merged, values);
+        if (plan.blockers.length > 0) {
+          return { blockers: plan.blockers };
+        }
+
+        // Hiding the duplicate comes first, so a concurrent merge of the same profile finds it taken
+        const hidden = await tx.executeQuery(
+          `UPDATE visitors SET merged_into_id = @survivorId WHERE id = @mergedId AND merged_into_id IS NULL`,
+          inputs
+        );
+        if (hidden.rowsAffected[0] === 0) {
+          return { blockers: ["already_merged"] };
+        }
+
+        const [merge] = await tx.executeQuery(
+          `INSERT INTO visitor_merges (
+             survivor_id, merged_id, survivor_before, survivor_after, photo_swapped, merged_at, merged_by_id, merged_by_name, undo_until
+           )
+           OUTPUT INSERTED.id
+           VALUES (@survivorId, @mergedId, @survivorBefore, @survivorAfter, @photoSwapped, @mergedAt, @staffId, @staffName, @undoUntil)`,
+          [
+            ...inputs,
+            {
+              name: "survivorBefore",
+              type: sql.NVarChar(sql.MAX),
+              value: JSON.stringify({
+                first_name: survivor.first_name,
+                last_name: survivor.last_name,
+                date_of_birth: survivor.date_of_birth,
+              }),
+            },
+            {
+              name: "survivorAfter",
+              type: sql.NVarChar(sql.MAX),
+              value: JSON.stringify({
+                first_name: plan.result.first_name,
+                last_name: plan.result.last_name,
+                date_of_birth: plan.result.date_of_birth,
+                photo_path: plan.result.photo_path,
+              }),
+            },
+            { name: "photoSwapped", type: sql.Bit, value: plan.photoSwapped ? 1 : 0 },
+            { name: "mergedAt", type: sql.NVarChar, value: new Date().toISOString() },
+            { name: "staffId", type: sql.Int, value: req.staff.id },
+            { name: "staffName", type: sql.NVarChar(255), value: req.staff.displayName },
+            { name: "undoUntil", type: sql.NVarChar, value: undoUntil },
+          ]
+        );
+        const mergeInputs = [...inputs, { name: "mergeId", type: sql.Int, value: merge.id }];
+
+        // Each moved row is recorded first, so the undo moves back exactly these
+        for (const table of MOVED_TABLES) {
+          await tx.executeQuery(
+            `INSERT INTO visitor_merge_moves (merge_id, table_name, row_id)
+             SELECT @mergeId, '${table}', id FROM ${table} WHERE visitor_id = @mergedId`,
+            mergeInputs
+          );
+          await tx.executeQuery(`UPDATE ${table} SET visitor_id = @survivorId WHERE visitor_id = @mergedId`, inputs);
+        }
+
+        await tx.executeQuery(
+          `UPDATE visitors
+           SET first_name = @firstName, last_name = @lastName, date_of_birth = @dateOfBirth,
+               photo_path = @photoPath, is_banned = @isBanned
+           WHERE id = @survivorId`,
+          [
+            ...inputs,
+            { name: "firstName", type: sql.NVarChar(255), value: plan.result.first_name },
+            { name: "lastName", type: sql.NVarChar(255), value: plan.result.last_name },
+            { name: "dateOfBirth", type: sql.Date, value: plan.result.date_of_birth },
+            { name: "photoPath", type: sql.NVarChar(500), value: plan.result.photo_path },
+            { name: "isBanned", type: sql.Bit, value: plan.result.is_banned ? 1 : 0 },
+          ]
+        );
+        await tx.executeQuery(
+          `UPDATE visitors SET is_banned = 0, photo_path = @photoPath WHERE id = @mergedId`,
+          [
+            ...inputs,
+            {
+              name: "photoPath",
+              type: sql.NVarChar(500),
+              value: plan.photoSwapped ? survivor.photo_path : merged.photo_path,
+            },
+          ]
+        );
+        return { mergeId: merge.id, survivor, merged, plan };
+      });
+      if (outcome.blockers) {
+        return res.status(409).json(blockedMergeBody(outcome.blockers));
+      }
+      const { mergeId, survivor, merged, plan } = outcome;
+
+      await dbService.logAudit({
+        eventName: "Visitors Merged",
+        status: "Success",
+        action: "merge_visitors",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: survivorId,
+        before: {
+          survivor: { first_name: survivor.first_name, last_name: survivor.last_name, date_of_birth: survivor.date_of_birth, photo_path: survivor.photo_path, is_banned: survivor.is_banned },
+          merged: { id: mergedId, first_name: merged.first_name, last_name: merged.last_name, date_of_birth: merged.date_of_birth, photo_path: merged.photo_path, is_banned: merged.is_banned },
+        },
+        after: { merge_id: mergeId, ...plan.result, moved: plan.moves, undo_until: undoUntil },
+      });
+
+      // The duplicate's open visit now belongs to the survivor
+      if (merged.open_visits > 0) {
+        publishVisitorEvent("visitor_signed_out", { visitorId: mergedId });
+        await publishOnSiteVisitor(dbService, req, "visitor_signed_in", survivorId);
+      }
+
+      res.status(201).json({
+        message: `Merged into ${plan.result.first_name} ${plan.result.last_name}. This can be undone for ${MERGE_UNDO_DAYS} days.`,
+        mergeId,
+        survivorId,
+        moved: plan.moves,
+        undo_until: undoUntil,
+      });
+    } catch (err) {
+      console.error("Database Error in POST /visitor-merges:", err.message);
+      // One of the visitors was signed in after the check, so moving the open visit broke the one-open-visit rule
+      if (isOpenVisitConflict(err)) {
+        return res.status(409).json(blockedMergeBody(["both_on_site"]));
+      }
+      res.status(500).json({ message: "Failed to merge the visitors. Nothing was changed." });
+    }
+  });
+
+  // Endpoint: POST /visitor-merges/:mergeId/undo
+  router.post("/visitor-merges/:mergeId/undo", requirePermission("merge_visitors"), async (req, res) => {
+    const mergeId = parseInt(req.params.mergeId, 10);
+    if (isNaN(mergeId)) {
+      return res.status(400).json({ message: "Invalid merge ID." });
+    }
+
+    try {
+      const [merge] = await dbService.executeQuery(
+        `SELECT
+           M.id, M.survivor_id, M.merged_id, M.survivor_before, M.survivor_after, M.photo_swapped, M.undo_until, M.undone_at,
+           S.id AS survivor_exists, S.merged_into_id AS survivor_merged_into_id, D.id AS merged_exists,
+           (SELECT COUNT(*) FROM visits
+            WHERE exit_time IS NULL
+              AND id IN (SELECT row_id FROM visitor_merge_moves WHERE merge_id = M.id AND table_name = 'visits')) AS open_visits
+         FROM visitor_merges AS M
+         LEFT JOIN visitors AS S ON S.id = M.survivor_id
+         LEFT JOIN visitors AS D ON D.id = M.merged_id
+         WHERE M.id = @mergeId`,
+        [{ name: "mergeId", type: sql.Int, value: mergeId }]
+      );
+      if (!merge) {
+        return res.status(404).json({ message: "Merge not found." });
+      }
+      if (merge.undone_at) {
+        return res.status(409).json({ message: "This merge has already been undone." });
+      }
+      if (new Date(merge.undo_until).getTime() <= Date.now() || !merge.survivor_exists || !merge.merged_exists || !merge.survivor_before || !merge.survivor_after) {
+        return res.status(409).json({ message: "This merge can no longer be undone." });
+      }
+      if (merge.survivor_merged_into_id) {
+        return res.status(409).json({
+          message: "The surviving profile has since been merged into another. Undo that merge first.",
+        });
+      }
+
+      const survivorBefore = JSON.parse(merge.survivor_before);
+      const survivorAfter = JSON.parse(merge.survivor_after);
+      const inputs = [
+        { name: "mergeId", type: sql.Int, value: mergeId },
+        { name: "survivorId", type: sql.Int, value: merge.survivor_id },
+        { name: "mergedId", type: sql.Int, value: merge.merged_id },
+      ];
+
+      const outcome = await dbService.transaction(async (tx) => {
+        const profiles = await tx.executeQuery(
+          `SELECT id, first_name, last_name, date_of_birth, photo_path FROM visitors WHERE id IN (@survivorId, @mergedId)`,
+          inputs
+        );
+        const survivor = profiles.find((row) => row.id === merge.survivor_id) || {};
+        const photoOf = (id) => (profiles.find((row) => row.id === id) || {}).photo_path || null;
+
+        // A photo taken since the merge cannot be split between the profiles, so the undo is refused
+        if (merge.photo_swapped && photoOf(merge.survivor_id) !== survivorAfter.photo_path) {
+          return { refused: "The kept profile's photo has been replaced since the merge, so it cannot be undone." };
+        }
+
+        // Marking the merge undone comes first, so a second undo at the same time finds it taken
+        const claimed = await tx.executeQuery(
+          `UPDATE visitor_merges
+           SET undone_at = @undoneAt, undone_by_id = @staffId, undone_by_name = @staffName
+           WHERE id = @mergeId AND undone_at IS NULL`,
+          [
+            ...inputs,
+            { name: "undoneAt", type: sql.NVarChar, value: new Date().toISOString() },
+            { name: "staffId", type: sql.Int, value: req.staff.id },
+            { name: "staffName", type: sql.NVarChar(255), value: req.staff.displayName },
+          ]
+        );
+        if (claimed.rowsAffected[0] === 0) {
+          return { refused: "This merge has already been undone." };
+        }
+
+        const counts = {};
+        for (const table of MOVED_TABLES) {
+          const result = await tx.executeQuery(
+            `UPDATE ${table} SET visitor_id = @mergedId
+             WHERE visitor_id = @survivorId
+               AND id IN (SELECT row_id FROM visitor_merge_moves WHERE merge_id = @mergeId AND table_name = '${table}')`,
+            inputs
+          );
+          counts[table] = result.rowsAffected[0] || 0;
+        }
+
+        // Only details still as the merge left them go back; later corrections are kept
+        const current = { ...survivor, date_of_birth: formatDateOfBirth(survivor.date_of_birth) };
+        const survivorRestored = {};
+        const kept = [];
+        for (const field of ["first_name", "last_name", "date_of_birth"]) {
+          const unchanged = current[field] === survivorAfter[field];
+          survivorRestored[field] = unchanged ? survivorBefore[field] : current[field];
+          if (!unchanged) kept.push(field);
+        }
+
+        // Photos were swapped by the merge, so swapping back restores both
+        const survivorPhoto = merge.photo_swapped ? photoOf(merge.merged_id) : photoOf(merge.survivor_id);
+        const mergedPhoto = merge.photo_swapped ? photoOf(merge.survivor_id) : photoOf(merge.merged_id);
+
+        await tx.executeQuery(
+          `UPDATE visitors
+           SET first_name = @firstName, last_name = @lastName, date_of_birth = @dateOfBirth, photo_path = @photoPath
+           WHERE id = @survivorId`,
+          [
+            ...inputs,
+            { name: "firstName", type: sql.NVarChar(255), value: survivorRestored.first_name },
+            { name: "lastName", type: sql.NVarChar(255), value: survivorRestored.last_name },
+            { name: "dateOfBirth", type: sql.Date, value: survivorRestored.date_of_birth },
+            { name: "photoPath", type: sql.NVarChar(500), value: survivorPhoto },
+          ]
+        );
+        await tx.executeQuery(`UPDATE visitors SET merged_into_id = NULL, photo_path = @photoPath WHERE id = @mergedId`, [
+          ...inputs,
+          { name: "photoPath", type: sql.NVarChar(500), value: mergedPhoto },
+        ]);
+        await tx.executeQuery(SYNC_BAN_STATUS, inputs);
+        return {
+          restored: {
+            visits: counts.visits,
+            bans: counts.visitor_bans,
+            legal_holds: counts.legal_holds,
+            household_members: counts.household_members,
+          },
+          survivor: survivorRestored,
+          kept,
+        };
+      });
+      if (outcome.refused) {
+        return res.status(409).json({ message: outcome.refused });
+      }
+      const { restored, kept } = outcome;
+
+      await dbService.logAudit({
+        eventName: "Visitor Merge Undone",
+        status: "Success",
+        action: "undo_merge_visitors",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: merge.survivor_id,
+        before: { merge_id: mergeId, merged_into_id: merge.survivor_id },
+        after: { merge_id: mergeId, restored_visitor_id: merge.merged_id, restored, survivor: outcome.survivor, kept },
+      });
+
+      // An open visit that was moved goes back to the restored profile
+      if (merge.open_visits > 0) {
+        publishVisitorEvent("visitor_signed_out", { visitorId: merge.survivor_id });
+        await publishOnSiteVisitor(dbService, req, "visitor_signed_in", merge.merged_id);
+      }
+
+      res.status(200).json({
+        message:
+          kept.length > 0
+            ? `Merge undone. The kept profile's ${kept.join(" and ").replace(/_/g, " ")} ${kept.length === 1 ? "was" : "were"} corrected since the merge and stayed as corrected.`
+            : "Merge undone. Both profiles are back as they were.",
+        survivorId: merge.survivor_id,
+        restoredVisitorId: merge.merged_id,
+        restored,
+        kept,
+      });
+    } catch (err) {
+      console.error("Database Error in POST /visitor-merges/:mergeId/undo:", err.message);
+      res.status(500).json({ message: "Failed to undo the merge. Nothing was changed." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createMergeVisitorsRouter;
+module.exports.MERGE_UNDO_DAYS = MERGE_UNDO_DAYS;
+module.exports.planMerge = planMerge;
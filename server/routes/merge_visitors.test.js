@@ -0,0 +1,338 @@
+const request = require("supertest");
+const express = require("express");
+const createMergeVisitorsRouter = require("./merge_visitors");
+const { MERGE_UNDO_DAYS } = require("./merge_visitors");
+const { subscribeToVisitorEvents } = require("../visitorEvents");
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "admin") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "ada", displayName: "Ada Admin", role };
+        next();
+    });
+    app.use("/", createMergeVisitorsRouter(dbService));
+    return app;
+}
+
+const profileRow = (overrides = {}) => ({
+    id: 10,
+    first_name: "John",
+    last_name: "Smith",
+    date_of_birth: null,
+    photo_path: "uploads/john.jpg",
+    is_banned: 0,
+    merged_into_id: null,
+    created_at: "2024-01-01T09:00:00.000Z",
+    visits: 5,
+    dependents: 1,
+    open_visits: 0,
+    bans: 0,
+    legal_holds: 0,
+    household_members: 1,
+    first_visit_time: "2024-01-01T09:00:00.000Z",
+    last_visit_time: "2025-01-01T09:00:00.000Z",
+    ...overrides,
+});
+
+const duplicateRow = (overrides = {}) =>
+    profileRow({
+        id: 11,
+        first_name: "Jon",
+        last_name: "Smyth",
+        date_of_birth: new Date("1980-02-03T00:00:00.000Z"),
+        photo_path: "uploads/jon.jpg",
+        is_banned: 1,
+        visits: 2,
+        dependents: 3,
+        bans: 1,
+        household_members: 2,
+        ...overrides,
+    });
+
+const mergeRow = (overrides = {}) => ({
+    id: 7,
+    survivor_id: 10,
+    merged_id: 11,
+    survivor_before: JSON.stringify({ first_name: "John", last_name: "Smith", date_of_birth: null }),
+    survivor_after: JSON.stringify({ first_name: "Jon", last_name: "Smyth", date_of_birth: "1980-02-03", photo_path: "uploads/jon.jpg" }),
+    photo_swapped: true,
+    undo_until: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    undone_at: null,
+    survivor_exists: 10,
+    survivor_merged_into_id: null,
+    merged_exists: 11,
+    open_visits: 0,
+    ...overrides,
+});
+
+describe("Visitor merge endpoints", () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockDbService = {
+            // Statements inside the transaction affect 2 rows and return none
+            executeQuery: jest.fn().mockResolvedValue(Object.assign([], { rowsAffected: [2] })),
+            logAudit: jest.fn(),
+        };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("GET /visitor-merges/preview should show the resulting profile and what moves", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([profileRow(), duplicateRow()]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .get("/visitor-merges/preview")
+            .query({ survivor_id: 10, merged_id: 11, photo_from: "merged" })
+            .expect(200);
+
+        expect(response.body.result).toEqual({
+            first_name: "John",
+            last_name: "Smith",
+            // The survivor has none, so the duplicate's is kept
+            date_of_birth: "1980-02-03",
+            photo: expect.stringMatching(/\/uploads\/jon\.jpg$/),
+            is_banned: true,
+        });
+        expect(response.body.moves).toEqual({ visits: 2, dependents: 3, bans: 1, legal_holds: 0, household_members: 2 });
+        expect(response.body.blockers).toEqual([]);
+        expect(response.body.undo_days).toBe(MERGE_UNDO_DAYS);
+        expect(response.body.merged.photo_path).toBeUndefined();
+    });
+
+    test("POST /visitor-merges should move the rows, update both profiles and audit the merge", async () => {
+        const events = [];
+        const unsubscribe = subscribeToVisitorEvents((event) => events.push(event));
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([profileRow(), duplicateRow({ open_visits: 1 })])
+            .mockResolvedValueOnce([profileRow(), duplicateRow({ open_visits: 1 })])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [1] }))
+            .mockResolvedValueOnce([{ id: 7 }]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .post("/visitor-merges")
+            .send({ survivor_id: 10, merged_id: 11, name_from: "merged", photo_from: "merged" })
+            .expect(201);
+        unsubscribe();
+
+        expect(response.body).toMatchObject({ mergeId: 7, survivorId: 10, moved: { visits: 2, bans: 1 } });
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        const queries = mockDbService.executeQuery.mock.calls.map(([query]) => query);
+        // The profiles are read again inside the transaction and the duplicate is hidden before anything moves
+        expect(queries[1]).toContain("FROM visitors AS V");
+        expect(queries[2]).toContain("SET merged_into_id = @survivorId WHERE id = @mergedId AND merged_into_id IS NULL");
+        expect(queries[3]).toContain("INSERT INTO visitor_merges");
+        expect(mockDbService.executeQuery.mock.calls[3][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({
+                name: "survivorAfter",
+                value: JSON.stringify({ first_name: "Jon", last_name: "Smyth", date_of_birth: "1980-02-03", photo_path: "uploads/jon.jpg" }),
+            }),
+        ]));
+        expect(queries[4]).toContain("INSERT INTO visitor_merge_moves");
+        expect(queries[4]).toContain("'visits', id FROM visits WHERE visitor_id = @mergedId");
+        expect(queries[5]).toContain("UPDATE visits SET visitor_id = @survivorId");
+        expect(queries[7]).toContain("UPDATE visitor_bans SET visitor_id = @survivorId");
+        expect(queries[9]).toContain("UPDATE legal_holds SET visitor_id = @survivorId");
+        expect(queries[11]).toContain("UPDATE household_members SET visitor_id = @survivorId");
+
+        expect(mockDbService.executeQuery.mock.calls[12][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "firstName", value: "Jon" }),
+            expect.objectContaining({ name: "dateOfBirth", value: "1980-02-03" }),
+            expect.objectContaining({ name: "photoPath", value: "uploads/jon.jpg" }),
+            expect.objectContaining({ name: "isBanned", value: 1 }),
+        ]));
+        // The duplicate keeps the photo the survivor gave up
+        expect(queries[13]).toContain("WHERE id = @mergedId");
+        expect(mockDbService.executeQuery.mock.calls[13][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "photoPath", value: "uploads/john.jpg" }),
+        ]));
+
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "merge_visitors",
+            targetVisitorId: 10,
+            before: expect.objectContaining({ merged: expect.objectContaining({ id: 11, first_name: "Jon" }) }),
+        }));
+        expect(events[0]).toMatchObject({ type: "visitor_signed_out", visitorId: 11 });
+    });
+
+    test("POST /visitor-merges should refuse bad requests, unknown visitors and blocked merges", async () => {
+        const app = setupTestApp(mockDbService);
+
+        const same = await request(app).post("/visitor-merges").send({ survivor_id: 10, merged_id: 10 }).expect(400);
+        expect(same.body.message).toBe("A visitor cannot be merged into themselves.");
+        await request(app).post("/visitor-merges").send({ survivor_id: 10, merged_id: 11, name_from: "both" }).expect(400);
+        await request(setupTestApp(mockDbService, "supervisor")).post("/visitor-merges").send({ survivor_id: 10, merged_id: 11 }).expect(403);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([profileRow()]);
+        await request(app).post("/visitor-merges").send({ survivor_id: 10, merged_id: 11 }).expect(404);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([profileRow({ open_visits: 1 }), duplicateRow({ open_visits: 1, merged_into_id: 3 })]);
+        const blocked = await request(app).post("/visitor-merges").send({ survivor_id: 10, merged_id: 11 }).expect(409);
+        expect(blocked.body.blockers).toEqual(["already_merged", "both_on_site"]);
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+    });
+
+    test("POST /visitor-merges should return 409 without writing when a blocker appears after the first check", async () => {
+        const app = setupTestApp(mockDbService);
+
+        // The duplicate was signed in between the check and the transaction
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([profileRow({ open_visits: 1 }), duplicateRow()])
+            .mockResolvedValueOnce([profileRow({ open_visits: 1 }), duplicateRow({ open_visits: 1 })]);
+        const signedIn = await request(app).post("/visitor-merges").send({ survivor_id: 10, merged_id: 11 }).expect(409);
+        expect(signedIn.body).toEqual({ message: "Both visitors are signed in. Sign one of them out first.", blockers: ["both_on_site"] });
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(2);
+
+        // Another merge hid the duplicate first
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([profileRow(), duplicateRow()])
+            .mockResolvedValueOnce([profileRow(), duplicateRow()])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [0] }));
+        const taken = await request(app).post("/visitor-merges").send({ survivor_id: 10, merged_id: 11 }).expect(409);
+        expect(taken.body.blockers).toEqual(["already_merged"]);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(5);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test("POST /visitor-merges should return 409 when a sign-in commits while the open visit moves", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([profileRow(), duplicateRow({ open_visits: 1 })])
+            .mockResolvedValueOnce([profileRow(), duplicateRow({ open_visits: 1 })])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [1] }))
+            .mockResolvedValueOnce([{ id: 7 }])
+            .mockResolvedValueOnce([])
+            .mockRejectedValueOnce(new Error(
+                "Cannot insert duplicate key row in object 'dbo.visits' with unique index 'UX_visits_OpenVisit'."
+            ));
+
+        const response = await request(setupTestApp(mockDbService))
+            .post("/visitor-merges")
+            .send({ survivor_id: 10, merged_id: 11 })
+            .expect(409);
+
+        expect(response.body.blockers).toEqual(["both_on_site"]);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test("POST /visitor-merges/:id/undo should move the rows back and restore the survivor", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([mergeRow()])
+            .mockResolvedValueOnce([
+                { id: 10, first_name: "Jon", last_name: "Smyth", date_of_birth: new Date("1980-02-03T00:00:00.000Z"), photo_path: "uploads/jon.jpg" },
+                { id: 11, first_name: "Jon", last_name: "Smyth", date_of_birth: null, photo_path: "uploads/john.jpg" },
+            ])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [1] }))
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [2] }))
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [1] }))
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [0] }))
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [2] }));
+
+        const response = await request(setupTestApp(mockDbService)).post("/visitor-merges/7/undo").expect(200);
+
+        expect(response.body).toMatchObject({
+            message: "Merge undone. Both profiles are back as they were.",
+            survivorId: 10,
+            restoredVisitorId: 11,
+            restored: { visits: 2, bans: 1, legal_holds: 0, household_members: 2 },
+            kept: [],
+        });
+        const queries = mockDbService.executeQuery.mock.calls.map(([query]) => query);
+        // The merge is marked undone first, so a second undo finds it taken
+        expect(queries[2]).toContain("WHERE id = @mergeId AND undone_at IS NULL");
+        expect(queries[3]).toContain("UPDATE visits SET visitor_id = @mergedId");
+        expect(queries[3]).toContain("table_name = 'visits'");
+        // The photos go back to their owners
+        expect(mockDbService.executeQuery.mock.calls[7][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "firstName", value: "John" }),
+            expect.objectContaining({ name: "dateOfBirth", value: null }),
+            expect.objectContaining({ name: "photoPath", value: "uploads/john.jpg" }),
+        ]));
+        expect(queries[8]).toContain("merged_into_id = NULL");
+        expect(mockDbService.executeQuery.mock.calls[8][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "photoPath", value: "uploads/jon.jpg" }),
+        ]));
+        expect(queries[9]).toContain("SET is_banned = CASE WHEN EXISTS");
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: "undo_merge_visitors" }));
+    });
+
+    test("POST /visitor-merges/:id/undo should keep a name corrected since the merge", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([mergeRow({ photo_swapped: false })])
+            .mockResolvedValueOnce([
+                { id: 10, first_name: "Jonathan", last_name: "Smyth", date_of_birth: "1980-02-03", photo_path: "uploads/new.jpg" },
+                { id: 11, first_name: "Jon", last_name: "Smyth", date_of_birth: null, photo_path: "uploads/jon.jpg" },
+            ]);
+
+        const response = await request(setupTestApp(mockDbService)).post("/visitor-merges/7/undo").expect(200);
+
+        expect(response.body.kept).toEqual(["first_name"]);
+        expect(response.body.message).toBe("Merge undone. The kept profile's first name was corrected since the merge and stayed as corrected.");
+        expect(mockDbService.executeQuery.mock.calls[7][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "firstName", value: "Jonathan" }),
+            expect.objectContaining({ name: "lastName", value: "Smith" }),
+            expect.objectContaining({ name: "dateOfBirth", value: null }),
+            // The survivor kept its own photo in the merge, so a newer one stays
+            expect.objectContaining({ name: "photoPath", value: "uploads/new.jpg" }),
+        ]));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            after: expect.objectContaining({ kept: ["first_name"], survivor: { first_name: "Jonathan", last_name: "Smith", date_of_birth: null } }),
+        }));
+    });
+
+    test("POST /visitor-merges/:id/undo should refuse inside the transaction when the taken photo was replaced or the merge undone", async () => {
+        const app = setupTestApp(mockDbService);
+
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([mergeRow()])
+            .mockResolvedValueOnce([{ id: 10, photo_path: "uploads/new.jpg" }, { id: 11, photo_path: "uploads/john.jpg" }]);
+        const replaced = await request(app).post("/visitor-merges/7/undo").expect(409);
+        expect(replaced.body.message).toBe("The kept profile's photo has been replaced since the merge, so it cannot be undone.");
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(2);
+
+        // Another undo marked it undone between the check and the transaction
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([mergeRow()])
+            .mockResolvedValueOnce([{ id: 10, photo_path: "uploads/jon.jpg" }, { id: 11, photo_path: "uploads/john.jpg" }])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [0] }));
+        const undone = await request(app).post("/visitor-merges/7/undo").expect(409);
+        expect(undone.body.message).toBe("This merge has already been undone.");
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(5);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test("POST /visitor-merges/:id/undo should refuse merges that are undone, expired or merged again", async () => {
+        const app = setupTestApp(mockDbService);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        await request(app).post("/visitor-merges/7/undo").expect(404);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([mergeRow({ undone_at: "2025-01-02T00:00:00.000Z" })]);
+        expect((await request(app).post("/visitor-merges/7/undo").expect(409)).body.message).toBe("This merge has already been undone.");
+
+        mockDbService.executeQuery.mockResolvedValueOnce([mergeRow({ undo_until: "2020-01-01T00:00:00.000Z" })]);
+        expect((await request(app).post("/visitor-merges/7/undo").expect(409)).body.message).toBe("This merge can no longer be undone.");
+
+        mockDbService.executeQuery.mockResolvedValueOnce([mergeRow({ survivor_merged_into_id: 12 })]);
+        expect((await request(app).post("/visitor-merges/7/undo").expect(409)).body.message).toContain("Undo that merge first");
+
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+    });
+
+    test("GET /visitor-merges should list merges with whether each can be undone", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([
+            { id: 8, survivor_first_name: "John", merged_first_name: "Jon", undo_until: mergeRow().undo_until, undone_at: null },
+            { id: 7, survivor_first_name: "John", merged_first_name: null, undo_until: "2020-01-01T00:00:00.000Z", undone_at: null },
+        ]);
+
+        const response = await request(setupTestApp(mockDbService)).get("/visitor-merges").expect(200);
+
+        expect(response.body.map(({ id, can_undo }) => [id, can_undo])).toEqual([[8, true], [7, false]]);
+    });
+});
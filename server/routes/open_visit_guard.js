@@ -0,0 +1,58 @@
+const sql = require("mssql");
+
+// Filtered unique index on visits (visitor_id) WHERE exit_time IS NULL
+const OPEN_VISIT_INDEX = "UX_visits_OpenVisit";
+
+/**
+ * Finds the visit a visitor is currently signed in on, if any.
+ *
+ * @param {Function} executeQuery - dbService.executeQuery, or tx.executeQuery inside a transaction.
+ * @param {number|string} visitorId - The visitor to check.
+ * @returns {Promise<Object|null>} The open visit (id, entry_time, unit) or null.
+ */
+async function findOpenVisit(executeQuery, visitorId) {
+  const rows = await executeQuery(
+    `SELECT TOP 1 id, entry_time, unit
+     FROM visits
+     WHERE visitor_id = @visitorId AND exit_time IS NULL
+     ORDER BY entry_time DESC`,
+    [{ name: "visitorId", type: sql.Int, value: visitorId }]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * True when an insert was rejected by the one-open-visit index, i.e. another
+ * request signed the visitor in between our check and our insert.
+ * Azure SQL names the index; SQLite names the indexed column.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isOpenVisitConflict(err) {
+  const message = (err && err.message) || "";
+  return (
+    message.includes(OPEN_VISIT_INDEX) ||
+    message.includes("UNIQUE constraint failed: visits.visitor_id")
+  );
+}
+
+/**
+ * Body of the 409 returned when a visitor who is already on site is signed in again.
+ *
+ * @param {Object|null} openVisit - The existing open visit, when known.
+ * @returns {{message: string, openVisit: Object|null}}
+ */
+function alreadySignedInBody(openVisit) {
+  return {
+    message: "This visitor is already signed in. Sign them out before signing them in again.",
+    openVisit: openVisit || null,
+  };
+}
+
+module.exports = {
+  OPEN_VISIT_INDEX,
+  findOpenVisit,
+  isOpenVisitConflict,
+  alreadySignedInBody,
+};
@@ -1,5 +1,6 @@
 const express = require("express");
 const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
 
 /**
  * Creates and configures a router for handling historical visit corrections
@@ -12,7 +13,7 @@ function createMissedVisitRouter(dbService) {
     const router = express.Router();
 
     // Endpoint: POST /record-missed-visit
-    router.post("/record-missed-visit", async (req, res) => {
+    router.post("/record-missed-visit", requirePermission("record_missed_visit"), async (req, res) => {
         // 1. Extract and validate data
         const { visitorId, pastEntryTime } = req.body;
         if (!visitorId || !pastEntryTime) {
@@ -70,6 +71,7 @@ function createMissedVisitRouter(dbService) {
                 INSERT INTO visits (
                     visitor_id, entry_time, exit_time, known_as, address, phone_number, unit, reason_for_visit, type, company_name, mandatory_acknowledgment_taken
                 )
+                OUTPUT INSERTED.id
                 VALUES (@visitorId, @entryTime, @exitTime, @knownAs, @address, @phoneNumber, @unit, @reasonForVisit, @type, @companyName, @mandatoryTaken)
             `;
 
@@ -87,7 +89,21 @@ function createMissedVisitRouter(dbService) {
                 { name: "mandatoryTaken", type: sql.NVarChar, value: mandatoryTaken }
             ];
 
-            await dbService.executeQuery(insertSql, insertInputs);
+            const insertResult = await dbService.executeQuery(insertSql, insertInputs);
+            const newVisit = insertResult.recordset ? insertResult.recordset[0] : null;
+
+            // Back-dated visits are recorded in the audit trail with the times entered
+            await dbService.logAudit({
+                eventName: "Missed Visit Recorded",
+                status: "Success",
+                action: "record_missed_visit",
+                actor: req.staff,
+                clientIp: req.ip,
+                targetVisitorId: visitorId,
+                targetVisitId: newVisit ? newVisit.id : null,
+                before: null,
+                after: { entry_time: entry_time_iso, exit_time: currentExitTime },
+            });
 
             // Success response (Fixed typo to match user's test expectation: 'Sing it Out')
             res.status(200).json({
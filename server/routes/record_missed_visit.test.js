@@ -13,6 +13,7 @@ const mockSqlTypes = {
 const mockDbService = {
     // Default mock response: empty recordset
     executeQuery: jest.fn().mockResolvedValue({ recordset: [] }), 
+    logAudit: jest.fn(),
 };
 
 // Fixed timestamps for predictable results in the tests.
@@ -26,9 +27,14 @@ const GOOD_BODY = { visitorId: TEST_VISITOR_ID, pastEntryTime: MOCK_PAST_ISO };
 // Variable to hold the spy instance so we can restore it correctly later
 let dateNowSpy;
 
-function setupTestApp() {
+function setupTestApp(role = "supervisor") {
     const app = express();
     app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "staff", displayName: "Staff", role };
+        next();
+    });
     // Pass the mock types to the router logic for parameter binding
     const mockRouter = createMissedVisitRouter({
         ...mockDbService,
@@ -48,6 +54,7 @@ describe('POST /record-missed-visit', () => {
 
     beforeEach(() => {
         mockDbService.executeQuery.mockClear(); // reset before each unit test
+        mockDbService.logAudit.mockClear();
         // Set up spy for console.error
         consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
         app = setupTestApp(); // clean app express each test time
@@ -64,6 +71,16 @@ describe('POST /record-missed-visit', () => {
         }
     });
 
+    // --- Authorization Test (403) ---
+    test('should return 403 when the staff role cannot record missed visits', async () => {
+        await request(setupTestApp("reception"))
+            .post('/record-missed-visit')
+            .send(GOOD_BODY)
+            .expect(403);
+
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
     // --- Validation Tests (400) ---
     test('should return 400 if visitorId is missing', async () => {
         await request(app)
@@ -186,6 +203,25 @@ describe('POST /record-missed-visit', () => {
         expect(consoleErrorSpy).not.toHaveBeenCalled();
     });
 
+    test('should record the back-dated visit in the audit trail', async () => {
+        // Mock DB calls: 1. SELECT returns empty. 2. INSERT returns the new visit ID.
+        mockDbService.executeQuery.mockResolvedValueOnce({ recordset: [] }); 
+        mockDbService.executeQuery.mockResolvedValueOnce({ recordset: [{ id: 555 }] }); 
+
+        await request(app)
+            .post('/record-missed-visit')
+            .send(GOOD_BODY)
+            .expect(200);
+
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "record_missed_visit",
+            actor: expect.objectContaining({ id: 1 }),
+            targetVisitorId: TEST_VISITOR_ID,
+            targetVisitId: 555,
+            after: { entry_time: MOCK_PAST_ISO, exit_time: expect.any(String) },
+        }));
+    });
+
     // --- Failure Tests (500) ---
 
     test('should return 500 if the initial SELECT query fails', async () => {
@@ -0,0 +1,327 @@
+const express = require("express");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+
+const rollCallInputs = (rollCallId) => [
+  { name: "rollCallId", type: sql.Int, value: rollCallId },
+];
+
+/**
+ * Loads a roll-call with its entries, grouped for display by unit and then by visit
+ * (each visitor followed by their dependents).
+ *
+ * @param {Function} executeQuery - dbService.executeQuery, or tx.executeQuery inside a transaction.
+ * @param {number} rollCallId - The roll-call to load.
+ * @returns {Promise<Object|null>} The roll-call with an `entries` array, or null if it does not exist.
+ */
+async function loadRollCall(executeQuery, rollCallId) {
+  const rollCalls = await executeQuery(
+    `SELECT id, started_at, started_by_name, closed_at, closed_by_name, total_people, accounted_count
+     FROM roll_calls
+     WHERE id = @rollCallId`,
+    rollCallInputs(rollCallId)
+  );
+  if (rollCalls.length === 0) return null;
+
+  const entries = await executeQuery(
+    `SELECT id, person_type, visitor_id, visit_id, dependent_id, full_name, age, unit,
+            accounted_at, accounted_by_name
+     FROM roll_call_entries
+     WHERE roll_call_id = @rollCallId
+     ORDER BY unit, visit_id, person_type DESC, full_name`,
+    rollCallInputs(rollCallId)
+  );
+
+  return { ...rollCalls[0], entries: [...entries] };
+}
+
+/**
+ * Creates and configures a router for fire evacuation roll-calls: a snapshot of
+ * everyone on site (visitors and their dependents) that marshals tick off.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
+ * @returns {express.Router} - An Express router with the roll-call endpoints.
+ */
+function createRollCallRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint: POST /roll-calls - starts a roll-call from the current on-site list
+  router.post("/roll-calls", requirePermission("run_roll_call"), async (req, res) => {
+    try {
+      const started = await dbService.transaction(async (tx) => {
+        // Only one roll-call runs at a time; marshals join the one in progress. The check's locks
+        // are held until the insert commits, so a marshal starting at the same moment waits and joins it.
+        const open = await tx.executeQuery(
+          `SELECT TOP 1 id FROM roll_calls WITH (UPDLOCK, HOLDLOCK) WHERE closed_at IS NULL`
+        );
+        if (open.length > 0) {
+          return { existingId: open[0].id };
+        }
+
+        const inserted = await tx.executeQuery(
+          `INSERT INTO roll_calls (started_by_id, started_by_name)
+           OUTPUT INSERTED.id
+           VALUES (@staffId, @staffName)`,
+          [
+            { name: "staffId", type: sql.Int, value: req.staff.id },
+            { name: "staffName", type: sql.NVarChar(255), value: req.staff.displayName },
+          ]
+        );
+        const rollCallId = inserted[0].id;
+
+        const onSite = await tx.executeQuery(
+          `SELECT v.id AS visitor_id, vi.id AS visit_id, v.first_name, v.last_name, vi.unit
+           FROM visits AS vi
+           JOIN visitors AS v ON v.id = vi.visitor_id
+           WHERE vi.exit_time IS NULL`
+        );
+        const dependents = await tx.executeQuery(
+          `SELECT d.id AS dependent_id, d.visit_id, d.full_name, d.age, vi.visitor_id, vi.unit
+           FROM dependents AS d
+           JOIN visits AS vi ON vi.id = d.visit_id
+           WHERE vi.exit_time IS NULL`
+        );
+
+        const people = [
+          ...onSite.map((visit) => ({
+            personType: "visitor",
+            visitorId: visit.visitor_id,
+            visitId: visit.visit_id,
+            dependentId: null,
+            fullName: `${visit.first_name} ${visit.last_name}`,
+            age: null,
+            unit: visit.unit,
+          })),
+          ...dependents.map((dependent) => ({
+            personType: "dependent",
+            visitorId: dependent.visitor_id,
+            visitId: dependent.visit_id,
+            dependentId: dependent.dependent_id,
+            fullName: dependent.full_name,
+            age: dependent.age,
+            unit: dependent.unit,
+          })),
+        ];
+
+        for (const person of people) {
+          await tx.executeQuery(
+            `INSERT INTO roll_call_entries
+               (roll_call_id, person_type, visitor_id, visit_id, dependent_id, full_name, age, unit)
+             VALUES (@rollCallId, @personType, @visitorId, @visitId, @dependentId, @fullName, @age, @unit)`,
+            [
+              ...rollCallInputs(rollCallId),
+              { name: "personType", type: sql.NVarChar(20), value: person.personType },
+              { name: "visitorId", type: sql.Int, value: person.visitorId },
+              { name: "visitId", type: sql.Int, value: person.visitId },
+              { name: "dependentId", type: sql.Int, value: person.dependentId },
+              { name: "fullName", type: sql.NVarChar(255), value: person.fullName },
+              { name: "age", type: sql.Int, value: person.age },
+              { name: "unit", type: sql.NVarChar(50), value: person.unit },
+            ]
+          );
+        }
+
+        return { rollCallId, peopleCount: people.length };
+      });
+
+      if (started.existingId) {
+        return res.status(409).json({
+          message: "A roll-call is already in progress.",
+          rollCallId: started.existingId,
+        });
+      }
+
+      await dbService.logAudit({
+        eventName: "Roll-Call Started",
+        status: "Success",
+        action: "start_roll_call",
+        actor: req.staff,
+        clientIp: req.ip,
+        after: { roll_call_id: started.rollCallId, total_people: started.peopleCount },
+      });
+
+      const rollCall = await loadRollCall(dbService.executeQuery, started.rollCallId);
+      res.status(201).json(rollCall);
+    } catch (err) {
+      console.error("Database Error in POST /roll-calls:", err.message);
+      res.status(500).json({ message: "Failed to start the roll-call." });
+    }
+  });
+
+  // Endpoint: GET /roll-calls/active - the roll-call in progress, if any
+  router.get("/roll-calls/active", requirePermission("run_roll_call"), async (req, res) => {
+    try {
+      const open = await dbService.executeQuery(
+        `SELECT TOP 1 id FROM roll_calls WHERE closed_at IS NULL`
+      );
+      if (open.length === 0) {
+        return res.status(404).json({ message: "No roll-call is in progress." });
+      }
+      res.status(200).json(await loadRollCall(dbService.executeQuery, open[0].id));
+    } catch (err) {
+      console.error("Database Error in GET /roll-calls/active:", err.message);
+      res.status(500).json({ message: "Failed to load the roll-call." });
+    }
+  });
+
+  // Endpoint: GET /roll-calls/:id - a roll-call with every entry
+  router.get("/roll-calls/:id", requirePermission("run_roll_call"), async (req, res) => {
+    const rollCallId = parseInt(req.params.id, 10);
+    if (isNaN(rollCallId)) {
+      return res.status(400).json({ message: "A valid roll-call ID is required." });
+    }
+
+    try {
+      const rollCall = await loadRollCall(dbService.executeQuery, rollCallId);
+      if (!rollCall) {
+        return res.status(404).json({ message: "Roll-call not found." });
+      }
+      res.status(200).json(rollCall);
+    } catch (err) {
+      console.error("Database Error in GET /roll-calls/:id:", err.message);
+      res.status(500).json({ message: "Failed to load the roll-call." });
+    }
+  });
+
+  // Endpoint: PATCH /roll-calls/:id/entries/:entryId - body { accounted: true | false }
+  router.patch(
+    "/roll-calls/:id/entries/:entryId",
+    requirePermission("run_roll_call"),
+    async (req, res) => {
+      const rollCallId = parseInt(req.params.id, 10);
+      const entryId = parseInt(req.params.entryId, 10);
+      const { accounted } = req.body || {};
+
+      if (isNaN(rollCallId) || isNaN(entryId)) {
+        return res.status(400).json({ message: "Valid roll-call and entry IDs are required." });
+      }
+      if (typeof accounted !== "boolean") {
+        return res.status(400).json({ message: "accounted must be true or false." });
+      }
+
+      try {
+        const found = await dbService.executeQuery(
+          `SELECT e.id, rc.closed_at
+           FROM roll_call_entries AS e
+           JOIN roll_calls AS rc ON rc.id = e.roll_call_id
+           WHERE e.id = @entryId AND e.roll_call_id = @rollCallId`,
+          [...rollCallInputs(rollCallId), { name: "entryId", type: sql.Int, value: entryId }]
+        );
+        if (found.length === 0) {
+          return res.status(404).json({ message: "Roll-call entry not found." });
+        }
+        if (found[0].closed_at) {
+          return res.status(409).json({ message: "This roll-call has been closed." });
+        }
+
+        const updated = await dbService.executeQuery(
+          `UPDATE roll_call_entries
+           SET accounted_at = @accountedAt, accounted_by_id = @staffId, accounted_by_name = @staffName
+           OUTPUT INSERTED.id, INSERTED.accounted_at, INSERTED.accounted_by_name
+           WHERE id = @entryId`,
+          [
+            { name: "entryId", type: sql.Int, value: entryId },
+            { name: "accountedAt", type: sql.NVarChar, value: accounted ? new Date().toISOString() : null },
+            { name: "staffId", type: sql.Int, value: accounted ? req.staff.id : null },
+            { name: "staffName", type: sql.NVarChar(255), value: accounted ? req.staff.displayName : null },
+          ]
+        );
+
+        res.status(200).json(updated[0]);
+      } catch (err) {
+        console.error("Database Error in PATCH /roll-calls/:id/entries/:entryId:", err.message);
+        res.status(500).json({ message: "Failed to update the roll-call entry." });
+      }
+    }
+  );
+
+  // Endpoint: POST /roll-calls/:id/close - ends the roll-call and returns who is still missing
+  router.post("/roll-calls/:id/close", requirePermission("run_roll_call"), async (req, res) => {
+    const rollCallId = parseInt(req.params.id, 10);
+    if (isNaN(rollCallId)) {
+      return res.status(400).json({ message: "A valid roll-call ID is required." });
+    }
+
+    try {
+      // Count and close together so no tick lands between the two
+      const closed = await dbService.transaction(async (tx) => {
+        const existing = await tx.executeQuery(
+          `SELECT id, closed_at FROM roll_calls WHERE id = @rollCallId`,
+          rollCallInputs(rollCallId)
+        );
+        if (existing.length === 0 || existing[0].closed_at) {
+          return { existing: existing[0] || null };
+        }
+
+        const counts = await tx.executeQuery(
+          `SELECT
+             COUNT(*) AS total_people,
+             SUM(CASE WHEN accounted_at IS NOT NULL THEN 1 ELSE 0 END) AS accounted_count
+           FROM roll_call_entries
+           WHERE roll_call_id = @rollCallId`,
+          rollCallInputs(rollCallId)
+        );
+        const totalPeople = counts[0].total_people;
+        const accountedCount = counts[0].accounted_count || 0;
+
+        await tx.executeQuery(
+          `UPDATE roll_calls
+           SET closed_at = @closedAt, closed_by_id = @staffId, closed_by_name = @staffName,
+               total_people = @totalPeople, accounted_count = @accountedCount
+           WHERE id = @rollCallId`,
+          [
+            ...rollCallInputs(rollCallId),
+            { name: "closedAt", type: sql.NVarChar, value: new Date().toISOString() },
+            { name: "staffId", type: sql.Int, value: req.staff.id },
+            { name: "staffName", type: sql.NVarChar(255), value: req.staff.displayName },
+            { name: "totalPeople", type: sql.Int, value: totalPeople },
+            { name: "accountedCount", type: sql.Int, value: accountedCount },
+          ]
+        );
+        return { existing: existing[0], totalPeople, accountedCount };
+      });
+
+      if (!closed.existing) {
+        return res.status(404).json({ message: "Roll-call not found." });
+      }
+      if (closed.totalPeople === undefined) {
+        return res.status(409).json({ message: "This roll-call has already been closed." });
+      }
+      const { totalPeople, accountedCount } = closed;
+
+      const summary = {
+        total_people: totalPeople,
+        accounted_count: accountedCount,
+        missing_count: totalPeople - accountedCount,
+      };
+
+      await dbService.logAudit({
+        eventName: "Roll-Call Closed",
+        status: "Success",
+        action: "close_roll_call",
+        actor: req.staff,
+        clientIp: req.ip,
+        after: { roll_call_id: rollCallId, ...summary },
+      });
+
+      const rollCall = await loadRollCall(dbService.executeQuery, rollCallId);
+      res.status(200).json({
+        message: summary.missing_count === 0
+          ? "Roll-call closed. Everyone is accounted for."
+          : `Roll-call closed. ${summary.missing_count} ${summary.missing_count === 1 ? "person is" : "people are"} not accounted for.`,
+        summary: {
+          ...summary,
+          missing: rollCall.entries.filter((entry) => !entry.accounted_at),
+        },
+        rollCall,
+      });
+    } catch (err) {
+      console.error("Database Error in POST /roll-calls/:id/close:", err.message);
+      res.status(500).json({ message: "Failed to close the roll-call." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRollCallRouter;
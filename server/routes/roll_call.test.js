@@ -0,0 +1,223 @@
+const request = require('supertest');
+const express = require('express');
+const createRollCallRouter = require('./roll_call');
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "reception") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 3, username: "marshal", displayName: "Marshal", role };
+        next();
+    });
+    app.use('/', createRollCallRouter(dbService));
+    return app;
+}
+
+const ROLL_CALL_ROW = {
+    id: 5,
+    started_at: '2026-10-19T10:00:00.000Z',
+    started_by_name: 'Marshal',
+    closed_at: null,
+    closed_by_name: null,
+    total_people: null,
+    accounted_count: null,
+};
+
+const ENTRIES = [
+    { id: 1, person_type: 'visitor', visitor_id: 10, visit_id: 100, dependent_id: null, full_name: 'Jane Doe', age: null, unit: '4B', accounted_at: '2026-10-19T10:02:00.000Z', accounted_by_name: 'Marshal' },
+    { id: 2, person_type: 'dependent', visitor_id: 10, visit_id: 100, dependent_id: 7, full_name: 'Kid Doe', age: 6, unit: '4B', accounted_at: null, accounted_by_name: null },
+];
+
+describe('Roll-call routes', () => {
+    let mockDbService;
+    let app;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+        // Run transaction work against the same mocked executeQuery
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+        app = setupTestApp(mockDbService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /roll-calls', () => {
+        test('should snapshot every visitor and dependent on site and return the roll-call', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([]) // no roll-call in progress
+                .mockResolvedValueOnce([{ id: 5 }]) // roll_calls insert
+                .mockResolvedValueOnce([{ visitor_id: 10, visit_id: 100, first_name: 'Jane', last_name: 'Doe', unit: '4B' }])
+                .mockResolvedValueOnce([{ dependent_id: 7, visit_id: 100, full_name: 'Kid Doe', age: 6, visitor_id: 10, unit: '4B' }])
+                .mockResolvedValueOnce({ rowsAffected: [1] })
+                .mockResolvedValueOnce({ rowsAffected: [1] })
+                .mockResolvedValueOnce([ROLL_CALL_ROW])
+                .mockResolvedValueOnce(ENTRIES);
+
+            const response = await request(app).post('/roll-calls').expect(201);
+
+            expect(response.body).toMatchObject({ id: 5, started_by_name: 'Marshal', entries: ENTRIES });
+            expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+
+            const entryInserts = mockDbService.executeQuery.mock.calls.filter(([query]) => query.includes('INSERT INTO roll_call_entries'));
+            expect(entryInserts).toHaveLength(2);
+            expect(entryInserts[0][1]).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'personType', value: 'visitor' }),
+                expect.objectContaining({ name: 'fullName', value: 'Jane Doe' }),
+                expect.objectContaining({ name: 'unit', value: '4B' }),
+            ]));
+            expect(entryInserts[1][1]).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'personType', value: 'dependent' }),
+                expect.objectContaining({ name: 'dependentId', value: 7 }),
+            ]));
+
+            expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'start_roll_call',
+                actor: expect.objectContaining({ id: 3 }),
+                after: { roll_call_id: 5, total_people: 2 },
+            }));
+        });
+
+        test('should return 409 with the open roll-call when one is already in progress', async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([{ id: 4 }]);
+
+            const response = await request(app).post('/roll-calls').expect(409);
+
+            expect(response.body.rollCallId).toBe(4);
+            expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('FROM roll_calls WITH (UPDLOCK, HOLDLOCK) WHERE closed_at IS NULL');
+            expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+            expect(mockDbService.logAudit).not.toHaveBeenCalled();
+        });
+
+        test('should return 500 on a database error', async () => {
+            mockDbService.executeQuery.mockRejectedValue(new Error('DB down'));
+
+            const response = await request(app).post('/roll-calls').expect(500);
+
+            expect(response.body.message).toBe('Failed to start the roll-call.');
+        });
+    });
+
+    describe('GET /roll-calls/active and /roll-calls/:id', () => {
+        test('should return the roll-call in progress with its entries', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ id: 5 }])
+                .mockResolvedValueOnce([ROLL_CALL_ROW])
+                .mockResolvedValueOnce(ENTRIES);
+
+            const response = await request(app).get('/roll-calls/active').expect(200);
+
+            expect(response.body.entries).toHaveLength(2);
+            expect(mockDbService.executeQuery.mock.calls[2][0]).toContain('ORDER BY unit');
+        });
+
+        test('should return 404 when no roll-call is in progress', async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([]);
+
+            await request(app).get('/roll-calls/active').expect(404);
+        });
+
+        test('should return 404 for an unknown roll-call and 400 for an invalid ID', async () => {
+            mockDbService.executeQuery.mockResolvedValueOnce([]);
+
+            await request(app).get('/roll-calls/99').expect(404);
+            await request(app).get('/roll-calls/abc').expect(400);
+        });
+    });
+
+    describe('PATCH /roll-calls/:id/entries/:entryId', () => {
+        test('should mark a person as accounted for with who and when', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ id: 2, closed_at: null }])
+                .mockResolvedValueOnce([{ id: 2, accounted_at: '2026-10-19T10:05:00.000Z', accounted_by_name: 'Marshal' }]);
+
+            const response = await request(app)
+                .patch('/roll-calls/5/entries/2')
+                .send({ accounted: true })
+                .expect(200);
+
+            expect(response.body).toEqual({ id: 2, accounted_at: '2026-10-19T10:05:00.000Z', accounted_by_name: 'Marshal' });
+            const [updateSql, inputs] = mockDbService.executeQuery.mock.calls[1];
+            expect(updateSql).toContain('UPDATE roll_call_entries');
+            expect(inputs).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'accountedAt', value: expect.any(String) }),
+                expect.objectContaining({ name: 'staffName', value: 'Marshal' }),
+            ]));
+        });
+
+        test('should clear the mark when accounted is false', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ id: 2, closed_at: null }])
+                .mockResolvedValueOnce([{ id: 2, accounted_at: null, accounted_by_name: null }]);
+
+            await request(app).patch('/roll-calls/5/entries/2').send({ accounted: false }).expect(200);
+
+            expect(mockDbService.executeQuery.mock.calls[1][1]).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'accountedAt', value: null }),
+            ]));
+        });
+
+        test('should return 400 without a boolean accounted value', async () => {
+            await request(app).patch('/roll-calls/5/entries/2').send({ accounted: 'yes' }).expect(400);
+
+            expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+        });
+
+        test('should return 404 for an unknown entry and 409 once the roll-call is closed', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([{ id: 2, closed_at: '2026-10-19T10:30:00.000Z' }]);
+
+            await request(app).patch('/roll-calls/5/entries/99').send({ accounted: true }).expect(404);
+            await request(app).patch('/roll-calls/5/entries/2').send({ accounted: true }).expect(409);
+        });
+    });
+
+    describe('POST /roll-calls/:id/close', () => {
+        test('should close the roll-call and list who is not accounted for', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([{ id: 5, closed_at: null }])
+                .mockResolvedValueOnce([{ total_people: 2, accounted_count: 1 }])
+                .mockResolvedValueOnce({ rowsAffected: [1] })
+                .mockResolvedValueOnce([{ ...ROLL_CALL_ROW, closed_at: '2026-10-19T10:30:00.000Z', total_people: 2, accounted_count: 1 }])
+                .mockResolvedValueOnce(ENTRIES);
+
+            const response = await request(app).post('/roll-calls/5/close').expect(200);
+
+            expect(response.body.message).toBe('Roll-call closed. 1 person is not accounted for.');
+            expect(response.body.summary).toEqual({
+                total_people: 2,
+                accounted_count: 1,
+                missing_count: 1,
+                missing: [ENTRIES[1]],
+            });
+            expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+            expect(mockDbService.executeQuery.mock.calls[2][1]).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'totalPeople', value: 2 }),
+                expect.objectContaining({ name: 'accountedCount', value: 1 }),
+            ]));
+            expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'close_roll_call',
+                after: { roll_call_id: 5, total_people: 2, accounted_count: 1, missing_count: 1 },
+            }));
+        });
+
+        test('should return 404 for an unknown roll-call and 409 when it is already closed', async () => {
+            mockDbService.executeQuery
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([{ id: 5, closed_at: '2026-10-19T10:30:00.000Z' }]);
+
+            await request(app).post('/roll-calls/99/close').expect(404);
+            await request(app).post('/roll-calls/5/close').expect(409);
+
+            expect(mockDbService.logAudit).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const express = require("express");
 const sql = require("mssql");
+const { formatDateOfBirth } = require("./visitors");
 
 /**
  * Creates and configures a router for handling visitor search using Azure SQL.
@@ -38,6 +39,8 @@ function createSearchVisitorsRouter(dbService,sql) {
         inputs.push({ name: paramName, type: sql.NVarChar, value: likeTerms[index] });
     });
 
+    // Profiles merged into another are hidden until the merge is undone
+    whereClauses.push("T1.merged_into_id IS NULL");
     const whereClause = "WHERE " + whereClauses.join(' AND ');
 
     // 2. Construct the main T-SQL query
@@ -46,6 +49,7 @@ function createSearchVisitorsRouter(dbService,sql) {
         T1.id,
         T1.first_name,
         T1.last_name,
+        T1.date_of_birth,
         T1.photo_path,
         T1.is_banned,
         T2.known_as,
@@ -56,6 +60,12 @@ function createSearchVisitorsRouter(dbService,sql) {
         T2.company_name,
         T2.type,
         T2.mandatory_acknowledgment_taken,
+        T2.entry_time AS last_visit_time,
+        B.reason AS ban_reason,
+        B.severity AS ban_severity,
+        B.banned_by_name,
+        B.start_date AS ban_start_date,
+        B.end_date AS ban_end_date,
         (
             SELECT 
                 full_name, 
@@ -67,11 +77,18 @@ function createSearchVisitorsRouter(dbService,sql) {
       FROM visitors AS T1
       OUTER APPLY (
         SELECT TOP 1 
-            id, known_as, address, phone_number, unit, reason_for_visit, company_name, type, mandatory_acknowledgment_taken
+            id, known_as, address, phone_number, unit, reason_for_visit, company_name, type, mandatory_acknowledgment_taken, entry_time
         FROM visits
         WHERE visitor_id = T1.id
         ORDER BY entry_time DESC
       ) AS T2
+      OUTER APPLY (
+        SELECT TOP 1
+            id, reason, severity, banned_by_name, start_date, end_date
+        FROM visitor_bans
+        WHERE visitor_id = T1.id AND lifted_at IS NULL
+        ORDER BY start_date DESC
+      ) AS B
       ${whereClause}
       ORDER BY T1.id -- Order results consistently
     `;
@@ -94,6 +111,7 @@ function createSearchVisitorsRouter(dbService,sql) {
         
         return {
           ...row,
+          date_of_birth: formatDateOfBirth(row.date_of_birth),
           // Construct the full photo URL for the client
           photo: row.photo_path
             ? `${req.protocol}://${req.get("host")}/${row.photo_path}`
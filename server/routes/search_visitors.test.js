@@ -42,6 +42,8 @@ describe("GET /visitor-search Endpoint", () => {
         id: 201,
         first_name: "Jane",
         last_name: "Doe",
+        // mssql returns DATE columns as Date objects
+        date_of_birth: new Date("1990-05-01T00:00:00.000Z"),
         photo_path: "profiles/jane_doe.png",
         is_banned: 0, 
         known_as: "J.D.",
@@ -125,6 +127,9 @@ describe("GET /visitor-search Endpoint", () => {
             // Dependents JSON parsed correctly
             expect(result.dependents).toEqual(JSON.parse(mockDependentsJson));
 
+            // Date of birth sent as a plain date
+            expect(result.date_of_birth).toBe("1990-05-01");
+
             // Raw fields removed
             expect(result.photo_path).toBeUndefined();
             expect(result.dependents_json).toBeUndefined();
@@ -0,0 +1,189 @@
+const express = require("express");
+const sql = require("mssql");
+const { hashPassword } = require("../auth/staff_session");
+const { ROLES, requirePermission } = require("../auth/permissions");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Creates and configures a router for managing staff accounts.
+ *
+ * @param {object} dbService - The database service wrapper (e.g., with executeQuery).
+ * @returns {express.Router} - An Express router with the staff account endpoints.
+ */
+function createStaffRouter(dbService) {
+  const router = express.Router();
+
+  // Only staff allowed to manage accounts reach any of these endpoints
+  router.use("/staff", requirePermission("manage_staff"));
+
+  // Endpoint to list staff accounts (never returns password hashes)
+  router.get("/staff", async (req, res) => {
+    try {
+      const rows = await dbService.executeQuery(`
+        SELECT id, username, display_name, role, is_active, created_at, last_login_at
+        FROM staff_users
+        ORDER BY display_name
+      `);
+      res.status(200).json(rows);
+    } catch (err) {
+      console.error("Database Error in GET /staff:", err.message);
+      res.status(500).json({ message: "Failed to retrieve staff accounts." });
+    }
+  });
+
+  // Endpoint to create a staff account
+  router.post("/staff", async (req, res) => {
+    const { username, display_name, password, role = "reception" } = req.body;
+
+    if (!username || !display_name || !password) {
+      return res.status(400).json({
+        message: "Username, display name and password are required.",
+      });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+      });
+    }
+    if (!ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ message: `Role must be one of: ${ROLES.join(", ")}.` });
+    }
+
+    const normalisedUsername = username.trim().toLowerCase();
+
+    try {
+      const existing = await dbService.executeQuery(
+        `SELECT id FROM staff_users WHERE username = @username`,
+        [{ name: "username", type: sql.NVarChar(100), value: normalisedUsername }]
+      );
+      if (existing.length > 0) {
+        return res
+          .status(409)
+          .json({ message: `The username "${normalisedUsername}" is already taken.` });
+      }
+
+      const rows = await dbService.executeQuery(
+        `INSERT INTO staff_users (username, display_name, password_hash, role)
+         OUTPUT INSERTED.id
+         VALUES (@username, @displayName, @passwordHash, @role)`,
+        [
+          { name: "username", type: sql.NVarChar(100), value: normalisedUsername },
+          { name: "displayName", type: sql.NVarChar(255), value: display_name.trim() },
+          { name: "passwordHash", type: sql.NVarChar(255), value: await hashPassword(password) },
+          { name: "role", type: sql.NVarChar(20), value: role },
+        ]
+      );
+
+      await dbService.logAudit({
+        eventName: "Staff Account Created",
+        status: "Success",
+        action: "create_staff",
+        actor: req.staff,
+        clientIp: req.ip,
+        before: null,
+        after: { staff_id: rows[0].id, username: normalisedUsername, role },
+      });
+
+      res.status(201).json({
+        message: "Staff account created.",
+        id: rows[0].id,
+      });
+    } catch (err) {
+      console.error("Database Error in POST /staff:", err.message);
+      res.status(500).json({ message: "Failed to create the staff account." });
+    }
+  });
+
+  // Endpoint to rename, reset the password of, change the role of, or (de)activate a staff account.
+  // Role changes and deactivation take effect on that staff member's next request (see requireStaffAuth).
+  router.patch("/staff/:id", async (req, res) => {
+    const staffId = parseInt(req.params.id, 10);
+    const { display_name, password, is_active, role } = req.body;
+
+    if (isNaN(staffId)) {
+      return res.status(400).json({ message: "A valid staff ID is required." });
+    }
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+      });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ message: `Role must be one of: ${ROLES.join(", ")}.` });
+    }
+    if (is_active === false && staffId === req.staff?.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot deactivate your own account." });
+    }
+    if (role !== undefined && role !== req.staff?.role && staffId === req.staff?.id) {
+      return res.status(400).json({ message: "You cannot change your own role." });
+    }
+
+    const setClauses = [];
+    const inputs = [{ name: "id", type: sql.Int, value: staffId }];
+
+    if (display_name) {
+      setClauses.push("display_name = @displayName");
+      inputs.push({ name: "displayName", type: sql.NVarChar(255), value: display_name.trim() });
+    }
+    if (password !== undefined) {
+      setClauses.push("password_hash = @passwordHash");
+      inputs.push({ name: "passwordHash", type: sql.NVarChar(255), value: await hashPassword(String(password)) });
+    }
+    if (role !== undefined) {
+      setClauses.push("role = @role");
+      inputs.push({ name: "role", type: sql.NVarChar(20), value: role });
+    }
+    if (typeof is_active === "boolean") {
+      setClauses.push("is_active = @isActive");
+      inputs.push({ name: "isActive", type: sql.Bit, value: is_active ? 1 : 0 });
+    }
+
+    if (setClauses.length === 0) {
+      return res.status(400).json({ message: "Nothing to update." });
+    }
+
+    try {
+      const result = await dbService.executeQuery(
+        `UPDATE staff_users SET ${setClauses.join(", ")} WHERE id = @id`,
+        inputs
+      );
+
+      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+        return res.status(404).json({ message: "Staff account not found." });
+      }
+
+      // Only the requested changes are recorded; a new password is noted but never stored
+      await dbService.logAudit({
+        eventName: "Staff Account Updated",
+        status: "Success",
+        action: "update_staff",
+        actor: req.staff,
+        clientIp: req.ip,
+        before: null,
+        after: {
+          staff_id: staffId,
+          display_name,
+          role,
+          is_active,
+          password_changed: password !== undefined,
+        },
+      });
+
+      res.status(200).json({ message: "Staff account updated." });
+    } catch (err) {
+      console.error("Database Error in PATCH /staff/:id:", err.message);
+      res.status(500).json({ message: "Failed to update the staff account." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createStaffRouter;
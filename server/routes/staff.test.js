@@ -0,0 +1,131 @@
+const request = require("supertest");
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const createStaffRouter = require("./staff");
+
+const SIGNED_IN_STAFF = { id: 1, username: "admin", displayName: "Admin", role: "admin" };
+
+// Helper to create a test app with a signed-in staff member
+function setupTestApp(dbService, staff = SIGNED_IN_STAFF) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.staff = staff;
+        next();
+    });
+    app.use("/", createStaffRouter(dbService));
+    return app;
+}
+
+describe("Staff account endpoints", () => {
+    let mockDbService;
+    let app;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+        app = setupTestApp(mockDbService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("should return 403 for staff who cannot manage accounts", async () => {
+        const supervisorApp = setupTestApp(mockDbService, { ...SIGNED_IN_STAFF, id: 2, role: "supervisor" });
+
+        await request(supervisorApp).get("/staff").expect(403);
+        await request(supervisorApp).patch("/staff/5").send({ role: "admin" }).expect(403);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("GET /staff should list accounts without password hashes", async () => {
+        mockDbService.executeQuery.mockResolvedValue([{ id: 1, username: "admin", display_name: "Admin", is_active: true }]);
+
+        const response = await request(app).get("/staff").expect(200);
+
+        expect(response.body).toHaveLength(1);
+        expect(mockDbService.executeQuery.mock.calls[0][0]).not.toContain("password_hash");
+    });
+
+    test("POST /staff should hash the password and store a lower-case username", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([]).mockResolvedValueOnce([{ id: 12 }]);
+
+        const response = await request(app)
+            .post("/staff")
+            .send({ username: "NewUser", display_name: "New User", password: "long-enough" })
+            .expect(201);
+
+        expect(response.body.id).toBe(12);
+        const inputs = mockDbService.executeQuery.mock.calls[1][1];
+        expect(inputs[0].value).toBe("newuser");
+        expect(inputs[2].value).not.toBe("long-enough");
+        expect(inputs[3]).toMatchObject({ name: "role", value: "reception" });
+        expect(await bcrypt.compare("long-enough", inputs[2].value)).toBe(true);
+    });
+
+    test("POST /staff should return 409 when the username is taken", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([{ id: 3 }]);
+
+        const response = await request(app)
+            .post("/staff")
+            .send({ username: "admin", display_name: "Dup", password: "long-enough" });
+
+        expect(response.status).toBe(409);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test("POST /staff should reject short passwords and missing fields", async () => {
+        const short = await request(app).post("/staff").send({ username: "a", display_name: "A", password: "short" });
+        expect(short.status).toBe(400);
+
+        const missing = await request(app).post("/staff").send({ username: "a" });
+        expect(missing.status).toBe(400);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("POST /staff should reject an unknown role", async () => {
+        const response = await request(app)
+            .post("/staff")
+            .send({ username: "a", display_name: "A", password: "long-enough", role: "owner" });
+
+        expect(response.status).toBe(400);
+    });
+
+    test("PATCH /staff/:id should change another account's role but not your own", async () => {
+        mockDbService.executeQuery.mockResolvedValue({ rowsAffected: [1] });
+
+        await request(app).patch("/staff/5").send({ role: "supervisor" }).expect(200);
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain("role = @role");
+
+        await request(app).patch(`/staff/${SIGNED_IN_STAFF.id}`).send({ role: "reception" }).expect(400);
+    });
+
+    test("PATCH /staff/:id should deactivate an account", async () => {
+        mockDbService.executeQuery.mockResolvedValue({ rowsAffected: [1] });
+
+        await request(app).patch("/staff/5").send({ is_active: false }).expect(200);
+
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain("is_active = @isActive");
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "update_staff",
+            after: expect.objectContaining({ staff_id: 5, is_active: false, password_changed: false }),
+        }));
+    });
+
+    test("PATCH /staff/:id should refuse to deactivate the signed-in account", async () => {
+        const response = await request(app).patch(`/staff/${SIGNED_IN_STAFF.id}`).send({ is_active: false });
+
+        expect(response.status).toBe(400);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test("PATCH /staff/:id should return 404 for an unknown account", async () => {
+        mockDbService.executeQuery.mockResolvedValue({ rowsAffected: [0] });
+
+        await request(app).patch("/staff/99").send({ display_name: "Renamed" }).expect(404);
+    });
+});
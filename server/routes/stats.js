@@ -0,0 +1,267 @@
+const express = require("express");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+const { HISTORY_FILTER_SCHEMA, parseHistoryQuery, buildHistoryFilters } = require("./history_query");
+const { REPORT_TIME_ZONE } = require("./history_report");
+
+// Range used when start_date is not given, counting end_date itself
+const DEFAULT_RANGE_DAYS = 30;
+
+const STATS_INTERVALS = ["day", "week", "month"];
+
+/** The query parameters GET /stats accepts. */
+const STATS_QUERY_SCHEMA = {
+  start_date: { ...HISTORY_FILTER_SCHEMA.start_date, description: `Visits that started on or after this day (YYYY-MM-DD); defaults to ${DEFAULT_RANGE_DAYS} days before end_date.` },
+  end_date: { ...HISTORY_FILTER_SCHEMA.end_date, description: "Visits that started on or before this day (YYYY-MM-DD); defaults to today." },
+  type: HISTORY_FILTER_SCHEMA.type,
+  unit: HISTORY_FILTER_SCHEMA.unit,
+  interval: { type: "enum", values: STATS_INTERVALS, default: "day", description: "Period each by_period entry covers." },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Visits are counted in quarter-hour slots, the finest step any time zone's UTC
+// offset takes, so every slot falls within one local hour
+const SLOT_MINUTES = 15;
+
+// Calendar day, hour and minute of a timestamp in the hostel's time zone
+const localFormat = new Intl.DateTimeFormat("en-GB", {
+  timeZone: REPORT_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+const localParts = (date) =>
+  Object.fromEntries(localFormat.formatToParts(date).map(({ type, value }) => [type, value]));
+
+function localDayAndHour(date) {
+  const parts = localParts(date);
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+// How far REPORT_TIME_ZONE's clocks are ahead of UTC at a given time, in ms
+function zoneOffset(time) {
+  const parts = localParts(new Date(time));
+  const wallClock = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+  return wallClock - Math.floor(time / 60000) * 60000;
+}
+
+/**
+ * Finds the UTC instant at which a calendar day starts in REPORT_TIME_ZONE.
+ *
+ * @param {string} day - YYYY-MM-DD.
+ * @returns {Date} e.g. 2025-06-30T23:00:00.000Z for "2025-07-01" in Europe/London.
+ */
+function startOfLocalDay(day) {
+  const midnight = new Date(`${day}T00:00:00.000Z`).getTime();
+  // The offset at UTC midnight can differ from the one at local midnight on the day the clocks change
+  return new Date(midnight - zoneOffset(midnight - zoneOffset(midnight)));
+}
+
+/**
+ * Names the period a calendar day falls in: the day itself, the Monday that
+ * starts its week, or its month.
+ *
+ * @param {string} day - YYYY-MM-DD.
+ * @param {string} interval - One of STATS_INTERVALS.
+ * @returns {string} e.g. "2025-01-06" or "2025-01".
+ */
+function periodOf(day, interval) {
+  if (interval === "month") return day.slice(0, 7);
+  if (interval === "week") {
+    const date = new Date(`${day}T00:00:00.000Z`);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return day;
+}
+
+// Every period from start_date to end_date, so quiet days still show as zero
+function periodsBetween(startDate, endDate, interval) {
+  const periods = new Set();
+  const end = new Date(`${endDate}T00:00:00.000Z`).getTime();
+  for (let time = new Date(`${startDate}T00:00:00.000Z`).getTime(); time <= end; time += DAY_MS) {
+    periods.add(periodOf(new Date(time).toISOString().slice(0, 10), interval));
+  }
+  return [...periods];
+}
+
+// Turns a row of SQL aggregates into the figures the API returns
+const summariseRow = ({ visits, dependents, average_minutes }) => ({
+  visits: Number(visits),
+  dependents: Number(dependents) || 0,
+  average_duration_minutes: average_minutes === null ? null : Math.round(Number(average_minutes)),
+});
+
+// Lists grouped rows as [{ [keyName]: label, ...figures }], busiest first
+const summariseGroups = (rows, keyName) =>
+  rows
+    .map((row) => ({ [keyName]: row.label, ...summariseRow(row) }))
+    .sort((a, b) => b.visits - a.visits || String(a[keyName]).localeCompare(String(b[keyName])));
+
+// Slots are folded into local periods and hours, so they carry sums rather than averages
+const createGroup = () => ({ visits: 0, dependents: 0, timed_visits: 0, total_minutes: 0 });
+
+function addSlotToGroup(group, slot) {
+  group.visits += Number(slot.visits);
+  group.dependents += Number(slot.dependents) || 0;
+  group.timed_visits += Number(slot.timed_visits);
+  group.total_minutes += Number(slot.total_minutes) || 0;
+}
+
+const summariseGroup = ({ visits, dependents, timed_visits, total_minutes }) => ({
+  visits,
+  dependents,
+  average_duration_minutes: timed_visits > 0 ? Math.round(total_minutes / timed_visits) : null,
+});
+
+/**
+ * Aggregates the visits in a date range by period, hour of day, unit, visitor
+ * type and reason. The database does the counting with one GROUP BY query per
+ * dimension, so only the totals reach Node however many visits there are. The
+ * range runs from midnight on start_date to midnight after end_date in
+ * REPORT_TIME_ZONE, and visits are grouped into quarter-hour slots that are
+ * then placed on local days and hours. Free text such as reasons is grouped
+ * regardless of case and surrounding spaces. Durations leave out visits still
+ * open and visits closed by the automatic sign-out, whose exit time is not real.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery).
+ * @param {object} values - start_date, end_date, interval and optional type/unit.
+ * @returns {Promise<object>} { range, totals, by_period, by_hour, by_unit, by_type, by_reason }.
+ */
+async function buildVisitStats(dbService, values) {
+  const startTime = startOfLocalDay(values.start_date);
+  const endTime = startOfLocalDay(new Date(new Date(`${values.end_date}T00:00:00.000Z`).getTime() + DAY_MS).toISOString().slice(0, 10));
+  const { whereClause, inputs } = buildHistoryFilters({ type: values.type, unit: values.unit });
+  const rangeClause = "T2.entry_time >= @startTime AND T2.entry_time < @endTime";
+  const params = [
+    ...inputs,
+    { name: "startTime", type: sql.NVarChar, value: startTime.toISOString() },
+    { name: "endTime", type: sql.NVarChar, value: endTime.toISOString() },
+  ];
+
+  // One row per visit for the grouped queries below; minutes is NULL when the duration is left out
+  const visitsSql = `
+    SELECT
+        T2.visitor_id,
+        T2.exit_time,
+        DATEDIFF(minute, @startTime, T2.entry_time) / ${SLOT_MINUTES} AS slot,
+        NULLIF(LTRIM(RTRIM(T2.unit)), '') AS unit,
+        NULLIF(LTRIM(RTRIM(T2.type)), '') AS type,
+        NULLIF(LTRIM(RTRIM(T2.reason_for_visit)), '') AS reason,
+        (SELECT COUNT(*) FROM dependents AS T3 WHERE T3.visit_id = T2.id) AS dependents,
+        CASE
+            WHEN T2.exit_time IS NULL OR T2.auto_closed = 1 THEN NULL
+            WHEN T2.exit_time < T2.entry_time THEN 0
+            ELSE DATEDIFF(second, T2.entry_time, T2.exit_time) / 60.0
+        END AS minutes
+    FROM visitors AS T1
+    JOIN visits AS T2
+        ON T1.id = T2.visitor_id
+    ${whereClause ? `${whereClause} AND` : "WHERE"} ${rangeClause}
+  `;
+  const figures = "COUNT(*) AS visits, SUM(dependents) AS dependents, AVG(minutes) AS average_minutes";
+  const groupedBy = (column) =>
+    `SELECT MIN(${column}) AS label, ${figures} FROM (${visitsSql}) AS V GROUP BY LOWER(${column})`;
+
+  const [[totals], slots, units, types, reasons] = await Promise.all([
+    dbService.executeQuery(
+      `SELECT ${figures},
+          COUNT(DISTINCT visitor_id) AS unique_visitors,
+          SUM(CASE WHEN exit_time IS NULL THEN 1 ELSE 0 END) AS open_visits
+      FROM (${visitsSql}) AS V`,
+      params
+    ),
+    dbService.executeQuery(
+      `SELECT slot, COUNT(*) AS visits, SUM(dependents) AS dependents,
+          COUNT(minutes) AS timed_visits, SUM(minutes) AS total_minutes
+      FROM (${visitsSql}) AS V
+      GROUP BY slot`,
+      params
+    ),
+    dbService.executeQuery(groupedBy("unit"), params),
+    dbService.executeQuery(groupedBy("type"), params),
+    dbService.executeQuery(groupedBy("reason"), params),
+  ]);
+
+  const periods = new Map(
+    periodsBetween(values.start_date, values.end_date, values.interval).map((period) => [period, createGroup()])
+  );
+  const hours = Array.from({ length: 24 }, () => createGroup());
+  for (const slot of slots) {
+    const { day, hour } = localDayAndHour(new Date(startTime.getTime() + Number(slot.slot) * SLOT_MINUTES * 60000));
+    addSlotToGroup(periods.get(periodOf(day, values.interval)), slot);
+    addSlotToGroup(hours[hour], slot);
+  }
+
+  return {
+    range: {
+      start_date: values.start_date,
+      end_date: values.end_date,
+      interval: values.interval,
+      time_zone: REPORT_TIME_ZONE,
+    },
+    totals: {
+      ...summariseRow(totals),
+      unique_visitors: Number(totals.unique_visitors),
+      open_visits: Number(totals.open_visits) || 0,
+    },
+    by_period: [...periods.entries()].map(([period, group]) => ({ period, ...summariseGroup(group) })),
+    by_hour: hours.map((group, hour) => ({ hour, ...summariseGroup(group) })),
+    by_unit: summariseGroups(units, "unit"),
+    by_type: summariseGroups(types, "type"),
+    by_reason: summariseGroups(reasons, "reason"),
+  };
+}
+
+/**
+ * Creates and configures a router for visit statistics.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery).
+ * @returns {express.Router} - An Express router with the /stats endpoint.
+ */
+function createStatsRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint: GET /stats?start_date&end_date&interval=day|week|month, optionally for one type or unit
+  router.get("/stats", requirePermission("view_stats"), async (req, res) => {
+    const { values, errors } = parseHistoryQuery(req.query, STATS_QUERY_SCHEMA);
+    if (errors.length === 0) {
+      values.end_date = values.end_date || new Date().toISOString().slice(0, 10);
+      values.start_date =
+        values.start_date ||
+        new Date(new Date(`${values.end_date}T00:00:00.000Z`).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+          .toISOString()
+          .slice(0, 10);
+      if (values.start_date > values.end_date) {
+        errors.push("start_date must not be after end_date.");
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: "Invalid statistics query.",
+        errors,
+        parameters: Object.keys(STATS_QUERY_SCHEMA),
+      });
+    }
+
+    try {
+      res.json(await buildVisitStats(dbService, values));
+    } catch (err) {
+      console.error("Database Error in GET /stats:", err.message);
+      res.status(500).json({ message: "Failed to calculate the visit statistics." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createStatsRouter;
+module.exports.STATS_QUERY_SCHEMA = STATS_QUERY_SCHEMA;
+module.exports.buildVisitStats = buildVisitStats;
+module.exports.periodOf = periodOf;
+module.exports.startOfLocalDay = startOfLocalDay;
@@ -0,0 +1,172 @@
+const request = require("supertest");
+const express = require("express");
+const createStatsRouter = require("./stats");
+const { periodOf, startOfLocalDay } = require("./stats");
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "supervisor") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 2, username: "sam", displayName: "Sam Supervisor", role };
+        next();
+    });
+    app.use("/", createStatsRouter(dbService));
+    return app;
+}
+
+// Answers each grouped query with the rows given for its dimension
+function mockGroupedQueries(dbService, { totals = {}, slots = [], units = [], types = [], reasons = [] } = {}) {
+    dbService.executeQuery.mockImplementation(async (query) => {
+        if (query.includes("GROUP BY slot")) return slots;
+        if (query.includes("GROUP BY LOWER(unit)")) return units;
+        if (query.includes("GROUP BY LOWER(type)")) return types;
+        if (query.includes("GROUP BY LOWER(reason)")) return reasons;
+        return [{ visits: 0, dependents: null, average_minutes: null, unique_visitors: 0, open_visits: null, ...totals }];
+    });
+}
+
+describe("GET /stats", () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        mockDbService = { executeQuery: jest.fn() };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("should aggregate visits by period, hour, unit, type and reason", async () => {
+        mockGroupedQueries(mockDbService, {
+            totals: { visits: 3, dependents: 2, average_minutes: 120, unique_visitors: 2, open_visits: 0 },
+            // Slots are quarter hours counted from midnight on start_date (00:00 UTC in January)
+            slots: [
+                { slot: 40, visits: 1, dependents: 2, timed_visits: 1, total_minutes: 60 },
+                { slot: 42, visits: 1, dependents: 0, timed_visits: 1, total_minutes: 180 },
+                // Closed by the automatic sign-out, so left out of the durations
+                { slot: 252, visits: 1, dependents: 0, timed_visits: 0, total_minutes: null },
+            ],
+            units: [{ label: "Unit 4", visits: 1, dependents: 0, average_minutes: null }, { label: "Unit 12", visits: 2, dependents: 2, average_minutes: 120 }],
+            types: [{ label: "Contractor", visits: 1, dependents: 0, average_minutes: null }, { label: "Visitor", visits: 2, dependents: 2, average_minutes: 120 }],
+            reasons: [{ label: "Family", visits: 2, dependents: 2, average_minutes: 120.4 }, { label: "Repairs", visits: 1, dependents: 0, average_minutes: null }],
+        });
+
+        const response = await request(setupTestApp(mockDbService))
+            .get("/stats")
+            .query({ start_date: "2025-01-06", end_date: "2025-01-08" })
+            .expect(200);
+
+        expect(response.body.range).toEqual({
+            start_date: "2025-01-06",
+            end_date: "2025-01-08",
+            interval: "day",
+            time_zone: "Europe/London",
+        });
+        expect(response.body.totals).toEqual({
+            visits: 3,
+            dependents: 2,
+            average_duration_minutes: 120,
+            unique_visitors: 2,
+            open_visits: 0,
+        });
+        // The quiet day in between is still listed
+        expect(response.body.by_period).toEqual([
+            { period: "2025-01-06", visits: 2, dependents: 2, average_duration_minutes: 120 },
+            { period: "2025-01-07", visits: 0, dependents: 0, average_duration_minutes: null },
+            { period: "2025-01-08", visits: 1, dependents: 0, average_duration_minutes: null },
+        ]);
+        expect(response.body.by_hour).toHaveLength(24);
+        expect(response.body.by_hour[10]).toEqual({ hour: 10, visits: 2, dependents: 2, average_duration_minutes: 120 });
+        expect(response.body.by_hour[15].visits).toBe(1);
+        expect(response.body.by_unit.map(({ unit, visits }) => [unit, visits])).toEqual([["Unit 12", 2], ["Unit 4", 1]]);
+        expect(response.body.by_type.map(({ type }) => type)).toEqual(["Visitor", "Contractor"]);
+        expect(response.body.by_reason[0]).toEqual({ reason: "Family", visits: 2, dependents: 2, average_duration_minutes: 120 });
+
+        // The database does the counting, one grouped query per dimension
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(5);
+        const [query, params] = mockDbService.executeQuery.mock.calls[1];
+        expect(query).toContain("DATEDIFF(minute, @startTime, T2.entry_time) / 15 AS slot");
+        expect(query).toContain("DATEDIFF(second, T2.entry_time, T2.exit_time) / 60.0");
+        expect(query).toContain("WHERE T2.entry_time >= @startTime AND T2.entry_time < @endTime");
+        expect(params).toEqual([
+            expect.objectContaining({ name: "startTime", value: "2025-01-06T00:00:00.000Z" }),
+            expect.objectContaining({ name: "endTime", value: "2025-01-09T00:00:00.000Z" }),
+        ]);
+        // Free text is grouped regardless of case and surrounding spaces
+        expect(mockDbService.executeQuery.mock.calls[4][0]).toContain("NULLIF(LTRIM(RTRIM(T2.reason_for_visit)), '') AS reason");
+    });
+
+    test("should take the range and count days and hours in the hostel's time zone", async () => {
+        // 23:30 UTC on 30 June is 00:30 on 1 July in British Summer Time
+        mockGroupedQueries(mockDbService, {
+            totals: { visits: 1, open_visits: 1, unique_visitors: 1 },
+            slots: [{ slot: 2, visits: 1, dependents: 0, timed_visits: 0, total_minutes: null }],
+        });
+
+        const response = await request(setupTestApp(mockDbService))
+            .get("/stats")
+            .query({ start_date: "2025-07-01", end_date: "2025-07-31", interval: "month", unit: "Unit 12" })
+            .expect(200);
+
+        expect(response.body.by_period).toEqual([
+            { period: "2025-07", visits: 1, dependents: 0, average_duration_minutes: null },
+        ]);
+        expect(response.body.by_hour[0].visits).toBe(1);
+        expect(response.body.totals.open_visits).toBe(1);
+        const [query, params] = mockDbService.executeQuery.mock.calls[0];
+        expect(query).toContain("T2.unit = @unit AND T2.entry_time >= @startTime");
+        // Local midnight on 1 July and on 1 August, in UTC
+        expect(params).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "startTime", value: "2025-06-30T23:00:00.000Z" }),
+            expect.objectContaining({ name: "endTime", value: "2025-07-31T23:00:00.000Z" }),
+        ]));
+    });
+
+    test("should default to the last 30 days", async () => {
+        mockGroupedQueries(mockDbService);
+
+        const response = await request(setupTestApp(mockDbService)).get("/stats").query({ end_date: "2025-01-30" }).expect(200);
+
+        expect(response.body.range).toMatchObject({ start_date: "2025-01-01", end_date: "2025-01-30" });
+        expect(response.body.by_period).toHaveLength(30);
+        expect(response.body.totals).toMatchObject({ visits: 0, average_duration_minutes: null });
+    });
+
+    test("should return 400 for a bad query, 403 for reception and 500 when the query fails", async () => {
+        const app = setupTestApp(mockDbService);
+
+        const invalid = await request(app).get("/stats").query({ interval: "year", page: "1" }).expect(400);
+        expect(invalid.body.errors).toEqual(['Unknown parameter "page".', "interval must be one of: day, week, month."]);
+        const reversed = await request(app).get("/stats").query({ start_date: "2999-01-01" }).expect(400);
+        expect(reversed.body.errors).toEqual(["start_date must not be after end_date."]);
+        await request(setupTestApp(mockDbService, "reception")).get("/stats").expect(403);
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+
+        mockDbService.executeQuery.mockRejectedValueOnce(new Error("timeout"));
+        const failed = await request(app).get("/stats").expect(500);
+        expect(failed.body.message).toBe("Failed to calculate the visit statistics.");
+    });
+});
+
+describe("periodOf", () => {
+    test("should name the day, the Monday of the week or the month", () => {
+        expect(periodOf("2025-01-08", "day")).toBe("2025-01-08");
+        expect(periodOf("2025-01-08", "week")).toBe("2025-01-06");
+        expect(periodOf("2025-01-05", "week")).toBe("2024-12-30");
+        expect(periodOf("2025-01-08", "month")).toBe("2025-01");
+    });
+});
+
+describe("startOfLocalDay", () => {
+    test("should find local midnight in UTC, including on the days the clocks change", () => {
+        expect(startOfLocalDay("2025-01-06").toISOString()).toBe("2025-01-06T00:00:00.000Z");
+        expect(startOfLocalDay("2025-07-01").toISOString()).toBe("2025-06-30T23:00:00.000Z");
+        expect(startOfLocalDay("2025-03-30").toISOString()).toBe("2025-03-30T00:00:00.000Z");
+        expect(startOfLocalDay("2025-03-31").toISOString()).toBe("2025-03-30T23:00:00.000Z");
+        expect(startOfLocalDay("2025-10-26").toISOString()).toBe("2025-10-25T23:00:00.000Z");
+        expect(startOfLocalDay("2025-10-27").toISOString()).toBe("2025-10-27T00:00:00.000Z");
+    });
+});
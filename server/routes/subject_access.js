@@ -0,0 +1,342 @@
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+const { resolvePhotoFile } = require("../photoFiles");
+const { formatDateOfBirth } = require("./visitors");
+
+const PHOTO_CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+// Parses a before/after JSON column, leaving unreadable values as the raw string
+const parseAuditJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    return value;
+  }
+};
+
+/**
+ * Reads a visitor's photo so the export carries the image itself, not a link to it.
+ * @param {string|null} photoPath - visitors.photo_path.
+ * @returns {Promise<object|null>} { photo_path, content_type, data } with data in base64
+ *   (null when the file is gone), or null when the visitor has no photo.
+ */
+async function readPhoto(photoPath) {
+  if (!photoPath) return null;
+  const file = resolvePhotoFile(photoPath);
+  const contentType =
+    PHOTO_CONTENT_TYPES[path.extname(photoPath).toLowerCase()] || "application/octet-stream";
+
+  try {
+    const data = file ? await fs.promises.readFile(file) : null;
+    return { photo_path: photoPath, content_type: contentType, data: data ? data.toString("base64") : null };
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return { photo_path: photoPath, content_type: contentType, data: null };
+  }
+}
+
+/**
+ * Assembles everything held about one visitor for a subject access request:
+ * profile, photo and earlier photos, every visit, dependents and household
+ * members, ban history, legal holds and the audit entries about them or their visits.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery).
+ * @param {number} visitorId - visitors.id.
+ * @returns {Promise<object|null>} The export, or null if the visitor does not exist.
+ */
+async function buildSubjectAccessExport(dbService, visitorId) {
+  const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+
+  const profiles = await dbService.executeQuery(
+    `SELECT id, first_name, last_name, date_of_birth, photo_path, is_banned, created_at FROM visitors WHERE id = @visitorId`,
+    inputs
+  );
+  if (profiles.length === 0) return null;
+  const { photo_path, ...profile } = profiles[0];
+  profile.date_of_birth = formatDateOfBirth(profile.date_of_birth);
+
+  const visits = await dbService.executeQuery(
+    `SELECT
+       id, entry_time, exit_time, known_as, address, phone_number, unit,
+       reason_for_visit, type, company_name, mandatory_acknowledgment_taken,
+       auto_closed, auto_close_reviewed_at, auto_close_reviewed_by
+     FROM visits
+     WHERE visitor_id = @visitorId
+     ORDER BY entry_time DESC, id DESC`,
+    inputs
+  );
+
+  const dependents = await dbService.executeQuery(
+    `SELECT D.id, D.visit_id, D.full_name, D.age, D.household_member_id
+     FROM dependents AS D
+     JOIN visits AS V ON V.id = D.visit_id
+     WHERE V.visitor_id = @visitorId
+     ORDER BY D.visit_id DESC, D.id`,
+    inputs
+  );
+
+  const bans = await dbService.executeQuery(
+    `SELECT id, reason, severity, banned_by_name, start_date, end_date, lifted_at, lifted_by_name
+     FROM visitor_bans
+     WHERE visitor_id = @visitorId
+     ORDER BY start_date DESC, id DESC`,
+    inputs
+  );
+
+  const legalHolds = await dbService.executeQuery(
+    `SELECT id, reason, placed_at, placed_by_name, released_at, released_by_name
+     FROM legal_holds
+     WHERE visitor_id = @visitorId
+     ORDER BY placed_at DESC, id DESC`,
+    inputs
+  );
+
+  // Staff IP addresses are not the visitor's data, so client_ip is left out
+  const auditRows = await dbService.executeQuery(
+    `SELECT id, timestamp, event_name, status, action, actor_name, target_visit_id, before_values, after_values
+     FROM audit_logs
+     WHERE target_visitor_id = @visitorId
+        OR target_visit_id IN (SELECT id FROM visits WHERE visitor_id = @visitorId)
+     ORDER BY timestamp DESC, id DESC`,
+    inputs
+  );
+
+  const earlierPhotos = await dbService.executeQuery(
+    `SELECT photo_path, replaced_at, replaced_by_name
+     FROM visitor_photos
+     WHERE visitor_id = @visitorId
+     ORDER BY replaced_at DESC, id DESC`,
+    inputs
+  );
+
+  const household = await dbService.executeQuery(
+    `SELECT id, full_name, date_of_birth, created_at, removed_at
+     FROM household_members
+     WHERE visitor_id = @visitorId
+     ORDER BY created_at, id`,
+    inputs
+  );
+
+  return {
+    generated_at: new Date().toISOString(),
+    visitor: profile,
+    photo: await readPhoto(photo_path),
+    earlier_photos: await Promise.all(
+      earlierPhotos.map(async ({ photo_path: earlierPath, ...photo }) => ({ ...photo, ...(await readPhoto(earlierPath)) }))
+    ),
+    visits,
+    dependents,
+    household: household.map((member) => ({ ...member, date_of_birth: formatDateOfBirth(member.date_of_birth) })),
+    bans,
+    legal_holds: legalHolds,
+    audit_entries: auditRows.map(({ before_values, after_values, ...entry }) => ({
+      ...entry,
+      before: parseAuditJson(before_values),
+      after: parseAuditJson(after_values),
+    })),
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// One titled table per section; columns are [key, heading] pairs
+const renderTable = (title, rows, columns) => `
+  <h2>${escapeHtml(title)} (${rows.length})</h2>
+  ${
+    rows.length === 0
+      ? "<p>None held.</p>"
+      : `<table>
+    <thead><tr>${columns.map(([, heading]) => `<th>${escapeHtml(heading)}</th>`).join("")}</tr></thead>
+    <tbody>${rows
+      .map((row) => `<tr>${columns.map(([key]) => `<td>${escapeHtml(formatCell(row[key]))}</td>`).join("")}</tr>`)
+      .join("")}</tbody>
+  </table>`
+  }`;
+
+/**
+ * Renders the export as a standalone HTML page (photo embedded), laid out to be
+ * read on screen or saved as a PDF from the browser's print dialog.
+ * @param {object} data - The result of buildSubjectAccessExport().
+ * @returns {string} The HTML document.
+ */
+function renderSubjectAccessHtml(data) {
+  const { visitor, photo } = data;
+  const name = `${visitor.first_name} ${visitor.last_name}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Subject access export: ${escapeHtml(name)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; color: #1f2937; margin: 24px; }
+  h1 { font-size: 20px; } h2 { font-size: 15px; margin-top: 24px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  img { max-width: 200px; border: 1px solid #d1d5db; }
+  @media print { h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+  <h1>Subject access export: ${escapeHtml(name)}</h1>
+  <p>Visitor ID ${escapeHtml(visitor.id)}. Generated ${escapeHtml(data.generated_at)}.</p>
+  ${renderTable("Profile", [visitor], [
+    ["first_name", "First name"],
+    ["last_name", "Last name"],
+    ["date_of_birth", "Date of birth"],
+    ["is_banned", "Banned"],
+    ["created_at", "Registered"],
+  ])}
+  <h2>Photo</h2>
+  ${
+    !photo
+      ? "<p>None held.</p>"
+      : photo.data
+        ? `<img src="data:${escapeHtml(photo.content_type)};base64,${photo.data}" alt="Visitor photo">`
+        : `<p>${escapeHtml(photo.photo_path)} is recorded but the file no longer exists.</p>`
+  }
+  <h2>Earlier photos (${data.earlier_photos.length})</h2>
+  ${
+    data.earlier_photos.length === 0
+      ? "<p>None held.</p>"
+      : data.earlier_photos
+          .map((earlier) =>
+            earlier.data
+              ? `<p>Replaced ${escapeHtml(formatCell(earlier.replaced_at))} by ${escapeHtml(earlier.replaced_by_name)}</p>
+  <img src="data:${escapeHtml(earlier.content_type)};base64,${earlier.data}" alt="Earlier visitor photo">`
+              : `<p>${escapeHtml(earlier.photo_path)} is recorded but the file no longer exists.</p>`
+          )
+          .join("")
+  }
+  ${renderTable("Visits", data.visits, [
+    ["entry_time", "Signed in"],
+    ["exit_time", "Signed out"],
+    ["auto_closed", "Auto signed out"],
+    ["known_as", "Known as"],
+    ["address", "Address"],
+    ["phone_number", "Phone"],
+    ["unit", "Unit"],
+    ["type", "Type"],
+    ["company_name", "Company"],
+    ["reason_for_visit", "Reason"],
+  ])}
+  ${renderTable("Dependents", data.dependents, [
+    ["full_name", "Name"],
+    ["age", "Age"],
+    ["visit_id", "Visit"],
+  ])}
+  ${renderTable("Household", data.household, [
+    ["full_name", "Name"],
+    ["date_of_birth", "Date of birth"],
+    ["created_at", "Added"],
+    ["removed_at", "Removed"],
+  ])}
+  ${renderTable("Bans", data.bans, [
+    ["start_date", "From"],
+    ["end_date", "Until"],
+    ["severity", "Severity"],
+    ["reason", "Reason"],
+    ["banned_by_name", "Banned by"],
+    ["lifted_at", "Lifted"],
+    ["lifted_by_name", "Lifted by"],
+  ])}
+  ${renderTable("Legal holds", data.legal_holds, [
+    ["placed_at", "Placed"],
+    ["reason", "Reason"],
+    ["placed_by_name", "Placed by"],
+    ["released_at", "Released"],
+    ["released_by_name", "Released by"],
+  ])}
+  ${renderTable("Audit trail", data.audit_entries, [
+    ["timestamp", "When"],
+    ["event_name", "Event"],
+    ["actor_name", "Staff member"],
+    ["before", "Before"],
+    ["after", "After"],
+  ])}
+</body>
+</html>
+`;
+}
+
+/**
+ * Creates and configures a router for subject access exports: everything held about
+ * one visitor, as JSON or as a printable HTML report. Every export is audited.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery and logAudit).
+ * @returns {express.Router} - An Express router with the subject access endpoint.
+ */
+function createSubjectAccessRouter(dbService) {
+  const router = express.Router();
+
+  // Endpoint: GET /visitors/:id/subject-access?format=json|html (downloaded as an attachment)
+  router.get("/visitors/:id/subject-access", requirePermission("export_subject_data"), async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    const format = req.query.format || "json";
+
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+    if (!["json", "html"].includes(format)) {
+      return res.status(400).json({ message: "Format must be json or html." });
+    }
+
+    try {
+      const data = await buildSubjectAccessExport(dbService, visitorId);
+      if (!data) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+
+      await dbService.logAudit({
+        eventName: "Subject Access Export",
+        status: "Success",
+        action: "export_subject_data",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visitorId,
+        after: { format },
+      });
+
+      const fileName = `subject-access-${visitorId}-${data.generated_at.slice(0, 10)}.${format}`;
+      res.attachment(fileName);
+      if (format === "html") {
+        return res.type("html").send(renderSubjectAccessHtml(data));
+      }
+      res.status(200).json(data);
+    } catch (err) {
+      console.error("Database Error in GET /visitors/:id/subject-access:", err.message);
+      res.status(500).json({ message: "Failed to export the visitor's data." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSubjectAccessRouter;
+module.exports.buildSubjectAccessExport = buildSubjectAccessExport;
+module.exports.renderSubjectAccessHtml = renderSubjectAccessHtml;
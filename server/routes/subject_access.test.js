@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subject-access-'));
+process.env.UPLOADS_DIR = uploadsDir;
+const createSubjectAccessRouter = require('./subject_access');
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "supervisor") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 2, username: "sam", displayName: "Sam Supervisor", role };
+        next();
+    });
+    app.use('/', createSubjectAccessRouter(dbService));
+    return app;
+}
+
+// Query results in the order buildSubjectAccessExport runs them
+const mockExportQueries = (mockDbService, { photoPath = null, earlierPhotos = [], household = [] } = {}) => {
+    mockDbService.executeQuery
+        .mockResolvedValueOnce([{ id: 10, first_name: 'Jane', last_name: '<Doe>', photo_path: photoPath, is_banned: true, created_at: '2026-01-05T09:00:00.000Z' }])
+        .mockResolvedValueOnce([{ id: 55, entry_time: '2026-03-01T10:00:00.000Z', exit_time: '2026-03-01T12:00:00.000Z', unit: 'Unit 4', phone_number: '0123' }])
+        .mockResolvedValueOnce([{ id: 7, visit_id: 55, full_name: 'Kit Doe', age: 6 }])
+        .mockResolvedValueOnce([{ id: 3, reason: 'Abusive', severity: 'high', start_date: '2026-04-01T10:00:00.000Z' }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 90, event_name: 'Visitor Banned', action: 'ban_visitor', before_values: '{"is_banned":false}', after_values: '{"is_banned":true}' }])
+        .mockResolvedValueOnce(earlierPhotos)
+        .mockResolvedValueOnce(household);
+};
+
+describe('GET /visitors/:id/subject-access', () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDbService = {
+            executeQuery: jest.fn(),
+            logAudit: jest.fn(),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+    });
+
+    test('should return everything held about the visitor as a JSON attachment', async () => {
+        fs.writeFileSync(path.join(uploadsDir, 'jane.jpg'), 'jpeg-bytes');
+        fs.writeFileSync(path.join(uploadsDir, 'jane-2025.png'), 'png-bytes');
+        mockExportQueries(mockDbService, {
+            photoPath: 'uploads/jane.jpg',
+            earlierPhotos: [{ photo_path: 'uploads/jane-2025.png', replaced_at: '2026-02-01T09:00:00.000Z', replaced_by_name: 'Sam Supervisor' }],
+            household: [{ id: 4, full_name: 'Kit Doe', date_of_birth: new Date('2019-05-06T00:00:00.000Z'), removed_at: null }],
+        });
+
+        const response = await request(setupTestApp(mockDbService)).get('/visitors/10/subject-access').expect(200);
+
+        expect(response.headers['content-disposition']).toMatch(/attachment; filename="subject-access-10-\d{4}-\d{2}-\d{2}\.json"/);
+        expect(response.body.visitor).toEqual(expect.objectContaining({ id: 10, first_name: 'Jane' }));
+        expect(response.body.visitor.photo_path).toBeUndefined();
+        expect(response.body.photo).toEqual({
+            photo_path: 'uploads/jane.jpg',
+            content_type: 'image/jpeg',
+            data: Buffer.from('jpeg-bytes').toString('base64'),
+        });
+        expect(response.body.earlier_photos).toEqual([{
+            photo_path: 'uploads/jane-2025.png',
+            content_type: 'image/png',
+            data: Buffer.from('png-bytes').toString('base64'),
+            replaced_at: '2026-02-01T09:00:00.000Z',
+            replaced_by_name: 'Sam Supervisor',
+        }]);
+        expect(response.body.visits).toHaveLength(1);
+        expect(response.body.household).toEqual([{ id: 4, full_name: 'Kit Doe', date_of_birth: '2019-05-06', removed_at: null }]);
+        expect(response.body.dependents).toEqual([expect.objectContaining({ full_name: 'Kit Doe' })]);
+        expect(response.body.bans).toEqual([expect.objectContaining({ reason: 'Abusive' })]);
+        expect(response.body.legal_holds).toEqual([]);
+        expect(response.body.audit_entries).toEqual([
+            expect.objectContaining({ id: 90, before: { is_banned: false }, after: { is_banned: true } }),
+        ]);
+        expect(mockDbService.executeQuery.mock.calls[5][0]).toContain('OR target_visit_id IN (SELECT id FROM visits WHERE visitor_id = @visitorId)');
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'export_subject_data',
+            targetVisitorId: 10,
+            after: { format: 'json' },
+        }));
+    });
+
+    test('should render an escaped HTML report and note a missing photo file', async () => {
+        mockExportQueries(mockDbService, { photoPath: 'uploads/gone.jpg' });
+
+        const response = await request(setupTestApp(mockDbService))
+            .get('/visitors/10/subject-access')
+            .query({ format: 'html' })
+            .expect(200);
+
+        expect(response.headers['content-type']).toContain('text/html');
+        expect(response.headers['content-disposition']).toContain('.html');
+        expect(response.text).toContain('Jane &lt;Doe&gt;');
+        expect(response.text).toContain('uploads/gone.jpg is recorded but the file no longer exists.');
+        expect(response.text).toContain('Kit Doe');
+        expect(response.text).toContain('Legal holds (0)');
+        expect(response.text).toContain('Earlier photos (0)');
+        expect(response.text).toContain('Household (0)');
+    });
+
+    test('should return 400 for a bad ID or format and 404 for an unknown visitor', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        const app = setupTestApp(mockDbService);
+
+        await request(app).get('/visitors/abc/subject-access').expect(400);
+        await request(app).get('/visitors/10/subject-access').query({ format: 'xml' }).expect(400);
+        await request(app).get('/visitors/99/subject-access').expect(404);
+
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 for reception and 500 on a database error', async () => {
+        await request(setupTestApp(mockDbService, 'reception')).get('/visitors/10/subject-access').expect(403);
+
+        mockDbService.executeQuery.mockRejectedValue(new Error('DB down'));
+        const response = await request(setupTestApp(mockDbService)).get('/visitors/10/subject-access').expect(500);
+
+        expect(response.body.message).toBe("Failed to export the visitor's data.");
+    });
+});
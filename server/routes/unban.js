@@ -1,12 +1,13 @@
 const express = require("express");
 const sql = require("mssql");
-// Note: In a real environment, dotenv should be loaded early in your application's entry point, 
-// but we keep the require here for context if the file runs standalone.
-require('dotenv').config(); 
+const { requirePermission } = require("../auth/permissions");
+
+const MERGED_PROFILE_MESSAGE = "This profile has been merged into another. Unban the kept profile instead.";
 
 /**
  * Creates and configures a router for handling visitor unbanning using Azure SQL.
- * This endpoint requires a master password for authorization.
+ * Only staff whose role has the unban_visitor permission may use it. The active
+ * visitor_bans row is kept as history, marked as lifted by the staff member.
  *
  * @param {object} dbService - The Azure SQL database service wrapper (e.g., with executeQuery).
  * @returns {express.Router} - An Express router with the unban endpoint.
@@ -15,39 +16,67 @@ function createUnbanVisitorRouter(dbService) {
   const router = express.Router();
 
   // Endpoint to unban a visitor
-  router.post("/unban-visitor/:id", async (req, res) => {
+  router.post("/unban-visitor/:id", requirePermission("unban_visitor"), async (req, res) => {
     const { id } = req.params;
-    const { password } = req.body;
-
-    // Use the master password from the secure .env file
-    const masterPassword = process.env.MASTER_PASSWORD;
 
-    // 1. Authorization Check
-    if (password !== masterPassword) {
-      return res.status(403).json({ message: "Incorrect password." });
-    }
-    
-    // Ensure ID is valid before proceeding
+    // 1. Ensure ID is valid before proceeding
     if (!id || isNaN(parseInt(id))) {
         return res.status(400).json({ message: "Invalid Visitor ID." });
     }
 
     // 2. Database Update
     try {
-      // T-SQL UPDATE statement with named parameter
-      const sqlQuery = `UPDATE visitors SET is_banned = 0 WHERE id = @visitorId`;
-      
       const inputs = [
         { name: "visitorId", type: sql.Int, value: parseInt(id) }
       ];
 
-      // executeQuery returns the result object which contains rowsAffected
-      const result = await dbService.executeQuery(sqlQuery, inputs);
+      // Read the current status first so the audit trail records what changed
+      const existing = await dbService.executeQuery(
+        `SELECT id, is_banned, merged_into_id FROM visitors WHERE id = @visitorId`,
+        inputs
+      );
 
-      // Check if any rows were actually changed (i.e., the visitor ID existed)
-      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+      if (existing.length === 0) {
         return res.status(404).json({ message: "Visitor not found." });
       }
+      if (existing[0].merged_into_id) {
+        return res.status(409).json({ message: MERGED_PROFILE_MESSAGE });
+      }
+
+      // Clear the flag and close the active ban in visitor_bans together
+      const unbanned = await dbService.transaction(async (tx) => {
+        // T-SQL UPDATE statement with named parameter; a profile merged since the check is left alone
+        const sqlQuery = `UPDATE visitors SET is_banned = 0 WHERE id = @visitorId AND merged_into_id IS NULL`;
+        const cleared = await tx.executeQuery(sqlQuery, inputs);
+        if (cleared.rowsAffected[0] === 0) return false;
+
+        await tx.executeQuery(
+          `UPDATE visitor_bans
+           SET lifted_at = GETUTCDATE(), lifted_by_id = @liftedById, lifted_by_name = @liftedByName
+           WHERE visitor_id = @visitorId AND lifted_at IS NULL`,
+          [
+            ...inputs,
+            { name: "liftedById", type: sql.Int, value: req.staff.id },
+            { name: "liftedByName", type: sql.NVarChar(255), value: req.staff.displayName },
+          ]
+        );
+        return true;
+      });
+
+      if (!unbanned) {
+        return res.status(409).json({ message: MERGED_PROFILE_MESSAGE });
+      }
+
+      await dbService.logAudit({
+        eventName: "Visitor Unbanned",
+        status: "Success",
+        action: "unban_visitor",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: existing[0].id,
+        before: { is_banned: Boolean(existing[0].is_banned) },
+        after: { is_banned: false },
+      });
 
       res.status(200).json({ message: `Visitor has been unbanned successfully.` });
 
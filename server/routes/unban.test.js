@@ -4,11 +4,6 @@ const createUnbanVisitorRouter = require("./unban");
 
 // Mock dependencies
 const sql = { Int: 'Int' }; 
-const TEST_MASTER_PASSWORD = "super-secret-password-123";
-
-// Mock the dotenv dependency to inject a master password
-jest.mock('dotenv/config', () => ({})); // Mock module to avoid loading actual .env
-process.env.MASTER_PASSWORD = TEST_MASTER_PASSWORD;
 
 //  storing the original console functions here
 let originalConsoleLog;
@@ -16,6 +11,7 @@ let originalConsoleError;
 
 let mockDbService; 
 let app;
+let staffRole;
 
 // Setup the mock Express application before each test
 beforeEach(() => {
@@ -27,12 +23,22 @@ beforeEach(() => {
     // Reset the mock before each test
     mockDbService = {
         executeQuery: jest.fn(),
+        logAudit: jest.fn(),
     };
+    // Run transaction work against the same mocked executeQuery
+    mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+
+    staffRole = "supervisor";
 
     // Create the mock Express app
     app = express();
-    //  body parser to read req.body.password
+    //  body parser to read the JSON body
     app.use(express.json()); 
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 1, username: "staff", displayName: "Staff", role: staffRole };
+        next();
+    });
 
     // Attach the router. We pass the mocked 'sql' object .
     const unbanRouter = createUnbanVisitorRouter(mockDbService, sql); 
@@ -45,27 +51,36 @@ afterEach(() => {
     console.error = originalConsoleError;
 });
 
-// Clean up environment variables after all tests
-afterAll(() => {
-    delete process.env.MASTER_PASSWORD;
-});
-
 describe('POST /unban-visitor/:id', () => {
     const API_ENDPOINT = '/unban-visitor';
     const VALID_ID = 42;
-    const VALID_BODY = { password: TEST_MASTER_PASSWORD };
+    const VALID_BODY = {};
+
+    // --- 403 Role Test ---
+    test('should return 403 when the staff role cannot unban visitors', async () => {
+        staffRole = "reception";
 
-    // --- 403 Authorization Test ---
-    test('should return 403 if the password is incorrect', async () => {
         const response = await request(app)
             .post(`${API_ENDPOINT}/${VALID_ID}`)
-            .send({ password: "wrong-password" }); 
-        
-        expect(response.status).toBe(403); 
-        expect(response.body).toHaveProperty('message', "Incorrect password.");
+            .send(VALID_BODY);
+
+        expect(response.status).toBe(403);
         expect(mockDbService.executeQuery).not.toHaveBeenCalled();
     });
 
+    // --- Staff authorization is enforced by requireStaffAuth in server.js ---
+    test('should not require a shared password in the request body', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: VALID_ID, is_banned: true }])
+            .mockResolvedValueOnce({ rowsAffected: [1] });
+
+        const response = await request(app)
+            .post(`${API_ENDPOINT}/${VALID_ID}`)
+            .send({});
+
+        expect(response.status).toBe(200);
+    });
+
     // --- 400 Validation Test ---
     test('should return 400 if the visitor ID is missing or invalid', async () => {
         // Test with non-numeric ID
@@ -79,9 +94,9 @@ describe('POST /unban-visitor/:id', () => {
     });
     
     // --- 404 Not Found Test ---
-    test('should return 404 if visitor ID exists but no rows were affected (i.e., visitor not found in DB)', async () => {
-        // Mock executeQuery to return 0 rows affected
-        mockDbService.executeQuery.mockResolvedValue({ rowsAffected: [0] });
+    test('should return 404 if the visitor is not found in the DB', async () => {
+        // Mock executeQuery to find no visitor
+        mockDbService.executeQuery.mockResolvedValue([]);
 
         const response = await request(app)
             .post(`${API_ENDPOINT}/${VALID_ID}`)
@@ -92,6 +107,28 @@ describe('POST /unban-visitor/:id', () => {
         expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
     });
     
+    test('should return 409 for a profile merged into another, before or during the unban', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([{ id: VALID_ID, is_banned: true, merged_into_id: 7 }]);
+
+        const merged = await request(app).post(`${API_ENDPOINT}/${VALID_ID}`).send(VALID_BODY);
+
+        expect(merged.status).toBe(409);
+        expect(merged.body).toHaveProperty('message', 'This profile has been merged into another. Unban the kept profile instead.');
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: VALID_ID, is_banned: true, merged_into_id: null }])
+            // Merged in between, so the guarded update changes nothing and the ban is not lifted
+            .mockResolvedValueOnce({ rowsAffected: [0] });
+
+        const raced = await request(app).post(`${API_ENDPOINT}/${VALID_ID}`).send(VALID_BODY);
+
+        expect(raced.status).toBe(409);
+        expect(mockDbService.executeQuery.mock.calls[2][0]).toContain('AND merged_into_id IS NULL');
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(3);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
     // --- 500 Database Error Test ---
     test('should return 500 on a database error', async () => {
         const errorMessage = "Database Connection Lost";
@@ -109,8 +146,10 @@ describe('POST /unban-visitor/:id', () => {
 
     // --- 200 Success Test ---
     test('should return 200 and successfully unban the visitor', async () => {
-        // Mock executeQuery to return 1 row affected for success
-        mockDbService.executeQuery.mockResolvedValue({ rowsAffected: [1] });
+        // Mock executeQuery to find the banned visitor, then 1 row affected for success
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([{ id: VALID_ID, is_banned: true }])
+            .mockResolvedValueOnce({ rowsAffected: [1] });
 
         const response = await request(app)
             .post(`${API_ENDPOINT}/${VALID_ID}`)
@@ -120,10 +159,11 @@ describe('POST /unban-visitor/:id', () => {
         expect(response.body).toHaveProperty('message', `Visitor has been unbanned successfully.`);
         
         // Check if the database was queried correctly
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(3);
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
 
-        const sqlQuery = mockDbService.executeQuery.mock.calls[0][0];
-        const inputs = mockDbService.executeQuery.mock.calls[0][1];
+        const sqlQuery = mockDbService.executeQuery.mock.calls[1][0];
+        const inputs = mockDbService.executeQuery.mock.calls[1][1];
         
         // Check SQL query content
         expect(sqlQuery).toContain('UPDATE visitors SET is_banned = 0 WHERE id = @visitorId');
@@ -132,5 +172,22 @@ describe('POST /unban-visitor/:id', () => {
         expect(inputs).toHaveLength(1);
         expect(inputs[0].name).toBe('visitorId');
         expect(inputs[0].value).toBe(VALID_ID);
+
+        // Check the active ban is closed, keeping it as history
+        const [liftSql, liftInputs] = mockDbService.executeQuery.mock.calls[2];
+        expect(liftSql).toContain('UPDATE visitor_bans');
+        expect(liftSql).toContain('lifted_at IS NULL');
+        expect(liftInputs).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'liftedByName', value: 'Staff' }),
+        ]));
+
+        // Check the audit trail entry
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'unban_visitor',
+            actor: expect.objectContaining({ id: 1 }),
+            targetVisitorId: VALID_ID,
+            before: { is_banned: true },
+            after: { is_banned: false },
+        }));
     });
 });
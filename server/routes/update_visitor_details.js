@@ -1,11 +1,37 @@
 const express = require("express");
 const sql = require("mssql");
+const {
+  findOpenVisit,
+  isOpenVisitConflict,
+  alreadySignedInBody,
+} = require("./open_visit_guard");
+const { publishOnSiteVisitor } = require("./visitors");
+const {
+  parseNewDependents,
+  parseDependentIds,
+  findHouseholdMembers,
+  recordVisitDependents,
+} = require("./household");
+
+// Visit details compared in the audit trail when a returning visitor's details change
+const AUDITED_VISIT_FIELDS = [
+  "known_as",
+  "address",
+  "phone_number",
+  "unit",
+  "reason_for_visit",
+  "type",
+  "company_name",
+];
+
+const pickVisitDetails = (source) =>
+  Object.fromEntries(AUDITED_VISIT_FIELDS.map((field) => [field, source[field] || null]));
 
 /**
- * Creates and configures a router for handling visitor data updates for a returning visitor
- * using Azure SQL and explicit transactions.
+ * Creates and configures a router for handling visitor data updates for a returning visitor.
+ * The new visit and its dependents are written in one dbService.transaction.
  *
- * @param {object} dbService - The Azure SQL database service wrapper (e.g., with executeQuery).
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
  * @returns {express.Router} - An Express router with the update endpoint.
  */
 function createUpdateVisitorRouter(dbService) {
@@ -24,6 +50,7 @@ function createUpdateVisitorRouter(dbService) {
       company_name,
       mandatory_acknowledgment_taken,
       additional_dependents,
+      dependent_ids,
     } = req.body;
 
     if (!id) {
@@ -32,37 +59,47 @@ function createUpdateVisitorRouter(dbService) {
       });
     }
 
-    // Attempt to parse dependents immediately
-    let dependentsArray = [];
-    if (additional_dependents) {
-      try {
-        dependentsArray = JSON.parse(additional_dependents);
-      } catch (parseError) {
-        console.error("Failed to parse dependents JSON. Using fallback:", parseError.message);
-        // Fallback for non-JSON dependent string (preserving original logic)
-        dependentsArray = [
-          { full_name: additional_dependents, age: null },
-        ];
-      }
+    // New dependents join the household; dependent_ids are the household members who came today
+    const newDependents = parseNewDependents(additional_dependents);
+    const dependentIds = parseDependentIds(dependent_ids);
+    if (newDependents.error || dependentIds.error) {
+      return res.status(400).json({ message: newDependents.error || dependentIds.error });
     }
 
-    let newVisitId = null;
-
     try {
-      // 1. Begin Transaction
-      await dbService.executeQuery("BEGIN TRAN;");
-
-      // 2. Verify the visitor ID exists in the system
-      const verifySql = "SELECT id FROM visitors WHERE id = @visitorId";
+      // 1. Verify the visitor ID exists in the system, reading their ban status and their last visit details for the audit trail
+      const verifySql = `
+        SELECT
+          v.id, v.is_banned, lv.known_as, lv.address, lv.phone_number, lv.unit,
+          lv.reason_for_visit, lv.type, lv.company_name
+        FROM visitors AS v
+        OUTER APPLY (
+          SELECT TOP 1 known_as, address, phone_number, unit, reason_for_visit, type, company_name
+          FROM visits
+          WHERE visitor_id = v.id
+          ORDER BY entry_time DESC
+        ) AS lv
+        WHERE v.id = @visitorId AND v.merged_into_id IS NULL
+      `;
       const verifyInputs = [{ name: "visitorId", type: sql.Int, value: id }];
       const visitorCheck = await dbService.executeQuery(verifySql, verifyInputs);
 
       if (visitorCheck.recordset.length === 0) {
-        await dbService.executeQuery("ROLLBACK TRAN;");
         return res.status(404).json({ message: "Visitor ID not found." });
       }
 
-      // 3. Insert a new visit record and retrieve the new ID using SCOPE_IDENTITY()
+      // This signs the visitor in, so a ban refuses it the same way as /login
+      if (visitorCheck.recordset[0].is_banned) {
+        return res.status(403).json({ message: "This visitor is banned and cannot log in." });
+      }
+
+      // Reject a second sign-in while the visitor still has an open visit
+      const openVisit = await findOpenVisit(dbService.executeQuery, id);
+      if (openVisit) {
+        return res.status(409).json(alreadySignedInBody(openVisit));
+      }
+
+      // 2. Insert a new visit record and retrieve the new ID using SCOPE_IDENTITY()
       const entry_time = new Date().toISOString();
       const visitsSql = `
         INSERT INTO visits (
@@ -86,30 +123,39 @@ function createUpdateVisitorRouter(dbService) {
         { name: "mandatoryTaken", type: sql.NVarChar, value: mandatory_acknowledgment_taken || null },
       ];
 
-      const visitResult = await dbService.executeQuery(visitsSql, visitInputs);
-      newVisitId = visitResult.recordset[0].newVisitId; // Extract the new ID
-
-      // 4. Handle and insert dependents
-      if (dependentsArray.length > 0) {
-        const dependentPromises = dependentsArray.map(async (dependent) => {
-          const depSql = `
-            INSERT INTO dependents (full_name, age, visit_id) 
-            VALUES (@fullName, @age, @visitId)
-          `;
-          const depInputs = [
-            { name: "fullName", type: sql.NVarChar, value: dependent.full_name },
-            { name: "age", type: sql.Int, value: dependent.age || null },
-            { name: "visitId", type: sql.Int, value: newVisitId },
-          ];
-          await dbService.executeQuery(depSql, depInputs);
+      // The visit and its dependents are written in one transaction
+      const outcome = await dbService.transaction(async (tx) => {
+        // Household members are checked where they are recorded, so one removed in the meantime is refused
+        const householdMembers = await findHouseholdMembers(tx.executeQuery, id, dependentIds.ids);
+        if (householdMembers.length !== dependentIds.ids.length) {
+          return { status: 400, body: { message: "Some of the dependents are not in this visitor's household." } };
+        }
+
+        const visitResult = await tx.executeQuery(visitsSql, visitInputs);
+        const visitId = visitResult.recordset[0].newVisitId; // Extract the new ID
+
+        // 3. Record the household members present and add the new dependents to the household
+        const recorded = await recordVisitDependents(tx.executeQuery, id, visitId, {
+          members: householdMembers,
+          newDependents: newDependents.dependents,
         });
-
-        // Wait for all dependent inserts to complete
-        await Promise.all(dependentPromises);
-      }
-
-      // 5. Commit Transaction on success
-      await dbService.executeQuery("COMMIT TRAN;");
+        return { newVisitId: visitId, dependents: recorded };
+      });
+      if (outcome.status) return res.status(outcome.status).json(outcome.body);
+      const { newVisitId, dependents } = outcome;
+
+      await dbService.logAudit({
+        eventName: "Visitor Details Updated",
+        status: "Success",
+        action: "update_visitor_details",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: parseInt(id, 10),
+        targetVisitId: newVisitId,
+        before: pickVisitDetails(visitorCheck.recordset[0]),
+        after: { ...pickVisitDetails(req.body), dependents },
+      });
+      await publishOnSiteVisitor(dbService, req, "visitor_signed_in", id);
 
       res.status(201).json({
         message: "Visitor Updated Successfully & signed in!",
@@ -117,13 +163,11 @@ function createUpdateVisitorRouter(dbService) {
       });
 
     } catch (err) {
-      // 6. Rollback Transaction on error
+      // dbService.transaction has already rolled back
       console.error("Transaction Error in /update-visitor-details:", err.message);
-      // Attempt to rollback, ignoring any error that might occur during rollback itself
-      try {
-        await dbService.executeQuery("ROLLBACK TRAN;");
-      } catch (rollbackErr) {
-        console.error("Rollback failed:", rollbackErr.message);
+      // Another request signed the visitor in between the check and the insert
+      if (isOpenVisitConflict(err)) {
+        return res.status(409).json(alreadySignedInBody(null));
       }
       return res.status(500).json({ error: "Transaction failed: " + err.message });
     }
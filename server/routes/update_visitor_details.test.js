@@ -20,7 +20,11 @@ beforeEach(() => {
     // Reset the mock before each test
     mockDbService = {
         executeQuery: jest.fn(),
+        logAudit: jest.fn(),
     };
+    // The writes go through a transaction-bound executeQuery; a rejection means it was rolled back
+    mockDbService.txQuery = jest.fn();
+    mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.txQuery }));
 
     // Create the mock Express app
     app = express();
@@ -65,14 +69,21 @@ describe('POST /update-visitor-details', () => {
         expect(mockDbService.executeQuery).not.toHaveBeenCalled();
     });
 
+    test('should return 400 instead of keeping dependents that are not a JSON list', async () => {
+        const response = await request(app)
+            .post(API_ENDPOINT)
+            .send({ ...VALID_BODY, additional_dependents: "Child A, 5" });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty('message', "Invalid dependents JSON format.");
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+    });
+
     // --- 404 Visitor Not Found Test  ---
-    test('should return 404 and rollback if visitor ID does not exist', async () => {
-        // Set up ordered mock responses for the transaction steps
-        mockDbService.executeQuery
-            // 1. BEGIN TRAN
-            .mockResolvedValueOnce({})
-            // 2. Verify visitor ID (Returns empty recordset to trigger 404)
-            .mockResolvedValueOnce({ recordset: [] }); 
+    test('should return 404 without writing anything if visitor ID does not exist', async () => {
+        // Verify visitor ID (Returns empty recordset to trigger 404)
+        mockDbService.executeQuery.mockResolvedValueOnce({ recordset: [] }); 
 
         const response = await request(app)
             .post(API_ENDPOINT)
@@ -80,29 +91,41 @@ describe('POST /update-visitor-details', () => {
         
         expect(response.status).toBe(404);
         expect(response.body).toHaveProperty('message', "Visitor ID not found.");
-        
-        // Check for BEGIN TRAN and ROLLBACK TRAN
-        expect(mockDbService.executeQuery).toHaveBeenCalledWith("BEGIN TRAN;");
-        expect(mockDbService.executeQuery).toHaveBeenCalledWith("ROLLBACK TRAN;");
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(3); // BEGIN, Verify, ROLLBACK
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 without writing anything if the visitor is banned', async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce({ recordset: [{ id: VISITOR_ID, is_banned: true }] });
+
+        const response = await request(app)
+            .post(API_ENDPOINT)
+            .send(VALID_BODY);
+
+        expect(response.status).toBe(403);
+        expect(response.body).toHaveProperty('message', "This visitor is banned and cannot log in.");
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('v.is_banned');
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
     });
 
     // --- 201 Success Test ---
-    test('should return 201 and commit transaction on successful update with dependents', async () => {
-        // Set up ordered mock responses for the transaction steps
+    test('should return 201 and write the visit and dependents in one transaction', async () => {
         mockDbService.executeQuery
-            // 1. BEGIN TRAN;
-            .mockResolvedValueOnce({})
-            // 2. Verify visitor ID 
+            // 1. Verify visitor ID 
             .mockResolvedValueOnce({ recordset: [{ id: VISITOR_ID }] })
-            // 3. Insert visit and retrieve new ID 
+            // No open visit for this visitor
+            .mockResolvedValueOnce([]);
+        mockDbService.txQuery
+            // 2. Insert visit and retrieve new ID 
             .mockResolvedValueOnce({ recordset: [{ newVisitId: NEW_VISIT_ID }] })
-            // 4. Insert Dependent 1 
-            .mockResolvedValueOnce({})
-            // 5. Insert Dependent 2 
-            .mockResolvedValueOnce({})
-            // 6. COMMIT TRAN; 
-            .mockResolvedValueOnce({});
+            // 3. Add both new dependents to the household
+            .mockResolvedValueOnce([{ id: 201 }])
+            .mockResolvedValueOnce([{ id: 202 }])
+            // Insert Dependent 1 and 2
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([]);
         
         const response = await request(app)
             .post(API_ENDPOINT)
@@ -112,32 +135,79 @@ describe('POST /update-visitor-details', () => {
         expect(response.body.message).toBe("Visitor Updated Successfully & signed in!");
         expect(response.body.id).toBe(NEW_VISIT_ID);
         
-        // Check the crucial transaction calls
-        expect(mockDbService.executeQuery).toHaveBeenCalledWith("BEGIN TRAN;");
-        expect(mockDbService.executeQuery).toHaveBeenCalledWith("COMMIT TRAN;");
-        
-        // Check the total number of calls: BEGIN, VERIFY, VISIT INSERT, 2 DEPENDENT INSERTS, COMMIT = 6 calls
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(6);
+        // The checks read outside the transaction; every write goes through it
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(2);
+        // VISIT INSERT, 2 HOUSEHOLD INSERTS, 2 DEPENDENT INSERTS = 5 calls
+        expect(mockDbService.txQuery).toHaveBeenCalledTimes(5);
         
         // Check one of the dependent inserts to ensure data processing worked
-        const dependentCall = mockDbService.executeQuery.mock.calls.find(
+        const dependentCall = mockDbService.txQuery.mock.calls.find(
             call => call[0].includes("INSERT INTO dependents")
         );
         expect(dependentCall).toBeDefined();
         expect(dependentCall[1][2].value).toBe(NEW_VISIT_ID); // Check visitId foreign key
         expect(dependentCall[1][0].value).toBe('Child A'); // Check data payload
+        expect(dependentCall[1][3].value).toBe(201); // Linked to the new household member
+
+        // The change is recorded in the audit trail after the commit
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "update_visitor_details",
+            targetVisitId: NEW_VISIT_ID,
+            after: expect.objectContaining({ dependents: expect.any(Array) }),
+        }));
     });
     
+    test('should record the household members present today with their current age', async () => {
+        const born = `${new Date().getUTCFullYear() - 9}-01-01`;
+        mockDbService.executeQuery
+            .mockResolvedValueOnce({ recordset: [{ id: VISITOR_ID }] })
+            .mockResolvedValueOnce([]);
+        mockDbService.txQuery
+            // The household members who came, read inside the transaction that records them
+            .mockResolvedValueOnce([{ id: 301, full_name: "Child C", date_of_birth: born }])
+            .mockResolvedValueOnce({ recordset: [{ newVisitId: NEW_VISIT_ID }] })
+            .mockResolvedValueOnce([]);
+
+        const response = await request(app)
+            .post(API_ENDPOINT)
+            .send({ ...VALID_BODY, additional_dependents: "[]", dependent_ids: [301] });
+
+        expect(response.status).toBe(201);
+        const [householdQuery, householdInputs] = mockDbService.txQuery.mock.calls[0];
+        expect(householdQuery).toContain("FROM household_members WITH (UPDLOCK, HOLDLOCK)");
+        expect(householdInputs).toEqual(expect.arrayContaining([expect.objectContaining({ name: "memberId0", value: 301 })]));
+        const [dependentQuery, dependentInputs] = mockDbService.txQuery.mock.calls[2];
+        expect(dependentQuery).toContain("INSERT INTO dependents");
+        expect(dependentInputs.map((input) => input.value)).toEqual(["Child C", 9, NEW_VISIT_ID, 301]);
+    });
+
+    test('should return 400 without writing anything if a dependent is not in the household', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce({ recordset: [{ id: VISITOR_ID }] })
+            .mockResolvedValueOnce([]);
+        // Not in the household, or removed from it since the form was opened
+        mockDbService.txQuery.mockResolvedValueOnce([]);
+
+        const response = await request(app)
+            .post(API_ENDPOINT)
+            .send({ ...VALID_BODY, dependent_ids: [999] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe("Some of the dependents are not in this visitor's household.");
+        expect(mockDbService.txQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
     // --- 500 Transaction Failure Test ---
-    test('should return 500 and rollback if the transaction fails after verification', async () => {
-        // Set up ordered mock responses for the transaction steps
+    test('should return 500 if the transaction fails after verification', async () => {
         mockDbService.executeQuery
-            // 1. BEGIN TRAN;
-            .mockResolvedValueOnce({})
-            // 2. Verify visitor ID
+            // 1. Verify visitor ID
             .mockResolvedValueOnce({ recordset: [{ id: VISITOR_ID }] })
-            // 3. Fails during the VISIT insert step (SCOPE_IDENTITY)
-            .mockRejectedValueOnce(new Error("Database write failed"));
+            // No open visit for this visitor
+            .mockResolvedValueOnce([]);
+        // 2. Fails during the VISIT insert step (SCOPE_IDENTITY)
+        mockDbService.txQuery.mockRejectedValueOnce(new Error("Database write failed"));
         
         const response = await request(app)
             .post(API_ENDPOINT)
@@ -145,15 +215,46 @@ describe('POST /update-visitor-details', () => {
 
         expect(response.status).toBe(500);
         expect(response.body.error).toContain("Database write failed");
-        
-        // Check for BEGIN TRAN and ROLLBACK TRAN
-        expect(mockDbService.executeQuery).toHaveBeenCalledWith("BEGIN TRAN;");
-        expect(mockDbService.executeQuery).toHaveBeenCalledWith("ROLLBACK TRAN;");
-        
-        // The total calls should be BEGIN, VERIFY, FAIL (Visits Insert), ROLLBACK = 4 calls
-        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(4); 
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDbService.txQuery).toHaveBeenCalledTimes(1);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
         
         // Check that console.error was called by the router's error handler
         expect(console.error).toHaveBeenCalled();
     });
+
+    // --- 409 Already On Site Test ---
+    test('should return 409 without writing anything if the visitor is already signed in', async () => {
+        const openVisit = { id: 98, entry_time: '2026-10-19T09:00:00.000Z', unit: '2A' };
+        mockDbService.executeQuery
+            // 1. Verify visitor ID
+            .mockResolvedValueOnce({ recordset: [{ id: VISITOR_ID }] })
+            // The visitor still has an open visit
+            .mockResolvedValueOnce([openVisit]);
+
+        const response = await request(app)
+            .post(API_ENDPOINT)
+            .send(VALID_BODY);
+
+        expect(response.status).toBe(409);
+        expect(response.body.message).toMatch(/already signed in/);
+        expect(response.body.openVisit).toEqual(openVisit);
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 when the one-open-visit index rejects a concurrent sign-in', async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce({ recordset: [{ id: VISITOR_ID }] })
+            .mockResolvedValueOnce([]);
+        mockDbService.txQuery
+            .mockRejectedValueOnce(new Error("Database error during execution: UNIQUE constraint failed: visits.visitor_id"));
+
+        const response = await request(app)
+            .post(API_ENDPOINT)
+            .send(VALID_BODY);
+
+        expect(response.status).toBe(409);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
 });
@@ -0,0 +1,44 @@
+const express = require("express");
+const { subscribeToVisitorEvents } = require("../visitorEvents");
+
+// How long browsers wait before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5000;
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Creates and configures a router that streams on-site list changes
+ * (registrations, sign-ins, sign-outs and bans) as Server-Sent Events.
+ *
+ * @returns {express.Router} - An Express router with the /events/visitors endpoint.
+ */
+function createVisitorEventsRouter() {
+  const router = express.Router();
+
+  // Endpoint: GET /events/visitors (text/event-stream, stays open)
+  router.get("/events/visitors", (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stop reverse proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const unsubscribe = subscribeToVisitorEvents((event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = createVisitorEventsRouter;
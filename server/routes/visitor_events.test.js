@@ -0,0 +1,78 @@
+const http = require("http");
+const express = require("express");
+const createVisitorEventsRouter = require("./visitor_events");
+const { publishVisitorEvent, hasVisitorEventSubscribers } = require("../visitorEvents");
+
+// Opens the stream on a real socket (supertest waits for the response to end, which a stream never does)
+function openStream(server) {
+    return new Promise((resolve, reject) => {
+        const { port } = server.address();
+        const req = http.get({ port, path: "/events/visitors" }, (res) => {
+            res.setEncoding("utf8");
+            const stream = { req, res, body: "" };
+            res.on("data", (chunk) => { stream.body += chunk; });
+            resolve(stream);
+        });
+        req.on("error", reject);
+    });
+}
+
+// Resolves once the stream has received text matching the pattern
+function waitFor(stream, pattern) {
+    return new Promise((resolve) => {
+        const check = () => {
+            if (pattern.test(stream.body)) return resolve(stream.body);
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+describe("GET /events/visitors", () => {
+    let server;
+
+    beforeEach((done) => {
+        const app = express();
+        app.use("/", createVisitorEventsRouter());
+        server = app.listen(0, done);
+    });
+
+    afterEach((done) => {
+        server.close(done);
+    });
+
+    test("should stream published events as Server-Sent Events", async () => {
+        const stream = await openStream(server);
+
+        expect(stream.res.statusCode).toBe(200);
+        expect(stream.res.headers["content-type"]).toContain("text/event-stream");
+        await waitFor(stream, /retry: 5000/);
+
+        const event = publishVisitorEvent("visitor_signed_out", { visitorId: 12 });
+        const body = await waitFor(stream, /event: visitor_signed_out/);
+
+        expect(body).toContain(`id: ${event.id}\nevent: visitor_signed_out\n`);
+        const data = JSON.parse(body.match(/data: (.*)\n\n/)[1]);
+        expect(data).toMatchObject({ type: "visitor_signed_out", visitorId: 12 });
+
+        stream.req.destroy();
+    });
+
+    test("should unsubscribe when the browser disconnects", async () => {
+        const stream = await openStream(server);
+        await waitFor(stream, /retry/);
+        expect(hasVisitorEventSubscribers()).toBe(true);
+
+        stream.req.destroy();
+        await new Promise((resolve) => {
+            const check = () => (hasVisitorEventSubscribers() ? setTimeout(check, 10) : resolve());
+            check();
+        });
+
+        expect(hasVisitorEventSubscribers()).toBe(false);
+    });
+
+    test("should reject unknown event types", () => {
+        expect(() => publishVisitorEvent("visitor_teleported", {})).toThrow(/Unknown visitor event type/);
+    });
+});
@@ -0,0 +1,331 @@
+const express = require("express");
+const path = require("path");
+const sql = require("mssql");
+const { requirePermission } = require("../auth/permissions");
+const { removeUploadedPhoto } = require("../auth/registration");
+const { findPossibleDuplicates, isSamePerson } = require("../visitorMatching");
+const { deletePhotoFiles } = require("../photoFiles");
+const { publishOnSiteVisitor, formatDateOfBirth, parseDateOfBirth } = require("./visitors");
+
+// How many replaced photos are kept per visitor; older files are deleted (0 deletes the old photo straight away).
+// A value that is not a whole number falls back to 5, since slice(NaN) would expire the whole history.
+const configuredPhotoHistoryLimit = parseInt(process.env.PHOTO_HISTORY_LIMIT || "5", 10);
+const PHOTO_HISTORY_LIMIT = configuredPhotoHistoryLimit >= 0 ? configuredPhotoHistoryLimit : 5;
+if (PHOTO_HISTORY_LIMIT !== configuredPhotoHistoryLimit) {
+  console.error(`PHOTO_HISTORY_LIMIT "${process.env.PHOTO_HISTORY_LIMIT}" is not a whole number; keeping 5 earlier photos.`);
+}
+
+// The longest first or last name the visitors table holds
+const MAX_NAME_LENGTH = 255;
+
+// Merged profiles are read too, so an edit to one is refused rather than reported as not found
+const PROFILE_SQL = `
+  SELECT id, first_name, last_name, date_of_birth, photo_path, merged_into_id
+  FROM visitors
+  WHERE id = @visitorId`;
+
+const MERGED_PROFILE_MESSAGE = "This profile has been merged into another. Edit the kept profile instead.";
+
+// The profile as returned to the client, with its photo URL instead of the stored path
+const toProfile = (req, { photo_path, merged_into_id, ...visitor }) => ({
+  ...visitor,
+  date_of_birth: formatDateOfBirth(visitor.date_of_birth),
+  photo: photo_path ? `${req.protocol}://${req.get("host")}/${photo_path}` : null,
+});
+
+/**
+ * Reads and checks the name and date of birth of a profile correction.
+ * Fields left out keep their current value; an empty date_of_birth clears it.
+ *
+ * @param {object} body - req.body.
+ * @param {object} current - The visitor as stored.
+ * @returns {{values?: {first_name: string, last_name: string, date_of_birth: string|null}, error?: string}}
+ */
+function parseProfileChanges(body = {}, current) {
+  const values = {
+    first_name: current.first_name,
+    last_name: current.last_name,
+    date_of_birth: formatDateOfBirth(current.date_of_birth),
+  };
+
+  for (const field of ["first_name", "last_name"]) {
+    if (body[field] === undefined) continue;
+    const name = typeof body[field] === "string" ? body[field].trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: `${field} must be between 1 and ${MAX_NAME_LENGTH} characters.` };
+    }
+    values[field] = name;
+  }
+  if (body.date_of_birth !== undefined) {
+    const dateOfBirth = parseDateOfBirth(body.date_of_birth);
+    if (dateOfBirth.error) return { error: dateOfBirth.error };
+    values.date_of_birth = dateOfBirth.value;
+  }
+  return { values };
+}
+
+/**
+ * Error handler for the photo upload, placed on that route only so it never
+ * answers for other routers. Catches errors from multer (e.g. file too large)
+ * and the upload's file filter. Express recognises error handlers by their four
+ * parameters, so next stays in the signature.
+ */
+function handleUploadError(err, req, res, next) {
+  res.status(400).json({ error: err.message });
+}
+
+/**
+ * Creates and configures a router for correcting a visitor's profile after
+ * registration: their name and date of birth, and their photo. A replaced photo
+ * moves to the visitor_photos history, which keeps the newest PHOTO_HISTORY_LIMIT.
+ *
+ * @param {object} dbService - The database service wrapper (with executeQuery, transaction and logAudit).
+ * @param {object} upload - The Multer instance for file uploads (the one registration uses).
+ * @returns {express.Router} - An Express router with the profile endpoints.
+ */
+function createVisitorProfileRouter(dbService, upload) {
+  const router = express.Router();
+
+  // Endpoint: PATCH /visitors/:id/profile
+  // Body: first_name, last_name, date_of_birth (each optional) and confirm_duplicate
+  router.patch("/visitors/:id/profile", requirePermission("edit_visitor_profile"), async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+
+    try {
+      const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+      const [visitor] = await dbService.executeQuery(PROFILE_SQL, inputs);
+      if (!visitor) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+      if (visitor.merged_into_id) {
+        return res.status(409).json({ message: MERGED_PROFILE_MESSAGE });
+      }
+
+      const { values, error } = parseProfileChanges(req.body, visitor);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const before = {
+        first_name: visitor.first_name,
+        last_name: visitor.last_name,
+        date_of_birth: formatDateOfBirth(visitor.date_of_birth),
+      };
+      if (Object.keys(before).every((field) => before[field] === values[field])) {
+        return res.status(200).json({ message: "Nothing to update.", visitor: toProfile(req, visitor) });
+      }
+
+      // The duplicate check and the update share a transaction, so the check still holds when the change is saved
+      const outcome = await dbService.transaction(async (tx) => {
+        // The same duplicate rules as registration, against everyone else
+        const possibleDuplicates = (
+          await findPossibleDuplicates(tx, `${req.protocol}://${req.get("host")}`, values)
+        ).filter((match) => match.id !== visitorId);
+        if (possibleDuplicates.length > 0) {
+          const samePerson = possibleDuplicates.some((match) => isSamePerson(values, match));
+          const confirmed = req.body.confirm_duplicate === true || req.body.confirm_duplicate === "true";
+          if (samePerson || !confirmed) {
+            return {
+              status: 409,
+              body: {
+                message: samePerson
+                  ? `${values.first_name} ${values.last_name} born ${values.date_of_birth} is already registered. Merge the two profiles instead.`
+                  : `${values.first_name} ${values.last_name} may already be registered. Check the possible matches before saving.`,
+                possibleDuplicates,
+                canConfirm: !samePerson,
+              },
+            };
+          }
+        }
+
+        // A merge since the profile was read hides it, and then nothing is saved
+        const updated = await tx.executeQuery(
+          `UPDATE visitors SET first_name = @firstName, last_name = @lastName, date_of_birth = @dateOfBirth
+           WHERE id = @visitorId AND merged_into_id IS NULL`,
+          [
+            ...inputs,
+            { name: "firstName", type: sql.NVarChar(255), value: values.first_name },
+            { name: "lastName", type: sql.NVarChar(255), value: values.last_name },
+            { name: "dateOfBirth", type: sql.Date, value: values.date_of_birth },
+          ]
+        );
+        if (updated.rowsAffected[0] === 0) {
+          return { status: 409, body: { message: MERGED_PROFILE_MESSAGE } };
+        }
+        return null;
+      });
+      if (outcome) {
+        return res.status(outcome.status).json(outcome.body);
+      }
+
+      await dbService.logAudit({
+        eventName: "Visitor Profile Updated",
+        status: "Success",
+        action: "update_visitor_profile",
+        actor: req.staff,
+        clientIp: req.ip,
+        targetVisitorId: visitorId,
+        before,
+        after: values,
+      });
+      await publishOnSiteVisitor(dbService, req, "visitor_updated", visitorId);
+
+      res.status(200).json({
+        message: "Visitor profile updated.",
+        visitor: toProfile(req, { ...visitor, ...values }),
+      });
+    } catch (err) {
+      console.error("Database Error in PATCH /visitors/:id/profile:", err.message);
+      res.status(500).json({ message: "Failed to update the visitor profile." });
+    }
+  });
+
+  // Endpoint: POST /visitors/:id/photo (multipart, field "photo")
+  // The permission is checked first, so a refused upload is never saved
+  router.post(
+    "/visitors/:id/photo",
+    requirePermission("edit_visitor_profile"),
+    upload.single("photo"),
+    async (req, res) => {
+      const visitorId = parseInt(req.params.id, 10);
+      if (isNaN(visitorId)) {
+        removeUploadedPhoto(req);
+        return res.status(400).json({ message: "Invalid Visitor ID." });
+      }
+      if (!req.file) {
+        return res.status(400).json({ message: "A photo is required." });
+      }
+      const photoPath = `uploads/${path.basename(req.file.path)}`;
+
+      try {
+        const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+        const outcome = await dbService.transaction(async (tx) => {
+          const [visitor] = await tx.executeQuery(PROFILE_SQL, inputs);
+          if (!visitor) {
+            return { status: 404, body: { message: "Visitor not found." } };
+          }
+          if (visitor.merged_into_id) {
+            return { status: 409, body: { message: MERGED_PROFILE_MESSAGE } };
+          }
+
+          // Only replaces the photo just read, so of two replacements at once the second is refused
+          // instead of dropping the first from the history
+          const oldPhotoInputs = [...inputs, { name: "oldPhotoPath", type: sql.NVarChar(500), value: visitor.photo_path }];
+          const updated = await tx.executeQuery(
+            `UPDATE visitors SET photo_path = @photoPath
+             WHERE id = @visitorId AND merged_into_id IS NULL
+               AND ${visitor.photo_path ? "photo_path = @oldPhotoPath" : "photo_path IS NULL"}`,
+            [...oldPhotoInputs, { name: "photoPath", type: sql.NVarChar(500), value: photoPath }]
+          );
+          if (updated.rowsAffected[0] === 0) {
+            return {
+              status: 409,
+              body: { message: "The profile changed while the photo was being replaced. Reload it and try again." },
+            };
+          }
+          if (visitor.photo_path) {
+            await tx.executeQuery(
+              `INSERT INTO visitor_photos (visitor_id, photo_path, replaced_at, replaced_by_id, replaced_by_name)
+               VALUES (@visitorId, @oldPhotoPath, @replacedAt, @staffId, @staffName)`,
+              [
+                ...oldPhotoInputs,
+                { name: "replacedAt", type: sql.NVarChar, value: new Date().toISOString() },
+                { name: "staffId", type: sql.Int, value: req.staff.id },
+                { name: "staffName", type: sql.NVarChar(255), value: req.staff.displayName },
+              ]
+            );
+          }
+
+          // Only the newest PHOTO_HISTORY_LIMIT earlier photos are kept
+          const history = await tx.executeQuery(
+            `SELECT id, photo_path FROM visitor_photos WHERE visitor_id = @visitorId ORDER BY replaced_at DESC, id DESC`,
+            inputs
+          );
+          const expired = history.slice(Math.max(0, PHOTO_HISTORY_LIMIT));
+          for (const photo of expired) {
+            await tx.executeQuery(`DELETE FROM visitor_photos WHERE id = @photoId`, [
+              { name: "photoId", type: sql.Int, value: photo.id },
+            ]);
+          }
+          return { visitor, expiredPhotos: expired.map((photo) => photo.photo_path) };
+        });
+        if (outcome.status) {
+          removeUploadedPhoto(req);
+          return res.status(outcome.status).json(outcome.body);
+        }
+        const { visitor, expiredPhotos } = outcome;
+
+        // Files cannot be rolled back, so they go only once the change has committed
+        if (expiredPhotos.length > 0) {
+          const photos = await deletePhotoFiles(expiredPhotos);
+          if (photos.failed.length > 0) {
+            console.error(`Photo replacement for visitor ${visitorId}: could not delete ${photos.failed.join(", ")}.`);
+          }
+        }
+
+        await dbService.logAudit({
+          eventName: "Visitor Photo Replaced",
+          status: "Success",
+          action: "replace_visitor_photo",
+          actor: req.staff,
+          clientIp: req.ip,
+          targetVisitorId: visitorId,
+          before: { photo_path: visitor.photo_path },
+          after: { photo_path: photoPath, photos_deleted: expiredPhotos.length },
+        });
+        await publishOnSiteVisitor(dbService, req, "visitor_updated", visitorId);
+
+        res.status(200).json({
+          message: "Photo replaced.",
+          visitor: toProfile(req, { ...visitor, photo_path: photoPath }),
+        });
+      } catch (err) {
+        console.error("Database Error in POST /visitors/:id/photo:", err.message);
+        removeUploadedPhoto(req);
+        res.status(500).json({ message: "Failed to replace the photo. Nothing was changed." });
+      }
+    },
+    handleUploadError
+  );
+
+  // Endpoint: GET /visitors/:id/photos - the current photo and the earlier ones, newest first
+  router.get("/visitors/:id/photos", requirePermission("edit_visitor_profile"), async (req, res) => {
+    const visitorId = parseInt(req.params.id, 10);
+    if (isNaN(visitorId)) {
+      return res.status(400).json({ message: "Invalid Visitor ID." });
+    }
+
+    try {
+      const inputs = [{ name: "visitorId", type: sql.Int, value: visitorId }];
+      const [visitor] = await dbService.executeQuery(PROFILE_SQL, inputs);
+      if (!visitor || visitor.merged_into_id) {
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+      const history = await dbService.executeQuery(
+        `SELECT id, photo_path, replaced_at, replaced_by_name
+         FROM visitor_photos
+         WHERE visitor_id = @visitorId
+         ORDER BY replaced_at DESC, id DESC`,
+        inputs
+      );
+
+      res.status(200).json({
+        current: toProfile(req, visitor).photo,
+        history: history.map(({ photo_path, ...photo }) => ({
+          ...photo,
+          photo: `${req.protocol}://${req.get("host")}/${photo_path}`,
+        })),
+      });
+    } catch (err) {
+      console.error("Database Error in GET /visitors/:id/photos:", err.message);
+      res.status(500).json({ message: "Failed to retrieve the photo history." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVisitorProfileRouter;
+module.exports.PHOTO_HISTORY_LIMIT = PHOTO_HISTORY_LIMIT;
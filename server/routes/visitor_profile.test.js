@@ -0,0 +1,269 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const express = require("express");
+const multer = require("multer");
+const createVisitorProfileRouter = require("./visitor_profile");
+const { PHOTO_HISTORY_LIMIT } = require("./visitor_profile");
+const photoFiles = require("../photoFiles");
+const visitorMatching = require("../visitorMatching");
+
+// Photo files of earlier photos are never touched on disk here
+jest.mock("../photoFiles", () => ({
+    deletePhotoFiles: jest.fn(),
+}));
+jest.mock("../visitorMatching", () => ({
+    ...jest.requireActual("../visitorMatching"),
+    findPossibleDuplicates: jest.fn(),
+}));
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), "visitor-profile-"));
+
+// Helper to create a test app instance
+function setupTestApp(dbService, role = "supervisor") {
+    const app = express();
+    app.use(express.json());
+    // Simulate the signed-in staff member set by requireStaffAuth
+    app.use((req, res, next) => {
+        req.staff = { id: 2, username: "sam", displayName: "Sam Supervisor", role };
+        next();
+    });
+    app.use("/", createVisitorProfileRouter(dbService, multer({ dest: uploadsDir })));
+    return app;
+}
+
+const visitorRow = (overrides = {}) => ({
+    id: 10,
+    first_name: "Jane",
+    last_name: "Doe",
+    date_of_birth: null,
+    photo_path: "uploads/jane.jpg",
+    ...overrides,
+});
+
+describe("Visitor profile endpoints", () => {
+    let mockDbService;
+
+    beforeEach(() => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+        fs.mkdirSync(uploadsDir);
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        jest.spyOn(console, "log").mockImplementation(() => {});
+        photoFiles.deletePhotoFiles.mockReset();
+        photoFiles.deletePhotoFiles.mockResolvedValue({ deleted: 1, missing: 0, failed: [] });
+        visitorMatching.findPossibleDuplicates.mockReset();
+        visitorMatching.findPossibleDuplicates.mockResolvedValue([]);
+        mockDbService = {
+            executeQuery: jest.fn().mockResolvedValue(Object.assign([], { rowsAffected: [1] })),
+            logAudit: jest.fn(),
+        };
+        mockDbService.transaction = jest.fn((work) => work({ executeQuery: mockDbService.executeQuery }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+    });
+
+    test("PATCH /visitors/:id/profile should correct the name and date of birth and audit it", async () => {
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow()]);
+
+        const response = await request(setupTestApp(mockDbService))
+            .patch("/visitors/10/profile")
+            .send({ first_name: " Janet ", date_of_birth: "1980-02-03" })
+            .expect(200);
+
+        expect(response.body.visitor).toEqual({
+            id: 10,
+            first_name: "Janet",
+            last_name: "Doe",
+            date_of_birth: "1980-02-03",
+            photo: expect.stringMatching(/\/uploads\/jane\.jpg$/),
+        });
+        const [query, params] = mockDbService.executeQuery.mock.calls[1];
+        expect(query).toContain("UPDATE visitors SET first_name = @firstName");
+        expect(params).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "firstName", value: "Janet" }),
+            expect.objectContaining({ name: "lastName", value: "Doe" }),
+            expect.objectContaining({ name: "dateOfBirth", value: "1980-02-03" }),
+        ]));
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "update_visitor_profile",
+            targetVisitorId: 10,
+            before: { first_name: "Jane", last_name: "Doe", date_of_birth: null },
+            after: { first_name: "Janet", last_name: "Doe", date_of_birth: "1980-02-03" },
+        }));
+    });
+
+    test("PATCH /visitors/:id/profile should apply the duplicate rules against other visitors", async () => {
+        const app = setupTestApp(mockDbService);
+        const otherJanet = { id: 11, first_name: "Janet", last_name: "Doe", date_of_birth: "1980-02-03" };
+        mockDbService.executeQuery.mockResolvedValue(Object.assign([visitorRow()], { rowsAffected: [1] }));
+        // The visitor being edited is not a duplicate of themselves
+        visitorMatching.findPossibleDuplicates.mockResolvedValue([visitorRow(), { ...otherJanet, date_of_birth: null }]);
+
+        const warned = await request(app).patch("/visitors/10/profile").send({ first_name: "Janet" }).expect(409);
+        expect(warned.body).toMatchObject({ canConfirm: true, possibleDuplicates: [{ id: 11 }] });
+        expect(warned.body.possibleDuplicates).toHaveLength(1);
+
+        await request(app).patch("/visitors/10/profile").send({ first_name: "Janet", confirm_duplicate: true }).expect(200);
+
+        visitorMatching.findPossibleDuplicates.mockResolvedValue([otherJanet]);
+        const samePerson = await request(app)
+            .patch("/visitors/10/profile")
+            .send({ first_name: "Janet", date_of_birth: "1980-02-03", confirm_duplicate: true })
+            .expect(409);
+        expect(samePerson.body.canConfirm).toBe(false);
+        expect(samePerson.body.message).toContain("Merge the two profiles instead.");
+        expect(mockDbService.logAudit).toHaveBeenCalledTimes(1);
+
+        // The check runs inside the transaction that saves the change
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(3);
+        expect(visitorMatching.findPossibleDuplicates.mock.calls[0][0]).toEqual({ executeQuery: mockDbService.executeQuery });
+    });
+
+    test("PATCH /visitors/:id/profile should refuse to edit a merged profile", async () => {
+        const app = setupTestApp(mockDbService);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow({ merged_into_id: 12 })]);
+        const merged = await request(app).patch("/visitors/10/profile").send({ first_name: "Janet" }).expect(409);
+        expect(merged.body.message).toBe("This profile has been merged into another. Edit the kept profile instead.");
+        expect(mockDbService.transaction).not.toHaveBeenCalled();
+
+        // Merged between the read and the update: nothing is saved
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([visitorRow()])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [0] }));
+        const raced = await request(app).patch("/visitors/10/profile").send({ first_name: "Janet" }).expect(409);
+        expect(raced.body.message).toBe("This profile has been merged into another. Edit the kept profile instead.");
+        expect(mockDbService.executeQuery.mock.calls[2][0]).toContain("WHERE id = @visitorId AND merged_into_id IS NULL");
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test("PATCH /visitors/:id/profile should refuse bad input, unknown visitors and reception", async () => {
+        const app = setupTestApp(mockDbService);
+
+        await request(setupTestApp(mockDbService, "reception")).patch("/visitors/10/profile").send({ first_name: "Janet" }).expect(403);
+        await request(app).patch("/visitors/abc/profile").send({ first_name: "Janet" }).expect(400);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        await request(app).patch("/visitors/99/profile").send({ first_name: "Janet" }).expect(404);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow()]);
+        const blank = await request(app).patch("/visitors/10/profile").send({ last_name: "  " }).expect(400);
+        expect(blank.body.message).toBe("last_name must be between 1 and 255 characters.");
+
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow()]);
+        const future = await request(app).patch("/visitors/10/profile").send({ date_of_birth: "2999-01-01" }).expect(400);
+        expect(future.body.message).toBe("date_of_birth cannot be in the future.");
+
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow()]);
+        const unchanged = await request(app).patch("/visitors/10/profile").send({ first_name: "Jane" }).expect(200);
+        expect(unchanged.body.message).toBe("Nothing to update.");
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test("PHOTO_HISTORY_LIMIT should fall back to 5 when the setting is not a whole number", () => {
+        process.env.PHOTO_HISTORY_LIMIT = "five";
+        try {
+            jest.isolateModules(() => {
+                expect(require("./visitor_profile").PHOTO_HISTORY_LIMIT).toBe(5);
+            });
+            expect(console.error).toHaveBeenCalledWith('PHOTO_HISTORY_LIMIT "five" is not a whole number; keeping 5 earlier photos.');
+        } finally {
+            delete process.env.PHOTO_HISTORY_LIMIT;
+        }
+    });
+
+    test("POST /visitors/:id/photo should keep the old photo in the history and delete the oldest beyond the limit", async () => {
+        const history = Array.from({ length: PHOTO_HISTORY_LIMIT + 1 }, (_, index) => ({
+            id: 100 - index,
+            photo_path: `uploads/old-${index}.jpg`,
+        }));
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([visitorRow()])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [1] }))
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [1] }))
+            .mockResolvedValueOnce(history);
+
+        const response = await request(setupTestApp(mockDbService))
+            .post("/visitors/10/photo")
+            .attach("photo", Buffer.from("new photo"), "new.jpg")
+            .expect(200);
+
+        const newPhotoPath = `uploads/${path.basename(response.body.visitor.photo)}`;
+        expect(fs.existsSync(path.join(uploadsDir, path.basename(newPhotoPath)))).toBe(true);
+        expect(mockDbService.transaction).toHaveBeenCalledTimes(1);
+        const calls = mockDbService.executeQuery.mock.calls;
+        // The photo only changes if it is still the one read, and then the old one joins the history
+        expect(calls[1][0]).toContain("AND merged_into_id IS NULL");
+        expect(calls[1][0]).toContain("AND photo_path = @oldPhotoPath");
+        expect(calls[1][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "photoPath", value: newPhotoPath }),
+            expect.objectContaining({ name: "oldPhotoPath", value: "uploads/jane.jpg" }),
+        ]));
+        expect(calls[2][0]).toContain("INSERT INTO visitor_photos");
+        expect(calls[2][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "oldPhotoPath", value: "uploads/jane.jpg" }),
+            expect.objectContaining({ name: "staffName", value: "Sam Supervisor" }),
+        ]));
+        expect(calls[4][0]).toContain("DELETE FROM visitor_photos WHERE id = @photoId");
+        expect(calls[4][1]).toEqual([expect.objectContaining({ value: history[PHOTO_HISTORY_LIMIT].id })]);
+        expect(photoFiles.deletePhotoFiles).toHaveBeenCalledWith([history[PHOTO_HISTORY_LIMIT].photo_path]);
+        expect(mockDbService.logAudit).toHaveBeenCalledWith(expect.objectContaining({
+            action: "replace_visitor_photo",
+            before: { photo_path: "uploads/jane.jpg" },
+            after: { photo_path: newPhotoPath, photos_deleted: 1 },
+        }));
+    });
+
+    test("POST /visitors/:id/photo should refuse a missing photo or visitor and remove the upload", async () => {
+        const app = setupTestApp(mockDbService);
+
+        const missing = await request(app).post("/visitors/10/photo").field("note", "no photo").expect(400);
+        expect(missing.body.message).toBe("A photo is required.");
+        await request(setupTestApp(mockDbService, "reception"))
+            .post("/visitors/10/photo")
+            .attach("photo", Buffer.from("photo"), "refused.jpg")
+            .expect(403);
+
+        mockDbService.executeQuery.mockResolvedValueOnce([]);
+        await request(app).post("/visitors/99/photo").attach("photo", Buffer.from("photo"), "unknown.jpg").expect(404);
+        mockDbService.executeQuery.mockResolvedValueOnce([visitorRow({ merged_into_id: 12 })]);
+        await request(app).post("/visitors/10/photo").attach("photo", Buffer.from("photo"), "merged.jpg").expect(409);
+
+        // Another replacement or a merge got there between the read and the update
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([visitorRow({ photo_path: null })])
+            .mockResolvedValueOnce(Object.assign([], { rowsAffected: [0] }));
+        const raced = await request(app).post("/visitors/10/photo").attach("photo", Buffer.from("photo"), "raced.jpg").expect(409);
+        expect(raced.body.message).toBe("The profile changed while the photo was being replaced. Reload it and try again.");
+        expect(mockDbService.executeQuery.mock.calls[3][0]).toContain("AND photo_path IS NULL");
+        expect(mockDbService.executeQuery).toHaveBeenCalledTimes(4);
+
+        expect(fs.readdirSync(uploadsDir)).toHaveLength(0);
+        expect(mockDbService.logAudit).not.toHaveBeenCalled();
+    });
+
+    test("GET /visitors/:id/photos should list the current photo and the earlier ones", async () => {
+        mockDbService.executeQuery
+            .mockResolvedValueOnce([visitorRow()])
+            .mockResolvedValueOnce([
+                { id: 3, photo_path: "uploads/jane-2024.jpg", replaced_at: "2025-01-01T09:00:00.000Z", replaced_by_name: "Sam Supervisor" },
+            ]);
+
+        const response = await request(setupTestApp(mockDbService)).get("/visitors/10/photos").expect(200);
+
+        expect(response.body.current).toMatch(/\/uploads\/jane\.jpg$/);
+        expect(response.body.history).toEqual([{
+            id: 3,
+            photo: expect.stringMatching(/\/uploads\/jane-2024\.jpg$/),
+            replaced_at: "2025-01-01T09:00:00.000Z",
+            replaced_by_name: "Sam Supervisor",
+        }]);
+    });
+});
@@ -1,5 +1,149 @@
 const express = require("express");
 const sql = require("mssql");
+const {
+  publishVisitorEvent,
+  hasVisitorEventSubscribers,
+} = require("../visitorEvents");
+
+/**
+ * Loads the visitors currently signed in (exit_time IS NULL), newest first,
+ * with their dependents and a full photo URL.
+ *
+ * @param {object} dbService - The Azure SQL database service wrapper (e.g., with executeQuery).
+ * @param {string} photoBaseUrl - Origin the photo paths are served from (e.g. "https://host").
+ * @param {number|null} visitorId - Only load this visitor's open visit when given.
+ * @returns {Promise<Array<Object>>} The on-site rows.
+ */
+async function fetchOnSiteVisitors(dbService, photoBaseUrl, visitorId = null) {
+  // T-SQL query to retrieve all active visits (where exit_time IS NULL)
+  // and aggregate the related dependent data using FOR JSON PATH.
+  const query = `
+    SELECT
+      T1.id,
+      T1.first_name,
+      T1.last_name,
+      T1.photo_path,
+      T1.is_banned,
+      T2.entry_time,
+      T2.exit_time,
+      T2.known_as,
+      T2.address,
+      T2.phone_number,
+      T2.unit,
+      T2.reason_for_visit,
+      T2.company_name,
+      T2.type,
+      T2.mandatory_acknowledgment_taken,
+      (
+          SELECT 
+              full_name, 
+              age 
+          FROM dependents AS T3 
+          WHERE T3.visit_id = T2.id
+          FOR JSON PATH
+      ) AS additional_dependents
+    FROM visitors AS T1
+    JOIN visits AS T2
+      ON T1.id = T2.visitor_id
+    WHERE T2.exit_time IS NULL${visitorId ? " AND T1.id = @visitorId" : ""}
+    GROUP BY 
+      T1.id, T1.first_name, T1.last_name, T1.photo_path, T1.is_banned,
+      T2.id, T2.entry_time, T2.exit_time, T2.known_as, T2.address, T2.phone_number,
+      T2.unit, T2.reason_for_visit, T2.company_name, T2.type, T2.mandatory_acknowledgment_taken
+    ORDER BY T2.entry_time DESC;
+  `;
+
+  const result = visitorId
+    ? await dbService.executeQuery(query, [
+        { name: "visitorId", type: sql.Int, value: visitorId },
+      ])
+    : await dbService.executeQuery(query);
+  const rows = result.recordset;
+
+  return rows.map((row) => {
+    let dependentsData = [];
+
+    // Parse the JSON array string generated by FOR JSON PATH
+    if (row.additional_dependents) {
+      try {
+        dependentsData = JSON.parse(row.additional_dependents);
+      } catch (parseErr) {
+        console.error(
+          "Failed to parse dependents JSON for active visitor:",
+          parseErr.message
+        );
+      }
+    }
+
+    return {
+      ...row,
+      // Construct the full photo URL
+      photo: row.photo_path ? `${photoBaseUrl}/${row.photo_path}` : null,
+      dependents: dependentsData,
+      // Clean up the response object
+      photo_path: undefined,
+      additional_dependents: undefined,
+    };
+  });
+}
+
+/**
+ * Broadcasts a registration, sign-in or profile correction with the visitor's on-site
+ * row, so open dashboards can show it without reloading the list. Skipped when nobody is listening;
+ * a failure here never fails the sign-in that triggered it.
+ *
+ * @param {object} dbService - The database service wrapper.
+ * @param {express.Request} req - The request that signed the visitor in (for the photo URL).
+ * @param {string} type - "visitor_registered", "visitor_signed_in" or "visitor_updated".
+ * @param {number|string} visitorId - The visitor who is now on site.
+ */
+async function publishOnSiteVisitor(dbService, req, type, visitorId) {
+  if (!hasVisitorEventSubscribers()) return;
+  try {
+    const [visitor] = await fetchOnSiteVisitors(
+      dbService,
+      `${req.protocol}://${req.get("host")}`,
+      parseInt(visitorId, 10)
+    );
+    if (visitor) {
+      publishVisitorEvent(type, { visitor });
+    }
+  } catch (err) {
+    console.error(`Failed to publish ${type} event:`, err.message);
+  }
+}
+
+/**
+ * Formats a visitor's date_of_birth as YYYY-MM-DD. mssql returns DATE columns
+ * as Date objects at UTC midnight; SQLite returns the stored string.
+ *
+ * @param {Date|string|null} value - The date_of_birth column value.
+ * @returns {string|null}
+ */
+function formatDateOfBirth(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Checks an optional date of birth as entered on a form.
+ * @param {string|undefined} value - The submitted date_of_birth.
+ * @returns {{ value: string|null, error?: string }} The YYYY-MM-DD date, or null when left blank.
+ */
+function parseDateOfBirth(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return { value: null };
+  }
+  const text = String(value).trim();
+  const date = new Date(`${text}T00:00:00.000Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+    return { value: null, error: "date_of_birth must be a real date in the format YYYY-MM-DD." };
+  }
+  if (text > new Date().toISOString().slice(0, 10)) {
+    return { value: null, error: "date_of_birth cannot be in the future." };
+  }
+  return { value: text };
+}
 
 /**
  * Creates and configures a router for fetching currently signed-in visitor data
@@ -13,77 +157,12 @@ function createVisitorsRouter(dbService) {
 
   // Endpoint to get all currently signed-in visitors
   router.get("/visitors", async (req, res) => {
-    // T-SQL query to retrieve all active visits (where exit_time IS NULL)
-    // and aggregate the related dependent data using FOR JSON PATH.
-    const query = `
-      SELECT
-        T1.id,
-        T1.first_name,
-        T1.last_name,
-        T1.photo_path,
-        T1.is_banned,
-        T2.entry_time,
-        T2.exit_time,
-        T2.known_as,
-        T2.address,
-        T2.phone_number,
-        T2.unit,
-        T2.reason_for_visit,
-        T2.company_name,
-        T2.type,
-        T2.mandatory_acknowledgment_taken,
-        (
-            SELECT 
-                full_name, 
-                age 
-            FROM dependents AS T3 
-            WHERE T3.visit_id = T2.id
-            FOR JSON PATH
-        ) AS additional_dependents
-      FROM visitors AS T1
-      JOIN visits AS T2
-        ON T1.id = T2.visitor_id
-      WHERE T2.exit_time IS NULL
-      GROUP BY 
-        T1.id, T1.first_name, T1.last_name, T1.photo_path, T1.is_banned,
-        T2.id, T2.entry_time, T2.exit_time, T2.known_as, T2.address, T2.phone_number,
-        T2.unit, T2.reason_for_visit, T2.company_name, T2.type, T2.mandatory_acknowledgment_taken
-      ORDER BY T2.entry_time DESC;
-    `;
-
     try {
-      const result = await dbService.executeQuery(query);
-      const rows = result.recordset;
-
-      const resultsWithUrls = rows.map((row) => {
-        let dependentsData = [];
-
-        // Parse the JSON array string generated by FOR JSON PATH
-        if (row.additional_dependents) {
-          try {
-            dependentsData = JSON.parse(row.additional_dependents);
-          } catch (parseErr) {
-            console.error(
-              "Failed to parse dependents JSON for active visitor:",
-              parseErr.message
-            );
-          }
-        }
-
-        return {
-          ...row,
-          // Construct the full photo URL
-          photo: row.photo_path
-            ? `${req.protocol}://${req.get("host")}/${row.photo_path}`
-            : null,
-          dependents: dependentsData,
-          // Clean up the response object
-          photo_path: undefined,
-          additional_dependents: undefined,
-        };
-      });
-
-      res.json(resultsWithUrls);
+      const visitors = await fetchOnSiteVisitors(
+        dbService,
+        `${req.protocol}://${req.get("host")}`
+      );
+      res.json(visitors);
     } catch (err) {
       console.error("Azure SQL Error in GET /visitors:", err.message);
       res
@@ -96,3 +175,7 @@ function createVisitorsRouter(dbService) {
 }
 
 module.exports = createVisitorsRouter;
+module.exports.fetchOnSiteVisitors = fetchOnSiteVisitors;
+module.exports.publishOnSiteVisitor = publishOnSiteVisitor;
+module.exports.formatDateOfBirth = formatDateOfBirth;
+module.exports.parseDateOfBirth = parseDateOfBirth;
@@ -134,3 +134,35 @@ describe('GET /visitors', () => {
         expect(console.error).toHaveBeenCalled();
     });
 });
+
+describe('publishOnSiteVisitor', () => {
+    const { publishOnSiteVisitor } = createVisitorsRouter;
+    const { subscribeToVisitorEvents } = require("../visitorEvents");
+    const fakeReq = { protocol: TEST_PROTOCOL, get: () => TEST_HOST };
+
+    test('should broadcast the visitor\'s on-site row to subscribers', async () => {
+        const events = [];
+        const unsubscribe = subscribeToVisitorEvents((event) => events.push(event));
+        mockDbService.executeQuery.mockResolvedValue({ recordset: [MOCK_DB_DATA[0]] });
+
+        await publishOnSiteVisitor(mockDbService, fakeReq, 'visitor_signed_in', '101');
+        unsubscribe();
+
+        expect(mockDbService.executeQuery.mock.calls[0][0]).toContain('AND T1.id = @visitorId');
+        expect(mockDbService.executeQuery.mock.calls[0][1]).toEqual([
+            expect.objectContaining({ name: 'visitorId', value: 101 }),
+        ]);
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+            type: 'visitor_signed_in',
+            visitor: { id: 101, photo: `${TEST_PROTOCOL}://${TEST_HOST}/photos/jane.jpg` },
+        });
+        expect(events[0].visitor.dependents).toHaveLength(2);
+    });
+
+    test('should skip the query when nobody is listening', async () => {
+        await publishOnSiteVisitor(mockDbService, fakeReq, 'visitor_signed_in', 101);
+
+        expect(mockDbService.executeQuery).not.toHaveBeenCalled();
+    });
+});
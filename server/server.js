@@ -1,10 +1,12 @@
+require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
-const dbService = require("./azureSqlService"); 
+const dbService = require("./dbService"); 
+const { UPLOADS_DIR } = require("./photoFiles");
 
 const app = express();
 
@@ -20,18 +22,35 @@ const createUnbanVisitorRouter = require("./routes/unban");
 const createSearchVisitorsRouter = require("./routes/search_visitors");
 const createMissedVisitRouter = require("./routes/record_missed_visit");
 const createHistoryRouter = require("./routes/display_history"); 
+const createStaffLoginRouter = require("./auth/staff_login");
+const createStaffRouter = require("./routes/staff");
+const createAuditLogsRouter = require("./routes/audit_logs");
+const createVisitorEventsRouter = require("./routes/visitor_events");
+const createRollCallRouter = require("./routes/roll_call");
+const createAutoSignOutRouter = require("./routes/auto_sign_out");
+const createLegalHoldsRouter = require("./routes/legal_holds");
+const createSubjectAccessRouter = require("./routes/subject_access");
+const createEraseVisitorRouter = require("./routes/erase_visitor");
+const createExportHistoryRouter = require("./routes/export_history");
+const createHistoryReportRouter = require("./routes/history_report");
+const createStatsRouter = require("./routes/stats");
+const createMergeVisitorsRouter = require("./routes/merge_visitors");
+const createVisitorProfileRouter = require("./routes/visitor_profile");
+const createHouseholdRouter = require("./routes/household");
+const { requireStaffAuth } = require("./auth/staff_session");
 
 // Middleware setup
-app.use(cors());
+// Content-Disposition is exposed so the client can keep the file names of downloads
+app.use(cors({ exposedHeaders: ["Content-Disposition"] }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Handle file uploads directory
-const uploadsDir = "uploads";
+const uploadsDir = UPLOADS_DIR;
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
 }
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+app.use("/uploads", express.static(uploadsDir));
 
 // Set up multer for file uploads
 const storage = multer.diskStorage({
@@ -70,24 +89,61 @@ const upload = multer({
 dbService.connectDb()
     .then(() => {
         console.log("Database connection pool initialized.");
+        return createStaffLoginRouter.bootstrapStaffAccount(dbService);
     })
+    .then(() => createBanVisitorRouter.liftExpiredBans(dbService))
+    // Visitors from before households existed start with who came on their last visit
+    .then(() => createHouseholdRouter.adoptLastVisitDependents(dbService))
+    // Close visits left open at the end-of-day cut-off (AUTO_SIGN_OUT_TIME, default 23:00)
+    .then(() => createAutoSignOutRouter.scheduleAutoSignOut(dbService))
     .catch(error => {
         console.error('Initial database connection failed. Endpoints may fail.', error);
     });
 
+// Lift bans whose end date has passed every few minutes
+const BAN_EXPIRY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+setInterval(() => createBanVisitorRouter.liftExpiredBans(dbService), BAN_EXPIRY_CHECK_INTERVAL_MS).unref();
+
+// Staff sign-in is the only public API; every router below requires a staff token
+app.use("/api", createStaffLoginRouter(dbService));
+app.use("/api", requireStaffAuth(dbService));
+
 // Router usage 
 app.use("/api", createRegistrationRouter(dbService, upload));
 app.use("/api", createVisitorsRouter(dbService));
+app.use("/api", createVisitorEventsRouter());
 app.use("/api", createLoginRouter(dbService));
 app.use("/api", createUpdateVisitorRouter(dbService));
 app.use("/api", createLogoutRouter(dbService));
 app.use("/api", createBanVisitorRouter(dbService));
 app.use("/api", createUnbanVisitorRouter(dbService));
-app.use("/api", createSearchVisitorsRouter(dbService)); 
+app.use("/api", createSearchVisitorsRouter(dbService, dbService.sqlTypes));
 app.use("/api", createMissedVisitRouter(dbService)); 
 app.use("/api", createHistoryRouter(dbService)); 
+app.use("/api", createExportHistoryRouter(dbService));
+app.use("/api", createHistoryReportRouter(dbService));
+app.use("/api", createStatsRouter(dbService));
+app.use("/api", createStaffRouter(dbService));
+app.use("/api", createAuditLogsRouter(dbService));
+app.use("/api", createRollCallRouter(dbService));
+app.use("/api", createAutoSignOutRouter(dbService));
+app.use("/api", runDataComplianceCleanup.createCleanupRouter(dbService));
+app.use("/api", createLegalHoldsRouter(dbService));
+app.use("/api", createSubjectAccessRouter(dbService));
+app.use("/api", createEraseVisitorRouter(dbService));
+app.use("/api", createMergeVisitorsRouter(dbService));
+app.use("/api", createVisitorProfileRouter(dbService, upload));
+app.use("/api", createHouseholdRouter(dbService));
 
-// Running compliance cleanup job 
-runDataComplianceCleanup(dbService);
+// Running compliance cleanup job daily (RETENTION_SCHEDULE, default 03:00)
+runDataComplianceCleanup.scheduleRetentionCleanup(dbService);
+
+// Start listening when run directly (npm start / npm run dev)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3001;
+  app.listen(PORT, () => {
+    console.log(`Server listening on port ${PORT}`);
+  });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,347 @@
+/**
+ * Translates the T-SQL used by the routers into SQLite so the local storage
+ * adapter can run the exact same query strings offline.
+ *
+ * Only the constructs this code base relies on are covered:
+ *  - SELECT TOP n / OFFSET ... FETCH NEXT ... -> LIMIT / OFFSET
+ *  - FOR JSON PATH [, WITHOUT_ARRAY_WRAPPER] -> json_group_array / json_object
+ *  - OUTER / CROSS APPLY (SELECT TOP 1 ... FROM table ...) -> LEFT JOIN / JOIN on the row id
+ *  - OUTPUT INSERTED.col / DELETED.col -> RETURNING col
+ *  - SELECT @var = expr (output parameters)
+ *  - BEGIN / COMMIT / ROLLBACK TRAN
+ *  - GETUTCDATE(), SCOPE_IDENTITY(), ISNULL(), LEN(), RIGHT(), N'' literals and [identifiers]
+ *  - DATEDIFF(second | minute | hour | day, start, end)
+ *  - locking table hints such as WITH (UPDLOCK, HOLDLOCK), dropped because local transactions run one at a time
+ *  - computed columns (name AS expr PERSISTED) -> stored generated columns, in the schema
+ */
+
+// Placeholders used while rewriting, so string literals and nested parentheses
+// never confuse the clause-level regular expressions.
+const STRING_MARK = "\u0000";
+const GROUP_MARK = "\u0001";
+const GROUP_PATTERN = /\u0001(\d+)\u0001/g;
+
+// Table hints that only change locking, which SQLite does not need
+const LOCK_HINTS = /^\s*(?:UPDLOCK|HOLDLOCK|ROWLOCK|SERIALIZABLE)(?:\s*,\s*(?:UPDLOCK|HOLDLOCK|ROWLOCK|SERIALIZABLE))*\s*$/i;
+
+// ISO-8601 UTC timestamp, the same format routes write with Date#toISOString().
+const NOW_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+/**
+ * Removes comments and replaces string literals with placeholders.
+ * @param {string} sqlText - Raw T-SQL.
+ * @returns {{text: string, strings: string[]}}
+ */
+function protectStrings(sqlText) {
+  const strings = [];
+  let text = "";
+  let i = 0;
+
+  while (i < sqlText.length) {
+    const ch = sqlText[i];
+    const next = sqlText[i + 1];
+
+    if (ch === "-" && next === "-") {
+      const end = sqlText.indexOf("\n", i);
+      i = end === -1 ? sqlText.length : end;
+      continue;
+    }
+    if (ch === "/" && next === "*") {
+      const end = sqlText.indexOf("*/", i + 2);
+      i = end === -1 ? sqlText.length : end + 2;
+      text += " ";
+      continue;
+    }
+
+    const isUnicodeLiteral =
+      (ch === "N" || ch === "n") && next === "'" && !/\w/.test(sqlText[i - 1] || "");
+    if (ch === "'" || isUnicodeLiteral) {
+      let j = isUnicodeLiteral ? i + 2 : i + 1;
+      let literal = "'";
+      while (j < sqlText.length) {
+        if (sqlText[j] === "'") {
+          if (sqlText[j + 1] === "'") {
+            literal += "''";
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        literal += sqlText[j];
+        j++;
+      }
+      strings.push(`${literal}'`);
+      text += `${STRING_MARK}${strings.length - 1}${STRING_MARK}`;
+      i = j + 1;
+      continue;
+    }
+
+    if (ch === "[") {
+      const end = sqlText.indexOf("]", i);
+      text += `"${sqlText.slice(i + 1, end)}"`;
+      i = end + 1;
+      continue;
+    }
+
+    text += ch;
+    i++;
+  }
+
+  return { text, strings };
+}
+
+function restoreStrings(text, strings) {
+  return text.replace(/\u0000(\d+)\u0000/g, (_, n) => strings[n]);
+}
+
+/**
+ * Replaces every top-level parenthesised group with a placeholder.
+ * @param {string} text
+ * @returns {{text: string, groups: string[]}}
+ */
+function extractGroups(text) {
+  const groups = [];
+  let out = "";
+  let depth = 0;
+  let start = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "(") {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === ")") {
+      depth--;
+      if (depth === 0) {
+        groups.push(text.slice(start + 1, i));
+        out += `${GROUP_MARK}${groups.length - 1}${GROUP_MARK}`;
+      }
+    } else if (depth === 0) {
+      out += ch;
+    }
+  }
+
+  if (depth !== 0) {
+    throw new Error("Unbalanced parentheses in SQL statement.");
+  }
+  return { text: out, groups };
+}
+
+function restoreGroups(text, groups) {
+  return text.replace(GROUP_PATTERN, (_, n) => `(${groups[n]})`);
+}
+
+// Derives the JSON property name FOR JSON PATH would use for a select-list item.
+function jsonProperty(item) {
+  const aliased = item.match(/^([\s\S]+?)\s+AS\s+"?(\w+)"?$/i);
+  if (aliased) return [aliased[2], aliased[1]];
+  const column = item.match(/(\w+)"?$/);
+  return [column ? column[1] : item, item];
+}
+
+// Rewrites a `SELECT ... FOR JSON PATH` body (placeholders intact) for SQLite.
+function translateForJson(level, withoutArrayWrapper) {
+  const select = level.match(/^\s*SELECT\s+([\s\S]*?)\s+FROM\s+([\s\S]*)$/i);
+  if (!select) {
+    throw new Error("Unsupported FOR JSON query: expected SELECT ... FROM ...");
+  }
+
+  const pairs = select[1]
+    .split(",")
+    .map((item) => jsonProperty(item.trim()))
+    .map(([key, expression]) => `'${key}', ${expression}`);
+  const jsonObject = `json_object(${pairs.join(", ")})`;
+
+  if (withoutArrayWrapper) {
+    return `SELECT ${jsonObject} FROM ${select[2]}`;
+  }
+
+  // FOR JSON PATH yields NULL (not "[]") when there are no rows.
+  let source = select[2];
+  let orderBy = "";
+  const order = source.match(/\s+ORDER\s+BY\s+([\s\S]+)$/i);
+  if (order) {
+    source = source.slice(0, order.index);
+    orderBy = ` ORDER BY ${order[1]}`;
+  }
+  return `SELECT CASE WHEN COUNT(*) = 0 THEN NULL ELSE json_group_array(${jsonObject}${orderBy}) END FROM ${source}`;
+}
+
+// Length of each DATEDIFF unit in seconds
+const DATEDIFF_UNITS = { second: 1, minute: 60, hour: 3600, day: 86400 };
+
+// DATEDIFF counts the unit boundaries crossed, i.e. the difference of whole units since the epoch
+function translateDateDiff(args) {
+  const { text, groups } = extractGroups(args);
+  const [unit, start, end] = text.split(",").map((arg) => restoreGroups(arg.trim(), groups));
+  const seconds = DATEDIFF_UNITS[unit.toLowerCase()];
+  if (!seconds) {
+    throw new Error(`Unsupported DATEDIFF unit: ${unit}`);
+  }
+  const units = (value) => `CAST(strftime('%s', ${value}) AS INTEGER)${seconds > 1 ? ` / ${seconds}` : ""}`;
+  return `(${units(end)} - ${units(start)})`;
+}
+
+// Rewrites `OUTER APPLY (SELECT TOP 1 ... FROM table WHERE ...) AS alias` as a join on the row id.
+function translateApply(kind, inner, alias) {
+  const sub = inner.match(
+    /^\s*SELECT\s+[\s\S]*?\s+FROM\s+(\w+)(\s+(?:AS\s+)?(?!WHERE\b)(\w+))?\s+(WHERE\s[\s\S]*)$/i
+  );
+  if (!sub) {
+    throw new Error("Unsupported APPLY subquery: expected SELECT ... FROM table WHERE ...");
+  }
+  const [, table, innerAliasClause = "", innerAlias, rest] = sub;
+  const join = kind.toUpperCase() === "OUTER" ? "LEFT JOIN" : "JOIN";
+  const idColumn = innerAlias ? `${innerAlias}.id` : "id";
+  return `${join} ${table} AS ${alias} ON ${alias}.id = (SELECT ${idColumn} FROM ${table}${innerAliasClause} ${rest})`;
+}
+
+/**
+ * Applies the clause-level rewrites to one nesting level of a statement.
+ * Nested groups have already been translated and are passed in `groups`.
+ */
+function translateLevel(level, groups) {
+  let text = level;
+
+  const transactionControl = text.match(/^\s*(BEGIN|COMMIT|ROLLBACK)\s+TRAN(SACTION)?\s*$/i);
+  if (transactionControl) {
+    return transactionControl[1].toUpperCase();
+  }
+
+  // SELECT TOP n -> LIMIT n (appended once the rest of the level is rewritten)
+  let limit = null;
+  const top = text.match(/^(\s*SELECT\s+(?:DISTINCT\s+)?)TOP\s*(?:\u0001(\d+)\u0001|(\d+|@\w+))\s+/i);
+  if (top) {
+    limit = top[2] !== undefined ? groups[top[2]].trim() : top[3];
+    text = top[1] + text.slice(top[0].length);
+  }
+
+  const forJson = text.match(/\s+FOR\s+JSON\s+PATH\s*(,\s*WITHOUT_ARRAY_WRAPPER\s*)?$/i);
+  if (forJson) {
+    text = translateForJson(text.slice(0, forJson.index), Boolean(forJson[1]));
+  }
+
+  text = text.replace(
+    /\s+OFFSET\s+(\S+)\s+ROWS?\s+FETCH\s+(?:NEXT|FIRST)\s+(\S+)\s+ROWS?\s+ONLY\s*$/i,
+    " LIMIT $2 OFFSET $1"
+  );
+
+  let returning = null;
+  const output = text.match(
+    /\s+OUTPUT\s+((?:INSERTED|DELETED)\.\w+(?:\s+AS\s+\w+)?(?:\s*,\s*(?:INSERTED|DELETED)\.\w+(?:\s+AS\s+\w+)?)*)/i
+  );
+  if (output) {
+    text = text.slice(0, output.index) + text.slice(output.index + output[0].length);
+    returning = output[1].replace(/\b(?:INSERTED|DELETED)\./gi, "");
+  }
+
+  text = text.replace(/\s+WITH\s*\u0001(\d+)\u0001/gi, (hint, n) => (LOCK_HINTS.test(groups[n]) ? "" : hint));
+
+  text = text.replace(
+    /\b(OUTER|CROSS)\s+APPLY\s+\u0001(\d+)\u0001\s+(?:AS\s+)?(\w+)/gi,
+    (_, kind, n, alias) => translateApply(kind, groups[n], alias)
+  );
+
+  if (limit !== null) text = `${text.trimEnd()} LIMIT ${limit}`;
+  if (returning !== null) text = `${text.trimEnd()} RETURNING ${returning}`;
+
+  return text
+    .replace(/\b(GETUTCDATE|GETDATE|SYSUTCDATETIME|SYSDATETIMEOFFSET)\s*\u0001\d+\u0001/gi, NOW_SQL)
+    .replace(/\bSCOPE_IDENTITY\s*\u0001\d+\u0001/gi, "last_insert_rowid()")
+    .replace(/\bISNULL(\s*\u0001)/gi, "IFNULL$1")
+    .replace(/\bLEN(\s*\u0001)/gi, "LENGTH$1")
+    .replace(/\bDATEDIFF\s*\u0001(\d+)\u0001/gi, (_, n) => translateDateDiff(groups[n]))
+    // RIGHT(text, n) keeps the last n characters, which substr counts from the end
+    .replace(/\bRIGHT\s*\u0001(\d+)\u0001/gi, (_, n) => {
+      groups[n] = groups[n].replace(/,\s*(\d+)\s*$/, ", -$1");
+      return `substr${GROUP_MARK}${n}${GROUP_MARK}`;
+    });
+}
+
+function translateFragment(fragment) {
+  const { text, groups } = extractGroups(fragment);
+  const translatedGroups = groups.map(translateFragment);
+  return restoreGroups(translateLevel(text, translatedGroups), translatedGroups);
+}
+
+/**
+ * Translates a (possibly multi-statement) T-SQL batch into SQLite statements.
+ * @param {string} querySql - The T-SQL written by a router.
+ * @returns {Array<{sql: string, outputVariable: (string|null)}>} One entry per statement.
+ *   `outputVariable` is set for `SELECT @var = expr` statements, whose single value
+ *   must be returned through the mssql-style `output` object.
+ */
+function translateQuery(querySql) {
+  const { text, strings } = protectStrings(querySql);
+  const { text: topLevel, groups } = extractGroups(text);
+
+  return topLevel
+    .split(";")
+    .map((statement) => restoreGroups(statement, groups).trim())
+    .filter(Boolean)
+    .map((statement) => {
+      const translated = restoreStrings(translateFragment(statement), strings);
+      const assignment = translated.match(/^SELECT\s+@(\w+)\s*=\s*([\s\S]+)$/i);
+      if (assignment) {
+        return { sql: `SELECT ${assignment[2]} AS ${assignment[1]}`, outputVariable: assignment[1] };
+      }
+      return { sql: translated, outputVariable: null };
+    });
+}
+
+/**
+ * Translates the Azure SQL DDL script into idempotent SQLite statements.
+ * The DROP guards are skipped so an existing local database file keeps its data;
+ * tables and indexes are created only when missing. Computed columns become
+ * stored generated columns, so they can be indexed the same way.
+ * @param {string} schemaSql - Contents of azure_schema_creation.sql.
+ * @returns {string[]} SQLite DDL statements.
+ */
+function translateSchema(schemaSql) {
+  const { text, strings } = protectStrings(schemaSql);
+
+  return text
+    .split(/^\s*GO\s*$/im)
+    .map((batch) => batch.trim())
+    .filter((batch) => batch && !/^IF\b/i.test(batch))
+    .flatMap((batch) => batch.split(";"))
+    .map((statement) => statement.trim())
+    .filter(Boolean)
+    .map((statement) =>
+      restoreStrings(
+        statement
+          .replace(/^CREATE\s+TABLE\s+(?!IF\s+NOT\s+EXISTS)/i, "CREATE TABLE IF NOT EXISTS ")
+          .replace(/\bINT\s+IDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)\s+PRIMARY\s+KEY/gi, "INTEGER PRIMARY KEY AUTOINCREMENT")
+          .replace(/\bDEFAULT\s+(GETUTCDATE|GETDATE|SYSUTCDATETIME|SYSDATETIMEOFFSET)\s*\(\s*\)/gi, `DEFAULT (${NOW_SQL})`)
+          .replace(/\(\s*MAX\s*\)/gi, "")
+          .replace(
+            /^(\s*\w+)\s+AS\s+(.+?)\s+PERSISTED\b/gim,
+            (_, column, expression) => `${column} GENERATED ALWAYS AS (${translateFragment(expression)}) STORED`
+          )
+          .replace(/^CREATE\s+(UNIQUE\s+)?(?:NON)?CLUSTERED\s+INDEX\s+/i, "CREATE $1INDEX ")
+          .replace(/^CREATE\s+(UNIQUE\s+)?INDEX\s+(?!IF\s+NOT\s+EXISTS)/i, "CREATE $1INDEX IF NOT EXISTS ")
+          .replace(/\s+INCLUDE\s*\([^)]*\)/gi, ""),
+        strings
+      )
+    );
+}
+
+/**
+ * Lists the BIT columns declared in the schema, so the local adapter can return
+ * them as booleans the way the mssql driver does.
+ * @param {string} schemaSql - Contents of azure_schema_creation.sql.
+ * @returns {Set<string>} Column names.
+ */
+function findBitColumns(schemaSql) {
+  const columns = new Set();
+  for (const match of schemaSql.matchAll(/^\s*(\w+)\s+BIT\b/gim)) {
+    columns.add(match[1]);
+  }
+  return columns;
+}
+
+module.exports = {
+  translateQuery,
+  translateSchema,
+  findBitColumns,
+};
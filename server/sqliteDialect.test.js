@@ -0,0 +1,129 @@
+const { translateQuery, translateSchema, findBitColumns } = require("./sqliteDialect");
+
+// Collapses whitespace so assertions don't depend on the router's indentation.
+const flat = (text) => text.replace(/\s+/g, " ").trim();
+const translateOne = (querySql) => {
+    const statements = translateQuery(querySql);
+    expect(statements).toHaveLength(1);
+    return flat(statements[0].sql);
+};
+
+describe("translateQuery", () => {
+    test("should turn SELECT TOP n into LIMIT n", () => {
+        expect(translateOne("SELECT TOP 1 id FROM visits WHERE exit_time IS NULL ORDER BY entry_time DESC")).toBe(
+            "SELECT id FROM visits WHERE exit_time IS NULL ORDER BY entry_time DESC LIMIT 1"
+        );
+    });
+
+    test("should turn OFFSET/FETCH into LIMIT/OFFSET", () => {
+        expect(translateOne("SELECT id FROM visits ORDER BY id OFFSET @offset ROWS FETCH NEXT @pageSize ROWS ONLY")).toBe(
+            "SELECT id FROM visits ORDER BY id LIMIT @pageSize OFFSET @offset"
+        );
+    });
+
+    test("should build a JSON array for FOR JSON PATH subqueries", () => {
+        const sql = translateOne(`
+            SELECT T1.id,
+              (SELECT full_name, age FROM dependents AS T3 WHERE T3.visit_id = T2.id FOR JSON PATH) AS dependents_json
+            FROM visitors AS T1 JOIN visits AS T2 ON T1.id = T2.visitor_id
+        `);
+        expect(sql).toBe(
+            "SELECT T1.id, (SELECT CASE WHEN COUNT(*) = 0 THEN NULL ELSE json_group_array(json_object('full_name', full_name, 'age', age)) END FROM dependents AS T3 WHERE T3.visit_id = T2.id) AS dependents_json FROM visitors AS T1 JOIN visits AS T2 ON T1.id = T2.visitor_id"
+        );
+    });
+
+    test("should build a single JSON object for WITHOUT_ARRAY_WRAPPER and keep aliases", () => {
+        const sql = translateOne(`
+            SELECT v.id, (SELECT TOP 1 T2.unit, T2.id AS last_visit_id FROM visits AS T2
+                WHERE T2.visitor_id = v.id ORDER BY T2.entry_time DESC FOR JSON PATH, WITHOUT_ARRAY_WRAPPER) AS last_visit_data
+            FROM visitors AS v WHERE v.id = @id;
+        `);
+        expect(sql).toBe(
+            "SELECT v.id, (SELECT json_object('unit', T2.unit, 'last_visit_id', T2.id) FROM visits AS T2 WHERE T2.visitor_id = v.id ORDER BY T2.entry_time DESC LIMIT 1) AS last_visit_data FROM visitors AS v WHERE v.id = @id"
+        );
+    });
+
+    test("should rewrite OUTER APPLY (SELECT TOP 1 ...) as a LEFT JOIN on the latest row id", () => {
+        const sql = translateOne(`
+            SELECT T1.id, T2.unit FROM visitors AS T1
+            OUTER APPLY (SELECT TOP 1 id, unit FROM visits WHERE visitor_id = T1.id ORDER BY entry_time DESC) AS T2
+            WHERE T1.first_name LIKE @term0
+        `);
+        expect(sql).toBe(
+            "SELECT T1.id, T2.unit FROM visitors AS T1 LEFT JOIN visits AS T2 ON T2.id = (SELECT id FROM visits WHERE visitor_id = T1.id ORDER BY entry_time DESC LIMIT 1) WHERE T1.first_name LIKE @term0"
+        );
+    });
+
+    test("should turn OUTPUT INSERTED columns into RETURNING", () => {
+        const sql = translateOne(`
+            INSERT INTO visits (visitor_id, unit)
+            OUTPUT INSERTED.id
+            VALUES (@visitor_id, @unit);
+        `);
+        expect(sql).toBe("INSERT INTO visits (visitor_id, unit) VALUES (@visitor_id, @unit) RETURNING id");
+    });
+
+    test("should split batches and mark SELECT @var = expr as an output variable", () => {
+        const statements = translateQuery(`
+            INSERT INTO visitors (first_name) VALUES (@first_name);
+            SELECT @visitorId = SCOPE_IDENTITY();
+        `);
+        expect(statements).toHaveLength(2);
+        expect(statements[1]).toEqual({
+            sql: "SELECT last_insert_rowid() AS visitorId",
+            outputVariable: "visitorId",
+        });
+    });
+
+    test("should translate transaction control, functions and literals", () => {
+        expect(translateQuery("BEGIN TRAN; COMMIT TRAN; ROLLBACK TRAN;").map((s) => s.sql)).toEqual([
+            "BEGIN",
+            "COMMIT",
+            "ROLLBACK",
+        ]);
+        expect(translateOne("SELECT ISNULL(LEN([name]), 0), N'it''s; fine', GETUTCDATE() -- note")).toBe(
+            "SELECT IFNULL(LENGTH(\"name\"), 0), 'it''s; fine', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')"
+        );
+        expect(translateOne("SELECT RIGHT(REPLACE(phone_number, '-', ''), 9) FROM visits")).toBe(
+            "SELECT substr(REPLACE(phone_number, '-', ''), -9) FROM visits"
+        );
+        expect(translateOne("SELECT COUNT(*) FROM legal_holds WITH (UPDLOCK, HOLDLOCK) WHERE visitor_id = @id")).toBe(
+            "SELECT COUNT(*) FROM legal_holds WHERE visitor_id = @id"
+        );
+        expect(translateOne("SELECT DATEDIFF(minute, @start, ISNULL(exit_time, entry_time)) / 15, DATEDIFF(second, entry_time, exit_time) FROM visits")).toBe(
+            "SELECT (CAST(strftime('%s', IFNULL(exit_time, entry_time)) AS INTEGER) / 60 - CAST(strftime('%s', @start) AS INTEGER) / 60) / 15, " +
+                "(CAST(strftime('%s', exit_time) AS INTEGER) - CAST(strftime('%s', entry_time) AS INTEGER)) FROM visits"
+        );
+        expect(() => translateOne("SELECT DATEDIFF(week, entry_time, exit_time) FROM visits")).toThrow("Unsupported DATEDIFF unit: week");
+    });
+});
+
+describe("translateSchema", () => {
+    const schema = `
+        IF OBJECT_ID('visitors', 'U') IS NOT NULL
+            DROP TABLE visitors;
+        GO
+        CREATE TABLE visitors (
+            id INT IDENTITY(1,1) PRIMARY KEY,
+            notes NVARCHAR(MAX) NULL,
+            is_banned BIT NOT NULL DEFAULT 0, -- 0 = Not Banned
+            phone_suffix AS RIGHT(REPLACE(phone, ' ', ''), 9) PERSISTED,
+            created_at DATETIMEOFFSET NOT NULL DEFAULT GETUTCDATE()
+        );
+        GO
+        CREATE NONCLUSTERED INDEX IX_visits_OnSite ON visits (exit_time) INCLUDE (visitor_id, entry_time);
+        GO
+    `;
+
+    test("should skip the DROP guards, create tables and indexes only when missing and store computed columns", () => {
+        const statements = translateSchema(schema).map(flat);
+        expect(statements).toEqual([
+            "CREATE TABLE IF NOT EXISTS visitors ( id INTEGER PRIMARY KEY AUTOINCREMENT, notes NVARCHAR NULL, is_banned BIT NOT NULL DEFAULT 0, phone_suffix GENERATED ALWAYS AS (substr(REPLACE(phone, ' ', ''), -9)) STORED, created_at DATETIMEOFFSET NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) )",
+            "CREATE INDEX IF NOT EXISTS IX_visits_OnSite ON visits (exit_time)",
+        ]);
+    });
+
+    test("should list BIT columns", () => {
+        expect([...findBitColumns(schema)]).toEqual(["is_banned"]);
+    });
+});
@@ -0,0 +1,70 @@
+const { EventEmitter } = require("events");
+
+/**
+ * In-process broadcast of changes to the on-site list.
+ *
+ * Routers publish after their transaction commits; GET /api/events/visitors
+ * (routes/visitor_events.js) streams every event to the connected browsers as
+ * Server-Sent Events so they can update "Who is On Site?" without polling.
+ *
+ * Event types:
+ *  - visitor_registered / visitor_signed_in: { visitor } - the row as GET /api/visitors returns it
+ *  - visitor_updated: { visitor } - the same row after staff corrected the visitor's name or photo
+ *  - visitor_signed_out: { visitorId }
+ *  - visitor_banned: { visitorId, closedVisitIds }
+ */
+const VISITOR_EVENT_TYPES = [
+  "visitor_registered",
+  "visitor_signed_in",
+  "visitor_updated",
+  "visitor_signed_out",
+  "visitor_banned",
+];
+
+const emitter = new EventEmitter();
+// Every open browser tab is a listener
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+/**
+ * Broadcasts an event to every subscriber.
+ * @param {string} type - One of VISITOR_EVENT_TYPES.
+ * @param {Object} payload - Event data, merged into the event.
+ * @returns {{id: number, type: string, at: string}} The published event.
+ */
+function publishVisitorEvent(type, payload = {}) {
+  if (!VISITOR_EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown visitor event type "${type}".`);
+  }
+  lastEventId += 1;
+  const event = { id: lastEventId, type, at: new Date().toISOString(), ...payload };
+  emitter.emit("visitor_event", event);
+  return event;
+}
+
+/**
+ * Registers a listener for every published event.
+ * @param {Function} listener - Called with each event.
+ * @returns {Function} Unsubscribes the listener.
+ */
+function subscribeToVisitorEvents(listener) {
+  emitter.on("visitor_event", listener);
+  return () => emitter.off("visitor_event", listener);
+}
+
+/**
+ * True when at least one browser is listening, so routers can skip
+ * loading event data nobody will receive.
+ * @returns {boolean}
+ */
+function hasVisitorEventSubscribers() {
+  return emitter.listenerCount("visitor_event") > 0;
+}
+
+module.exports = {
+  VISITOR_EVENT_TYPES,
+  publishVisitorEvent,
+  subscribeToVisitorEvents,
+  hasVisitorEventSubscribers,
+};
@@ -0,0 +1,290 @@
+const sql = require("mssql");
+const { formatDateOfBirth } = require("./routes/visitors");
+
+/**
+ * Possible-duplicate detection for registration.
+ *
+ * Staff type names as they hear them, so "Jon Smith", "John Smyth" and
+ * "J. Smith" are often the same person as an existing "John Smith". Before a
+ * new profile is created, registration looks up visitors whose names sound or
+ * spell alike, or who gave the same phone number or known-as name, and scores
+ * each one. Likely matches go back to the receptionist, who either picks the
+ * existing visitor or confirms this is someone new.
+ */
+
+// Candidates scoring at least this (out of 100) are shown to the receptionist
+const MATCH_THRESHOLD = 60;
+
+// At most this many candidates are shown, best first
+const MAX_MATCHES = 5;
+
+// Phone numbers are compared on their last digits, so "07700 900123" matches "+44 7700 900123".
+// visits.phone_suffix stores this many digits (azure_schema_creation.sql).
+const PHONE_DIGITS_COMPARED = 9;
+
+// The characters phone_suffix strips from phone_number; both sides must drop the same ones
+const PHONE_SEPARATORS = /[ \-()+./]/g;
+
+// How much each part of the name counts towards the score; a shared phone number adds PHONE_WEIGHT
+const LAST_NAME_WEIGHT = 40;
+const FIRST_NAME_WEIGHT = 30;
+const PHONE_WEIGHT = 30;
+// Taken off when both visitors have a date of birth and they differ
+const DIFFERENT_BIRTHDAY_PENALTY = 30;
+
+/**
+ * Lower-cases a name and keeps only its letters, in any script, dropping
+ * accents, spaces, dots and hyphens: "J. O'Neil-Smith" becomes "joneilsmith"
+ * and "Анна-Мария" becomes "аннамария".
+ * @param {string|null|undefined} name
+ * @returns {string}
+ */
+function normaliseName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}]/gu, "")
+    .normalize("NFC");
+}
+
+// Soundex only knows the Latin alphabet
+const isLatin = (name) => /^[a-z]+$/.test(name);
+
+/**
+ * American Soundex code of a normalised name, e.g. "smith" and "smyth" are both "S530".
+ * @param {string} name - A normalised name (see normaliseName).
+ * @returns {string} The four-character code, or "" for an empty name.
+ */
+function soundex(name) {
+  if (!name) return "";
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let code = name[0].toUpperCase();
+  let previous = codes[name[0]];
+  for (const letter of name.slice(1)) {
+    const digit = codes[letter];
+    if (digit && digit !== previous) code += digit;
+    // h and w do not separate letters with the same code; vowels do
+    if (letter !== "h" && letter !== "w") previous = digit;
+    if (code.length === 4) break;
+  }
+  return code.padEnd(4, "0");
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      next[j] = Math.min(next[j - 1] + 1, row[j] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+/**
+ * How alike two names are, from 0 to 1: 1 when equal, 0.85 when they sound
+ * alike and are spelt similarly, 0.7 when one is the other's initial, and
+ * otherwise the share of letters that would not need editing.
+ * @param {string} a - A name as typed.
+ * @param {string} b - A name as typed.
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  const left = normaliseName(a);
+  const right = normaliseName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const spelling = 1 - editDistance(left, right) / Math.max(left.length, right.length);
+  // Soundex alone is coarse ("Jane" and "John" share a code), so the spelling must be close too.
+  // Names in other scripts are compared on spelling only.
+  const soundsAlike =
+    spelling >= 0.5 && isLatin(left) && isLatin(right) && soundex(left) === soundex(right) ? 0.85 : 0;
+  const isInitial = (left.length === 1 && right.startsWith(left)) || (right.length === 1 && left.startsWith(right)) ? 0.7 : 0;
+  return Math.max(spelling, soundsAlike, isInitial);
+}
+
+/**
+ * Scores how likely an existing visitor is the person being registered.
+ *
+ * @param {object} input - first_name, last_name and optional known_as and date_of_birth from the form.
+ * @param {object} candidate - An existing visitor: first_name, last_name, date_of_birth, known_as,
+ *   and the phone_match/known_as_match flags from findPossibleDuplicates.
+ * @returns {{score: number, reasons: string[]}} score from 0 to 100 and why it matched.
+ */
+function scoreCandidate(input, candidate) {
+  // A visitor may also be known by the name the receptionist typed as a first name
+  const firstNameScore = (first, last) =>
+    Math.max(
+      nameSimilarity(first, candidate.first_name),
+      candidate.known_as ? nameSimilarity(first, candidate.known_as) : 0,
+      candidate.known_as_match ? 1 : 0
+    ) *
+      FIRST_NAME_WEIGHT +
+    nameSimilarity(last, candidate.last_name) * LAST_NAME_WEIGHT;
+  // Names typed the wrong way round count, but less
+  const nameScore = Math.max(
+    firstNameScore(input.first_name, input.last_name),
+    firstNameScore(input.last_name, input.first_name) * 0.9
+  );
+
+  const reasons = [];
+  let score = nameScore;
+  if (nameScore >= LAST_NAME_WEIGHT + FIRST_NAME_WEIGHT) {
+    reasons.push("Same name");
+  } else if (nameScore >= (LAST_NAME_WEIGHT + FIRST_NAME_WEIGHT) / 2) {
+    reasons.push("Similar name");
+  }
+  if (candidate.phone_match) {
+    score += PHONE_WEIGHT;
+    reasons.push("Same phone number");
+  }
+  if (candidate.known_as_match) {
+    reasons.push("Known by this name");
+  }
+  if (input.date_of_birth && candidate.date_of_birth) {
+    if (input.date_of_birth === candidate.date_of_birth) {
+      reasons.push("Same date of birth");
+    } else {
+      score -= DIFFERENT_BIRTHDAY_PENALTY;
+    }
+  }
+
+  return { score: Math.max(0, Math.min(100, Math.round(score))), reasons };
+}
+
+/**
+ * Whether a possible duplicate is certainly the same person: the same name and
+ * date of birth. Staff cannot confirm past such a match.
+ *
+ * @param {object} input - first_name, last_name and optional date_of_birth (YYYY-MM-DD) from the form.
+ * @param {object} visitor - A visitor returned by findPossibleDuplicates.
+ * @returns {boolean}
+ */
+function isSamePerson(input, visitor) {
+  return (
+    Boolean(input.date_of_birth) &&
+    visitor.date_of_birth === input.date_of_birth &&
+    normaliseName(visitor.first_name) === normaliseName(input.first_name) &&
+    normaliseName(visitor.last_name) === normaliseName(input.last_name)
+  );
+}
+
+/**
+ * Finds existing visitors who may be the person being registered, scored by
+ * scoreCandidate. The query loads only plausible candidates (first and last
+ * names with the same initials, either way round, the same phone number or the
+ * same known-as name) and the scoring keeps the likely ones. A name with other
+ * initials scores too low to be shown without a shared phone number, which the
+ * phone lookup finds anyway. Names and phone numbers are found through indexes
+ * (IX_visitors_Name, IX_visitors_FirstName and IX_visits_PhoneSuffix).
+ *
+ * @param {object} dbService - The database service wrapper, or a transaction (anything with executeQuery).
+ * @param {string} baseUrl - e.g. "https://host", used to build photo URLs.
+ * @param {object} input - first_name, last_name and optional known_as, phone_number, date_of_birth.
+ * @returns {Promise<Array<object>>} Up to MAX_MATCHES visitors, best match first, each with
+ *   match_score, match_reasons, date_of_birth, photo and their latest phone_number, unit and visit time.
+ */
+async function findPossibleDuplicates(dbService, baseUrl, input) {
+  const firstName = normaliseName(input.first_name);
+  const lastName = normaliseName(input.last_name);
+  const knownAs = String(input.known_as || "").trim();
+  const phoneDigits = String(input.phone_number || "").replace(PHONE_SEPARATORS, "");
+  if (!firstName && !lastName) return [];
+
+  // NULL parameters match nothing, e.g. when no phone number was given
+  const initialOf = (name) => (name ? `${[...name][0]}%` : null);
+  const inputs = [
+    { name: "firstInitial", type: sql.NVarChar(4), value: initialOf(firstName) },
+    { name: "lastInitial", type: sql.NVarChar(4), value: initialOf(lastName) },
+    { name: "knownAs", type: sql.NVarChar(255), value: knownAs || String(input.first_name || "").trim() || null },
+    {
+      name: "phoneSuffix",
+      type: sql.NVarChar(50),
+      // A full number is an exact phone_suffix; a shorter one can only be the end of one
+      value:
+        !/^\d{7,}$/.test(phoneDigits)
+          ? null
+          : phoneDigits.length >= PHONE_DIGITS_COMPARED
+            ? phoneDigits.slice(-PHONE_DIGITS_COMPARED)
+            : `%${phoneDigits}`,
+    },
+  ];
+
+  const rows = await dbService.executeQuery(
+    `
+      SELECT
+        T1.id,
+        T1.first_name,
+        T1.last_name,
+        T1.date_of_birth,
+        T1.photo_path,
+        T1.is_banned,
+        T2.known_as,
+        T2.phone_number,
+        T2.unit,
+        T2.entry_time AS last_visit_time,
+        CASE WHEN EXISTS (
+          SELECT 1 FROM visits AS V
+          WHERE V.visitor_id = T1.id AND V.phone_suffix LIKE @phoneSuffix
+        ) THEN 1 ELSE 0 END AS phone_match,
+        CASE WHEN EXISTS (
+          SELECT 1 FROM visits AS V
+          WHERE V.visitor_id = T1.id AND LOWER(V.known_as) = LOWER(@knownAs)
+        ) THEN 1 ELSE 0 END AS known_as_match
+      FROM visitors AS T1
+      OUTER APPLY (
+        SELECT TOP 1 known_as, phone_number, unit, entry_time
+        FROM visits
+        WHERE visitor_id = T1.id
+        ORDER BY entry_time DESC
+      ) AS T2
+      WHERE T1.merged_into_id IS NULL AND (
+        (T1.last_name LIKE @lastInitial AND T1.first_name LIKE @firstInitial)
+        OR (T1.last_name LIKE @firstInitial AND T1.first_name LIKE @lastInitial)
+        OR T1.id IN (SELECT visitor_id FROM visits WHERE phone_suffix LIKE @phoneSuffix)
+        OR T1.id IN (SELECT visitor_id FROM visits WHERE LOWER(known_as) = LOWER(@knownAs))
+      )
+    `,
+    inputs
+  );
+
+  return rows
+    .map(({ photo_path, phone_match, known_as_match, ...row }) => {
+      const candidate = {
+        ...row,
+        date_of_birth: formatDateOfBirth(row.date_of_birth),
+        phone_match: Boolean(phone_match),
+        known_as_match: Boolean(known_as_match),
+      };
+      const { score, reasons } = scoreCandidate(input, candidate);
+      return {
+        ...row,
+        date_of_birth: candidate.date_of_birth,
+        photo: photo_path ? `${baseUrl}/${photo_path}` : null,
+        match_score: score,
+        match_reasons: reasons,
+      };
+    })
+    .filter((visitor) => visitor.match_score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.match_score - a.match_score || a.id - b.id)
+    .slice(0, MAX_MATCHES);
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normaliseName,
+  soundex,
+  nameSimilarity,
+  scoreCandidate,
+  isSamePerson,
+  findPossibleDuplicates,
+};
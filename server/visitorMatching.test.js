@@ -0,0 +1,138 @@
+const { normaliseName, soundex, nameSimilarity, scoreCandidate, findPossibleDuplicates, MATCH_THRESHOLD } = require("./visitorMatching");
+
+const candidateRow = (overrides = {}) => ({
+    id: 1,
+    first_name: "John",
+    last_name: "Smith",
+    date_of_birth: null,
+    photo_path: "uploads/john.jpg",
+    is_banned: 0,
+    known_as: null,
+    phone_number: "07700 900123",
+    unit: "Unit 4",
+    last_visit_time: "2025-01-01T10:00:00.000Z",
+    phone_match: 0,
+    known_as_match: 0,
+    ...overrides,
+});
+
+describe("visitorMatching", () => {
+    test("normaliseName and soundex should ignore case, accents, punctuation and spelling variants", () => {
+        expect(normaliseName(" J. O'Néil-Smith ")).toBe("joneilsmith");
+        expect(soundex("smith")).toBe("S530");
+        expect(soundex("smyth")).toBe("S530");
+        expect(soundex("ashcraft")).toBe("A261");
+        expect(soundex("")).toBe("");
+    });
+
+    test("normaliseName should keep names written in other scripts", () => {
+        expect(normaliseName("Анна-Мария")).toBe("аннамария");
+        expect(normaliseName("  李 小龙 ")).toBe("李小龙");
+        expect(normaliseName("محمد")).toBe("محمد");
+        expect(normaliseName("José")).toBe(normaliseName("Jose"));
+    });
+
+    test("nameSimilarity should compare non-Latin names on spelling, without Soundex", () => {
+        expect(nameSimilarity("Анна", "анна")).toBe(1);
+        expect(nameSimilarity("Иван", "Иванн")).toBe(0.8);
+        // Different names in another script are no longer all equal once reduced
+        expect(nameSimilarity("李小龙", "王芳")).toBe(0);
+        expect(nameSimilarity("Анна", "Anna")).toBe(0);
+    });
+
+    test("nameSimilarity should rate equal, alike-sounding, initial and unrelated names", () => {
+        expect(nameSimilarity("John", "JOHN")).toBe(1);
+        expect(nameSimilarity("Jon", "John")).toBe(0.85);
+        expect(nameSimilarity("J.", "John")).toBe(0.7);
+        // Same Soundex code, but spelt too differently to count as alike
+        expect(nameSimilarity("Jane", "John")).toBe(0.25);
+        expect(nameSimilarity("", "John")).toBe(0);
+    });
+
+    test("scoreCandidate should flag misspellings and initials but not different first names", () => {
+        const john = candidateRow();
+        for (const [first_name, last_name] of [["Jon", "Smith"], ["John", "Smyth"], ["J.", "Smith"], ["Smith", "John"]]) {
+            expect(scoreCandidate({ first_name, last_name }, john).score).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+        }
+        expect(scoreCandidate({ first_name: "Jane", last_name: "Smith" }, john).score).toBeLessThan(MATCH_THRESHOLD);
+    });
+
+    test("scoreCandidate should weigh phone numbers, known-as names and dates of birth", () => {
+        expect(scoreCandidate({ first_name: "Mary", last_name: "Smith" }, candidateRow({ phone_match: true }))).toEqual({
+            score: 70,
+            reasons: ["Similar name", "Same phone number"],
+        });
+        expect(scoreCandidate({ first_name: "Johnny", last_name: "Smith" }, candidateRow({ known_as_match: true })).reasons).toEqual([
+            "Same name",
+            "Known by this name",
+        ]);
+        // A different date of birth makes a match on the name alone unlikely
+        expect(
+            scoreCandidate({ first_name: "John", last_name: "Smith", date_of_birth: "1990-01-01" }, candidateRow({ date_of_birth: "1980-01-01" })).score
+        ).toBeLessThan(MATCH_THRESHOLD);
+    });
+
+    test("findPossibleDuplicates should query by both initials, phone and known-as and return the likely matches best first", async () => {
+        const mockDbService = {
+            executeQuery: jest.fn().mockResolvedValue([
+                candidateRow({ id: 1, first_name: "Jane" }),
+                candidateRow({ id: 2, last_name: "Smyth", date_of_birth: new Date("1980-02-03T00:00:00.000Z") }),
+                candidateRow({ id: 3, photo_path: null, phone_match: 1 }),
+            ]),
+        };
+
+        const matches = await findPossibleDuplicates(mockDbService, "http://api.test", {
+            first_name: "John",
+            last_name: "Smith",
+            phone_number: "+44 (7700) 900-123",
+        });
+
+        expect(matches.map(({ id, match_score }) => [id, match_score])).toEqual([[3, 100], [2, 64]]);
+        expect(matches[0]).toMatchObject({ photo: null, match_reasons: ["Same name", "Same phone number"] });
+        expect(matches[1]).toMatchObject({ photo: "http://api.test/uploads/john.jpg", date_of_birth: "1980-02-03" });
+        expect(matches[1].photo_path).toBeUndefined();
+
+        const [query, params] = mockDbService.executeQuery.mock.calls[0];
+        // Only names with both initials, either way round, are loaded
+        expect(query).toContain("(T1.last_name LIKE @lastInitial AND T1.first_name LIKE @firstInitial)");
+        expect(query).toContain("(T1.last_name LIKE @firstInitial AND T1.first_name LIKE @lastInitial)");
+        // Phone numbers are looked up on the indexed phone_suffix, not cleaned up row by row
+        expect(query).toContain("T1.id IN (SELECT visitor_id FROM visits WHERE phone_suffix LIKE @phoneSuffix)");
+        expect(query).not.toContain("REPLACE(");
+        expect(params).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "firstInitial", value: "j%" }),
+            expect.objectContaining({ name: "lastInitial", value: "s%" }),
+            expect.objectContaining({ name: "phoneSuffix", value: "700900123" }),
+            expect.objectContaining({ name: "knownAs", value: "John" }),
+        ]));
+    });
+
+    test("findPossibleDuplicates should search by the first letter of a non-Latin name and the end of a short phone number", async () => {
+        const mockDbService = { executeQuery: jest.fn().mockResolvedValue([]) };
+
+        await findPossibleDuplicates(mockDbService, "http://api.test", {
+            first_name: "Анна",
+            last_name: "Петрова",
+            phone_number: "900 1234",
+        });
+
+        expect(mockDbService.executeQuery.mock.calls[0][1]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "firstInitial", value: "а%" }),
+            expect.objectContaining({ name: "lastInitial", value: "п%" }),
+            expect.objectContaining({ name: "phoneSuffix", value: "%9001234" }),
+        ]));
+    });
+
+    test("findPossibleDuplicates should strip the same phone separators as phone_suffix", async () => {
+        const mockDbService = { executeQuery: jest.fn().mockResolvedValue([]) };
+        const phoneSuffixFor = async (phone_number) => {
+            await findPossibleDuplicates(mockDbService, "http://api.test", { first_name: "Ann", last_name: "Lee", phone_number });
+            return mockDbService.executeQuery.mock.calls.at(-1)[1].find((param) => param.name === "phoneSuffix").value;
+        };
+
+        expect(await phoneSuffixFor("07700.900123")).toBe("700900123");
+        expect(await phoneSuffixFor("+44 7700/900123")).toBe("700900123");
+        // Anything phone_suffix keeps could never match, so it is not looked up
+        expect(await phoneSuffixFor("07700 900123 ext 4")).toBeNull();
+    });
+});